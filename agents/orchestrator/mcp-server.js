@@ -16,7 +16,19 @@ import { fileURLToPath } from 'url';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
-const ORCHESTRATOR_DIR = path.join(__dirname, 'projects');
+let BASE_DIR = __dirname;
+let ORCHESTRATOR_DIR = path.join(BASE_DIR, 'projects');
+
+/**
+ * Apuntar a otro directorio orchestrator (projects/ + agents/registry.json)
+ * Usado por ai-core cuando el knowledge base está en otra ruta
+ */
+export function configure(orchestratorDir) {
+  if (orchestratorDir) {
+    BASE_DIR = orchestratorDir;
+    ORCHESTRATOR_DIR = path.join(BASE_DIR, 'projects');
+  }
+}
 
 // ==================== HELPERS ====================
 
@@ -44,7 +56,7 @@ function loadDecisions(projectId) {
 }
 
 function loadAgentRegistry() {
-  const registryPath = path.join(__dirname, 'agents', 'registry.json');
+  const registryPath = path.join(BASE_DIR, 'agents', 'registry.json');
   return JSON.parse(fs.readFileSync(registryPath, 'utf-8'));
 }
 
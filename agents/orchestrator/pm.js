@@ -23,6 +23,7 @@
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { matchTriggers } from '../../src/triggers/index.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -600,24 +601,10 @@ function cmdLearn(args) {
     lessons = JSON.parse(fs.readFileSync(lessonsPath, 'utf-8'));
   }
 
-  // Detectar categoría automáticamente
-  const keywords = {
-    frontend: ['css', 'tailwind', 'react', 'vue', 'component', 'animation', 'gsap', 'ui', 'ux', 'responsive', 'layout'],
-    backend: ['api', 'endpoint', 'controller', 'service', 'middleware', 'auth', 'jwt', 'express', 'next.js', 'laravel', '.net'],
-    database: ['query', 'prisma', 'sql', 'index', 'migration', 'schema', 'n+1', 'postgres', 'supabase'],
-    devops: ['docker', 'deploy', 'ci', 'cd', 'vercel', 'railway', 'pipeline', 'cdn', 'build', 'production'],
-    security: ['cors', 'xss', 'injection', 'secret', 'token', 'rate limit', 'vulnerability'],
-    testing: ['test', 'coverage', 'mock', 'jest', 'vitest', 'assert']
-  };
-
-  let detectedCategory = 'general';
-  const lowerLesson = lesson.toLowerCase();
-  for (const [category, words] of Object.entries(keywords)) {
-    if (words.some(w => lowerLesson.includes(w))) {
-      detectedCategory = category;
-      break;
-    }
-  }
+  // Detectar categoría automáticamente (trigger packs, config/triggers): gana la de mayor peso
+  const matches = matchTriggers('lessonCategories', lesson);
+  const best = matches.reduce((top, m) => (!top || m.score > top.score ? m : top), null);
+  const detectedCategory = best ? best.category : 'general';
 
   const newLesson = {
     id: `lesson_${String(lessons.lessons.length + 1).padStart(3, '0')}`,
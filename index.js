@@ -1,20 +1,25 @@
 #!/usr/bin/env node
 // ai-core CLI Entry Point
 import dotenv from 'dotenv';
-dotenv.config();
+// Keep stdout clean in MCP mode, for --format reports and --explain - it carries JSON-RPC frames / the result only
+dotenv.config({ quiet: ['--mcp', '--format', '--explain'].some(flag => process.argv.includes(flag)) });
 
 import { runCLI } from './src/mcp-server/index.js';
 import { startServer } from './src/mcp-server/mcp-server.js';
+import { startHttpServer } from './src/mcp-server/http-transport.js';
 import { startInteractive, quickAnalyze } from './src/cli/index.js';
 import { initAIcore, exportConfig, importConfig } from './src/cli/portability.js';
 
 // Parse arguments
 const args = process.argv.slice(2);
 const isMcpMode = args.includes('--mcp');
+const isHttpTransport = args.includes('--http');
 const isInteractive = args.includes('--interactive') || args.includes('-i');
 const isInit = args.includes('--init');
 const isExport = args.includes('--export');
 const isImport = args.includes('--import');
+// --format reports and --explain traces come from analyze(), which runCLI wraps
+const isReport = args.includes('--format') || args.includes('--explain');
 
 // Find project path and prompt
 let projectPath = null;
@@ -47,6 +52,14 @@ if (isInit) {
   // Import config
   const importPath = args[args.indexOf('--import') + 1] || './ai-core-export.json';
   importConfig(importPath).then(() => process.exit(0));
+} else if (isMcpMode && isHttpTransport) {
+  // MCP Server over streamable HTTP (shared by several clients)
+  const portArg = args[args.indexOf('--port') + 1];
+  const port = args.includes('--port') && portArg ? parseInt(portArg, 10) : undefined;
+  startHttpServer({ port }).catch(err => {
+    console.error('Fatal error:', err.message);
+    process.exit(1);
+  });
 } else if (isMcpMode) {
   // MCP Server mode
   startServer();
@@ -58,8 +71,8 @@ if (isInit) {
     process.exit(1);
   }
   startInteractive(projectPath);
-} else if (projectPath && userPrompt) {
-  // Quick analyze mode (single prompt)
+} else if (projectPath && userPrompt && !isReport) {
+  // Quick analyze mode (single prompt); --format reports and --explain go through runCLI
   quickAnalyze(projectPath, userPrompt).then(() => {
     process.exit(0);
   });
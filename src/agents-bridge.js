@@ -23,6 +23,14 @@ export function configure(configPath) {
   }
 }
 
+/**
+ * Get the resolved agents knowledge base path
+ * @returns {string}
+ */
+export function getAgentsBasePath() {
+  return agentsBasePath;
+}
+
 /**
  * Safely read and parse a JSON file
  * @param {string} filePath 
@@ -100,6 +108,16 @@ export function getProjectTasks(projectId) {
   return readJSON(tasksPath);
 }
 
+/**
+ * Read the decisions.json for a specific project
+ * @param {string} projectId 
+ * @returns {Object|null}
+ */
+export function getProjectDecisions(projectId) {
+  const decisionsPath = path.join(agentsBasePath, 'orchestrator', 'projects', projectId, 'decisions.json');
+  return readJSON(decisionsPath);
+}
+
 // ─── Agent Registry ──────────────────────────────────────────────────
 
 /**
@@ -550,6 +568,7 @@ const AICORE_TO_AGENTS_MAP = {
   backend: ['backend/node-api.md', 'backend/laravel-api.md', 'backend/dotnet-data-sqlserver.md', 'database/postgresql-expert.md', 'database/sqlserver-expert.md'],
   frontend: ['frontend/react-hooks.md', 'frontend/vue-composition.md', 'frontend/animations.md', 'frontend/animations-expert.md', 'frontend/design-taste.md', 'frontend/ux-accessibility.md', 'frontend/performance-expert.md'],
   security: ['security/api-security.md', 'security/security-expert.md'],
+  database: ['database/postgres-schema.md', 'database/postgresql-expert.md', 'database/sqlserver-expert.md', 'database/prisma-queries.md', 'database/migrations-dotnet-prisma.md', 'backend/dotnet-data-sqlserver.md'],
   test: ['testing/backend-test.md'],
   seo: ['frontend/performance-expert.md'],  // SEO and performance are related
   code: ['architecture/global-architect.md', 'devops/cloud-expert.md'],
@@ -584,7 +603,7 @@ function getDesignRuleByType(projectType) {
  * @param {string[]} agentIds - Selected ai-core agent IDs
  * @returns {string[]} List of .md file paths relative to agents/
  */
-function resolveRelevantMdFiles(project, agentIds) {
+export function resolveRelevantMdFiles(project, agentIds) {
   const files = new Set();
   const registry = getAgentRegistry();
   const projectStack = (project.stack || []).map(s => normalizeStack(s));
@@ -777,6 +796,68 @@ function compactMdContent(content, fileName) {
   return kept.join('\n');
 }
 
+// ─── Knowledge Base Browsing ─────────────────────────────────────────
+
+/**
+ * List the .md rule files in the knowledge base (orchestrator docs excluded)
+ * @returns {Array<{path: string, name: string, description: string}>} Paths relative to agents/
+ */
+export function listRuleFiles() {
+  const registry = getAgentRegistry();
+  const registryByPath = {};
+  for (const agentDef of Object.values(registry?.agents || {})) {
+    if (agentDef.path) registryByPath[agentDef.path] = agentDef;
+  }
+
+  const files = [];
+  const walk = (dir, prefix) => {
+    let entries;
+    try {
+      entries = fs.readdirSync(dir, { withFileTypes: true });
+    } catch (e) {
+      return;
+    }
+    for (const entry of entries) {
+      const relPath = prefix ? `${prefix}/${entry.name}` : entry.name;
+      if (entry.isDirectory()) {
+        if (relPath !== 'orchestrator') walk(path.join(dir, entry.name), relPath);
+      } else if (entry.name.endsWith('.md')) {
+        const agentDef = registryByPath[relPath];
+        files.push({
+          path: relPath,
+          name: agentDef?.name || path.basename(entry.name, '.md'),
+          description: agentDef?.role || agentDef?.description || ''
+        });
+      }
+    }
+  };
+
+  walk(agentsBasePath, '');
+  return files.sort((a, b) => a.path.localeCompare(b.path));
+}
+
+/**
+ * Read a single rule file from the knowledge base
+ * @param {string} relPath - Path relative to agents/ (e.g. 'frontend/design-taste.md')
+ * @returns {string|null} Raw Markdown, or null when missing or outside the knowledge base
+ */
+export function readRuleFile(relPath) {
+  if (!relPath || !relPath.endsWith('.md')) return null;
+
+  const fullPath = path.resolve(agentsBasePath, relPath);
+  if (!fullPath.startsWith(agentsBasePath + path.sep)) return null;
+
+  return readText(fullPath);
+}
+
+/**
+ * ai-core agent IDs that have domain rules in the knowledge base
+ * @returns {string[]}
+ */
+export function getRuleDomains() {
+  return Object.keys(AICORE_TO_AGENTS_MAP);
+}
+
 // ─── Main API ────────────────────────────────────────────────────────
 
 /**
@@ -885,19 +966,85 @@ export function updateProjectTask(projectId, taskUpdate) {
   }
 }
 
+/**
+ * Find a task in tasks.json
+ * @param {string} taskId - Task ID (e.g., 'task_007')
+ * @param {string} [projectId] - Project to search (defaults to the active project)
+ * @returns {Object|null} { projectId, task } or null when not found
+ */
+export function findProjectTask(taskId, projectId = null) {
+  const id = projectId || getActiveProject()?.id;
+  if (!id) return null;
+
+  const task = getProjectTasks(id)?.tasks?.find(t => t.id === taskId);
+  return task ? { projectId: id, task } : null;
+}
+
+/**
+ * Record an agents run on an existing task
+ * Pending tasks move to in_progress; completing them stays with pm_done
+ *
+ * @param {string} projectId - Project ID
+ * @param {string} taskId - Task ID
+ * @param {Object} run - { agents: string[], success: boolean, summary: string }
+ * @returns {Object|null} Updated task, or null on failure
+ */
+export function recordTaskRun(projectId, taskId, run) {
+  const tasksPath = path.join(agentsBasePath, 'orchestrator', 'projects', projectId, 'tasks.json');
+  const tasks = readJSON(tasksPath);
+  const task = tasks?.tasks?.find(t => t.id === taskId);
+
+  if (!task) {
+    console.error(`[AgentsBridge] Cannot record run: task ${taskId} not found in project ${projectId}`);
+    return null;
+  }
+
+  try {
+    if (task.status === 'pending') {
+      task.status = 'in_progress';
+    }
+    task.agent_used = run.agents.join(', ');
+    task.last_run = {
+      at: new Date().toISOString(),
+      agents: run.agents,
+      success: run.success,
+      summary: run.summary
+    };
+
+    tasks.completed_count = tasks.tasks.filter(t => t.status === 'done').length;
+    tasks.in_progress_count = tasks.tasks.filter(t => t.status === 'in_progress').length;
+    tasks.pending_count = tasks.tasks.filter(t => t.status === 'pending').length;
+
+    fs.writeFileSync(tasksPath, JSON.stringify(tasks, null, 2), 'utf-8');
+    console.error(`[AgentsBridge] Run recorded on task ${taskId} (project ${projectId})`);
+    return task;
+  } catch (e) {
+    console.error(`[AgentsBridge] Failed to record run on ${taskId}:`, e.message);
+    return null;
+  }
+}
+
 // ─── Exports ─────────────────────────────────────────────────────────
 
 export default {
   configure,
+  getAgentsBasePath,
   getProjectsIndex,
   getActiveProject,
   getProjectState,
   getProjectTasks,
+  getProjectDecisions,
   getAgentRegistry,
   matchProject,
   getAgentsContext,
   getOrCreateProjectContext,
+  listRuleFiles,
+  readRuleFile,
+  getRuleDomains,
+  resolveRelevantMdFiles,
   updateProjectPhase,
   autoRegisterProject,
-  updateProjectTask
+  updateProjectTask,
+  findProjectTask,
+  recordTaskRun
 };
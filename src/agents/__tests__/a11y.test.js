@@ -0,0 +1,118 @@
+// Tests for the static accessibility audit
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { contrastRatio } from '../a11y.js';
+import { frontendAgent } from '../frontend.js';
+import { writeFiles } from '../../../tests/helpers.js';
+
+const SIGNUP_FORM = `import Image from 'next/image';
+
+export function Signup({ onClose, inputProps }) {
+  return (
+    <section className="bg-white">
+      <h2>Create your account</h2>
+      <Image src="/img/team-photo.png" width={40} height={40} />
+      <img src={avatar} alt="" />
+      <p className="text-gray-400">We never share your email.</p>
+      <p className="text-gray-700">Fine contrast.</p>
+      <h4 className="text-2xl text-amber-600">Big text passes at 3:1</h4>
+      <input type="email" placeholder="Email address" />
+      <label htmlFor="password">Password</label>
+      <input id="password" type="password" />
+      <label>Name <input type="text" /></label>
+      <input {...inputProps} />
+      <input type="submit" value="Sign up" />
+      <div onClick={onClose}>Close</div>
+      <div role="button" tabIndex={0} onClick={onClose} onKeyDown={onClose}>Close</div>
+      <button onClick={onClose} style={{ color: '#777777', backgroundColor: '#ffffff' }}>Cancel</button>
+    </section>
+  );
+}
+`;
+
+describe('accessibility audit', () => {
+  let projectPath;
+
+  beforeEach(() => {
+    projectPath = fs.mkdtempSync(path.join(os.tmpdir(), 'ai-core-a11y-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(projectPath, { recursive: true, force: true });
+  });
+
+  async function audit(files, language = 'javascript') {
+    writeFiles(projectPath, files);
+    const result = await frontendAgent.run({ projectPath, metadata: { language, signals: [] }, userIntent: 'x' });
+    return { ...result, findings: result.diagnostics.filter(d => d.type === 'a11y').map(d => [d.rule, d.file, d.line, d.message]) };
+  }
+
+  test('should compute WCAG contrast ratios', () => {
+    expect(contrastRatio('#000000', '#ffffff')).toBeCloseTo(21, 5);
+    expect(contrastRatio('#fff', '#fff')).toBe(1);
+    expect(contrastRatio('#9ca3af', '#ffffff')).toBeCloseTo(2.54, 2);
+    expect(contrastRatio('rgb(0,0,0)', '#fff')).toBeNull();
+  });
+
+  test('should report JSX findings with lines and propose simple fixes', async () => {
+    const { findings, changes } = await audit({ 'components/Signup.jsx': SIGNUP_FORM });
+
+    expect(findings).toEqual([
+      ['img-alt', 'components/Signup.jsx', 7, '<img> without alt text'],
+      ['color-contrast', 'components/Signup.jsx', 9, 'Low contrast 2.54:1 between text-gray-400 and bg-white (needs 4.5:1)'],
+      ['heading-order', 'components/Signup.jsx', 11, '<h4> follows <h2> - heading levels should increase by one'],
+      ['form-label', 'components/Signup.jsx', 12, '<input> has no label (a placeholder is not a label) - add a <label>, aria-label or aria-labelledby'],
+      ['click-events', 'components/Signup.jsx', 18, '<div> has a click handler but is not keyboard accessible (missing interactive role, tabIndex, key handler) - use a <button>'],
+      ['color-contrast', 'components/Signup.jsx', 20, 'Low contrast 4.48:1 between color #777777 and background #ffffff (needs 4.5:1)']
+    ]);
+
+    expect(changes).toHaveLength(1);
+    expect(changes[0]).toMatchObject({ type: 'update', file: 'components/Signup.jsx', originalContent: SIGNUP_FORM });
+    expect(changes[0].content).toContain('<Image alt="Team photo" src="/img/team-photo.png"');
+    expect(changes[0].content).toContain('<input aria-label="Email address" type="email"');
+    expect(changes[0].description).toBe('Accessibility fixes: alt="Team photo" on line 7 (review the wording, or use alt="" if decorative); aria-label="Email address" on line 12');
+  });
+
+  test('should audit Vue templates and HTML documents', async () => {
+    const { findings, changes } = await audit({
+      'pages/index.vue': `<script setup>
+const logo = '/logo.svg';
+</script>
+
+<template>
+  <main class="bg-slate-900">
+    <img :src="logo">
+    <img src="/hero.jpg" :alt="title">
+    <span class="text-slate-700" @click.prevent="open">Open</span>
+    <select v-model="plan"><option>Pro</option></select>
+    <textarea aria-label="Notes"><img src="x.png"></textarea>
+  </main>
+</template>
+`,
+      'public/index.html': `<!doctype html>
+<html>
+<head><title>Acme</title></head>
+<body>
+  <!-- <img src="old.png"> -->
+  <h1>Acme</h1>
+  <h3>Features</h3>
+  <div onclick="go()" tabindex="0">Go</div>
+</body>
+</html>
+`
+    }, 'html');
+
+    expect(findings).toEqual([
+      ['img-alt', 'pages/index.vue', 7, '<img> without alt text'],
+      ['click-events', 'pages/index.vue', 9, '<span> has a click handler but is not keyboard accessible (missing interactive role, tabIndex, key handler) - use a <button>'],
+      ['color-contrast', 'pages/index.vue', 9, 'Low contrast 1.72:1 between text-slate-700 and bg-slate-900 (needs 4.5:1)'],
+      ['form-label', 'pages/index.vue', 10, '<select> has no label - add a <label>, aria-label or aria-labelledby'],
+      ['html-lang', 'public/index.html', 2, '<html> without a lang attribute'],
+      ['heading-order', 'public/index.html', 7, '<h3> follows <h1> - heading levels should increase by one'],
+      ['click-events', 'public/index.html', 8, '<div> has a click handler but is not keyboard accessible (missing interactive role, key handler) - use a <button>']
+    ]);
+    expect(changes.map(c => c.file)).toEqual(['public/index.html']);
+    expect(changes[0].content).toContain('<html lang="en">');
+  });
+});
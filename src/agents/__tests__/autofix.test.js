@@ -0,0 +1,135 @@
+// Tests for the mechanical fixes the deterministic agents propose
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { proposeConsoleLogRemoval, proposeStrictMode } from '../autofix.js';
+import { codeAgent } from '../code.js';
+import { backendAgent } from '../backend.js';
+import { securityAgent } from '../security.js';
+import { seoAgent } from '../seo.js';
+import { proposalsFromChanges } from '../../proposals/index.js';
+import { fileEngine } from '../../file-engine/index.js';
+import { writeFiles } from '../../../tests/helpers.js';
+
+describe('agent autofixes', () => {
+  const originalConsoleError = console.error;
+  let projectPath;
+
+  beforeEach(() => {
+    console.error = () => {};
+    projectPath = fs.mkdtempSync(path.join(os.tmpdir(), 'ai-core-autofix-'));
+  });
+
+  afterEach(() => {
+    console.error = originalConsoleError;
+    fs.rmSync(projectPath, { recursive: true, force: true });
+  });
+
+  const metadata = { language: 'javascript', framework: 'nextjs', signals: [] };
+  const run = agent => agent.run({ projectPath, metadata, userIntent: 'x' });
+
+  test('should propose one stack-appropriate .gitignore from code and backend', async () => {
+    writeFiles(projectPath, { 'package.json': '{}', 'next.config.mjs': 'export default { reactStrictMode: true };\n', 'requirements.txt': 'flask\n' });
+
+    const code = await run(codeAgent);
+    const backend = await run(backendAgent);
+    const [gitignore] = code.changes;
+    expect(gitignore).toMatchObject({ type: 'create', file: '.gitignore' });
+    expect(gitignore.content).toMatch(/^# Node\nnode_modules\/\ndist\/\nbuild\/\ncoverage\/\n\.next\/\nout\/\nnext-env\.d\.ts\n/);
+    expect(gitignore.content).toContain('# Python\n__pycache__/\n*.py[cod]\n.venv/');
+    expect(gitignore.content).toContain('# Environment\n.env\n.env.local\n.env.*.local\n');
+    expect(backend.changes.filter(c => c.file === '.gitignore')).toEqual([gitignore]);
+
+    // Both agents propose the same file: it becomes a single proposal with a diff
+    const { proposals, deferred } = proposalsFromChanges([
+      { agentId: 'code', changes: code.changes },
+      { agentId: 'backend', changes: backend.changes }
+    ]);
+    expect(proposals.map(p => [p.agent, p.change.file])).toEqual([['code', '.gitignore']]);
+    expect(proposals[0].diff.additions).toBeGreaterThan(20);
+    // The previewed diff is the one the proposal carries, with no blank context line
+    expect(proposals[0].diff.diff).toBe(gitignore.diff);
+    expect(gitignore.diff).toMatch(/^\+\+\+ \.gitignore\n\+# Node\n/);
+    expect(gitignore.diff.split('\n')).toHaveLength(gitignore.content.split('\n').length);
+    expect(deferred).toEqual([]);
+  });
+
+  test('should ignore committed-looking environment files in an existing .gitignore', async () => {
+    writeFiles(projectPath, { 'package.json': '{}', '.gitignore': 'node_modules/', '.env': 'SECRET=1\n', '.env.production': 'X=1\n', '.env.example': 'SECRET=\n' });
+
+    const { diagnostics, changes } = await run(securityAgent);
+    expect(diagnostics.find(d => d.file === '.env').message).toBe('.env, .env.production not covered by .gitignore - sensitive data may be committed');
+    expect(changes).toHaveLength(1);
+    expect(changes[0]).toMatchObject({ type: 'update', file: '.gitignore', originalContent: 'node_modules/' });
+    expect(changes[0].content).toBe('node_modules/\n\n# Environment\n.env\n.env.production\n');
+
+    // Preview goes through the file engine like any other proposal
+    const [preview] = fileEngine.previewChanges(projectPath, [changes[0]]);
+    expect(preview.success).toBe(true);
+
+    fs.writeFileSync(path.join(projectPath, '.gitignore'), changes[0].content);
+    const again = await run(securityAgent);
+    expect(again.changes).toEqual([]);
+    expect(again.diagnostics.some(d => d.file === '.env')).toBe(false);
+  });
+
+  test('should add the viewport meta tag and reactStrictMode', async () => {
+    writeFiles(projectPath, {
+      'package.json': JSON.stringify({ scripts: { build: 'next build' } }),
+      'index.html': '<!doctype html>\n<html>\n  <head>\n    <meta charset="utf-8">\n    <title>Shop</title>\n  </head>\n</html>\n',
+      'next.config.mjs': `import withBundleAnalyzer from '@next/bundle-analyzer';
+
+const nextConfig = {
+  images: { domains: ['cdn.example.com'] },
+};
+
+export default withBundleAnalyzer({ enabled: false })(nextConfig);
+`
+    });
+
+    const { diagnostics, changes } = await run(seoAgent);
+    expect(diagnostics.filter(d => d.message === 'HTML file missing viewport meta tag')).toHaveLength(1);
+    expect(changes.map(c => c.file)).toEqual(['index.html', 'next.config.mjs']);
+    expect(changes[0].content).toBe('<!doctype html>\n<html>\n  <head>\n    <meta charset="utf-8">\n    <meta name="viewport" content="width=device-width, initial-scale=1">\n    <title>Shop</title>\n  </head>\n</html>\n');
+    expect(changes[1].content).toContain('const nextConfig = {\n  reactStrictMode: true,\n  images:');
+
+    writeFiles(projectPath, { 'next.config.ts': "import type { NextConfig } from 'next';\nexport default {} satisfies NextConfig;\n" });
+    expect(proposeStrictMode(projectPath, 'next.config.ts').content).toBe("import type { NextConfig } from 'next';\nexport default {\n  reactStrictMode: true\n} satisfies NextConfig;\n");
+    writeFiles(projectPath, { 'next.config.js': 'module.exports = (phase) => ({});\n' });
+    expect(proposeStrictMode(projectPath, 'next.config.js')).toBeNull();
+  });
+
+  test('should remove only standalone console.log statements without side effects', () => {
+    const source = `export function save(order) {
+  console.log('saving', order.id, \`total \${order.total}\`);
+  if (order.debug) console.log(order);
+  console.log(order.items.pop());
+  const id = db.insert(order); console.log(id);
+  console.log(id) // keep for now
+  switch (order.kind) {
+    case 'a':
+      console.log({ ...order, id });
+  }
+  return id;
+}
+`;
+    const change = proposeConsoleLogRemoval('src/orders.js', source);
+    expect(change.description).toBe('Remove 2 console.log statement(s) from src/orders.js (lines 2, 9)');
+    expect(change.content).toBe(source.replace(/  console\.log\('saving'.*\n/, '').replace(/      console\.log\(\{.*\n/, ''));
+    expect(change.diff).toContain("-  console.log('saving'");
+
+    expect(proposeConsoleLogRemoval('bin/cli.js', "console.log('usage');\n")).toBeNull();
+    expect(proposeConsoleLogRemoval('src/a.js', '#!/usr/bin/env node\nconsole.log(1);\n')).toBeNull();
+  });
+
+  test('should defer a second, different change to a file already proposed', () => {
+    const change = content => ({ type: 'update', file: 'index.html', content, originalContent: '<html></html>' });
+    const { proposals, deferred } = proposalsFromChanges([
+      { agentId: 'frontend', changes: [change('<html lang="en"></html>')] },
+      { agentId: 'seo', changes: [change('<html><head><meta name="viewport"></head></html>'), { type: 'create', file: 'robots.txt', content: 'User-agent: *\n' }] }
+    ]);
+    expect(proposals.map(p => [p.agent, p.change.file])).toEqual([['frontend', 'index.html'], ['seo', 'robots.txt']]);
+    expect(proposals[0].id).toMatch(/^frontend-fix-\d+-0$/);
+    expect(deferred).toEqual([{ agent: 'seo', file: 'index.html', conflictsWith: 'frontend' }]);
+  });
+});
@@ -0,0 +1,157 @@
+// Tests for coverage report ingestion and gap analysis
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { execFileSync } from 'child_process';
+import { parseLcov, parseCobertura, parseReport } from '../coverage.js';
+import { testAgent } from '../test.js';
+import { writeFiles } from '../../../tests/helpers.js';
+
+function git(cwd, ...args) {
+  execFileSync('git', ['-c', 'user.name=Test', '-c', 'user.email=test@example.com', ...args], { cwd, stdio: 'pipe' });
+}
+
+// Istanbul statement/function maps for a file with the given [line, hits] statements
+function istanbulEntry(file, statements, functions = []) {
+  return {
+    path: file,
+    statementMap: Object.fromEntries(statements.map(([line], i) => [i, { start: { line, column: 0 }, end: { line, column: 10 } }])),
+    s: Object.fromEntries(statements.map(([, hits], i) => [i, hits])),
+    fnMap: Object.fromEntries(functions.map(([name, line], i) => [i, { name, decl: { start: { line } }, loc: { start: { line } } }])),
+    f: Object.fromEntries(functions.map(([, , hits], i) => [i, hits]))
+  };
+}
+
+describe('coverage gap analysis', () => {
+  let projectPath;
+
+  beforeEach(() => {
+    projectPath = fs.mkdtempSync(path.join(os.tmpdir(), 'ai-core-coverage-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(projectPath, { recursive: true, force: true });
+  });
+
+  const run = () => testAgent.run({ projectPath, metadata: { language: 'javascript' }, userIntent: 'x' });
+
+  test('should parse LCOV and Cobertura reports', () => {
+    const [record] = parseLcov('TN:\nSF:src/a.js\nFN:1,add\nFN:5,9,sub\nFNDA:3,add\nFNDA:0,sub\nDA:2,3\nDA:6,0\nDA:6,1\nend_of_record\n');
+    expect(record.path).toBe('src/a.js');
+    expect(record.functions).toEqual([{ name: 'add', line: 1, hits: 3 }, { name: 'sub', line: 5, hits: 0 }]);
+    expect([...record.lines]).toEqual([[2, 3], [6, 1]]);
+
+    const cobertura = parseCobertura(`<?xml version="1.0" ?>
+<coverage line-rate="0.5"><sources><source>/ci/app</source></sources><packages><package name="Shop"><classes>
+<class name="Shop.Cart" filename="Cart.cs"><methods>
+  <method name="Add" signature="()"><lines><line number="10" hits="4"/><line number="11" hits="4"/></lines></method>
+  <method name="Clear" signature="()"><lines><line number="20" hits="0"/></lines></method>
+</methods><lines><line number="10" hits="4"/><line number="11" hits="4"/><line number="20" hits="0"/></lines></class>
+</classes></package></packages></coverage>`);
+    expect(cobertura.sources).toEqual(['/ci/app']);
+    expect(cobertura[0].functions).toEqual([{ name: 'Cart.Add', line: 10, hits: 4 }, { name: 'Cart.Clear', line: 20, hits: 0 }]);
+    expect([...cobertura[0].lines.values()]).toEqual([4, 4, 0]);
+    expect(parseReport('coverage.json', '{"version": 1}')).toBeNull();
+  });
+
+  test('should rank gaps by size and churn from a CI-produced report and scaffold tests', async () => {
+    writeFiles(projectPath, {
+      'package.json': { type: 'module', devDependencies: { vitest: '^2.0.0' } },
+      'src/cart.js': 'export function add() {}\nexport function clear() {}\n',
+      'src/pricing.js': 'export function discount() {}\nexport default function price() {}\n',
+      'src/util.js': 'export const noop = () => {};\n',
+      'src/__tests__/util.test.js': "import { noop } from '../util.js';\n",
+      'coverage/coverage-final.json': {
+        '/home/runner/work/shop/shop/src/cart.js': istanbulEntry('/home/runner/work/shop/shop/src/cart.js',
+          [[1, 0], [2, 0], [3, 0], [4, 0], [5, 0], [6, 0]], [['add', 1, 0], ['clear', 4, 0]]),
+        '/home/runner/work/shop/shop/src/pricing.js': istanbulEntry('/home/runner/work/shop/shop/src/pricing.js',
+          [[1, 2], [2, 0], [3, 0], [4, 0], [5, 1]], [['discount', 1, 2], ['price', 3, 0]]),
+        '/home/runner/work/shop/shop/src/util.js': istanbulEntry('/home/runner/work/shop/shop/src/util.js', [[1, 1], [2, 0]]),
+        '/home/runner/work/shop/shop/src/generated.js': istanbulEntry('/home/runner/work/shop/shop/src/generated.js', [[1, 0]])
+      }
+    });
+    // pricing.js changes often, so its smaller gap outranks cart.js
+    git(projectPath, 'init', '-q');
+    git(projectPath, 'add', '-A');
+    git(projectPath, 'commit', '-q', '-m', 'initial');
+    for (let i = 0; i < 8; i++) {
+      fs.appendFileSync(path.join(projectPath, 'src/pricing.js'), '\n');
+      git(projectPath, 'commit', '-q', '-am', `pricing ${i}`);
+    }
+
+    const { diagnostics, changes } = await run();
+
+    expect(diagnostics.filter(d => d.type === 'coverage').map(d => d.message)).toEqual([
+      'Line coverage 23.1% (3/13) across 3 file(s) from coverage/coverage-final.json - 1 report file(s) not found in the project',
+      expect.stringMatching(/^coverage\/coverage-final\.json is older than 1 covered file\(s\) \(src\/pricing\.js\)/)
+    ]);
+    expect(diagnostics.filter(d => d.type === 'coverage-gap').map(d => [d.severity, d.file, d.line, d.message])).toEqual([
+      ['warning', 'src/pricing.js', 3, '40% line coverage in src/pricing.js (2/5 lines), untested: price - changed in 9 commit(s) in the last year'],
+      ['warning', 'src/cart.js', 1, '0% line coverage in src/cart.js (0/6 lines), untested: add, clear - changed in 1 commit(s) in the last year'],
+      ['info', 'src/util.js', 2, '50% line coverage in src/util.js (1/2 lines) - changed in 1 commit(s) in the last year']
+    ]);
+
+    // util.js already has a test file: no scaffold for it
+    expect(changes.map(c => c.file)).toEqual(['src/__tests__/pricing.test.js', 'src/__tests__/cart.test.js']);
+    expect(changes[0].content).toBe(`// Tests for pricing.js - scaffold for untested code, fill in the pending cases
+import { describe, test } from 'vitest';
+import price from '../pricing.js';
+
+describe('pricing', () => {
+  test.todo('price');
+});
+`);
+    expect(changes[1].content).toContain("import { add, clear } from '../cart.js';");
+  });
+
+  test('should read a coverage.py JSON export and scaffold pytest files', async () => {
+    writeFiles(projectPath, {
+      'requirements-dev.txt': 'pytest==8.0\n',
+      'src/shop/__init__.py': '',
+      'src/shop/orders.py': 'def create():\n    pass\n\nclass Order:\n    def total(self):\n        pass\n',
+      'tests/test_models.py': '',
+      'coverage.json': {
+        meta: { version: '7.6.1' },
+        files: {
+          'src/shop/orders.py': {
+            executed_lines: [1, 4, 5],
+            missing_lines: [2, 6],
+            functions: {
+              create: { executed_lines: [], missing_lines: [2] },
+              'Order.total': { executed_lines: [], missing_lines: [6] },
+              '': { executed_lines: [1, 4, 5], missing_lines: [] }
+            }
+          }
+        }
+      }
+    });
+
+    const { diagnostics, changes } = await run();
+
+    expect(diagnostics.find(d => d.type === 'coverage-gap').message).toBe('60% line coverage in src/shop/orders.py (3/5 lines), untested: create, Order.total');
+    expect(changes).toHaveLength(1);
+    expect(changes[0].file).toBe('tests/test_orders.py');
+    expect(changes[0].content).toBe(`"""Tests for src/shop/orders.py - scaffold for untested code, fill in the skipped cases."""
+import pytest
+
+from shop.orders import create, Order
+
+
+@pytest.mark.skip(reason="TODO")
+def test_create():
+    ...
+
+
+@pytest.mark.skip(reason="TODO")
+def test_Order_total():
+    ...
+`);
+  });
+
+  test('should stay quiet without coverage reports', async () => {
+    writeFiles(projectPath, { 'src/a.js': 'export const a = 1;\n' });
+    const { diagnostics, changes } = await run();
+    expect(diagnostics.filter(d => d.type === 'coverage' || d.type === 'coverage-gap')).toEqual([]);
+    expect(changes).toEqual([]);
+  });
+});
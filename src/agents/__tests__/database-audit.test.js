@@ -0,0 +1,255 @@
+// Tests for the database agent: Prisma, SQL and EF Core schemas, rollback checks and N+1 queries
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { parseSqlMigrations, parseEfMigrations, unindexedForeignKeys, findNPlusOne } from '../database-audit.js';
+import { databaseAgent } from '../database.js';
+import { writeFiles } from '../../../tests/helpers.js';
+
+const SCHEMA = `datasource db {
+  provider = "postgresql"
+  url      = env("DATABASE_URL")
+}
+
+model Tenant {
+  id    Int    @id @default(autoincrement())
+  users User[]
+}
+
+model User {
+  id       Int     @id @default(autoincrement())
+  email    String  @unique
+  tenantId Int
+  tenant   Tenant  @relation(fields: [tenantId], references: [id])
+  orders   Order[]
+
+  @@index([tenantId])
+}
+
+model Order {
+  id       Int         @id
+  tenantId Int
+  userId   Int
+  user     User        @relation(fields: [userId], references: [id], onDelete: Cascade)
+  items    OrderItem[]
+  @@index([tenantId, userId])
+}
+
+model OrderItem {
+  id      Int   @id
+  orderId Int
+  order   Order @relation(fields: [orderId], references: [id])
+}
+`;
+
+const EF_INIT = `using Microsoft.EntityFrameworkCore.Migrations;
+
+namespace Shop.Migrations
+{
+    public partial class Init : Migration
+    {
+        protected override void Up(MigrationBuilder migrationBuilder)
+        {
+            migrationBuilder.CreateTable(
+                name: "Orders",
+                columns: table => new
+                {
+                    Id = table.Column<int>(type: "int", nullable: false)
+                        .Annotation("SqlServer:Identity", "1, 1"),
+                    CustomerId = table.Column<int>(type: "int", nullable: false),
+                    StoreId = table.Column<int>(type: "int", nullable: false)
+                },
+                constraints: table =>
+                {
+                    table.PrimaryKey("PK_Orders", x => x.Id);
+                    table.ForeignKey(
+                        name: "FK_Orders_Customers_CustomerId",
+                        column: x => x.CustomerId,
+                        principalTable: "Customers",
+                        principalColumn: "Id",
+                        onDelete: ReferentialAction.Cascade);
+                    table.ForeignKey("FK_Orders_Stores_StoreId", x => x.StoreId, "Stores", "Id");
+                });
+
+            migrationBuilder.CreateIndex(
+                name: "IX_Orders_CustomerId",
+                table: "Orders",
+                column: "CustomerId");
+        }
+
+        protected override void Down(MigrationBuilder migrationBuilder)
+        {
+            migrationBuilder.DropTable(name: "Orders");
+        }
+    }
+}
+`;
+
+describe('database audit', () => {
+  let projectPath;
+
+  beforeEach(() => {
+    projectPath = fs.mkdtempSync(path.join(os.tmpdir(), 'ai-core-database-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(projectPath, { recursive: true, force: true });
+  });
+
+  const run = (language = 'typescript') => databaseAgent.run({ projectPath, metadata: { language }, userIntent: 'review the database' });
+  const findings = diagnostics => diagnostics.filter(d => d.severity !== 'info').map(d => [d.type, d.file, d.line]);
+
+  test('should flag unindexed relations and tenant gaps in schema.prisma and propose @@index lines', async () => {
+    writeFiles(projectPath, { 'package.json': '{}', 'prisma/schema.prisma': SCHEMA });
+
+    const { success, diagnostics, changes } = await run();
+    expect(success).toBe(true);
+    expect(diagnostics[0]).toMatchObject({ type: 'schema-inventory', message: 'Database schema: Prisma (postgresql) 4 table(s) from 1 file(s)' });
+    expect(findings(diagnostics)).toEqual([
+      ['missing-fk-index', 'prisma/schema.prisma', 25],
+      ['missing-fk-index', 'prisma/schema.prisma', 33],
+      ['missing-tenant-id', 'prisma/schema.prisma', 30]
+    ]);
+    // @@index([tenantId, userId]) does not serve lookups by userId alone
+    expect(diagnostics.find(d => d.line === 25).message).toBe('Order.userId references User but has no index - add @@index([userId])');
+    expect(diagnostics.find(d => d.type === 'missing-tenant-id').message)
+      .toBe('OrderItem references tenant-scoped Order but has no tenantId column - add tenantId so tenant filters and row-level security cover it');
+
+    expect(changes).toHaveLength(1);
+    expect(changes[0]).toMatchObject({ type: 'update', file: 'prisma/schema.prisma', originalContent: SCHEMA, description: 'Add @@index for 2 foreign key(s) in prisma/schema.prisma (Order.userId, OrderItem.orderId)' });
+    expect(changes[0].content).toContain('  @@index([tenantId, userId])\n  @@index([userId])\n}');
+    expect(changes[0].content).toContain('  order   Order @relation(fields: [orderId], references: [id])\n\n  @@index([orderId])\n}');
+
+    // Applying the proposal clears the index findings; MySQL indexes foreign keys by itself
+    fs.writeFileSync(path.join(projectPath, 'prisma/schema.prisma'), changes[0].content);
+    expect(findings((await run()).diagnostics).map(f => f[0])).toEqual(['missing-tenant-id']);
+    fs.writeFileSync(path.join(projectPath, 'prisma/schema.prisma'), SCHEMA.replace('postgresql', 'mysql'));
+    expect((await run()).changes).toEqual([]);
+  });
+
+  test('should replay SQL migrations across tables, indexes, drops and renames', () => {
+    const { tables, migrations } = parseSqlMigrations([
+      {
+        file: 'db/migrations/001_init.sql',
+        content: `-- Initial schema
+CREATE TABLE "public"."customers" (
+  id BIGSERIAL PRIMARY KEY,
+  tenant_id BIGINT NOT NULL,
+  note TEXT DEFAULT 'a;b'
+);
+CREATE TABLE orders (
+  id BIGSERIAL PRIMARY KEY,
+  tenant_id BIGINT NOT NULL,
+  customer_id BIGINT NOT NULL REFERENCES customers(id),
+  legacy TEXT,
+  CONSTRAINT fk_orders_tenant FOREIGN KEY (tenant_id) REFERENCES tenants (id)
+);
+CREATE INDEX idx_orders_customer ON orders (customer_id) WHERE deleted_at IS NULL;
+CREATE INDEX idx_orders_tenant ON orders USING btree (tenant_id, created_at);
+CREATE FUNCTION touch() RETURNS trigger AS $$ BEGIN NEW.updated_at := now(); RETURN NEW; END; $$ LANGUAGE plpgsql;
+`
+      },
+      {
+        file: 'db/migrations/002_orders.sql',
+        content: `CREATE TABLE \`order_items\` (id INT PRIMARY KEY, order_id INT, FOREIGN KEY (order_id) REFERENCES orders(id)) ENGINE=InnoDB;
+ALTER TABLE orders DROP COLUMN legacy, RENAME COLUMN customer_id TO client_id;
+DROP INDEX idx_orders_customer;
+DROP TABLE IF EXISTS audit_old;
+`
+      }
+    ]);
+
+    const orders = tables.get('orders');
+    expect(orders.columns.map(c => c.name)).toEqual(['id', 'tenant_id', 'client_id']);
+    expect(orders.foreignKeys.map(fk => [fk.columns, fk.references, fk.line])).toEqual([[['client_id'], 'customers', 10], [['tenant_id'], 'tenants', 12]]);
+    // Dropping idx_orders_customer leaves the renamed foreign key uncovered; MySQL (InnoDB) tables index their own
+    expect(unindexedForeignKeys([...tables.values()]).map(f => `${f.table.name}.${f.foreignKey.columns}`)).toEqual(['orders.client_id']);
+    expect(migrations.map(m => m.destructive.map(d => `${d.operation}@${d.line}`))).toEqual([
+      [],
+      ['drops column orders.legacy@2', 'renames column orders.customer_id@2', 'drops table audit_old@4']
+    ]);
+  });
+
+  test('should flag destructive SQL migrations that have no down script', async () => {
+    writeFiles(projectPath, {
+      'go.mod': 'module shop\n',
+      'migrations/001_init.up.sql': 'CREATE TABLE users (id SERIAL PRIMARY KEY, email TEXT, nickname TEXT);\n',
+      'migrations/002_drop_nickname.up.sql': 'ALTER TABLE users DROP COLUMN nickname;\n',
+      'migrations/002_drop_nickname.down.sql': 'ALTER TABLE users ADD COLUMN nickname TEXT;\n',
+      'migrations/003_drop_email.up.sql': '\nALTER TABLE users DROP COLUMN email;\nTRUNCATE sessions;\n',
+      'migrations/004_rename.sql': '-- +goose Up\nALTER TABLE users RENAME TO accounts;\n-- +goose Down\nALTER TABLE accounts RENAME TO users;\n',
+      'db/schema.sql': 'DROP TABLE IF EXISTS users;\n'
+    });
+
+    const { diagnostics } = await run('go');
+    expect(diagnostics[0].message).toBe('Database schema: SQL 1 table(s) from 5 file(s)');
+    expect(findings(diagnostics)).toEqual([['irreversible-migration', 'migrations/003_drop_email.up.sql', 2]]);
+    expect(diagnostics[1].message).toBe('Migration drops column users.email, empties table sessions without a down migration - the data cannot be restored on rollback');
+  });
+
+  test('should replay EF Core migrations and check their Down methods', async () => {
+    const { tables, migrations } = parseEfMigrations([{ file: 'Migrations/20240101120000_Init.cs', content: EF_INIT }]);
+    const orders = tables.get('orders');
+    expect(orders.columns.map(c => `${c.name}@${c.line}`)).toEqual(['Id@13', 'CustomerId@15', 'StoreId@16']);
+    expect(orders.foreignKeys.map(fk => `${fk.columns}->${fk.references}@${fk.line}`)).toEqual(['CustomerId->Customers@21', 'StoreId->Stores@27']);
+    expect(migrations).toEqual([{ file: 'Migrations/20240101120000_Init.cs', line: 36, operations: 2, down: 'ok' }]);
+
+    writeFiles(projectPath, {
+      'Shop.csproj': '<Project Sdk="Microsoft.NET.Sdk.Web"></Project>\n',
+      'Migrations/20240101120000_Init.cs': EF_INIT,
+      'Migrations/20240101120000_Init.Designer.cs': EF_INIT.replace('DropTable(name: "Orders");', ''),
+      'Migrations/20240201090000_AddSku.cs': EF_INIT
+        .replace('class Init', 'class AddSku')
+        .replace(/migrationBuilder\.CreateTable\([\s\S]*?\}\);\n/, 'migrationBuilder.AddColumn<string>(name: "Sku", table: "Orders", nullable: true);\n')
+        .replace(/migrationBuilder\.CreateIndex\([\s\S]*?\);\n/, '')
+        .replace('migrationBuilder.DropTable(name: "Orders");', '// no way back'),
+      'Migrations/20240301090000_DropSku.cs': EF_INIT
+        .replace('class Init', 'class DropSku')
+        .replace(/migrationBuilder\.CreateTable\([\s\S]*?\}\);\n/, 'migrationBuilder.DropColumn(name: "Sku", table: "Orders");\n')
+        .replace(/migrationBuilder\.CreateIndex\([\s\S]*?\);\n/, '')
+        .replace('migrationBuilder.DropTable(name: "Orders");', 'throw new NotSupportedException();'),
+      'Migrations/ShopContextModelSnapshot.cs': '// generated\n'
+    });
+
+    const { diagnostics } = await run('csharp');
+    expect(diagnostics[0].message).toBe('Database schema: EF Core 1 table(s) from 3 file(s)');
+    expect(findings(diagnostics)).toEqual([
+      ['missing-fk-index', 'Migrations/20240101120000_Init.cs', 27],
+      ['irreversible-migration', 'Migrations/20240201090000_AddSku.cs', 13],
+      ['irreversible-migration', 'Migrations/20240301090000_DropSku.cs', 13]
+    ]);
+    expect(diagnostics.filter(d => d.type === 'irreversible-migration').map(d => d.message)).toEqual([
+      '20240201090000_AddSku has an empty Down() - rolling it back leaves the schema changed',
+      '20240301090000_DropSku throws in Down() - the migration cannot be rolled back'
+    ]);
+  });
+
+  test('should find Prisma reads inside loops and array callbacks', async () => {
+    const code = `import { PrismaClient } from '@prisma/client';
+const prisma = new PrismaClient();
+
+export async function totals(ids) {
+  for (const user of await prisma.user.findMany()) {
+    await prisma.order.count({ where: { userId: user.id } });
+  }
+  const users = await Promise.all(ids.map(id => this.prisma.user.findUnique({ where: { id } })));
+  const lazy = ids.map(id => () => prisma.user.findFirst({ where: { id } }));
+  return prisma.order.findMany({ where: { userId: { in: ids } } });
+}
+`;
+    expect(findNPlusOne(code, 'src/totals.ts').map(f => [f.call, f.line, f.loop])).toEqual([
+      ['prisma.order.count', 6, 'for...of loop'],
+      ['this.prisma.user.findUnique', 8, '.map() callback']
+    ]);
+
+    writeFiles(projectPath, { 'package.json': '{}', 'src/totals.ts': code, 'src/__tests__/totals.test.ts': code });
+    const { diagnostics, changes, summary } = await run();
+    expect(diagnostics[0]).toMatchObject({ type: 'no-schema', severity: 'info' });
+    expect(findings(diagnostics)).toEqual([['n-plus-one', 'src/totals.ts', 6], ['n-plus-one', 'src/totals.ts', 8]]);
+    expect(diagnostics[1].message).toBe('prisma.order.count inside a for...of loop issues one query per item (N+1) - batch it into one findMany with an `in` filter or load it through include');
+    expect(changes).toEqual([]);
+    expect(summary).toBe('Database analysis complete. No schema found, 2 query issues.');
+
+    expect((await run('html')).diagnostics[0].type).toBe('unsupported-language');
+  });
+});
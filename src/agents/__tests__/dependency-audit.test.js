@@ -0,0 +1,142 @@
+// Tests for the offline dependency vulnerability audit
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { readLockfiles, loadAdvisories, matchAffected, compareVersions } from '../dependency-audit.js';
+import { securityAgent } from '../security.js';
+
+const ADVISORIES = [
+  {
+    id: 'GHSA-p6mc-m468-83gw',
+    aliases: ['CVE-2020-8203'],
+    summary: 'Prototype pollution in lodash',
+    database_specific: { severity: 'HIGH' },
+    affected: [{
+      package: { ecosystem: 'npm', name: 'lodash' },
+      ranges: [{ type: 'SEMVER', events: [{ introduced: '0' }, { fixed: '4.17.19' }] }]
+    }]
+  },
+  {
+    id: 'PYSEC-2023-74',
+    summary: 'Unintended leak of Proxy-Authorization header',
+    affected: [{
+      package: { ecosystem: 'PyPI', name: 'requests' },
+      ranges: [{ type: 'ECOSYSTEM', events: [{ introduced: '2.3.0' }, { fixed: '2.31.0' }] }]
+    }]
+  },
+  {
+    id: 'RUSTSEC-2021-0078',
+    summary: 'Lenient header parsing',
+    affected: [{
+      package: { ecosystem: 'crates.io', name: 'hyper' },
+      versions: ['0.14.9'],
+      ranges: [{ type: 'SEMVER', events: [{ introduced: '0.14.0' }, { fixed: '0.14.10' }] }]
+    }]
+  }
+];
+
+describe('dependency audit', () => {
+  const originalConsoleError = console.error;
+  const originalAdvisoryDb = process.env.AI_CORE_ADVISORY_DB;
+  let projectPath;
+  let dbPath;
+
+  beforeEach(() => {
+    console.error = () => {};
+    projectPath = fs.mkdtempSync(path.join(os.tmpdir(), 'ai-core-deps-'));
+    dbPath = path.join(projectPath, '..', `${path.basename(projectPath)}-osv.json`);
+    process.env.AI_CORE_ADVISORY_DB = dbPath;
+  });
+
+  afterEach(() => {
+    console.error = originalConsoleError;
+    if (originalAdvisoryDb === undefined) {
+      delete process.env.AI_CORE_ADVISORY_DB;
+    } else {
+      process.env.AI_CORE_ADVISORY_DB = originalAdvisoryDb;
+    }
+    fs.rmSync(projectPath, { recursive: true, force: true });
+    fs.rmSync(dbPath, { recursive: true, force: true });
+  });
+
+  test('should compare versions and match OSV ranges', () => {
+    expect(compareVersions('4.17.9', '4.17.19')).toBeLessThan(0);
+    expect(compareVersions('v1.2.0', '1.2.0')).toBe(0);
+    expect(compareVersions('2.0.0-rc.1', '2.0.0')).toBeLessThan(0);
+    expect(compareVersions('1.0rc1', '1.0')).toBeLessThan(0);
+
+    const affected = { ranges: [{ type: 'SEMVER', events: [{ introduced: '1.0.0' }, { last_affected: '1.4.2' }, { introduced: '2.0.0' }, { fixed: '2.1.0' }] }] };
+    expect(matchAffected(affected, '1.4.2')).toEqual({ range: '>=1.0.0 <=1.4.2', fixed: '2.1.0' });
+    expect(matchAffected(affected, '1.5.0')).toBeNull();
+    expect(matchAffected(affected, '2.0.3')).toEqual({ range: '>=2.0.0 <2.1.0', fixed: '2.1.0' });
+    expect(matchAffected(affected, '0.9.0')).toBeNull();
+  });
+
+  test('should read resolved versions from every supported lockfile', () => {
+    fs.writeFileSync(path.join(projectPath, 'package-lock.json'), JSON.stringify({
+      lockfileVersion: 3,
+      packages: { '': { name: 'app' }, 'node_modules/lodash': { version: '4.17.15' }, 'node_modules/a/node_modules/ms': { version: '2.0.0' } }
+    }));
+    fs.writeFileSync(path.join(projectPath, 'requirements.txt'), '# pinned\nrequests[security]==2.28.0 ; python_version > "3"\nflask>=2\n');
+    fs.writeFileSync(path.join(projectPath, 'composer.lock'), JSON.stringify({ packages: [{ name: 'guzzlehttp/guzzle', version: 'v7.4.0' }] }));
+    fs.writeFileSync(path.join(projectPath, 'go.sum'), 'golang.org/x/net v0.7.0 h1:abc=\ngolang.org/x/net v0.7.0/go.mod h1:def=\n');
+    fs.writeFileSync(path.join(projectPath, 'Cargo.lock'), '[[package]]\nname = "hyper"\nversion = "0.14.9"\nsource = "registry"\n\n[metadata]\nname = "x"\n');
+
+    expect(readLockfiles(projectPath).map(d => `${d.ecosystem}:${d.name}@${d.version}`)).toEqual([
+      'npm:lodash@4.17.15',
+      'npm:ms@2.0.0',
+      'PyPI:requests@2.28.0',
+      'Packagist:guzzlehttp/guzzle@7.4.0',
+      'Go:golang.org/x/net@v0.7.0',
+      'crates.io:hyper@0.14.9'
+    ]);
+  });
+
+  test('should report vulnerable versions and propose manifest bumps', async () => {
+    fs.writeFileSync(dbPath, JSON.stringify({ vulns: ADVISORIES }));
+    fs.writeFileSync(path.join(projectPath, 'package.json'), JSON.stringify({ name: 'app', dependencies: { lodash: '^4.17.15' } }, null, 2) + '\n');
+    fs.writeFileSync(path.join(projectPath, 'package-lock.json'), JSON.stringify({
+      lockfileVersion: 1,
+      dependencies: { lodash: { version: '4.17.15' }, express: { version: '4.18.2' } }
+    }));
+    fs.writeFileSync(path.join(projectPath, 'requirements.txt'), 'Requests==2.28.0\n');
+
+    const { diagnostics, changes } = await securityAgent.run({ projectPath, metadata: { language: 'python' }, userIntent: 'x' });
+    const vulnerabilities = diagnostics.filter(d => d.type === 'vulnerability');
+
+    expect(vulnerabilities).toEqual([
+      expect.objectContaining({
+        severity: 'error',
+        message: 'lodash@4.17.15 is affected by GHSA-p6mc-m468-83gw (CVE-2020-8203): Prototype pollution in lodash - fixed in 4.17.19',
+        file: 'package-lock.json',
+        advisory: 'GHSA-p6mc-m468-83gw',
+        affected: '<4.17.19',
+        fixed: '4.17.19'
+      }),
+      expect.objectContaining({ severity: 'warning', file: 'requirements.txt', advisory: 'PYSEC-2023-74', affected: '>=2.3.0 <2.31.0' })
+    ]);
+    expect(changes.map(c => [c.type, c.file, c.description])).toEqual([
+      ['update', 'package.json', 'Bump vulnerable dependencies: lodash -> 4.17.19 (GHSA-p6mc-m468-83gw)'],
+      ['update', 'requirements.txt', 'Bump vulnerable dependencies: Requests -> 2.31.0 (PYSEC-2023-74)']
+    ]);
+    expect(JSON.parse(changes[0].content).dependencies.lodash).toBe('^4.17.19');
+    expect(changes[0].diff).toContain('+    "lodash": "^4.17.19"');
+    expect(changes[1].content).toBe('Requests==2.31.0\n');
+  });
+
+  test('should load a directory of OSV files and flag a missing database', async () => {
+    fs.writeFileSync(path.join(projectPath, 'Cargo.lock'), '[[package]]\nname = "hyper"\nversion = "0.14.9"\n');
+
+    const missing = await securityAgent.run({ projectPath, metadata: { language: 'rust' }, userIntent: 'x' });
+    expect(missing.diagnostics).toContainEqual(expect.objectContaining({ severity: 'info', message: expect.stringMatching(/^Dependency audit skipped/) }));
+
+    fs.mkdirSync(dbPath);
+    ADVISORIES.forEach(entry => fs.writeFileSync(path.join(dbPath, `${entry.id}.json`), JSON.stringify(entry)));
+    expect(loadAdvisories(dbPath).count).toBe(3);
+
+    const { diagnostics } = await securityAgent.run({ projectPath, metadata: { language: 'rust' }, userIntent: 'x' });
+    expect(diagnostics.filter(d => d.type === 'vulnerability')).toEqual([
+      expect.objectContaining({ advisory: 'RUSTSEC-2021-0078', affected: '=0.14.9', fixed: '0.14.10', file: 'Cargo.lock' })
+    ]);
+  });
+});
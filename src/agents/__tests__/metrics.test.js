@@ -0,0 +1,173 @@
+// Tests for code metrics: complexity, nesting, duplication and hotspots
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { functionMetrics, findDuplicates, tokenize } from '../metrics.js';
+import { codeAgent } from '../code.js';
+import { writeFiles } from '../../../tests/helpers.js';
+
+const CHECKOUT = `export function checkout(cart, user) {
+  if (!cart || !cart.items.length) return null;
+  let total = 0;
+  for (const item of cart.items) {
+    if (item.qty > 0) {
+      while (item.pending) {
+        if (item.discount ?? user.discount) {
+          try {
+            total += item.price * (item.coupon ? 0.9 : 1);
+          } catch (e) {
+            total += item.price;
+          }
+        }
+      }
+    } else if (item.free) {
+      continue;
+    }
+  }
+  return total;
+}
+`;
+
+// Same block of code pasted into two modules
+const SHARED = `  const rows = records.filter(r => r.active).map(r => ({ id: r.id, name: r.name.trim(), email: r.email.toLowerCase() }));
+  const byId = new Map(rows.map(r => [r.id, r]));
+  return [...byId.values()].sort((a, b) => a.name.localeCompare(b.name));
+`;
+
+describe('code metrics', () => {
+  let projectPath;
+
+  beforeEach(() => {
+    projectPath = fs.mkdtempSync(path.join(os.tmpdir(), 'ai-core-metrics-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(projectPath, { recursive: true, force: true });
+  });
+
+  const run = () => codeAgent.run({ projectPath, metadata: { language: 'javascript' }, userIntent: 'x' });
+
+  test('should measure JS/TS functions with the Babel AST', () => {
+    const [checkout] = functionMetrics(CHECKOUT, 'cart.js');
+    // 1 + if + || + for + if + while + if + ?? + ?: + catch + else-if
+    expect(checkout).toEqual({ name: 'checkout', line: 1, endLine: 20, complexity: 11, nesting: 5, nestingLine: 8 });
+
+    const names = functionMetrics(`class Cart {
+  add(item) { return item ? 1 : 0; }
+  #reset = () => {};
+}
+const total = function () {};
+items.forEach(item => item);
+export default () => {};
+`, 'cart.ts').map(fn => [fn.name, fn.complexity]);
+    expect(names).toEqual([['Cart.add', 2], ['Cart.#reset', 1], ['total', 1], ['forEach callback', 1], ['default', 1]]);
+  });
+
+  test('should measure Python, Go and PHP functions from tokens', () => {
+    expect(functionMetrics(`class Cart:
+    def total(self, items):
+        t = 0
+        for i in items:
+            if i.price > 0 and i.qty:
+                t += i.price
+            elif i.free:
+                pass
+        return t
+`, 'cart.py')).toEqual([{ name: 'Cart.total', line: 2, endLine: 9, complexity: 5, nesting: 2, nestingLine: 5 }]);
+
+    expect(functionMetrics(`package cart
+type Hook func(int) int
+func (c *Cart) Total(items []Item) (int, error) {
+	for _, i := range items {
+		if v := i.Price; v > 0 && i.Qty > 0 {
+			switch i.Kind {
+			case "a":
+			default:
+			}
+		}
+	}
+	return 0, nil
+}
+`, 'cart.go')).toEqual([{ name: 'Cart.Total', line: 3, endLine: 13, complexity: 5, nesting: 3, nestingLine: 6 }]);
+
+    expect(functionMetrics(`<?php
+class CartController {
+    public function store(?Request $r): ?string {
+        if ($r) return null;
+        foreach ($r->items as $i) { $t = $i ? 1 : 2; }
+    }
+}
+`, 'CartController.php')).toEqual([{ name: 'CartController.store', line: 3, endLine: 6, complexity: 4, nesting: 1, nestingLine: 5 }]);
+  });
+
+  test('should find copy-paste blocks across files but not inside one', () => {
+    const sources = [
+      { file: 'a.js', tokens: tokenize(`// users\nfunction a(records) {\n${SHARED}}\n`, 'a.js') },
+      { file: 'b.js', tokens: tokenize(`function b(records) {\n  /* same */\n${SHARED.replace(/ {2}/g, '\t')}}\n`, 'b.js') },
+      { file: 'c.js', tokens: tokenize(`${SHARED}\n${SHARED}`, 'c.js') }
+    ];
+    const duplicates = findDuplicates(sources, 50);
+    expect(duplicates.map(d => [d.file, d.line, d.endLine, d.other.file, d.other.line, d.other.endLine])).toEqual([
+      ['b.js', 1, 6, 'a.js', 2, 6],
+      ['c.js', 1, 3, 'a.js', 3, 5],
+      ['c.js', 5, 7, 'a.js', 3, 5]
+    ]);
+  });
+
+  test('should walk the whole project respecting .gitignore and rank hotspots', async () => {
+    writeFiles(projectPath, {
+      '.gitignore': 'generated/\n*.local.js\n',
+      'package.json': '{}',
+      'src/cart.js': CHECKOUT,
+      'src/users.js': `export function listUsers(records) {\n${SHARED}}\n`,
+      'src/admin/users.js': `export function listAdmins(records) {\n${SHARED}}\n`,
+      'generated/cart.js': CHECKOUT,
+      'src/cart.local.js': CHECKOUT,
+      ...Object.fromEntries(Array.from({ length: 25 }, (_, i) => [`src/mod${i}.js`, `export const m${i} = ${i};\n`]))
+    });
+
+    const { diagnostics, summary } = await run();
+    const findings = diagnostics.filter(d => ['complexity', 'nesting', 'duplication'].includes(d.type)).map(d => [d.type, d.file, d.line]);
+    // Ignored copies of cart.js stay out; users.js comes after the old 20-file cut-off
+    expect(findings).toEqual([
+      ['complexity', 'src/cart.js', 1],
+      ['nesting', 'src/cart.js', 8],
+      ['duplication', 'src/admin/users.js', 1]
+    ]);
+    expect(diagnostics.find(d => d.type === 'duplication').message).toBe('Lines 1-5 duplicate src/users.js:1-5 (106 tokens) - extract the shared code');
+
+    const hotspots = diagnostics.find(d => d.type === 'hotspots');
+    expect(hotspots.hotspots.map(h => [h.file, h.score])).toEqual([['src/cart.js', 2.4], ['src/admin/users.js', 2.1], ['src/users.js', 2.1]]);
+    expect(hotspots.hotspots[0]).toEqual({ file: 'src/cart.js', score: 2.4, line: 8, reasons: ['nesting 5 in checkout', 'complexity 11 in checkout'] });
+    expect(summary).toContain('Top hotspot: src/cart.js.');
+    expect(diagnostics.some(d => d.message.startsWith('Analyzed'))).toBe(false);
+  });
+
+  test('should apply per-project thresholds and the size budget', async () => {
+    writeFiles(projectPath, {
+      '.ai-core/code-metrics.json': JSON.stringify({ complexity: 20, nesting: 3, fileLines: 10, maxFileBytes: 1024, duplicateTokens: 'many' }),
+      'package.json': '{}',
+      'src/cart.js': CHECKOUT,
+      'src/bundle.js': `export const data = '${'x'.repeat(2000)}';\n`,
+      'src/app.min.js': 'a();\n'
+    });
+    // The invalid duplicateTokens value is reported, not fatal
+    const originalConsoleWarn = console.warn;
+    const warnings = [];
+    console.warn = message => warnings.push(message);
+
+    let diagnostics;
+    try {
+      ({ diagnostics } = await run());
+    } finally {
+      console.warn = originalConsoleWarn;
+    }
+
+    expect(warnings).toEqual(['[Code] Threshold "duplicateTokens" in .ai-core/code-metrics.json must be a positive number']);
+    expect(diagnostics.filter(d => ['file-length', 'complexity', 'nesting', 'duplication'].includes(d.type)).map(d => [d.type, d.line, d.message])).toEqual([
+      ['file-length', 0, 'src/cart.js has 20 lines (limit 10) - consider splitting it'],
+      ['nesting', 8, 'checkout nests blocks 5 deep (limit 3)']
+    ]);
+    expect(diagnostics.find(d => d.message.startsWith('Skipped')).message).toMatch(/^Skipped 2 minified or oversized file\(s\) \(over 1 KB\)/);
+  });
+});
@@ -0,0 +1,152 @@
+// Tests for third-party plugin agents
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { loadAgents } from '../index.js';
+import { validatePluginAgent } from '../plugins.js';
+import { route } from '../../router/index.js';
+import { orchestrate } from '../../orchestrator/index.js';
+import { configure as configureAgentsBridge } from '../../agents-bridge.js';
+
+/**
+ * ESM source of a plugin agent
+ */
+function pluginSource({ id, description = id, triggers, summary = `${id} ran` }) {
+  return `export default {
+  id: ${JSON.stringify(id)},
+  description: ${JSON.stringify(description)},
+  supportedLanguages: ['javascript'],
+  ${triggers ? `triggers: ${JSON.stringify(triggers)},` : ''}
+  async run(context) {
+    return { success: true, diagnostics: [], changes: [], summary: ${JSON.stringify(summary)} };
+  }
+};
+`;
+}
+
+function writePlugin(dir, file, source) {
+  fs.mkdirSync(path.dirname(path.join(dir, file)), { recursive: true });
+  fs.writeFileSync(path.join(dir, file), source);
+}
+
+describe('plugin agents', () => {
+  const originalConsoleError = console.error;
+  const originalConsoleLog = console.log;
+  const originalEnv = { ...process.env };
+  let testDir;
+  let projectPath;
+  let globalDir;
+
+  beforeEach(() => {
+    console.error = () => {};
+    console.log = () => {};
+    testDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ai-core-plugins-'));
+    projectPath = path.join(testDir, 'project');
+    globalDir = path.join(testDir, 'global-agents');
+    fs.mkdirSync(projectPath);
+    process.env.AI_CORE_MEMORY_DIR = path.join(testDir, 'memory');
+    process.env.AI_CORE_PLUGIN_DIR = globalDir;
+  });
+
+  afterEach(() => {
+    console.error = originalConsoleError;
+    console.log = originalConsoleLog;
+    process.env = { ...originalEnv };
+    fs.rmSync(testDir, { recursive: true, force: true });
+  });
+
+  test('should validate the plugin contract', () => {
+    const run = async () => ({});
+
+    expect(validatePluginAgent({}).error).toMatch(/must export an agent object/);
+    expect(validatePluginAgent({ default: { id: 'Bad Id', supportedLanguages: ['javascript'], run } }).error)
+      .toMatch(/Invalid agent id/);
+    expect(validatePluginAgent({ default: { id: 'i18n', supportedLanguages: [], run } }).error)
+      .toMatch(/supportedLanguages/);
+    expect(validatePluginAgent({ agent: { id: 'i18n', supportedLanguages: ['javascript'] } }).error)
+      .toMatch(/run\(context\)/);
+
+    expect(validatePluginAgent({
+      agent: { id: 'i18n', supportedLanguages: ['javascript'], triggers: { en: ['translation'], es: ['traducción'] }, run }
+    }).agent).toEqual(expect.objectContaining({
+      id: 'i18n',
+      description: 'i18n',
+      requiredCapabilities: [],
+      triggers: ['translation', 'traducción']
+    }));
+  });
+
+  test('should discover project and global plugins and keep built-ins reserved', async () => {
+    writePlugin(globalDir, 'license.mjs', pluginSource({ id: 'license-check', summary: 'global' }));
+    writePlugin(globalDir, 'shadowed.mjs', pluginSource({ id: 'i18n', summary: 'global i18n' }));
+    writePlugin(projectPath, '.ai-core/agents/i18n/index.js', pluginSource({ id: 'i18n', summary: 'project i18n' }));
+    fs.writeFileSync(path.join(projectPath, '.ai-core', 'agents', 'package.json'), '{"type":"module"}');
+    writePlugin(projectPath, '.ai-core/agents/seo.mjs', pluginSource({ id: 'seo' }));
+    writePlugin(projectPath, '.ai-core/agents/broken.mjs', "throw new Error('missing dependency');\n");
+
+    process.env.AI_CORE_TRUST_PROJECT_PLUGINS = 'true';
+    const { agents, plugins, errors } = await loadAgents(projectPath);
+
+    expect(plugins.sort()).toEqual(['i18n', 'license-check']);
+    expect(agents.i18n.plugin).toEqual({ source: 'project', file: path.join(projectPath, '.ai-core', 'agents', 'i18n', 'index.js') });
+    expect(agents['license-check'].plugin.source).toBe('global');
+    expect(agents.seo.plugin).toBeUndefined();
+    expect(errors.map(e => path.basename(e.file)).sort()).toEqual(['broken.mjs', 'seo.mjs']);
+    expect(errors.find(e => e.file.endsWith('seo.mjs')).error).toBe('Agent id seo conflicts with a built-in agent');
+    expect(errors.find(e => e.file.endsWith('broken.mjs')).error).toBe('Could not load plugin: missing dependency');
+  });
+
+  test('should not import project plugins unless the project is trusted', async () => {
+    const marker = path.join(testDir, 'imported');
+    writePlugin(globalDir, 'license.mjs', pluginSource({ id: 'license-check' }));
+    writePlugin(projectPath, '.ai-core/agents/i18n.mjs',
+      `import fs from 'fs';\nfs.writeFileSync(${JSON.stringify(marker)}, '');\n${pluginSource({ id: 'i18n' })}`);
+
+    const untrusted = await loadAgents(projectPath);
+    expect(untrusted.plugins).toEqual(['license-check']);
+    expect(untrusted.errors).toEqual([{
+      file: path.join(projectPath, '.ai-core', 'agents', 'i18n.mjs'),
+      error: 'Project plugins are not trusted: set AI_CORE_TRUST_PROJECT_PLUGINS=true or list the project in trusted-projects.json'
+    }]);
+    expect(fs.existsSync(marker)).toBe(false);
+
+    // Allowlisted in the global config next to memory
+    fs.writeFileSync(path.join(testDir, 'trusted-projects.json'), JSON.stringify({ projects: [projectPath] }));
+    const trusted = await loadAgents(projectPath);
+    expect(trusted.plugins.sort()).toEqual(['i18n', 'license-check']);
+    expect(trusted.errors).toEqual([]);
+    expect(fs.existsSync(marker)).toBe(true);
+  });
+
+  test('should route to a plugin through its triggers and run it', async () => {
+    process.env.AI_CORE_TRUST_PROJECT_PLUGINS = 'true';
+    writePlugin(projectPath, '.ai-core/agents/i18n.mjs', pluginSource({
+      id: 'i18n',
+      description: 'Checks translation completeness',
+      triggers: { en: ['translation'], es: ['traducción'] },
+      summary: 'i18n ok'
+    }));
+    const agentsDir = path.join(testDir, 'agents');
+    fs.mkdirSync(path.join(agentsDir, 'orchestrator', 'projects'), { recursive: true });
+    fs.writeFileSync(path.join(agentsDir, 'orchestrator', 'projects', '_index.json'), JSON.stringify({ projects: [] }));
+    configureAgentsBridge(agentsDir);
+
+    try {
+      const metadata = { language: 'javascript', projectType: 'saas' };
+      const routed = await route({ metadata, userIntent: 'revisar traducción faltante', projectPath });
+
+      expect(routed.agents.map(a => a.agentId)).toContain('i18n');
+      expect(routed.reason).toContain('Plugin keyword: i18n');
+
+      const { results } = await orchestrate({
+        projectPath,
+        metadata,
+        userIntent: 'x',
+        plan: [{ agentId: 'i18n' }]
+      });
+      expect(results[0]).toMatchObject({ success: true, summary: 'i18n ok' });
+    } finally {
+      configureAgentsBridge('./agents');
+    }
+  });
+});
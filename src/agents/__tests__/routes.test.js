@@ -0,0 +1,313 @@
+// Tests for the backend route inventory and OpenAPI draft
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { extractRoutes, normalizePath, toYaml } from '../routes.js';
+import { backendAgent } from '../backend.js';
+import { writeFiles } from '../../../tests/helpers.js';
+
+const summarize = routes => routes.map(r => `${r.method} ${r.path} ${r.file}:${r.line}${r.auth ? ' auth' : ''}`);
+
+describe('route inventory', () => {
+  let projectPath;
+
+  beforeEach(() => {
+    projectPath = fs.mkdtempSync(path.join(os.tmpdir(), 'ai-core-routes-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(projectPath, { recursive: true, force: true });
+  });
+
+  test('should normalize framework path patterns', () => {
+    expect(normalizePath('/users/:id(\\d+)/posts/:postId?')).toBe('/users/{id}/posts/{postId}');
+    expect(normalizePath('users/<int:pk>/')).toBe('/users/{pk}');
+    expect(normalizePath('api/docs/[...slug]')).toBe('/api/docs/{slug}');
+    expect(normalizePath('~/orders/{id:int}')).toBe('/orders/{id}');
+    expect(toYaml({ paths: { '/a/{id}': { get: { responses: { 200: { description: 'OK' } }, security: [{ bearerAuth: [] }] } } }, tags: ['yes', 'no:'] }))
+      .toBe("paths:\n  /a/{id}:\n    get:\n      responses:\n        '200':\n          description: OK\n      security:\n        - bearerAuth: []\ntags:\n  - \"yes\"\n  - \"no:\"\n");
+  });
+
+  test('should follow Express mounts, router-level auth and Fastify plugins', () => {
+    const files = writeFiles(projectPath, {
+      'src/app.js': `const express = require('express');
+const { requireAuth } = require('./middleware/auth');
+const users = require('./routes/users');
+import admin from './routes/admin';
+const app = express();
+
+app.get('/health', (req, res) => res.send('ok'));
+app.use('/api/users', users);
+app.use('/admin', requireAuth, admin);
+app.post('/api/login', login);
+app.all('/legacy', legacy);
+`,
+      'src/routes/users.js': `const router = require('express').Router();
+const BASE = '/';
+router.get(BASE, list);
+router.post('/', create);
+router.use(authenticate);
+router.route('/:id').get(show).delete(isAdmin, remove);
+module.exports = router;
+`,
+      'src/routes/admin.ts': `import { Router } from 'express';
+const adminRouter = Router();
+adminRouter.put('/settings', save);
+export default adminRouter;
+`,
+      'src/server.ts': `import Fastify from 'fastify';
+import billing from './billing';
+const fastify = Fastify();
+fastify.register(billing, { prefix: '/billing' });
+fastify.route({ method: ['GET', 'POST'], url: '/events', preHandler: [fastify.authenticate], handler: events });
+`,
+      'src/billing.ts': `export default async function billing(fastify) {
+  fastify.post('/charge', { onRequest: [verifyToken] }, charge);
+  fastify.post('/refund', refund);
+}
+`,
+      'src/client.js': "axios.post('/api/users', data);\nmap.get('/x');\n"
+    });
+
+    expect(summarize(extractRoutes(projectPath, files))).toEqual([
+      'PUT /admin/settings src/routes/admin.ts:3 auth',
+      'POST /api/login src/app.js:10',
+      'GET /api/users src/routes/users.js:3',
+      'POST /api/users src/routes/users.js:4',
+      'GET /api/users/{id} src/routes/users.js:6 auth',
+      'DELETE /api/users/{id} src/routes/users.js:6 auth',
+      'POST /billing/charge src/billing.ts:2 auth',
+      'POST /billing/refund src/billing.ts:3',
+      'GET /events src/server.ts:5 auth',
+      'POST /events src/server.ts:5 auth',
+      'GET /health src/app.js:7',
+      'ANY /legacy src/app.js:11'
+    ]);
+  });
+
+  test('should read Next.js route handlers, API routes and middleware matchers', () => {
+    const files = writeFiles(projectPath, {
+      'middleware.ts': `import { withAuth } from 'next-auth/middleware';
+export default withAuth;
+export const config = { matcher: ['/api/admin/:path*'] };
+`,
+      'app/api/posts/[id]/route.ts': `export async function GET(req, { params }) { return Response.json({}); }
+export async function DELETE(req) {
+  const session = await getServerSession();
+  return new Response(null, { status: session ? 204 : 401 });
+}
+`,
+      'app/(internal)/api/admin/stats/route.ts': 'export const POST = async () => Response.json({});\n',
+      'app/api/_lib/route.ts': 'export function GET() {}\n',
+      'pages/api/comments.ts': `export default function handler(req, res) {
+  if (req.method === 'POST') return res.status(201).end();
+  res.json([]);
+}
+`
+    });
+
+    expect(summarize(extractRoutes(projectPath, files))).toEqual([
+      'POST /api/admin/stats app/(internal)/api/admin/stats/route.ts:1 auth',
+      'POST /api/comments pages/api/comments.ts:1',
+      'GET /api/posts/{id} app/api/posts/[id]/route.ts:1',
+      'DELETE /api/posts/{id} app/api/posts/[id]/route.ts:2 auth'
+    ]);
+  });
+
+  test('should read Django urls, DRF viewsets, Flask blueprints and FastAPI routers', () => {
+    const files = writeFiles(projectPath, {
+      'config/settings.py': "REST_FRAMEWORK = {'DEFAULT_PERMISSION_CLASSES': ['rest_framework.permissions.IsAuthenticated']}\n",
+      'config/urls.py': `from django.urls import path, include
+from django.contrib.auth.decorators import login_required
+from shop import views
+
+urlpatterns = [
+    path('shop/', include('shop.urls')),
+    path('profile/', login_required(views.profile)),
+]
+`,
+      'shop/urls.py': `from django.urls import path, re_path, include
+from rest_framework.routers import DefaultRouter
+from . import views
+from .views import OrderViewSet
+
+router = DefaultRouter()
+router.register(r'orders', OrderViewSet)
+
+urlpatterns = [
+    path('items/<int:pk>/', views.ItemDetail.as_view()),
+    re_path(r'^checkout/(?P<cart>[0-9]+)/$', views.checkout),
+    path('api/', include(router.urls)),
+]
+`,
+      'shop/views.py': `from rest_framework import viewsets
+from rest_framework.decorators import api_view, permission_classes
+from rest_framework.permissions import AllowAny
+
+def profile(request):
+    pass
+
+class ItemDetail(LoginRequiredMixin, View):
+    def get(self, request, pk):
+        pass
+
+@api_view(['POST'])
+@permission_classes([AllowAny])
+def checkout(request, cart):
+    pass
+
+class OrderViewSet(viewsets.ReadOnlyModelViewSet):
+    queryset = Order.objects.all()
+`,
+      'blog/app.py': `from flask import Flask
+from blog.posts import bp as posts_bp
+
+app = Flask(__name__)
+app.register_blueprint(posts_bp, url_prefix='/posts')
+`,
+      'blog/posts.py': `from flask import Blueprint
+from flask_login import login_required
+
+bp = Blueprint('posts', __name__, url_prefix='/ignored')
+
+@bp.route('/', methods=['GET', 'POST'])
+def index():
+    pass
+
+@bp.delete('/<int:post_id>')
+@login_required
+def delete(post_id):
+    pass
+`,
+      'api/main.py': `from fastapi import FastAPI, APIRouter, Depends
+
+app = FastAPI()
+items = APIRouter(prefix='/items')
+
+@items.put('/{item_id}')
+async def update_item(item_id: int, user: User = Depends(get_current_user)):
+    pass
+
+@items.post(
+    '/import',
+)
+async def import_items():
+    pass
+
+app.include_router(items, prefix='/v1')
+`
+    });
+
+    expect(summarize(extractRoutes(projectPath, files))).toEqual([
+      'GET /posts blog/posts.py:6',
+      'POST /posts blog/posts.py:6',
+      'DELETE /posts/{post_id} blog/posts.py:10 auth',
+      'ANY /profile shop/views.py:5 auth',
+      'GET /shop/api/orders shop/views.py:17 auth',
+      'GET /shop/api/orders/{pk} shop/views.py:17 auth',
+      'POST /shop/checkout/{cart} shop/views.py:14',
+      'GET /shop/items/{pk} shop/views.py:8 auth',
+      'PUT /v1/items/{item_id} api/main.py:6 auth',
+      'POST /v1/items/import api/main.py:10'
+    ]);
+  });
+
+  test('should read Laravel route files and ASP.NET controllers and minimal APIs', () => {
+    const files = writeFiles(projectPath, {
+      'routes/api.php': `<?php
+use App\\Http\\Controllers\\PostController;
+
+Route::post('/login', [AuthController::class, 'login']);
+// Route::delete('/everything', [AdminController::class, 'wipe']);
+Route::middleware('auth:sanctum')->prefix('v1')->group(function () {
+    Route::apiResource('posts', PostController::class)->only(['index', 'store', 'destroy']);
+});
+Route::put('/profile', [ProfileController::class, 'update']);
+`,
+      'Controllers/OrdersController.cs': `[ApiController]
+[Route("api/[controller]")]
+[Authorize]
+public class OrdersController : ControllerBase
+{
+    [HttpGet("{id:int}")]
+    public async Task<IActionResult> Get(int id) => Ok();
+
+    [HttpPost, AllowAnonymous]
+    public IActionResult Create(Order order) => Ok();
+}
+`,
+      'Program.cs': `var app = builder.Build();
+var api = app.MapGroup("/api/v2").RequireAuthorization();
+api.MapDelete("/carts/{id}", DeleteCart);
+app.MapPost("/hooks/stripe", (HttpRequest req) => { return Results.Ok(); });
+`
+    });
+
+    expect(summarize(extractRoutes(projectPath, files))).toEqual([
+      'POST /api/login routes/api.php:4',
+      'POST /api/Orders Controllers/OrdersController.cs:10',
+      'GET /api/Orders/{id} Controllers/OrdersController.cs:7 auth',
+      'PUT /api/profile routes/api.php:9',
+      'GET /api/v1/posts routes/api.php:7 auth',
+      'POST /api/v1/posts routes/api.php:7 auth',
+      'DELETE /api/v1/posts/{post} routes/api.php:7 auth',
+      'DELETE /api/v2/carts/{id} Program.cs:3 auth',
+      'POST /hooks/stripe Program.cs:4'
+    ]);
+  });
+
+  test('should flag unauthenticated mutating routes and propose a draft openapi.yaml', async () => {
+    writeFiles(projectPath, {
+      'package.json': JSON.stringify({ name: 'shop-api', version: '1.2.0' }),
+      '.gitignore': 'node_modules/\n',
+      'src/index.js': `const app = require('express')();
+app.get('/products/:id', show);
+app.post('/products', requireAuth, create);
+app.patch('/products/:id', update);
+app.post('/auth/login', login);
+`
+    });
+    const run = () => backendAgent.run({ projectPath, metadata: { language: 'javascript', framework: 'express' }, userIntent: 'x' });
+
+    const { diagnostics, changes } = await run();
+    const inventory = diagnostics.find(d => d.type === 'route-inventory');
+    expect(inventory.message).toBe('Route inventory: 4 endpoint(s) (express 4), 3 without auth middleware');
+    expect(inventory.routes).toHaveLength(4);
+    expect(diagnostics.filter(d => d.type === 'unauthenticated-route').map(d => [d.message, d.file, d.line])).toEqual([
+      ['PATCH /products/{id} has no auth middleware - anyone can call it', 'src/index.js', 4]
+    ]);
+
+    expect(changes).toHaveLength(1);
+    expect(changes[0]).toMatchObject({ type: 'create', file: 'openapi.yaml' });
+    expect(changes[0].content).toContain(`openapi: 3.0.3
+info:
+  title: shop-api
+  version: 1.2.0`);
+    expect(changes[0].content).toContain(`  /products:
+    post:
+      operationId: postProducts
+      summary: create
+      tags:
+        - products
+      requestBody:
+        content:
+          application/json:
+            schema:
+              type: object
+      responses:
+        '200':
+          description: OK
+      security:
+        - bearerAuth: []
+      x-source: src/index.js:3`);
+    expect(changes[0].content).toContain('operationId: getProductsById');
+
+    // An existing spec is not overwritten; undocumented routes are listed instead
+    writeFiles(projectPath, { 'openapi.yaml': 'openapi: 3.0.3\npaths:\n  /products:\n    post: {}\n' });
+    const second = await run();
+    expect(second.changes).toEqual([]);
+    expect(second.diagnostics.filter(d => d.file === 'openapi.yaml').map(d => d.message)).toEqual([
+      '3 route(s) missing from openapi.yaml: POST /auth/login, GET /products/{id}, PATCH /products/{id}'
+    ]);
+  });
+});
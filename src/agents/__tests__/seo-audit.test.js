@@ -0,0 +1,206 @@
+// Tests for the crawl-level SEO audit
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { parseRobots, robotsAllows, discoverPages } from '../seo-audit.js';
+import { seoAgent } from '../seo.js';
+import { writeFiles } from '../../../tests/helpers.js';
+
+describe('SEO crawl audit', () => {
+  let projectPath;
+
+  beforeEach(() => {
+    projectPath = fs.mkdtempSync(path.join(os.tmpdir(), 'ai-core-seo-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(projectPath, { recursive: true, force: true });
+  });
+
+  async function audit(metadata) {
+    const { diagnostics } = await seoAgent.run({ projectPath, metadata, userIntent: 'x' });
+    // Crawl audit findings only, not the agent's basic per-file checks
+    const basicChecks = ['budget', 'no-html', 'missing-title', 'missing-description', 'missing-viewport', 'react-strict-mode', 'missing-build-script'];
+    return diagnostics.filter(d => !basicChecks.includes(d.type));
+  }
+
+  test('should match robots.txt rules by longest path', () => {
+    const robots = parseRobots('User-agent: *\nDisallow: /private\nAllow: /private/press\nDisallow: /*.pdf$\n\nSitemap: https://example.com/sitemap.xml\n');
+
+    expect(robots.sitemaps).toEqual([{ url: 'https://example.com/sitemap.xml', line: 6 }]);
+    expect(robotsAllows(robots, '/private/team').allowed).toBe(false);
+    expect(robotsAllows(robots, '/private/press/kit').allowed).toBe(true);
+    expect(robotsAllows(robots, '/files/report.pdf').rule).toEqual({ type: 'disallow', path: '/*.pdf$', line: 4 });
+    expect(robotsAllows(robots, '/files/report.pdf?x=1').allowed).toBe(true);
+  });
+
+  test('should map framework files to routes', () => {
+    const files = [
+      'app/layout.tsx', 'app/page.tsx', 'app/(marketing)/pricing/page.tsx', 'app/blog/[slug]/page.tsx',
+      'app/_components/page.tsx', 'app/@modal/page.tsx', 'app/docs/[[...path]]/page.mdx',
+      'pages/about.vue', 'pages/products/[id].vue', 'pages/index.vue',
+      'public/landing.html', 'templates/email.html', 'src/app/widget.component.html'
+    ];
+
+    expect(discoverPages(files, { next: true }).map(p => [p.route, p.kind, p.pattern?.source ?? null])).toEqual([
+      ['/', 'next-app', null],
+      ['/pricing', 'next-app', null],
+      ['/blog/[slug]', 'next-app', '^\\/blog\\/[^/]+$'],
+      ['/docs/[[...path]]', 'next-app', '^\\/docs(?:\\/.*)?$'],
+      ['/landing', 'html', null]
+    ]);
+    expect(discoverPages(files, { nuxt: true }).filter(p => p.kind === 'nuxt').map(p => p.route)).toEqual(['/about', '/products/[id]', '/']);
+  });
+
+  test('should cross-check a static site against its sitemap and robots.txt', async () => {
+    writeFiles(projectPath, {
+      'index.html': `<!doctype html>
+<html><head>
+<title>Acme</title>
+<link rel="canonical" href="https://acme.test/">
+<meta property="og:title" content="Acme">
+<meta name="twitter:card" content="large">
+<script type="application/ld+json">
+{ "@context": "https://schema.org", "@type": "Article", "headline": "Hi", "datePublished": "01/02/2024" }
+</script>
+</head></html>`,
+      'about.html': `<html><head><title>Acme</title>
+<link rel="canonical" href="/">
+<link rel="alternate" hreflang="en" href="https://acme.test/about">
+<link rel="alternate" hreflang="english" href="https://acme.test/about">
+<script type="application/ld+json">{ "@context": "https://schema.org", "@type": "Organisation" }</script>
+<script type="application/ld+json">{ invalid }</script>
+</head></html>`,
+      'contact.html': '<html><head><title>Contact</title><meta name="robots" content="noindex"></head></html>',
+      '404.html': '<html><head><title>Not found</title></head></html>',
+      'sitemap.xml': `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+<url><loc>https://acme.test/</loc></url>
+<url><loc>https://acme.test/about.html</loc><lastmod>yesterday</lastmod></url>
+<url><loc>https://acme.test/contact</loc></url>
+<url><loc>https://acme.test/private/plans</loc></url>
+<url><loc>/relative</loc></url>
+</urlset>`,
+      'robots.txt': 'User-agent: *\nDisallow: /private/\n'
+    });
+
+    const found = (await audit({ language: 'html', projectType: 'landing' })).map(d => [d.type, d.file, d.line, d.message]);
+
+    expect(found).toEqual(expect.arrayContaining([
+      ['opengraph', 'index.html', 5, 'Incomplete OpenGraph tags, missing og:type, og:image, og:url'],
+      ['twitter', 'index.html', 6, 'Invalid twitter:card "large" (use summary, summary_large_image, app, player)'],
+      ['structured-data', 'index.html', 7, 'JSON-LD Article is missing required properties: author'],
+      ['structured-data', 'index.html', 7, 'JSON-LD datePublished "01/02/2024" is not an ISO 8601 date'],
+      ['canonical', 'about.html', 2, 'Canonical URL "/" should be absolute'],
+      ['hreflang', 'about.html', 4, 'Invalid hreflang "english" (use a language code like en or en-US, or x-default)'],
+      ['structured-data', 'about.html', 5, 'Unknown schema.org type "Organisation"'],
+      ['structured-data', 'about.html', 6, expect.stringMatching(/^Invalid JSON-LD/)],
+      ['duplicate-metadata', 'about.html', 0, 'Same title "Acme" on 2 pages: /about, /'],
+      ['sitemap', 'sitemap.xml', 4, 'Invalid <lastmod> "yesterday" (use W3C datetime, e.g. 2024-05-01)'],
+      ['canonical', 'about.html', 2, 'Sitemap lists /about.html but its canonical URL is /'],
+      ['sitemap', 'sitemap.xml', 5, 'Sitemap lists /contact but the page is marked noindex'],
+      ['sitemap', 'sitemap.xml', 6, 'Sitemap lists /private/plans but no page or route serves it'],
+      ['robots', 'sitemap.xml', 6, 'Sitemap lists /private/plans but robots.txt disallows it (Disallow: /private/)'],
+      ['sitemap', 'sitemap.xml', 7, 'Sitemap URL "/relative" must be absolute'],
+      ['robots', 'robots.txt', 0, 'robots.txt has no Sitemap directive']
+    ]));
+    expect(found.filter(d => d[1] === '404.html')).toEqual([]);
+    expect(found.filter(d => d[0] === 'sitemap' && /missing from the sitemap/.test(d[3]))).toEqual([]);
+  });
+
+  test('should read Next.js App Router metadata, layouts and generated sitemap/robots', async () => {
+    writeFiles(projectPath, {
+      'next.config.mjs': 'export default {};\n',
+      'app/layout.tsx': `export const metadata = {
+  metadataBase: new URL('https://acme.test'),
+  title: { default: 'Acme', template: '%s | Acme' },
+  openGraph: { title: 'Acme', type: 'website', images: ['/og.png'], url: '/' }
+};
+export default function RootLayout({ children }) { return <html><body>{children}</body></html>; }
+`,
+      'app/page.tsx': `export const metadata = { alternates: { canonical: '/' } };
+export default function Home() { return <main />; }
+`,
+      'app/(marketing)/pricing/page.tsx': `const jsonLd = { '@context': 'https://schema.org', '@type': 'Product', offers: { '@type': 'Offer', price: 10 } };
+export const metadata = {
+  title: 'Pricing',
+  alternates: { canonical: '/pricing', languages: { 'en-US': '/en/pricing', es_ES: '/es/precios' } },
+  openGraph: { title: 'Pricing' },
+  twitter: { card: 'summary_large_image' }
+};
+export default function Pricing() {
+  return <script type="application/ld+json" dangerouslySetInnerHTML={{ __html: JSON.stringify(jsonLd) }} />;
+}
+`,
+      'app/blog/[slug]/page.tsx': `export async function generateMetadata({ params }) { return { title: params.slug }; }
+export default function Post() { return <article />; }
+`,
+      'app/blog/[slug]/opengraph-image.tsx': 'export default function Image() { return null; }\n',
+      'app/sitemap.ts': `export default function sitemap() {
+  return [
+    { url: 'https://acme.test/', lastModified: new Date() },
+    { url: 'https://acme.test/blog/hello-world' },
+    { url: 'https://acme.test/careers' }
+  ];
+}
+`,
+      'app/robots.ts': `export default function robots() {
+  return { rules: { userAgent: '*', disallow: '/blog/' }, sitemap: 'https://acme.test/sitemap.xml' };
+}
+`
+    });
+
+    const diagnostics = await audit({ language: 'typescript', framework: 'nextjs' });
+    const found = diagnostics.map(d => [d.type, d.file, d.message]);
+
+    expect(found).toEqual(expect.arrayContaining([
+      ['opengraph', 'app/(marketing)/pricing/page.tsx', 'Incomplete OpenGraph tags, missing og:type, og:image, og:url'],
+      ['hreflang', 'app/(marketing)/pricing/page.tsx', 'Invalid hreflang "es_ES" (use a language code like en or en-US, or x-default)'],
+      ['sitemap', 'app/sitemap.ts', 'Sitemap lists /careers but no page or route serves it'],
+      ['robots', 'app/sitemap.ts', 'Sitemap lists /blog/hello-world but robots.txt disallows it (Disallow: /blog/)'],
+      ['sitemap', 'app/sitemap.ts', '1 page(s) missing from the sitemap: /pricing']
+    ]));
+    // Relative URLs resolve against metadataBase; generateMetadata pages are not second-guessed
+    expect(diagnostics.filter(d => d.type === 'canonical')).toEqual([]);
+    expect(diagnostics.filter(d => d.file.startsWith('app/blog/'))).toEqual([]);
+    expect(diagnostics.filter(d => d.type === 'structured-data')).toEqual([
+      expect.objectContaining({ file: 'app/(marketing)/pricing/page.tsx', line: 9, message: 'JSON-LD Product is missing required properties: name' })
+    ]);
+    expect(diagnostics.filter(d => d.type === 'robots' && d.file === 'app/robots.ts')).toEqual([]);
+  });
+
+  test('should read Nuxt useSeoMeta/useHead and nuxt.config head defaults', async () => {
+    writeFiles(projectPath, {
+      'nuxt.config.ts': `export default defineNuxtConfig({
+  app: { head: { meta: [{ property: 'og:site_name', content: 'Acme' }] } }
+});
+`,
+      'pages/index.vue': `<template><main /></template>
+<script setup lang="ts">
+useSeoMeta({
+  title: 'Acme',
+  ogTitle: 'Acme',
+  ogType: 'website',
+  ogImage: 'https://acme.test/og.png',
+  ogUrl: 'https://acme.test/',
+  twitterCard: 'summary'
+});
+useHead({
+  link: [{ rel: 'canonical', href: 'https://acme.test/' }],
+  script: [{ type: 'application/ld+json', children: JSON.stringify({ '@context': 'https://schema.org', '@type': 'WebSite', name: 'Acme' }) }]
+});
+</script>
+`,
+      'pages/products/[id].vue': '<script setup>\nconst route = useRoute();\nuseHead(() => ({ title: route.params.id }));\n</script>\n',
+      'public/robots.txt': 'User-agent: *\nDisallow: /\n'
+    });
+
+    const found = (await audit({ language: 'typescript', framework: 'nuxt' })).map(d => [d.severity, d.type, d.file, d.line, d.message]);
+
+    expect(found).toEqual([
+      ['warning', 'structured-data', 'pages/index.vue', 11, 'JSON-LD WebSite is missing required properties: url'],
+      ['warning', 'sitemap', '', 0, 'No sitemap.xml for 2 page(s) - add one at the site root (or public/)'],
+      ['error', 'robots', 'public/robots.txt', 2, 'robots.txt disallows the whole site for all crawlers (Disallow: /)']
+    ]);
+  });
+});
@@ -0,0 +1,109 @@
+// Tests for AST-based taint analysis and its use in the security agent
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { analyzeTaint } from '../taint.js';
+import { securityAgent } from '../security.js';
+
+const EXPRESS_ROUTE = `import express from 'express';
+const app = express();
+// db.query("SELECT * FROM users WHERE id = " + req.body.id)
+app.post('/users', async (req, res) => {
+  const { name } = req.body;
+  const sql = \`SELECT * FROM users WHERE name = '\${name}'\`;
+  await db.query(sql);
+  await db.query('SELECT * FROM users WHERE id = ?', [req.query.id]);
+  await db.query('SELECT * FROM users WHERE id = ' + parseInt(req.query.id, 10));
+  res.json({ ok: true });
+});
+`;
+
+describe('taint analysis', () => {
+  test('should follow untrusted input across variables into a raw SQL string', () => {
+    const { parsed, findings } = analyzeTaint(EXPRESS_ROUTE, 'routes/users.js');
+
+    expect(parsed).toBe(true);
+    expect(findings).toEqual([{
+      rule: 'sql-injection',
+      source: 'req.body',
+      sink: 'db.query()',
+      message: 'Untrusted req.body reaches SQL query (req.body -> name -> sql -> db.query())',
+      advice: 'use parameterized queries',
+      line: 7,
+      column: 9,
+      path: [
+        { label: 'req.body', line: 5, column: 20 },
+        { label: 'name', line: 5, column: 11 },
+        { label: 'sql', line: 6, column: 9 },
+        { label: 'db.query()', line: 7, column: 9 }
+      ]
+    }]);
+  });
+
+  test('should track command, code, HTML and redirect sinks in TypeScript', () => {
+    const code = `const cp = require('child_process');
+function handler(req: Request, res: Response) {
+  const target = req.query.next as string;
+  cp.exec('git log ' + process.argv[2]);
+  eval(req.body.script!);
+  const render = new Function(req.body.template);
+  element.innerHTML = \`<b>\${req.params.name.trim()}</b>\`;
+  res.redirect(302, target);
+  cp.execFile('git', ['log', req.query.ref]);
+  element.textContent = req.params.name;
+}
+`;
+    const { findings, evalCalls } = analyzeTaint(code, 'src/handler.ts');
+
+    expect(findings.map(f => [f.rule, f.sink, f.line])).toEqual([
+      ['command-injection', 'cp.exec()', 4],
+      ['code-injection', 'eval()', 5],
+      ['code-injection', 'new Function()', 6],
+      ['xss', 'element.innerHTML', 7],
+      ['open-redirect', 'res.redirect()', 8]
+    ]);
+    expect(findings[4].path.map(s => s.label)).toEqual(['req.query.next', 'target', 'res.redirect()']);
+    expect(evalCalls).toEqual([{ line: 5, column: 3 }]);
+  });
+
+  test('should report unparsable modules instead of guessing', () => {
+    expect(analyzeTaint('const = ;', 'broken.js')).toMatchObject({ parsed: false, findings: [] });
+  });
+});
+
+describe('security agent taint diagnostics', () => {
+  const originalConsoleError = console.error;
+  let projectPath;
+
+  beforeEach(() => {
+    console.error = () => {};
+    projectPath = fs.mkdtempSync(path.join(os.tmpdir(), 'ai-core-taint-'));
+  });
+
+  afterEach(() => {
+    console.error = originalConsoleError;
+    fs.rmSync(projectPath, { recursive: true, force: true });
+  });
+
+  test('should replace line regexes with taint findings for JS/TS', async () => {
+    fs.mkdirSync(path.join(projectPath, 'routes'));
+    fs.writeFileSync(path.join(projectPath, 'routes', 'users.js'), EXPRESS_ROUTE);
+    fs.writeFileSync(path.join(projectPath, 'report.py'), 'cursor.execute("SELECT * FROM t WHERE id = " + user_id)\n');
+
+    const { diagnostics } = await securityAgent.run({ projectPath, metadata: { language: 'javascript' }, userIntent: 'x' });
+    const injections = diagnostics.filter(d => /SQL/.test(d.message));
+
+    expect(injections).toHaveLength(2);
+    expect(injections).toEqual(expect.arrayContaining([
+      expect.objectContaining({
+        type: 'taint',
+        rule: 'sql-injection',
+        file: path.join('routes', 'users.js'),
+        line: 7,
+        column: 9,
+        path: expect.arrayContaining([expect.objectContaining({ label: 'sql', line: 6 })])
+      }),
+      expect.objectContaining({ message: 'Potential SQL injection risk - use parameterized queries', file: 'report.py', line: 1 })
+    ]));
+  });
+});
@@ -0,0 +1,470 @@
+// Accessibility Audit - Static a11y checks for JSX, Vue templates and HTML (frontend agent)
+import fs from 'fs';
+import path from 'path';
+import { parseModule, walk, moduleConstants, staticValue, DYNAMIC } from './ast.js';
+import { computeDiff } from '../file-engine/diff.js';
+
+// Larger files (bundles, generated code) are skipped
+const MAX_PARSE_BYTES = 512 * 1024;
+const JSX_EXTENSIONS = ['.jsx', '.tsx', '.js', '.mjs'];
+
+const VOID_ELEMENTS = new Set(['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'param', 'source', 'track', 'wbr']);
+const RAW_TEXT_ELEMENTS = new Set(['script', 'style', 'textarea']);
+
+// Elements that get keyboard focus and activation for free
+const INTERACTIVE_ELEMENTS = new Set(['a', 'button', 'input', 'select', 'textarea', 'summary', 'option', 'label', 'details', 'audio', 'video']);
+const INTERACTIVE_ROLES = new Set([
+  'button', 'link', 'checkbox', 'menuitem', 'menuitemcheckbox', 'menuitemradio', 'option', 'radio', 'switch',
+  'tab', 'treeitem', 'gridcell', 'slider', 'spinbutton', 'combobox', 'textbox', 'searchbox'
+]);
+const UNLABELED_INPUT_TYPES = new Set(['hidden', 'submit', 'button', 'reset', 'image']);
+
+// Tailwind CSS default palette (v3)
+const SHADES = ['50', '100', '200', '300', '400', '500', '600', '700', '800', '900', '950'];
+const TAILWIND_PALETTE = {
+  slate: 'f8fafc f1f5f9 e2e8f0 cbd5e1 94a3b8 64748b 475569 334155 1e293b 0f172a 020617',
+  gray: 'f9fafb f3f4f6 e5e7eb d1d5db 9ca3af 6b7280 4b5563 374151 1f2937 111827 030712',
+  zinc: 'fafafa f4f4f5 e4e4e7 d4d4d8 a1a1aa 71717a 52525b 3f3f46 27272a 18181b 09090b',
+  neutral: 'fafafa f5f5f5 e5e5e5 d4d4d4 a3a3a3 737373 525252 404040 262626 171717 0a0a0a',
+  stone: 'fafaf9 f5f5f4 e7e5e4 d6d3d1 a8a29e 78716c 57534e 44403c 292524 1c1917 0c0a09',
+  red: 'fef2f2 fee2e2 fecaca fca5a5 f87171 ef4444 dc2626 b91c1c 991b1b 7f1d1d 450a0a',
+  orange: 'fff7ed ffedd5 fed7aa fdba74 fb923c f97316 ea580c c2410c 9a3412 7c2d12 431407',
+  amber: 'fffbeb fef3c7 fde68a fcd34d fbbf24 f59e0b d97706 b45309 92400e 78350f 451a03',
+  yellow: 'fefce8 fef9c3 fef08a fde047 facc15 eab308 ca8a04 a16207 854d0e 713f12 422006',
+  lime: 'f7fee7 ecfccb d9f99d bef264 a3e635 84cc16 65a30d 4d7c0f 3f6212 365314 1a2e05',
+  green: 'f0fdf4 dcfce7 bbf7d0 86efac 4ade80 22c55e 16a34a 15803d 166534 14532d 052e16',
+  emerald: 'ecfdf5 d1fae5 a7f3d0 6ee7b7 34d399 10b981 059669 047857 065f46 064e3b 022c22',
+  teal: 'f0fdfa ccfbf1 99f6e4 5eead4 2dd4bf 14b8a6 0d9488 0f766e 115e59 134e4a 042f2e',
+  cyan: 'ecfeff cffafe a5f3fc 67e8f9 22d3ee 06b6d4 0891b2 0e7490 155e75 164e63 083344',
+  sky: 'f0f9ff e0f2fe bae6fd 7dd3fc 38bdf8 0ea5e9 0284c7 0369a1 075985 0c4a6e 082f49',
+  blue: 'eff6ff dbeafe bfdbfe 93c5fd 60a5fa 3b82f6 2563eb 1d4ed8 1e40af 1e3a8a 172554',
+  indigo: 'eef2ff e0e7ff c7d2fe a5b4fc 818cf8 6366f1 4f46e5 4338ca 3730a3 312e81 1e1b4b',
+  violet: 'f5f3ff ede9fe ddd6fe c4b5fd a78bfa 8b5cf6 7c3aed 6d28d9 5b21b6 4c1d95 2e1065',
+  purple: 'faf5ff f3e8ff e9d5ff d8b4fe c084fc a855f7 9333ea 7e22ce 6b21a8 581c87 3b0764',
+  fuchsia: 'fdf4ff fae8ff f5d0fe f0abfc e879f9 d946ef c026d3 a21caf 86198f 701a75 4a044e',
+  pink: 'fdf2f8 fce7f3 fbcfe8 f9a8d4 f472b6 ec4899 db2777 be185d 9d174d 831843 500724',
+  rose: 'fff1f2 ffe4e6 fecdd3 fda4af fb7185 f43f5e e11d48 be123c 9f1239 881337 4c0519'
+};
+const TAILWIND_COLORS = new Map([
+  ['white', '#ffffff'],
+  ['black', '#000000'],
+  ...Object.entries(TAILWIND_PALETTE).flatMap(([name, hexes]) => hexes.split(' ').map((hex, i) => [`${name}-${SHADES[i]}`, `#${hex}`]))
+]);
+const NAMED_COLORS = { white: '#ffffff', black: '#000000' };
+
+// ---------------------------------------------------------------------------
+// Element model: { tag, attrs, spread, line, column, nameEnd, parent }
+// attrs are keyed by lowercase HTML names (class, for, onclick, tabindex);
+// values are strings, true (bare attribute), objects (JSX style) or DYNAMIC.
+// ---------------------------------------------------------------------------
+
+/**
+ * Line/column lookup for offsets in a source file
+ */
+function lineIndex(source) {
+  const starts = [0];
+  for (let i = 0; i < source.length; i++) if (source[i] === '\n') starts.push(i + 1);
+  return (offset) => {
+    let low = 0;
+    let high = starts.length - 1;
+    while (low < high) {
+      const mid = (low + high + 1) >> 1;
+      if (starts[mid] <= offset) low = mid;
+      else high = mid - 1;
+    }
+    return { line: low + 1, column: offset - starts[low] + 1 };
+  };
+}
+
+/**
+ * Normalize a Vue/HTML attribute name: :alt and v-bind:alt bind alt, @click and v-on:click.prevent handle onclick
+ */
+function markupAttribute(name, value) {
+  const lower = name.toLowerCase();
+  let match;
+  if (lower === 'v-bind') return { spread: true };
+  if ((match = lower.match(/^(?::|v-bind:)([^.]+)/))) return { name: match[1], value: DYNAMIC };
+  if ((match = lower.match(/^(?:@|v-on:)([^.]+)/))) return { name: `on${match[1]}`, value: DYNAMIC };
+  if (lower === 'v-html' || lower === 'v-text') return { name: '#content', value: DYNAMIC };
+  return { name: lower, value: value === undefined ? true : value };
+}
+
+/**
+ * Elements of an HTML document or Vue template, with enough tree structure for ancestor checks
+ * @param {string} source - Markup
+ * @param {number} [offset] - Offset of the markup in the file (Vue <template> blocks)
+ * @param {Function} position - Offset -> { line, column } for the whole file
+ * @returns {Object[]} Elements in document order
+ */
+export function parseMarkup(source, offset, position) {
+  const elements = [];
+  const stack = [];
+  const pattern = /<!--[\s\S]*?-->|<\/([A-Za-z][\w:.-]*)\s*>|<([A-Za-z][\w:.-]*)((?:\s+[^\s=>/"']+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s>"']+))?)*)\s*(\/?)>/g;
+  let match;
+  while ((match = pattern.exec(source))) {
+    if (match[0].startsWith('<!--')) continue;
+    if (match[1]) {
+      // Closing tag: pop up to the matching element (tolerates unclosed children)
+      const tag = match[1].toLowerCase();
+      const index = stack.map(e => e.tag).lastIndexOf(tag);
+      if (index !== -1) stack.length = index;
+      continue;
+    }
+
+    const tag = match[2].toLowerCase();
+    const element = {
+      tag,
+      attrs: {},
+      spread: false,
+      ...position(offset + match.index),
+      nameEnd: offset + match.index + 1 + match[2].length,
+      parent: stack[stack.length - 1] || null
+    };
+    for (const attr of match[3].matchAll(/([^\s=>/"']+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>"']+)))?/g)) {
+      const { name, value, spread } = markupAttribute(attr[1], attr[2] ?? attr[3] ?? attr[4]);
+      if (spread) element.spread = true;
+      else if (!(name in element.attrs)) element.attrs[name] = value;
+    }
+    elements.push(element);
+
+    if (RAW_TEXT_ELEMENTS.has(tag) && !match[4]) {
+      const close = source.toLowerCase().indexOf(`</${tag}`, pattern.lastIndex);
+      pattern.lastIndex = close === -1 ? source.length : close;
+    } else if (!match[4] && !VOID_ELEMENTS.has(tag)) {
+      stack.push(element);
+    }
+  }
+  return elements;
+}
+
+/**
+ * JSX attribute name -> HTML name (className -> class, htmlFor -> for, onClick -> onclick)
+ */
+function jsxAttributeName(name) {
+  if (name === 'className') return 'class';
+  if (name === 'htmlFor') return 'for';
+  return name.toLowerCase();
+}
+
+/**
+ * Host elements of a JSX/TSX module (next/image <Image> counts as <img>, next/document <Html> as <html>)
+ * @returns {Object[]|null} Elements in source order, or null when the module does not parse
+ */
+export function parseJsx(code, file) {
+  let ast;
+  try {
+    ast = parseModule(code, file);
+  } catch (e) {
+    return null;
+  }
+  const constants = moduleConstants(ast.program);
+
+  const aliases = new Map();
+  for (const statement of ast.program.body) {
+    if (statement.type !== 'ImportDeclaration') continue;
+    const target = { 'next/image': 'img', 'next/document': 'html' }[statement.source.value];
+    for (const specifier of statement.specifiers) {
+      if (target === 'img' && specifier.type === 'ImportDefaultSpecifier') aliases.set(specifier.local.name, 'img');
+      if (target === 'html' && specifier.imported?.name === 'Html') aliases.set(specifier.local.name, 'html');
+    }
+  }
+
+  const elements = [];
+  const stack = [];
+  walk(ast.program, (node) => {
+    if (node.type !== 'JSXElement') return;
+    const name = node.openingElement.name;
+    const raw = name.type === 'JSXIdentifier' ? name.name : null;
+    const tag = raw && (/^[a-z]/.test(raw) ? raw : aliases.get(raw));
+    const element = {
+      tag: tag || null,
+      attrs: {},
+      spread: false,
+      line: node.loc.start.line,
+      column: node.loc.start.column + 1,
+      nameEnd: name.end,
+      parent: stack[stack.length - 1] || null
+    };
+    for (const attr of node.openingElement.attributes) {
+      if (attr.type === 'JSXSpreadAttribute') {
+        element.spread = true;
+        continue;
+      }
+      const attrName = attr.name.type === 'JSXIdentifier' ? attr.name.name : `${attr.name.namespace.name}:${attr.name.name.name}`;
+      let value = true;
+      if (attr.value?.type === 'StringLiteral') value = attr.value.value;
+      else if (attr.value?.type === 'JSXExpressionContainer') value = staticValue(attr.value.expression, constants);
+      element.attrs[jsxAttributeName(attrName)] = value;
+    }
+    stack.push(element);
+    // Components are kept on the stack (they can carry background classes) but not reported
+    if (tag) elements.push(element);
+  }, (node) => {
+    if (node.type === 'JSXElement') stack.pop();
+  });
+  return elements;
+}
+
+// ---------------------------------------------------------------------------
+// Colour contrast
+// ---------------------------------------------------------------------------
+
+function hexToRgb(hex) {
+  let value = hex.replace('#', '');
+  if (value.length === 3) value = value.split('').map(c => c + c).join('');
+  if (!/^[0-9a-f]{6}$/i.test(value)) return null;
+  return [0, 2, 4].map(i => parseInt(value.slice(i, i + 2), 16));
+}
+
+function luminance(rgb) {
+  const [r, g, b] = rgb.map(c => {
+    const channel = c / 255;
+    return channel <= 0.03928 ? channel / 12.92 : Math.pow((channel + 0.055) / 1.055, 2.4);
+  });
+  return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+}
+
+/**
+ * WCAG contrast ratio between two hex colours
+ * @returns {number|null} 1..21, or null when a colour is not plain hex
+ */
+export function contrastRatio(foreground, background) {
+  const fg = hexToRgb(foreground);
+  const bg = hexToRgb(background);
+  if (!fg || !bg) return null;
+  const [light, dark] = [luminance(fg), luminance(bg)].sort((a, b) => b - a);
+  return (light + 0.05) / (dark + 0.05);
+}
+
+function cssColor(value) {
+  if (typeof value !== 'string') return null;
+  const trimmed = value.trim().toLowerCase();
+  if (NAMED_COLORS[trimmed]) return NAMED_COLORS[trimmed];
+  return /^#([0-9a-f]{3}|[0-9a-f]{6})$/.test(trimmed) ? trimmed : null;
+}
+
+/**
+ * Literal text/background colours of an element (Tailwind classes without variants, inline style)
+ * @returns {Object|null} { fg, bg, fgLabel, bgLabel, large } or null when class/style are not literal
+ */
+function literalColors(element) {
+  const colors = { fg: null, bg: null, fgLabel: null, bgLabel: null, large: false };
+  const classes = element.attrs.class;
+  if (classes !== undefined && typeof classes !== 'string') return null;
+
+  const tokens = typeof classes === 'string' ? classes.split(/\s+/).filter(t => t && !t.includes(':')) : [];
+  for (const token of tokens) {
+    const match = token.match(/^(text|bg)-(?:\[(#[0-9a-fA-F]{3,6})\]|([a-z]+(?:-\d{2,3})?))$/);
+    if (!match) continue;
+    const hex = match[2] ? cssColor(match[2]) : TAILWIND_COLORS.get(match[3]);
+    if (!hex) continue;
+    if (match[1] === 'text') Object.assign(colors, { fg: hex, fgLabel: token });
+    else Object.assign(colors, { bg: hex, bgLabel: token });
+  }
+  const bold = tokens.some(t => /^font-(bold|extrabold|black)$/.test(t));
+  colors.large = tokens.some(t => /^text-[2-9]xl$/.test(t)) || (bold && tokens.includes('text-xl'));
+
+  const style = element.attrs.style;
+  if (style === DYNAMIC) return null;
+  let declarations = {};
+  if (typeof style === 'string') {
+    for (const part of style.split(';')) {
+      const [prop, ...rest] = part.split(':');
+      if (prop && rest.length) declarations[prop.trim().toLowerCase()] = rest.join(':');
+    }
+  } else if (style && typeof style === 'object') {
+    declarations = { color: style.color, 'background-color': style.backgroundColor, background: style.background };
+  }
+  const fg = cssColor(declarations.color);
+  const bg = cssColor(declarations['background-color']) || cssColor(declarations.background);
+  if (fg) Object.assign(colors, { fg, fgLabel: `color ${fg}` });
+  if (bg) Object.assign(colors, { bg, bgLabel: `background ${bg}` });
+  return colors;
+}
+
+// ---------------------------------------------------------------------------
+// Checks
+// ---------------------------------------------------------------------------
+
+function hasValue(value) {
+  if (typeof value === 'string') return value.trim() !== '';
+  return value !== undefined && value !== null && value !== false;
+}
+
+/**
+ * Suggested alt text from a literal image path (/img/team-photo.jpg -> "Team photo")
+ */
+function altFromSrc(src) {
+  if (typeof src !== 'string') return null;
+  const base = path.basename(src.split(/[?#]/)[0], path.extname(src.split(/[?#]/)[0]));
+  const words = base.replace(/[-_]+/g, ' ').replace(/([a-z])([A-Z])/g, '$1 $2').replace(/\d+$/, '').trim().toLowerCase();
+  if (!words || /^(img|image|photo|pic|picture)$/.test(words)) return null;
+  return words.charAt(0).toUpperCase() + words.slice(1);
+}
+
+/**
+ * Run every check over the elements of one file
+ * @returns {Object} { diagnostics, fixes: [{ offset, text, description }] }
+ */
+function checkElements(elements, file) {
+  const diagnostics = [];
+  const fixes = [];
+  const report = (element, severity, rule, message) => {
+    diagnostics.push({ severity, type: 'a11y', rule, message, file, line: element.line, column: element.column });
+  };
+  const labelled = (element) => hasValue(element.attrs['aria-label']) || hasValue(element.attrs['aria-labelledby']) || hasValue(element.attrs.title);
+
+  // Label targets declared in this file
+  const labelFor = new Set();
+  let dynamicLabelFor = false;
+  for (const element of elements) {
+    if (element.tag !== 'label') continue;
+    if (typeof element.attrs.for === 'string') labelFor.add(element.attrs.for);
+    else if (element.attrs.for === DYNAMIC) dynamicLabelFor = true;
+  }
+
+  let previousHeading = null;
+  for (const element of elements) {
+    const { tag, attrs } = element;
+    const hidden = attrs['aria-hidden'] === 'true' || attrs['aria-hidden'] === true;
+
+    // Images need a text alternative (alt="" marks decorative images)
+    if ((tag === 'img' || tag === 'area' || (tag === 'input' && attrs.type === 'image')) && !element.spread && !hidden &&
+        attrs.alt === undefined && !labelled(element) && attrs.role !== 'presentation' && attrs.role !== 'none') {
+      report(element, 'error', 'img-alt', `<${tag}> without alt text`);
+      const suggestion = altFromSrc(attrs.src);
+      if (suggestion) {
+        fixes.push({ offset: element.nameEnd, text: ` alt="${suggestion}"`, description: `alt="${suggestion}" on line ${element.line} (review the wording, or use alt="" if decorative)` });
+      }
+    }
+
+    // Form controls need an accessible name; placeholder is not one
+    const control = tag === 'select' || tag === 'textarea' || (tag === 'input' && !(typeof attrs.type === 'string' && UNLABELED_INPUT_TYPES.has(attrs.type.toLowerCase())) && attrs.type !== DYNAMIC);
+    if (control && !element.spread && !hidden && !labelled(element)) {
+      let ancestor = element.parent;
+      while (ancestor && ancestor.tag !== 'label') ancestor = ancestor.parent;
+      const id = attrs.id;
+      const byFor = (typeof id === 'string' && labelFor.has(id)) || (id === DYNAMIC && dynamicLabelFor);
+      if (!ancestor && !byFor) {
+        const placeholder = typeof attrs.placeholder === 'string' && attrs.placeholder.trim() ? attrs.placeholder.trim() : null;
+        report(element, 'error', 'form-label', `<${tag}> has no label${placeholder ? ' (a placeholder is not a label)' : ''} - add a <label>, aria-label or aria-labelledby`);
+        if (placeholder) {
+          const label = placeholder.replace(/"/g, "'");
+          fixes.push({ offset: element.nameEnd, text: ` aria-label="${label}"`, description: `aria-label="${label}" on line ${element.line}` });
+        }
+      }
+    }
+
+    // Click handlers on elements a keyboard cannot reach or activate
+    if (attrs.onclick !== undefined && tag && !INTERACTIVE_ELEMENTS.has(tag) && !element.spread && !hidden) {
+      const missing = [];
+      if (!(typeof attrs.role === 'string' && INTERACTIVE_ROLES.has(attrs.role)) && attrs.role !== DYNAMIC) missing.push('interactive role');
+      if (attrs.tabindex === undefined) missing.push('tabIndex');
+      if (attrs.onkeydown === undefined && attrs.onkeyup === undefined && attrs.onkeypress === undefined) missing.push('key handler');
+      if (missing.length > 0) {
+        report(element, 'warning', 'click-events', `<${tag}> has a click handler but is not keyboard accessible (missing ${missing.join(', ')}) - use a <button>`);
+      }
+    }
+
+    // Heading levels should not skip (h2 -> h4)
+    const heading = tag && tag.match(/^h([1-6])$/);
+    if (heading) {
+      const level = Number(heading[1]);
+      if (previousHeading && level > previousHeading + 1) {
+        report(element, 'warning', 'heading-order', `<h${level}> follows <h${previousHeading}> - heading levels should increase by one`);
+      }
+      previousHeading = level;
+    }
+
+    // Document language
+    if (tag === 'html' && !element.spread && !hasValue(attrs.lang)) {
+      report(element, 'error', 'html-lang', '<html> without a lang attribute');
+      fixes.push({ offset: element.nameEnd, text: ' lang="en"', description: `lang="en" on line ${element.line} (set the page language)` });
+    }
+
+    // Literal text/background pairs (background inherited from the nearest literal ancestor)
+    const colors = literalColors(element);
+    if (colors?.fg) {
+      let background = colors.bg ? colors : null;
+      let ancestor = element.parent;
+      while (!background && ancestor) {
+        const inherited = literalColors(ancestor);
+        if (!inherited) break;
+        if (inherited.bg) background = inherited;
+        ancestor = ancestor.parent;
+      }
+      const ratio = background ? contrastRatio(colors.fg, background.bg) : null;
+      const required = colors.large ? 3 : 4.5;
+      if (ratio !== null && ratio < required) {
+        report(element, 'warning', 'color-contrast',
+          `Low contrast ${ratio.toFixed(2)}:1 between ${colors.fgLabel} and ${background.bgLabel} (needs ${required}:1)`);
+      }
+    }
+  }
+  return { diagnostics, fixes };
+}
+
+/**
+ * Elements of a file by type, or null when the file has no markup to check
+ */
+function elementsOf(file, source) {
+  const ext = path.extname(file).toLowerCase();
+  if (ext === '.html' || ext === '.htm') {
+    return parseMarkup(source, 0, lineIndex(source));
+  }
+  if (ext === '.vue') {
+    const open = source.match(/<template(\s[^>]*)?>/);
+    const close = source.lastIndexOf('</template>');
+    if (!open || close === -1) return null;
+    const start = open.index + open[0].length;
+    return parseMarkup(source.slice(start, close), start, lineIndex(source));
+  }
+  if (JSX_EXTENSIONS.includes(ext) && (source.includes('/>') || source.includes('</'))) {
+    return parseJsx(source, file);
+  }
+  return null;
+}
+
+/**
+ * Accessibility audit of a project
+ * @param {string} projectPath
+ * @param {string[]} files - Project-relative paths (from walkFiles)
+ * @returns {Object} { diagnostics: Problem[], changes: Change[] }
+ */
+export function auditAccessibility(projectPath, files) {
+  const diagnostics = [];
+  const changes = [];
+  for (const file of files) {
+    if (!/\.(html?|vue|jsx|tsx|js|mjs)$/i.test(file) || /(^|[\\/])(__tests__|__mocks__)[\\/]|\.(test|spec|stories)\.[jt]sx?$/.test(file)) continue;
+    let source;
+    try {
+      if (fs.statSync(path.join(projectPath, file)).size > MAX_PARSE_BYTES) continue;
+      source = fs.readFileSync(path.join(projectPath, file), 'utf-8');
+    } catch (e) {
+      continue;
+    }
+    const elements = elementsOf(file, source);
+    if (!elements || elements.length === 0) continue;
+
+    const result = checkElements(elements, file);
+    diagnostics.push(...result.diagnostics);
+    if (result.fixes.length === 0) continue;
+
+    // Insert from the end so earlier offsets stay valid
+    let content = source;
+    for (const fix of [...result.fixes].sort((a, b) => b.offset - a.offset)) {
+      content = content.slice(0, fix.offset) + fix.text + content.slice(fix.offset);
+    }
+    changes.push({
+      type: 'update',
+      file,
+      description: `Accessibility fixes: ${result.fixes.map(f => f.description).join('; ')}`,
+      diff: computeDiff(source, content, file).diff,
+      content,
+      originalContent: source
+    });
+  }
+  return { diagnostics, changes };
+}
+
+export default { auditAccessibility, parseMarkup, parseJsx, contrastRatio };
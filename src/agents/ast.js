@@ -0,0 +1,128 @@
+// AST Helpers - Babel parsing, traversal and static evaluation shared by the parse-based agent checks
+import { parse } from '@babel/parser';
+
+/**
+ * Extensions parsed as JavaScript/TypeScript
+ */
+export const JS_TS_EXTENSIONS = ['.js', '.jsx', '.mjs', '.cjs', '.ts', '.tsx', '.mts', '.cts'];
+
+/**
+ * Marker for values only known at runtime (function calls, props, environment)
+ */
+export const DYNAMIC = Symbol('dynamic');
+
+const SKIP_KEYS = new Set(['loc', 'start', 'end', 'extra', 'leadingComments', 'trailingComments', 'innerComments', 'comments', 'tokens']);
+
+/**
+ * Parse a module with the plugins its extension needs
+ * @param {string} code
+ * @param {string} file
+ * @returns {Object} Babel File node
+ */
+export function parseModule(code, file) {
+  const typescript = /\.[cm]?tsx?$/.test(file);
+  const jsx = !typescript || file.endsWith('.tsx');
+  return parse(code, {
+    sourceType: 'unambiguous',
+    errorRecovery: true,
+    allowReturnOutsideFunction: true,
+    allowImportExportEverywhere: true,
+    plugins: [...(typescript ? ['typescript'] : []), ...(jsx ? ['jsx'] : []), 'decorators-legacy']
+  });
+}
+
+/**
+ * Depth-first walk in source order
+ * @param {Object} node
+ * @param {Function} enter - Called before the children
+ * @param {Function} [leave] - Called after the children (for tracking ancestors)
+ */
+export function walk(node, enter, leave) {
+  if (!node || typeof node.type !== 'string') return;
+  enter(node);
+  for (const key of Object.keys(node)) {
+    if (SKIP_KEYS.has(key)) continue;
+    const value = node[key];
+    if (Array.isArray(value)) {
+      for (const child of value) walk(child, enter, leave);
+    } else if (value && typeof value.type === 'string') {
+      walk(value, enter, leave);
+    }
+  }
+  if (leave) leave(node);
+}
+
+/**
+ * Top-level `const name = <expression>` bindings of a module, for staticValue lookups
+ * @param {Object} program - Babel Program node
+ * @returns {Map<string, Object>}
+ */
+export function moduleConstants(program) {
+  const constants = new Map();
+  for (let statement of program.body) {
+    if (statement.type === 'ExportNamedDeclaration' && statement.declaration) statement = statement.declaration;
+    if (statement.type !== 'VariableDeclaration' || statement.kind !== 'const') continue;
+    for (const declarator of statement.declarations) {
+      if (declarator.id.type === 'Identifier' && declarator.init) constants.set(declarator.id.name, declarator.init);
+    }
+  }
+  return constants;
+}
+
+/**
+ * Evaluate literals, objects, arrays, plain template strings and references to module constants
+ * Anything else (calls, props, member access) is DYNAMIC; JSON.stringify(x) and new URL(x) keep x.
+ * @param {Object} node - Expression node
+ * @param {Map<string, Object>} [constants] - From moduleConstants
+ * @returns {*} Plain value, or DYNAMIC (possibly nested inside objects/arrays)
+ */
+export function staticValue(node, constants = new Map(), seen = new Set()) {
+  if (!node) return undefined;
+  switch (node.type) {
+    case 'StringLiteral':
+    case 'NumericLiteral':
+    case 'BooleanLiteral':
+      return node.value;
+    case 'NullLiteral':
+      return null;
+    case 'TemplateLiteral':
+      return node.expressions.length === 0 ? node.quasis.map(q => q.value.cooked).join('') : DYNAMIC;
+    case 'TSAsExpression':
+    case 'TSSatisfiesExpression':
+    case 'TSNonNullExpression':
+    case 'ParenthesizedExpression':
+      return staticValue(node.expression, constants, seen);
+    case 'Identifier': {
+      if (node.name === 'undefined') return undefined;
+      if (!constants.has(node.name) || seen.has(node.name)) return DYNAMIC;
+      return staticValue(constants.get(node.name), constants, new Set([...seen, node.name]));
+    }
+    case 'ArrayExpression':
+      return node.elements.map(element => (element?.type === 'SpreadElement' ? DYNAMIC : staticValue(element, constants, seen)));
+    case 'ObjectExpression': {
+      const object = {};
+      for (const property of node.properties) {
+        if (property.type === 'SpreadElement') {
+          const spread = staticValue(property.argument, constants, seen);
+          if (spread && typeof spread === 'object') Object.assign(object, spread);
+          continue;
+        }
+        if (property.type !== 'ObjectProperty' || property.computed) continue;
+        const key = property.key.type === 'Identifier' ? property.key.name : property.key.value;
+        object[key] = staticValue(property.value, constants, seen);
+      }
+      return object;
+    }
+    case 'CallExpression':
+      if (node.callee.type === 'MemberExpression' && node.callee.object.name === 'JSON' && node.callee.property.name === 'stringify') {
+        return staticValue(node.arguments[0], constants, seen);
+      }
+      return DYNAMIC;
+    case 'NewExpression':
+      return node.callee.name === 'URL' && node.arguments.length === 1 ? staticValue(node.arguments[0], constants, seen) : DYNAMIC;
+    default:
+      return DYNAMIC;
+  }
+}
+
+export default { parseModule, walk, moduleConstants, staticValue, DYNAMIC, JS_TS_EXTENSIONS };
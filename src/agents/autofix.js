@@ -0,0 +1,325 @@
+// Autofix - Mechanical fixes the deterministic agents propose as create/update changes
+import fs from 'fs';
+import path from 'path';
+import { computeDiff, diffFile } from '../file-engine/diff.js';
+import { parseModule, walk, moduleConstants } from './ast.js';
+import { gitignoreMatcher } from './budget.js';
+
+const VIEWPORT_META = '<meta name="viewport" content="width=device-width, initial-scale=1">';
+
+// .gitignore sections per stack, picked by root manifests and the detected language
+// (entries stay under 21 characters: longer high-entropy words trip the proposals' secret scan)
+const GITIGNORE_SECTIONS = [
+  {
+    title: 'Node',
+    detect: (files, language) => files.includes('package.json') || ['javascript', 'typescript'].includes(language),
+    entries: (files, framework) => [
+      'node_modules/',
+      'dist/',
+      'build/',
+      'coverage/',
+      ...(framework === 'nextjs' || files.some(f => f.startsWith('next.config')) ? ['.next/', 'out/', 'next-env.d.ts'] : []),
+      ...(framework === 'nuxt' || files.some(f => f.startsWith('nuxt.config')) ? ['.nuxt/', '.output/'] : []),
+      '.vercel/',
+      'npm-debug.log*',
+      'yarn-debug.log*',
+      'yarn-error.log*'
+    ]
+  },
+  {
+    title: 'Python',
+    detect: (files, language) => ['requirements.txt', 'pyproject.toml', 'setup.py', 'Pipfile'].some(f => files.includes(f)) || language === 'python',
+    entries: () => ['__pycache__/', '*.py[cod]', '.venv/', 'venv/', '.pytest_cache/', '.mypy_cache/', '*.egg-info/', 'dist/', 'build/', '.coverage', 'htmlcov/']
+  },
+  {
+    title: 'Go',
+    detect: (files, language) => files.includes('go.mod') || language === 'go',
+    entries: () => ['bin/', '*.exe', '*.test', '*.out']
+  },
+  {
+    title: 'Rust',
+    detect: (files, language) => files.includes('Cargo.toml') || language === 'rust',
+    entries: () => ['target/']
+  },
+  {
+    title: 'PHP',
+    detect: (files, language) => files.includes('composer.json') || language === 'php',
+    entries: files => ['vendor/', '.phpunit*.cache', ...(files.includes('artisan') ? ['/public/storage', '/storage/*.key', '/public/hot'] : [])]
+  },
+  {
+    title: '.NET',
+    detect: (files, language) => files.some(f => /\.(csproj|sln)$/.test(f)) || language === 'csharp',
+    entries: () => ['bin/', 'obj/', '.vs/', '*.user']
+  }
+];
+
+// Environment files that are meant to be committed
+const ENV_TEMPLATE = /\.(example|sample|template|dist|defaults)$/;
+
+function listRoot(projectPath) {
+  try {
+    return fs.readdirSync(projectPath);
+  } catch (e) {
+    return [];
+  }
+}
+
+function readText(file) {
+  try {
+    return fs.readFileSync(file, 'utf-8');
+  } catch (e) {
+    return null;
+  }
+}
+
+function updateChange(file, originalContent, content, description) {
+  return { type: 'update', file, description, diff: computeDiff(originalContent, content, file).diff, content, originalContent };
+}
+
+/**
+ * .gitignore content for the project's stack(s)
+ * @param {string[]} files - Root entries
+ * @param {Object} [metadata] - { language, framework }
+ * @returns {string}
+ */
+export function gitignoreTemplate(files, { language, framework } = {}) {
+  const seen = new Set();
+  const sections = GITIGNORE_SECTIONS
+    .filter(section => section.detect(files, language))
+    .map(section => ({ title: section.title, entries: section.entries(files, framework).filter(e => !seen.has(e) && seen.add(e)) }));
+  sections.push(
+    { title: 'Environment', entries: ['.env', '.env.local', '.env.*.local'] },
+    { title: 'Editors and OS', entries: ['.idea/', '.vscode/', '.DS_Store', 'Thumbs.db', '*.log'] }
+  );
+  return sections.filter(s => s.entries.length > 0).map(s => `# ${s.title}\n${s.entries.join('\n')}\n`).join('\n');
+}
+
+/**
+ * Create a stack-appropriate .gitignore when the project has none
+ * @param {string} projectPath
+ * @param {Object} [metadata] - { language, framework }
+ * @returns {Object|null} Change
+ */
+export function proposeGitignore(projectPath, metadata = {}) {
+  const files = listRoot(projectPath);
+  if (files.includes('.gitignore')) return null;
+  const content = gitignoreTemplate(files, metadata);
+  return {
+    type: 'create',
+    file: '.gitignore',
+    description: 'Add a .gitignore for dependencies, build output, environment files and editor clutter',
+    diff: diffFile({ type: 'create', file: '.gitignore', content }).diff,
+    content
+  };
+}
+
+/**
+ * Environment files at the root that git would pick up (templates like .env.example are meant to be committed)
+ * @param {string} projectPath
+ * @returns {string[]}
+ */
+export function unignoredEnvFiles(projectPath) {
+  const ignored = gitignoreMatcher(projectPath);
+  return listRoot(projectPath)
+    .filter(f => /^\.env(\.|$)/.test(f) && !ENV_TEMPLATE.test(f))
+    .filter(f => fs.statSync(path.join(projectPath, f)).isFile() && !ignored(f, false))
+    .sort();
+}
+
+/**
+ * Ignore the root environment files: append them to .gitignore, or create one for the stack
+ * @param {string} projectPath
+ * @param {Object} [metadata] - { language, framework }
+ * @returns {Object|null} Change
+ */
+export function proposeEnvIgnore(projectPath, metadata = {}) {
+  const envFiles = unignoredEnvFiles(projectPath);
+  if (envFiles.length === 0) return null;
+
+  const created = proposeGitignore(projectPath, metadata);
+  const note = ' - if they were already committed, also run `git rm --cached` on them';
+  if (created) {
+    const content = created.content.replace('.env.*.local\n', ['.env.*.local', ...envFiles.filter(f => !/^\.env(\.local|\..*\.local)?$/.test(f))].join('\n') + '\n');
+    return { ...created, description: `Add a .gitignore that keeps ${envFiles.join(', ')} out of git${note}`, diff: diffFile({ type: 'create', file: '.gitignore', content }).diff, content };
+  }
+
+  const originalContent = readText(path.join(projectPath, '.gitignore')) ?? '';
+  const separator = originalContent === '' || originalContent.endsWith('\n\n') ? '' : originalContent.endsWith('\n') ? '\n' : '\n\n';
+  const content = `${originalContent}${separator}# Environment\n${envFiles.join('\n')}\n`;
+  return updateChange('.gitignore', originalContent, content, `Ignore ${envFiles.join(', ')} in .gitignore${note}`);
+}
+
+/**
+ * Add the responsive viewport meta tag to an HTML document's <head>
+ * @param {string} projectPath
+ * @param {string} file - Relative path
+ * @returns {Object|null} Change
+ */
+export function proposeViewportMeta(projectPath, file) {
+  const originalContent = readText(path.join(projectPath, file));
+  if (originalContent === null || /<meta\b[^>]*\bname\s*=\s*["']?viewport\b/i.test(originalContent)) return null;
+
+  // After <meta charset> when it is there (it must stay first), otherwise right after <head>
+  const anchor = /<meta\b[^>]*\bcharset\b[^>]*>/i.exec(originalContent) || /<head\b[^>]*>/i.exec(originalContent);
+  if (!anchor) return null;
+
+  const at = anchor.index + anchor[0].length;
+  const lineStart = originalContent.lastIndexOf('\n', anchor.index) + 1;
+  const anchorIndent = /^[ \t]*/.exec(originalContent.slice(lineStart))[0];
+  const nextLine = /^\r?\n([ \t]*)\S/.exec(originalContent.slice(at));
+  const indent = anchor[0].toLowerCase().startsWith('<head') ? nextLine?.[1] ?? `${anchorIndent}  ` : anchorIndent;
+  const content = `${originalContent.slice(0, at)}\n${indent}${VIEWPORT_META}${originalContent.slice(at)}`;
+  return updateChange(file, originalContent, content, `Add the viewport meta tag to ${file} so mobile browsers render at device width`);
+}
+
+// Unwrap `satisfies`/`as` and wrapper calls (withBundleAnalyzer(config)) down to the config object
+function configObject(node, constants, seen = new Set()) {
+  if (!node) return null;
+  if (node.type === 'ObjectExpression') return node;
+  if (node.type === 'TSSatisfiesExpression' || node.type === 'TSAsExpression') return configObject(node.expression, constants, seen);
+  if (node.type === 'Identifier' && constants.has(node.name) && !seen.has(node.name)) {
+    seen.add(node.name);
+    return configObject(constants.get(node.name), constants, seen);
+  }
+  if (node.type === 'CallExpression') {
+    for (const arg of node.arguments) {
+      const found = configObject(arg, constants, seen);
+      if (found) return found;
+    }
+  }
+  return null;
+}
+
+/**
+ * Turn on reactStrictMode in a Next.js config that exports a literal object
+ * @param {string} projectPath
+ * @param {string} file - next.config.js / .mjs / .ts
+ * @returns {Object|null} Change
+ */
+export function proposeStrictMode(projectPath, file) {
+  const originalContent = readText(path.join(projectPath, file));
+  if (originalContent === null || originalContent.includes('reactStrictMode')) return null;
+
+  let ast;
+  try {
+    ast = parseModule(originalContent, file);
+  } catch (e) {
+    return null;
+  }
+
+  const constants = moduleConstants(ast.program);
+  let exported = null;
+  walk(ast.program, node => {
+    if (exported) return;
+    if (node.type === 'ExportDefaultDeclaration') exported = node.declaration;
+    if (node.type === 'AssignmentExpression' && node.left.type === 'MemberExpression' &&
+        node.left.object.name === 'module' && node.left.property.name === 'exports') {
+      exported = node.right;
+    }
+  });
+
+  const config = configObject(exported, constants);
+  if (!config) return null;
+
+  let content;
+  const [first] = config.properties;
+  if (first) {
+    const lineStart = originalContent.lastIndexOf('\n', first.start) + 1;
+    const indent = originalContent.slice(lineStart, first.start);
+    const separator = /^[ \t]*$/.test(indent) ? `\n${indent}` : ' ';
+    content = `${originalContent.slice(0, first.start)}reactStrictMode: true,${separator}${originalContent.slice(first.start)}`;
+  } else {
+    content = `${originalContent.slice(0, config.start)}{\n  reactStrictMode: true\n}${originalContent.slice(config.end)}`;
+  }
+  return updateChange(file, originalContent, content, `Enable reactStrictMode in ${file} to surface unsafe lifecycles and side effects in development`);
+}
+
+// Arguments whose evaluation has no side effects, so dropping the call changes nothing but the output
+function isPure(node) {
+  if (!node) return true;
+  switch (node.type) {
+    case 'Identifier':
+    case 'ThisExpression':
+    case 'StringLiteral':
+    case 'NumericLiteral':
+    case 'BooleanLiteral':
+    case 'NullLiteral':
+    case 'BigIntLiteral':
+      return true;
+    case 'TemplateLiteral':
+      return node.expressions.every(isPure);
+    case 'MemberExpression':
+    case 'OptionalMemberExpression':
+      return isPure(node.object) && (!node.computed || isPure(node.property));
+    case 'BinaryExpression':
+    case 'LogicalExpression':
+      return isPure(node.left) && isPure(node.right);
+    case 'UnaryExpression':
+      return node.operator !== 'delete' && isPure(node.argument);
+    case 'ConditionalExpression':
+      return isPure(node.test) && isPure(node.consequent) && isPure(node.alternate);
+    case 'ArrayExpression':
+      return node.elements.every(isPure);
+    case 'ObjectExpression':
+      return node.properties.every(p => p.type === 'SpreadElement' ? isPure(p.argument) : (!p.computed || isPure(p.key)) && isPure(p.value));
+    case 'SpreadElement':
+      return isPure(node.argument);
+    default:
+      return false;
+  }
+}
+
+/**
+ * Remove stray console.log statements that sit on their own lines
+ * CLI entry points and scripts are left alone: there console.log is the output.
+ * @param {string} file - Relative path
+ * @param {string} originalContent
+ * @returns {Object|null} Change
+ */
+export function proposeConsoleLogRemoval(file, originalContent) {
+  if (originalContent.startsWith('#!') || /(^|[\\/])(bin|scripts?|cli)[\\/]|cli\.[cm]?[jt]sx?$|\.config\.[cm]?[jt]s$/.test(file)) return null;
+  if (!originalContent.includes('console.log')) return null;
+
+  let ast;
+  try {
+    ast = parseModule(originalContent, file);
+  } catch (e) {
+    return null;
+  }
+
+  // Only statements in a statement list can go (not `if (x) console.log(x);`)
+  const listed = new Set();
+  const removable = [];
+  walk(ast.program, node => {
+    for (const key of ['body', 'consequent']) {
+      if (Array.isArray(node[key])) node[key].forEach(child => listed.add(child));
+    }
+    if (node.type !== 'ExpressionStatement' || !listed.has(node)) return;
+    const call = node.expression;
+    if (call.type !== 'CallExpression' || call.callee.type !== 'MemberExpression' || call.callee.computed ||
+        call.callee.object.name !== 'console' || call.callee.property.name !== 'log' || !call.arguments.every(isPure)) return;
+
+    const lineStart = originalContent.lastIndexOf('\n', node.start - 1) + 1;
+    const lineEnd = originalContent.indexOf('\n', node.end);
+    const after = originalContent.slice(node.end, lineEnd === -1 ? originalContent.length : lineEnd);
+    if (/^[ \t]*$/.test(originalContent.slice(lineStart, node.start)) && /^[ \t;]*\r?$/.test(after)) {
+      removable.push({ from: lineStart, to: lineEnd === -1 ? originalContent.length : lineEnd + 1, line: node.loc.start.line });
+    }
+  });
+  if (removable.length === 0) return null;
+
+  let content = originalContent;
+  for (const { from, to } of [...removable].reverse()) content = content.slice(0, from) + content.slice(to);
+  const lines = removable.map(r => r.line);
+  return updateChange(file, originalContent, content, `Remove ${lines.length} console.log statement(s) from ${file} (line${lines.length > 1 ? 's' : ''} ${lines.join(', ')})`);
+}
+
+export default {
+  gitignoreTemplate,
+  proposeGitignore,
+  unignoredEnvFiles,
+  proposeEnvIgnore,
+  proposeViewportMeta,
+  proposeStrictMode,
+  proposeConsoleLogRemoval
+};
@@ -1,6 +1,9 @@
 // Backend Agent - API, routes, controllers
 import fs from 'fs';
 import path from 'path';
+import { walkFiles, budgetDiagnostic, DEFAULT_MAX_FILES } from './budget.js';
+import { auditRoutes } from './routes.js';
+import { proposeGitignore } from './autofix.js';
 
 /**
  * Supported languages for backend
@@ -66,6 +69,7 @@ export async function run(context) {
       success: false,
       diagnostics: [{
         severity: 'error',
+        type: 'invalid-context',
         message: `Invalid context: ${validation.error}`,
         file: '',
         line: 0
@@ -87,6 +91,7 @@ export async function run(context) {
       success: false,
       diagnostics: [{
         severity: 'warning',
+        type: 'unsupported-language',
         message: `Backend agent does not support language: ${language || 'unknown'}`,
         file: '',
         line: 0
@@ -104,8 +109,23 @@ export async function run(context) {
   const commonIssues = analyzeCommonBackend(projectPath, language);
   diagnostics.push(...commonIssues);
   
+  // Missing .gitignore: propose one for the stack
+  const gitignore = proposeGitignore(projectPath, metadata);
+  if (gitignore) changes.push(gitignore);
+  
+  // Route inventory and draft OpenAPI spec, within the orchestrator's file budget
+  const maxFiles = context.budget?.maxFiles ?? DEFAULT_MAX_FILES;
+  const { files, truncated } = walkFiles(projectPath, { maxFiles, signal: context.signal });
+  const inventory = auditRoutes(projectPath, files);
+  diagnostics.push(...inventory.diagnostics);
+  changes.push(...inventory.changes);
+  
   const summary = `Backend analysis complete. Found ${diagnostics.length} issues for ${language}/${framework || 'no-framework'} project.`;
   
+  if (truncated) {
+    diagnostics.push(budgetDiagnostic('Backend', maxFiles));
+  }
+  
   return {
     success: true,
     diagnostics,
@@ -133,6 +153,7 @@ function analyzeAPI(projectPath, language, framework) {
       if (!hasRoutes) {
         diagnostics.push({
           severity: 'info',
+          type: 'project-structure',
           message: 'No routes directory found - consider organizing routes',
           file: '',
           line: 0
@@ -142,6 +163,7 @@ function analyzeAPI(projectPath, language, framework) {
       if (!hasControllers && !hasServices) {
         diagnostics.push({
           severity: 'info',
+          type: 'project-structure',
           message: 'No controllers or services found',
           file: '',
           line: 0
@@ -155,6 +177,7 @@ function analyzeAPI(projectPath, language, framework) {
       if (!hasRoutes) {
         diagnostics.push({
           severity: 'info',
+          type: 'project-structure',
           message: 'No routes found (check for @app.routes or urls.py)',
           file: '',
           line: 0
@@ -168,6 +191,7 @@ function analyzeAPI(projectPath, language, framework) {
     if (!hasHandlers) {
       diagnostics.push({
         severity: 'info',
+        type: 'project-structure',
         message: 'No handlers found - consider organizing HTTP handlers',
         file: '',
         line: 0
@@ -190,6 +214,7 @@ function analyzeCommonBackend(projectPath, language) {
   if (!hasEnvFile) {
     diagnostics.push({
       severity: 'warning',
+      type: 'missing-env-example',
       message: 'No .env or .env.example found - consider adding for configuration',
       file: '.env',
       line: 0
@@ -200,6 +225,7 @@ function analyzeCommonBackend(projectPath, language) {
   if (!files.includes('.gitignore')) {
     diagnostics.push({
       severity: 'warning',
+      type: 'missing-gitignore',
       message: 'No .gitignore found',
       file: '.gitignore',
       line: 0
@@ -211,6 +237,7 @@ function analyzeCommonBackend(projectPath, language) {
   if (!hasReadme) {
     diagnostics.push({
       severity: 'info',
+      type: 'missing-readme',
       message: 'No README found - consider adding API documentation',
       file: 'README.md',
       line: 0
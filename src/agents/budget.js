@@ -0,0 +1,163 @@
+// Agent Budget - Bounded project walking so a large tree can't stall an agent
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Default file-count budget per agent run (orchestrator passes context.budget.maxFiles)
+ */
+export const DEFAULT_MAX_FILES = 500;
+
+// Directories no agent needs to look into
+const SKIP_DIRS = new Set(['node_modules', '.git', 'dist', 'build', 'coverage', '.next', '.nuxt', '.ai-core-snapshots']);
+
+/**
+ * Walk a project breadth-first, stopping once the file budget is spent or the signal aborts
+ * @param {string} root - Project path
+ * @param {Object} [options]
+ * @param {number} [options.maxFiles] - File-count budget
+ * @param {AbortSignal} [options.signal] - Agent signal (aborted on timeout)
+ * @param {function(string): boolean} [options.filter] - Keep only matching relative paths (still counts visited files)
+ * @param {function(string, boolean): boolean} [options.skip] - Prune matching paths (relPath, isDir) without counting them
+ * @returns {Object} { files: string[] (relative to root), visited, truncated }
+ */
+export function walkFiles(root, { maxFiles = DEFAULT_MAX_FILES, signal, filter, skip } = {}) {
+  const files = [];
+  const queue = [''];
+  let visited = 0;
+  let truncated = false;
+
+  while (queue.length > 0) {
+    if (signal?.aborted || visited >= maxFiles) {
+      truncated = true;
+      break;
+    }
+
+    const dir = queue.shift();
+    let entries;
+    try {
+      entries = fs.readdirSync(path.join(root, dir), { withFileTypes: true });
+    } catch (e) {
+      continue;
+    }
+
+    for (const entry of entries) {
+      const relPath = dir ? path.join(dir, entry.name) : entry.name;
+      if (entry.isDirectory()) {
+        if (!SKIP_DIRS.has(entry.name) && !skip?.(relPath, true)) queue.push(relPath);
+      } else if (entry.isFile()) {
+        if (skip?.(relPath, false)) continue;
+        if (visited >= maxFiles) {
+          truncated = true;
+          break;
+        }
+        visited++;
+        if (!filter || filter(relPath)) files.push(relPath);
+      }
+    }
+  }
+
+  return { files, visited, truncated };
+}
+
+/**
+ * Compile one .gitignore pattern to a regex over paths relative to the .gitignore's directory
+ * @param {string} line
+ * @returns {Object|null} { regex, negate, dirOnly }, or null for blanks and comments
+ */
+function compileIgnorePattern(line) {
+  let pattern = line.replace(/(?<!\\)\s+$/, '');
+  if (!pattern || pattern.startsWith('#')) return null;
+
+  const negate = pattern.startsWith('!');
+  if (negate) pattern = pattern.slice(1);
+  pattern = pattern.replace(/^\\([#!])/, '$1');
+  const dirOnly = pattern.endsWith('/');
+  if (dirOnly) pattern = pattern.slice(0, -1);
+  // A slash anywhere but the end anchors the pattern to the .gitignore's directory
+  const anchored = pattern.includes('/');
+  pattern = pattern.replace(/^\//, '');
+  if (!pattern) return null;
+
+  let source = '';
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (pattern.startsWith('**/', i)) {
+      source += '(?:.*/)?';
+      i += 2;
+    } else if (pattern.startsWith('/**', i) && i + 3 === pattern.length) {
+      source += '/.*';
+      i += 2;
+    } else if (char === '*') {
+      source += pattern[i + 1] === '*' ? '.*' : '[^/]*';
+      if (pattern[i + 1] === '*') i++;
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '[' && pattern.indexOf(']', i + 2) !== -1) {
+      const end = pattern.indexOf(']', i + 2);
+      source += '[' + pattern.slice(i + 1, end).replace(/^!/, '^').replace(/\\/g, '\\\\') + ']';
+      i = end;
+    } else if (char === '\\' && i + 1 < pattern.length) {
+      source += pattern[++i].replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+    } else {
+      source += char.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+    }
+  }
+
+  return { regex: new RegExp(`^${anchored ? '' : '(?:.*/)?'}${source}$`), negate, dirOnly };
+}
+
+/**
+ * Matcher for the project's .gitignore files (root and nested), for walkFiles' `skip` option
+ * Rules are read lazily per directory; deeper files and later lines win, `!` re-includes.
+ * @param {string} root - Project path
+ * @returns {function(string, boolean): boolean} (relPath, isDir) => ignored
+ */
+export function gitignoreMatcher(root) {
+  const rulesByDir = new Map();
+
+  const rulesFor = dir => {
+    if (!rulesByDir.has(dir)) {
+      let rules = [];
+      try {
+        rules = fs.readFileSync(path.join(root, dir, '.gitignore'), 'utf-8')
+          .split(/\r?\n/)
+          .map(compileIgnorePattern)
+          .filter(Boolean);
+      } catch (e) {
+        // No .gitignore in this directory
+      }
+      rulesByDir.set(dir, rules);
+    }
+    return rulesByDir.get(dir);
+  };
+
+  return (relPath, isDir) => {
+    const parts = relPath.split(path.sep);
+    let ignored = false;
+    for (let depth = 0; depth < parts.length; depth++) {
+      const rest = parts.slice(depth).join('/');
+      for (const rule of rulesFor(parts.slice(0, depth).join(path.sep))) {
+        if ((!rule.dirOnly || isDir) && rule.regex.test(rest)) ignored = !rule.negate;
+      }
+    }
+    return ignored;
+  };
+}
+
+/**
+ * Info diagnostic for an agent whose walk hit the budget
+ * @param {string} agentId
+ * @param {number} maxFiles
+ * @returns {Object} Problem
+ */
+export function budgetDiagnostic(agentId, maxFiles) {
+  return {
+    severity: 'info',
+    type: 'budget',
+    message: `${agentId} agent stopped after ${maxFiles} files (file budget) - results are partial`,
+    file: '',
+    line: 0
+  };
+}
+
+export default { walkFiles, gitignoreMatcher, budgetDiagnostic, DEFAULT_MAX_FILES };
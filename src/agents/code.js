@@ -1,6 +1,9 @@
 // Code Agent - Analyzes and proposes code improvements
 import fs from 'fs';
 import path from 'path';
+import { walkFiles, gitignoreMatcher, budgetDiagnostic, DEFAULT_MAX_FILES } from './budget.js';
+import { loadThresholds, readSources, analyzeMetrics } from './metrics.js';
+import { proposeGitignore, proposeConsoleLogRemoval } from './autofix.js';
 
 /**
  * Check if language is supported
@@ -30,6 +33,7 @@ export async function run(context) {
       success: false,
       diagnostics: [{
         severity: 'warning',
+        type: 'unsupported-language',
         message: `Code agent does not support language: ${language}`,
         file: '',
         line: 0
@@ -40,15 +44,22 @@ export async function run(context) {
   }
   
   // Analyze based on project type
-  const fileDiagnostics = analyzeCodeFiles(projectPath, language);
-  diagnostics.push(...fileDiagnostics);
+  const fileAnalysis = analyzeCodeFiles(projectPath, language, context);
+  diagnostics.push(...fileAnalysis.diagnostics);
+  changes.push(...fileAnalysis.changes);
   
   // Check for common issues
   const commonDiagnostics = analyzeCommonIssues(projectPath, language);
   diagnostics.push(...commonDiagnostics);
   
+  // Missing .gitignore: propose one for the stack
+  const gitignore = proposeGitignore(projectPath, metadata);
+  if (gitignore) changes.push(gitignore);
+  
   // Generate summary
-  const summary = `Code analysis complete. Found ${diagnostics.length} issues for ${language}/${framework || 'no-framework'} project.`;
+  const hotspots = diagnostics.find(d => d.type === 'hotspots')?.hotspots || [];
+  const summary = `Code analysis complete. Found ${diagnostics.length} issues for ${language}/${framework || 'no-framework'} project.` +
+    (hotspots.length > 0 ? ` Top hotspot: ${hotspots[0].file}.` : '');
   
   return {
     success: true,
@@ -59,74 +70,76 @@ export async function run(context) {
 }
 
 /**
- * Analyze code files based on language
+ * Analyze code files based on language: line checks plus complexity, nesting, length and duplication metrics
+ * Walks the whole project (minus .gitignore) within the file budget and the size budget from the thresholds.
  * @param {string} projectPath 
  * @param {string} language 
- * @returns {Array}
+ * @param {Object} [context] - Agent context (budget, signal)
+ * @returns {Object} { diagnostics, changes } - changes remove stray console.log statements
  */
-function analyzeCodeFiles(projectPath, language) {
+function analyzeCodeFiles(projectPath, language, context = {}) {
   const diagnostics = [];
+  const changes = [];
   
   try {
-    const files = fs.readdirSync(projectPath, { recursive: true });
-    
     // Get extensions for the language
     const extensions = getExtensionsForLanguage(language);
     
-    const codeFiles = files.filter(f => {
-      if (typeof f !== 'string') return false;
-      const ext = path.extname(f);
-      return extensions.includes(ext);
+    // Walk within the orchestrator's file budget
+    const maxFiles = context.budget?.maxFiles ?? DEFAULT_MAX_FILES;
+    const { files: codeFiles, truncated } = walkFiles(projectPath, {
+      maxFiles,
+      signal: context.signal,
+      skip: gitignoreMatcher(projectPath),
+      filter: f => extensions.includes(path.extname(f))
     });
     
+    if (truncated) {
+      diagnostics.push(budgetDiagnostic('Code', maxFiles));
+    }
+    
     // Check file count
     if (codeFiles.length === 0) {
       diagnostics.push({
         severity: 'info',
+        type: 'no-files',
         message: `No ${language} code files found`,
         file: '',
         line: 0
       });
-      return diagnostics;
+      return { diagnostics, changes };
     }
     
-    // Analyze up to 20 files for performance
-    const filesToAnalyze = codeFiles.slice(0, 20);
+    // Read within the size budget
+    const thresholds = loadThresholds(projectPath);
+    const { sources, diagnostics: readDiagnostics } = readSources(projectPath, codeFiles, thresholds);
+    diagnostics.push(...readDiagnostics);
     
-    for (const file of filesToAnalyze) {
-      try {
-        const fullPath = path.join(projectPath, file);
-        if (!fs.statSync(fullPath).isFile()) continue;
-        
-        const content = fs.readFileSync(fullPath, 'utf-8');
-        
-        // Check for common issues
-        analyzeFileContent(content, file, diagnostics);
-        
-      } catch (e) {
-        // Skip files we can't read
+    for (const { file, content } of sources) {
+      // Check for common issues
+      analyzeFileContent(content, file, diagnostics);
+      
+      if (/\.[jt]sx?$/.test(file)) {
+        const cleanup = proposeConsoleLogRemoval(file, content);
+        if (cleanup) changes.push(cleanup);
       }
     }
     
-    if (codeFiles.length > 20) {
-      diagnostics.push({
-        severity: 'info',
-        message: `Analyzed 20 of ${codeFiles.length} files`,
-        file: '',
-        line: 0
-      });
-    }
+    // Complexity, nesting, file length, duplication and the hotspot ranking
+    const metrics = analyzeMetrics(sources, thresholds, { signal: context.signal });
+    diagnostics.push(...metrics.diagnostics);
     
   } catch (e) {
     diagnostics.push({
       severity: 'error',
+      type: 'analysis-error',
       message: `Failed to analyze code files: ${e.message}`,
       file: '',
       line: 0
     });
   }
   
-  return diagnostics;
+  return { diagnostics, changes };
 }
 
 /**
@@ -161,6 +174,7 @@ function analyzeFileContent(content, file, diagnostics) {
       if (line.includes('console.log') && !line.includes('//')) {
         diagnostics.push({
           severity: 'info',
+          type: 'console-log',
           message: 'Consider removing console.log statement',
           file,
           line: index + 1
@@ -174,6 +188,7 @@ function analyzeFileContent(content, file, diagnostics) {
     if (line.includes('TODO') || line.includes('FIXME')) {
       diagnostics.push({
         severity: 'info',
+        type: 'todo-comment',
         message: `Found ${line.includes('TODO') ? 'TODO' : 'FIXME'} comment`,
         file,
         line: index + 1
@@ -186,6 +201,7 @@ function analyzeFileContent(content, file, diagnostics) {
     if (line.includes('catch') && lines[index + 1]?.trim() === '}') {
       diagnostics.push({
         severity: 'warning',
+        type: 'empty-catch',
         message: 'Empty catch block - errors are silently ignored',
         file,
         line: index + 1
@@ -208,6 +224,7 @@ function analyzeCommonIssues(projectPath, language) {
   if (!files.includes('.gitignore')) {
     diagnostics.push({
       severity: 'info',
+      type: 'missing-gitignore',
       message: 'No .gitignore file found - consider adding one',
       file: '.gitignore',
       line: 0
@@ -219,6 +236,7 @@ function analyzeCommonIssues(projectPath, language) {
     if (!files.includes('package.json')) {
       diagnostics.push({
         severity: 'warning',
+        type: 'missing-manifest',
         message: 'No package.json found',
         file: 'package.json',
         line: 0
@@ -230,6 +248,7 @@ function analyzeCommonIssues(projectPath, language) {
     if (!files.includes('requirements.txt') && !files.includes('pyproject.toml')) {
       diagnostics.push({
         severity: 'warning',
+        type: 'missing-manifest',
         message: 'No dependency file found (requirements.txt or pyproject.toml)',
         file: '',
         line: 0
@@ -241,6 +260,7 @@ function analyzeCommonIssues(projectPath, language) {
     if (!files.includes('go.mod')) {
       diagnostics.push({
         severity: 'warning',
+        type: 'missing-manifest',
         message: 'No go.mod found - run go mod init',
         file: 'go.mod',
         line: 0
@@ -0,0 +1,581 @@
+// Coverage Analysis - Coverage report ingestion, gap ranking by size and churn, test scaffolds (test agent)
+import fs from 'fs';
+import path from 'path';
+import { execFileSync } from 'child_process';
+import { parseModule, JS_TS_EXTENSIONS } from './ast.js';
+import { diffFile } from '../file-engine/diff.js';
+
+const MAX_REPORT_BYTES = 64 * 1024 * 1024;
+
+// walkFiles skips coverage/, so the usual report locations are probed directly
+const REPORT_CANDIDATES = [
+  'coverage/lcov.info',
+  'lcov.info',
+  'coverage/coverage-final.json',
+  'coverage-final.json',
+  'coverage/cobertura-coverage.xml',
+  'coverage/coverage.xml',
+  'coverage.xml',
+  'cobertura.xml',
+  'coverage.json',
+  'coverage/coverage.json'
+];
+const REPORT_NAMES = /^(lcov\.info|coverage-final\.json|cobertura(-coverage)?\.xml|coverage\.cobertura\.xml|coverage\.xml|coverage\.json)$/;
+
+// Files below this line coverage are gaps; below the warning threshold they are warnings
+const GAP_THRESHOLD = 80;
+const WARNING_THRESHOLD = 50;
+const MAX_GAPS = 10;
+const MAX_SCAFFOLDS = 3;
+
+const TEST_FILE = /(\.test\.|\.spec\.|__tests__|(^|\/)tests?\/|_test\.(go|py)$|(^|\/)test_[^/]*\.py$|Test\.php$)/;
+
+// ---------------------------------------------------------------------------
+// Report parsers: each returns [{ path, lines: Map<line, hits>, functions: [{ name, line, hits }] }]
+// ---------------------------------------------------------------------------
+
+/**
+ * Parse an LCOV tracefile (lcov.info)
+ * @param {string} text
+ * @returns {Object[]}
+ */
+export function parseLcov(text) {
+  const records = [];
+  let current = null;
+  for (const raw of text.split('\n')) {
+    const line = raw.trim();
+    const colon = line.indexOf(':');
+    const tag = colon === -1 ? line : line.slice(0, colon);
+    const parts = line.slice(colon + 1).split(',');
+    if (tag === 'SF') {
+      current = { path: line.slice(3), lines: new Map(), functions: new Map() };
+    } else if (!current) {
+      continue;
+    } else if (tag === 'FN') {
+      // FN:<line>,<name> (lcov 1.x) or FN:<start>,<end>,<name> (lcov 2.x)
+      const named = parts.length >= 3 && /^\d+$/.test(parts[1]) ? parts.slice(2) : parts.slice(1);
+      const name = named.join(',');
+      current.functions.set(name, { name, line: Number(parts[0]), hits: current.functions.get(name)?.hits ?? 0 });
+    } else if (tag === 'FNDA') {
+      const name = parts.slice(1).join(',');
+      const fn = current.functions.get(name) || { name, line: 0, hits: 0 };
+      fn.hits = Number(parts[0]) || 0;
+      current.functions.set(name, fn);
+    } else if (tag === 'DA') {
+      const lineNumber = Number(parts[0]);
+      current.lines.set(lineNumber, Math.max(current.lines.get(lineNumber) ?? 0, Number(parts[1]) || 0));
+    } else if (tag === 'end_of_record') {
+      records.push({ ...current, functions: [...current.functions.values()] });
+      current = null;
+    }
+  }
+  return records;
+}
+
+/**
+ * Parse an Istanbul/nyc JSON report (coverage-final.json)
+ * @param {Object} json
+ * @returns {Object[]}
+ */
+export function parseIstanbul(json) {
+  return Object.entries(json).map(([key, entry]) => {
+    const lines = new Map();
+    for (const [id, location] of Object.entries(entry.statementMap || {})) {
+      const lineNumber = location.start.line;
+      lines.set(lineNumber, Math.max(lines.get(lineNumber) ?? 0, entry.s?.[id] ?? 0));
+    }
+    const functions = Object.entries(entry.fnMap || {}).map(([id, fn]) => ({
+      name: fn.name,
+      line: (fn.decl || fn.loc).start.line,
+      hits: entry.f?.[id] ?? 0
+    }));
+    return { path: entry.path || key, lines, functions };
+  });
+}
+
+function xmlAttribute(text, name) {
+  const value = text.match(new RegExp(`\\b${name}="([^"]*)"`))?.[1];
+  return value?.replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&apos;/g, "'").replace(/&amp;/g, '&');
+}
+
+function xmlLines(text) {
+  const lines = new Map();
+  for (const match of text.matchAll(/<line\b([^>]*?)\/?>/g)) {
+    const lineNumber = Number(xmlAttribute(match[1], 'number'));
+    const hits = Number(xmlAttribute(match[1], 'hits')) || 0;
+    if (lineNumber) lines.set(lineNumber, Math.max(lines.get(lineNumber) ?? 0, hits));
+  }
+  return lines;
+}
+
+/**
+ * Parse a Cobertura XML report (coverage.py, coverlet, gocover-cobertura, istanbul cobertura)
+ * @param {string} xml
+ * @returns {Object[]} Records, plus `sources` (the report's <source> roots)
+ */
+export function parseCobertura(xml) {
+  const records = new Map();
+  for (const match of xml.matchAll(/<class\b([^>]*)>([\s\S]*?)<\/class>/g)) {
+    const file = xmlAttribute(match[1], 'filename');
+    if (!file) continue;
+    const record = records.get(file) || { path: file, lines: new Map(), functions: [] };
+    for (const method of match[2].matchAll(/<method\b([^>]*)>([\s\S]*?)<\/method>/g)) {
+      const lines = xmlLines(method[2]);
+      if (lines.size === 0) continue;
+      const className = xmlAttribute(match[1], 'name')?.split(/[./]/).pop();
+      const name = xmlAttribute(method[1], 'name');
+      record.functions.push({
+        name: className && !/\.py$/.test(file) && name !== className ? `${className}.${name}` : name,
+        line: Math.min(...lines.keys()),
+        hits: Math.max(...lines.values())
+      });
+    }
+    const classLines = xmlLines(match[2].replace(/<methods>[\s\S]*?<\/methods>/, ''));
+    for (const [lineNumber, hits] of classLines) record.lines.set(lineNumber, Math.max(record.lines.get(lineNumber) ?? 0, hits));
+    records.set(file, record);
+  }
+  const result = [...records.values()];
+  result.sources = [...xml.matchAll(/<source>([^<]*)<\/source>/g)].map(m => m[1].trim()).filter(Boolean);
+  return result;
+}
+
+/**
+ * Parse a coverage.py JSON export (`coverage json`)
+ * @param {Object} json
+ * @returns {Object[]}
+ */
+export function parseCoveragePy(json) {
+  return Object.entries(json.files || {}).map(([file, entry]) => {
+    const lines = new Map();
+    for (const lineNumber of entry.executed_lines || []) lines.set(lineNumber, 1);
+    for (const lineNumber of entry.missing_lines || []) lines.set(lineNumber, 0);
+    // coverage.py >= 7.5 reports function regions; "" is the module body
+    const functions = Object.entries(entry.functions || {})
+      .filter(([name]) => name)
+      .map(([name, fn]) => ({
+        name,
+        line: Math.min(...(fn.executed_lines || []), ...(fn.missing_lines || []), Infinity),
+        hits: (fn.executed_lines || []).length
+      }))
+      .filter(fn => fn.line !== Infinity);
+    return { path: file, lines, functions };
+  });
+}
+
+/**
+ * Parse a report by its content
+ * @param {string} file - Report path (for error messages)
+ * @param {string} text
+ * @returns {Object[]|null} Records, or null when the file is not a coverage report
+ */
+export function parseReport(file, text) {
+  const trimmed = text.trimStart();
+  if (/^(TN|SF):/m.test(trimmed) && /end_of_record/.test(trimmed)) return parseLcov(text);
+  if (trimmed.startsWith('<')) return /<coverage\b/.test(trimmed) ? parseCobertura(text) : null;
+  if (!trimmed.startsWith('{')) return null;
+  let json;
+  try {
+    json = JSON.parse(text);
+  } catch (e) {
+    console.warn(`[Coverage] Invalid JSON in ${file}: ${e.message}`);
+    return null;
+  }
+  if (json.meta && json.files) return parseCoveragePy(json);
+  const first = Object.values(json)[0];
+  return first && first.statementMap ? parseIstanbul(json) : null;
+}
+
+/**
+ * Coverage reports present in a project
+ * @param {string} projectPath
+ * @param {string[]} files - Project-relative paths (from walkFiles)
+ * @returns {string[]} Project-relative report paths
+ */
+export function findCoverageReports(projectPath, files) {
+  const found = new Set(REPORT_CANDIDATES.filter(candidate => fs.existsSync(path.join(projectPath, candidate))));
+  for (const file of files) {
+    if (REPORT_NAMES.test(path.basename(file))) found.add(file);
+  }
+  return [...found].sort();
+}
+
+// ---------------------------------------------------------------------------
+// Mapping report paths back to project files
+// ---------------------------------------------------------------------------
+
+function mapToProject(reportPath, { projectPath, fileSet, roots }) {
+  const normalized = reportPath.replace(/\\/g, '/');
+  const exists = rel => rel && !rel.startsWith('..') && !path.isAbsolute(rel) && (fileSet.has(rel) || fs.existsSync(path.join(projectPath, rel)));
+
+  const direct = path.isAbsolute(normalized) ? path.relative(projectPath, normalized) : path.normalize(normalized);
+  if (exists(direct)) return direct;
+  for (const root of roots) {
+    const candidate = path.relative(projectPath, path.resolve(projectPath, root, normalized));
+    if (exists(candidate)) return candidate;
+  }
+  // Reports produced in CI or a container checkout: longest unique path suffix
+  const parts = normalized.split('/').filter(Boolean);
+  for (let i = 1; i < parts.length; i++) {
+    const suffix = parts.slice(i).join('/');
+    const matches = [...fileSet].filter(file => file === suffix || file.endsWith(`/${suffix}`));
+    if (matches.length === 1) return matches[0];
+    if (matches.length > 1) return null;
+  }
+  return null;
+}
+
+function gitChurn(projectPath) {
+  const churn = new Map();
+  try {
+    const output = execFileSync('git', ['log', '--since=1.year.ago', '-n', '1000', '--format=', '--name-only', '--relative'], {
+      cwd: projectPath,
+      encoding: 'utf-8',
+      stdio: ['pipe', 'pipe', 'pipe'],
+      timeout: 10000,
+      maxBuffer: 32 * 1024 * 1024
+    });
+    for (const file of output.split('\n')) {
+      if (file.trim()) churn.set(file.trim(), (churn.get(file.trim()) || 0) + 1);
+    }
+  } catch (e) {
+    // Not a git repository (or git missing): rank by size only
+  }
+  return churn;
+}
+
+// ---------------------------------------------------------------------------
+// Test scaffolds in the project's own framework
+// ---------------------------------------------------------------------------
+
+function readJson(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf-8'));
+  } catch (e) {
+    return null;
+  }
+}
+
+function readText(file) {
+  try {
+    return fs.readFileSync(file, 'utf-8');
+  } catch (e) {
+    return '';
+  }
+}
+
+/**
+ * Test framework and layout the project already uses
+ */
+function testConventions(projectPath, files) {
+  const pkg = readJson(path.join(projectPath, 'package.json')) || {};
+  const deps = { ...pkg.dependencies, ...pkg.devDependencies };
+  const jsTests = files.filter(file => /\.(test|spec)\.[cm]?[jt]sx?$/.test(file) || /__tests__\//.test(file));
+  const pythonConfig = ['requirements.txt', 'requirements-dev.txt', 'pyproject.toml', 'setup.cfg', 'pytest.ini'].map(f => readText(path.join(projectPath, f))).join('\n');
+  return {
+    js: deps.vitest ? 'vitest' : deps.jest ? 'jest' : deps.mocha ? 'mocha' : /node --test/.test(pkg.scripts?.test || '') ? 'node' : 'jest',
+    jsLayout: jsTests.some(f => /__tests__\//.test(f)) ? '__tests__' : jsTests.some(f => /\.spec\./.test(f)) ? 'spec' : 'test',
+    esm: pkg.type === 'module',
+    python: /pytest/.test(pythonConfig) || files.some(f => /(^|\/)conftest\.py$/.test(f)) || !files.some(f => /(^|\/)test_[^/]*\.py$/.test(f)) ? 'pytest' : 'unittest',
+    pythonTestsDir: files.some(f => /^tests\//.test(f)) ? 'tests' : null,
+    phpTestsDir: files.some(f => /^tests\/Unit\//.test(f)) ? 'tests/Unit' : 'tests'
+  };
+}
+
+// Exported names of a JS/TS module: { named: string[], defaultName }
+function jsExports(file, source) {
+  const exports = { named: [], defaultName: null };
+  let program;
+  try {
+    program = parseModule(source, file).program;
+  } catch (e) {
+    return exports;
+  }
+  for (const statement of program.body) {
+    if (statement.type === 'ExportNamedDeclaration') {
+      const declaration = statement.declaration;
+      if (declaration?.id) exports.named.push(declaration.id.name);
+      for (const declarator of declaration?.declarations || []) {
+        if (declarator.id.type === 'Identifier') exports.named.push(declarator.id.name);
+      }
+      for (const specifier of statement.specifiers || []) exports.named.push(specifier.exported.name ?? specifier.exported.value);
+    } else if (statement.type === 'ExportDefaultDeclaration') {
+      exports.defaultName = statement.declaration.id?.name || statement.declaration.name || 'subject';
+    } else if (statement.type === 'ExpressionStatement' && statement.expression.type === 'AssignmentExpression') {
+      // module.exports = { a, b } / exports.a = ...
+      const { left, right } = statement.expression;
+      const target = source.slice(left.start, left.end);
+      if (target === 'module.exports' && right.type === 'ObjectExpression') {
+        exports.named.push(...right.properties.filter(p => p.key?.type === 'Identifier').map(p => p.key.name));
+      } else if (target === 'module.exports') {
+        exports.defaultName = right.id?.name || right.name || 'subject';
+      } else {
+        const named = target.match(/^(?:module\.)?exports\.(\w+)$/);
+        if (named) exports.named.push(named[1]);
+      }
+    }
+  }
+  return exports;
+}
+
+function identifierFor(name) {
+  return name.replace(/^\(\*?(\w+)\)\./, '$1.').split(/[^\w]+/).filter(Boolean).join('_');
+}
+
+function jsScaffold(file, source, untested, conventions) {
+  const ext = path.extname(file);
+  const name = path.basename(file, ext);
+  const dir = path.dirname(file);
+  const testFile = conventions.jsLayout === '__tests__'
+    ? path.join(dir, '__tests__', `${name}.test${ext}`)
+    : path.join(dir, `${name}.${conventions.jsLayout}${ext}`);
+  const exported = jsExports(file, source);
+  const importPath = path.relative(path.dirname(testFile), file).replace(/\\/g, '/');
+  const specifier = (importPath.startsWith('.') ? importPath : `./${importPath}`).replace(/\.(tsx?|mts|cts)$/, '');
+  const named = untested.filter(fn => exported.named.includes(fn));
+  const usesDefault = exported.defaultName && untested.includes(exported.defaultName) && !named.includes(exported.defaultName);
+  const cases = untested.length ? untested : [name];
+  const esm = conventions.esm || /^\.(mjs|mts|ts|tsx)$/.test(ext) || /^\s*(import|export)\s/m.test(source);
+
+  const lines = [`// Tests for ${path.basename(file)} - scaffold for untested code, fill in the pending cases`];
+  if (conventions.js === 'vitest') lines.push("import { describe, test } from 'vitest';");
+  if (conventions.js === 'node') lines.push("import { describe, test } from 'node:test';");
+  if (esm) {
+    if (usesDefault && named.length) lines.push(`import ${exported.defaultName}, { ${named.join(', ')} } from '${specifier}';`);
+    else if (usesDefault) lines.push(`import ${exported.defaultName} from '${specifier}';`);
+    else if (named.length) lines.push(`import { ${named.join(', ')} } from '${specifier}';`);
+  } else if (named.length) {
+    lines.push(`const { ${named.join(', ')} } = require('${specifier}');`);
+  } else if (usesDefault) {
+    lines.push(`const ${exported.defaultName} = require('${specifier}');`);
+  }
+  lines.push('', `describe('${name}', () => {`);
+  for (const fn of cases) {
+    lines.push(conventions.js === 'mocha' ? `  it('${fn}');` : `  test.todo('${fn}');`);
+  }
+  lines.push('});', '');
+  return { file: testFile, content: lines.join('\n') };
+}
+
+function pythonScaffold(file, untested, conventions, fileSet) {
+  const name = path.basename(file, '.py');
+  const testFile = conventions.pythonTestsDir ? path.join(conventions.pythonTestsDir, `test_${name}.py`) : path.join(path.dirname(file), `test_${name}.py`);
+  // src/ layout: the package root is below src/
+  let module = file.replace(/\.py$/, '').replace(/\/__init__$/, '').split('/');
+  if (module[0] === 'src' && !fileSet.has('src/__init__.py')) module = module.slice(1);
+  const imports = [...new Set(untested.map(fn => fn.split('.')[0]).filter(fn => !fn.startsWith('_')))];
+  const cases = untested.length ? untested : [name];
+  const lines = [`"""Tests for ${file} - scaffold for untested code, fill in the skipped cases."""`];
+
+  if (conventions.python === 'pytest') {
+    lines.push('import pytest');
+    if (imports.length) lines.push('', `from ${module.join('.')} import ${imports.join(', ')}`);
+    for (const fn of cases) {
+      lines.push('', '', '@pytest.mark.skip(reason="TODO")', `def test_${identifierFor(fn)}():`, '    ...');
+    }
+  } else {
+    lines.push('import unittest');
+    if (imports.length) lines.push('', `from ${module.join('.')} import ${imports.join(', ')}`);
+    lines.push('', '', `class Test${name.replace(/(^|_)(\w)/g, (m, s, c) => c.toUpperCase())}(unittest.TestCase):`);
+    cases.forEach((fn, index) => {
+      if (index > 0) lines.push('');
+      lines.push('    @unittest.skip("TODO")', `    def test_${identifierFor(fn)}(self):`, '        pass');
+    });
+    lines.push('', '', "if __name__ == '__main__':", '    unittest.main()');
+  }
+  return { file: testFile, content: `${lines.join('\n')}\n` };
+}
+
+function goScaffold(file, source, untested) {
+  const pkg = source.match(/^package\s+(\w+)/m)?.[1] || path.basename(path.dirname(file));
+  const cases = untested.length ? untested : [path.basename(file, '.go')];
+  const lines = [`package ${pkg}`, '', 'import "testing"'];
+  for (const fn of cases) {
+    const test = identifierFor(fn).replace(/^(\w)/, c => c.toUpperCase());
+    lines.push('', `func Test${test}(t *testing.T) {`, `\tt.Skip("TODO: cover ${fn}")`, '}');
+  }
+  return { file: file.replace(/\.go$/, '_test.go'), content: `${lines.join('\n')}\n` };
+}
+
+function phpScaffold(file, untested, conventions) {
+  const name = path.basename(file, '.php');
+  const namespace = conventions.phpTestsDir.split('/').map(part => part.charAt(0).toUpperCase() + part.slice(1)).join('\\');
+  const cases = untested.length ? untested : [name];
+  const lines = ['<?php', '', `namespace ${namespace};`, '', 'use PHPUnit\\Framework\\TestCase;', '', `final class ${name}Test extends TestCase`, '{'];
+  cases.forEach((fn, index) => {
+    const method = identifierFor(fn.split(/::|\./).pop());
+    if (index > 0) lines.push('');
+    lines.push(`    public function test${method.charAt(0).toUpperCase()}${method.slice(1)}(): void`, '    {', `        $this->markTestIncomplete('TODO: cover ${fn}');`, '    }');
+  });
+  lines.push('}', '');
+  return { file: path.join(conventions.phpTestsDir, `${name}Test.php`), content: lines.join('\n') };
+}
+
+function hasTests(file, files) {
+  const ext = path.extname(file);
+  const name = path.basename(file, ext);
+  const base = file.slice(0, -ext.length);
+  const patterns = {
+    '.py': candidate => candidate.endsWith(`test_${name}.py`) || candidate.endsWith(`${name}_test.py`),
+    '.go': candidate => candidate === `${base}_test.go`,
+    '.php': candidate => candidate.endsWith(`${name}Test.php`)
+  };
+  const matches = patterns[ext] || (candidate => new RegExp(`(^|/)${name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\.(test|spec)\\.[cm]?[jt]sx?$`).test(candidate));
+  return files.some(candidate => TEST_FILE.test(candidate) && matches(candidate));
+}
+
+function scaffoldFor(gap, projectPath, files, conventions, fileSet) {
+  const ext = path.extname(gap.file);
+  const source = readText(path.join(projectPath, gap.file));
+  const untested = gap.untested.filter(fn => /^[\w.$()*:]+$/.test(fn) && !/^\(anonymous/.test(fn));
+  if (JS_TS_EXTENSIONS.includes(ext)) return jsScaffold(gap.file, source, untested, conventions);
+  if (ext === '.py') return pythonScaffold(gap.file, untested, conventions, fileSet);
+  if (ext === '.go') return goScaffold(gap.file, source, untested);
+  if (ext === '.php') return phpScaffold(gap.file, untested, conventions);
+  return null;
+}
+
+// ---------------------------------------------------------------------------
+// Gap analysis
+// ---------------------------------------------------------------------------
+
+function percent(covered, total) {
+  return total === 0 ? 100 : Math.round((covered / total) * 1000) / 10;
+}
+
+/**
+ * Read a project's coverage reports and report the least-covered modules and functions
+ * @param {string} projectPath
+ * @param {string[]} files - Project-relative paths (from walkFiles)
+ * @returns {Object} { diagnostics: Problem[], changes: Change[], reports: string[] }
+ */
+export function analyzeCoverageGaps(projectPath, files) {
+  const diagnostics = [];
+  const changes = [];
+  const reports = findCoverageReports(projectPath, files);
+  if (reports.length === 0) return { diagnostics, changes, reports };
+
+  const fileSet = new Set(files);
+  const covered = new Map();
+  const used = [];
+  let unmapped = 0;
+  let oldestReport = Infinity;
+
+  for (const report of reports) {
+    const full = path.join(projectPath, report);
+    let text;
+    try {
+      const stat = fs.statSync(full);
+      if (stat.size > MAX_REPORT_BYTES) {
+        console.warn(`[Coverage] Skipping ${report} (${stat.size} bytes)`);
+        continue;
+      }
+      text = fs.readFileSync(full, 'utf-8');
+      oldestReport = Math.min(oldestReport, stat.mtimeMs);
+    } catch (e) {
+      continue;
+    }
+    const records = parseReport(report, text);
+    if (!records) continue;
+    used.push(report);
+    const roots = [...(records.sources || []), path.dirname(report)];
+
+    // Several reports (unit + integration) merge by taking the best hit count per line
+    for (const record of records) {
+      const file = mapToProject(record.path, { projectPath, fileSet, roots });
+      if (!file) {
+        unmapped++;
+        continue;
+      }
+      const entry = covered.get(file) || { lines: new Map(), functions: new Map() };
+      for (const [line, hits] of record.lines) entry.lines.set(line, Math.max(entry.lines.get(line) ?? 0, hits));
+      for (const fn of record.functions) {
+        const previous = entry.functions.get(fn.name);
+        entry.functions.set(fn.name, { ...fn, hits: Math.max(previous?.hits ?? 0, fn.hits) });
+      }
+      covered.set(file, entry);
+    }
+  }
+  if (used.length === 0) return { diagnostics, changes, reports };
+
+  let totalLines = 0;
+  let totalCovered = 0;
+  const stale = [];
+  const modules = [];
+  for (const [file, entry] of covered) {
+    if (TEST_FILE.test(file)) continue;
+    const total = entry.lines.size;
+    const hit = [...entry.lines.values()].filter(hits => hits > 0).length;
+    totalLines += total;
+    totalCovered += hit;
+    try {
+      if (fs.statSync(path.join(projectPath, file)).mtimeMs > oldestReport) stale.push(file);
+    } catch (e) {
+      // Mapped through the file list only
+    }
+    const untested = [...entry.functions.values()].filter(fn => fn.hits === 0).sort((a, b) => a.line - b.line);
+    const firstMissed = [...entry.lines].filter(([, hits]) => hits === 0).map(([line]) => line).sort((a, b) => a - b)[0];
+    modules.push({ file, total, covered: hit, uncovered: total - hit, coverage: percent(hit, total), untested, line: untested[0]?.line ?? firstMissed ?? 0 });
+  }
+
+  diagnostics.push({
+    severity: 'info',
+    type: 'coverage',
+    message: `Line coverage ${percent(totalCovered, totalLines)}% (${totalCovered}/${totalLines}) across ${modules.length} file(s) from ${used.join(', ')}${unmapped ? ` - ${unmapped} report file(s) not found in the project` : ''}`,
+    file: used[0],
+    line: 0,
+    coverage: percent(totalCovered, totalLines)
+  });
+  if (stale.length) {
+    diagnostics.push({
+      severity: 'info',
+      type: 'coverage',
+      message: `${used[0]} is older than ${stale.length} covered file(s) (${stale.slice(0, 3).join(', ')}${stale.length > 3 ? ', ...' : ''}) - rerun the tests with coverage for current numbers`,
+      file: used[0],
+      line: 0
+    });
+  }
+
+  // Rank gaps by uncovered size, weighted by how often the file changes
+  const churn = gitChurn(projectPath);
+  const gaps = modules
+    .filter(module => module.uncovered > 0 && module.coverage < GAP_THRESHOLD)
+    .map(module => ({ ...module, churn: churn.get(module.file) || 0 }))
+    .map(module => ({ ...module, score: module.uncovered * (1 + Math.log2(1 + module.churn)) }))
+    .sort((a, b) => b.score - a.score || a.file.localeCompare(b.file))
+    .slice(0, MAX_GAPS);
+
+  for (const gap of gaps) {
+    const names = gap.untested.map(fn => fn.name);
+    diagnostics.push({
+      severity: gap.coverage < WARNING_THRESHOLD ? 'warning' : 'info',
+      type: 'coverage-gap',
+      message: `${gap.coverage}% line coverage in ${gap.file} (${gap.covered}/${gap.total} lines)` +
+        (names.length ? `, untested: ${names.slice(0, 5).join(', ')}${names.length > 5 ? ` (+${names.length - 5} more)` : ''}` : '') +
+        (gap.churn ? ` - changed in ${gap.churn} commit(s) in the last year` : ''),
+      file: gap.file,
+      line: gap.line,
+      coverage: gap.coverage,
+      uncoveredLines: gap.uncovered,
+      churn: gap.churn,
+      functions: names
+    });
+  }
+
+  // Scaffold test files for the worst gaps that have no tests at all
+  const conventions = testConventions(projectPath, files);
+  for (const gap of gaps.filter(g => !hasTests(g.file, files)).slice(0, MAX_SCAFFOLDS)) {
+    const scaffold = scaffoldFor({ file: gap.file, untested: gap.untested.map(fn => fn.name) }, projectPath, files, conventions, fileSet);
+    if (!scaffold || fileSet.has(scaffold.file) || fs.existsSync(path.join(projectPath, scaffold.file))) continue;
+    changes.push({
+      type: 'create',
+      file: scaffold.file,
+      description: `Test scaffold for ${gap.file} (${gap.coverage}% covered${gap.untested.length ? `, ${gap.untested.length} untested function(s)` : ''})`,
+      diff: diffFile({ type: 'create', file: scaffold.file, content: scaffold.content }).diff,
+      content: scaffold.content
+    });
+  }
+
+  return { diagnostics, changes, reports: used };
+}
+
+export default { analyzeCoverageGaps, findCoverageReports, parseReport, parseLcov, parseIstanbul, parseCobertura, parseCoveragePy };
@@ -0,0 +1,908 @@
+// Database Audit - Prisma schema, SQL and EF Core migration parsing, index/tenant/rollback checks and N+1 detection (database agent)
+import fs from 'fs';
+import path from 'path';
+import { parseModule, walk, JS_TS_EXTENSIONS } from './ast.js';
+import { computeDiff } from '../file-engine/diff.js';
+
+// Larger files (dumps, bundles, generated code) are skipped
+const MAX_PARSE_BYTES = 512 * 1024;
+
+const SKIP_PATHS = /(^|[\\/])(__tests__|__mocks__|tests?|vendor|bin|obj)[\\/]|\.(test|spec)\.[jt]sx?$|\.d\.ts$/;
+
+// Column names that scope a row to a tenant (tenant_id, tenantId, OrganizationId, workspace_id...)
+const TENANT_COLUMN = /^(tenant|organi[sz]ation|org|workspace)_?id$/i;
+
+// Bookkeeping tables of the migration tools
+const MIGRATION_TABLES = /^(_prisma_migrations|__efmigrationshistory|schema_migrations|knex_migrations(_lock)?|flyway_schema_history|goose_db_version|__diesel_schema_migrations)$/i;
+
+// Prisma providers whose engine indexes foreign keys by itself (unless relationMode = "prisma")
+const AUTO_FK_INDEX_PROVIDERS = new Set(['mysql']);
+
+// Read-side Prisma Client methods that issue one query per call
+const PRISMA_QUERY_METHODS = new Set(['findUnique', 'findUniqueOrThrow', 'findFirst', 'findFirstOrThrow', 'findMany', 'count', 'aggregate', 'groupBy']);
+const ITERATION_METHODS = new Set(['map', 'flatMap', 'forEach', 'filter', 'reduce', 'some', 'every', 'find']);
+const LOOP_LABELS = {
+  ForStatement: 'for loop',
+  ForInStatement: 'for...in loop',
+  ForOfStatement: 'for...of loop',
+  WhileStatement: 'while loop',
+  DoWhileStatement: 'do...while loop'
+};
+
+// Down sections inside a single migration file (sql-migrate, dbmate, goose, MyBatis)
+const DOWN_MARKER = /^[ \t]*--[ \t]*(\+migrate[ \t]+down|migrate:down|\+goose[ \t]+down|\/\/@undo)\b.*$/im;
+
+// ---------------------------------------------------------------------------
+// Text helpers
+// ---------------------------------------------------------------------------
+
+function lineIndex(source) {
+  const starts = [0];
+  for (let i = 0; i < source.length; i++) {
+    if (source[i] === '\n') starts.push(i + 1);
+  }
+  return offset => {
+    let low = 0;
+    let high = starts.length - 1;
+    while (low < high) {
+      const mid = (low + high + 1) >> 1;
+      if (starts[mid] <= offset) low = mid;
+      else high = mid - 1;
+    }
+    return low + 1;
+  };
+}
+
+/**
+ * Index of the bracket closing the one at `open` (skips quoted text), -1 if unbalanced
+ */
+function closingBracket(text, open) {
+  const pairs = { '(': ')', '[': ']', '{': '}' };
+  const stack = [pairs[text[open]]];
+  for (let i = open + 1; i < text.length; i++) {
+    const char = text[i];
+    if (char === '"' || char === "'" || char === '`') {
+      const end = text.indexOf(char, i + 1);
+      if (end === -1) return -1;
+      i = end;
+    } else if (pairs[char]) {
+      stack.push(pairs[char]);
+    } else if (char === stack[stack.length - 1]) {
+      stack.pop();
+      if (stack.length === 0) return i;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Split on commas outside brackets and quotes
+ */
+function splitTopLevel(text) {
+  const parts = [];
+  let depth = 0;
+  let quote = null;
+  let start = 0;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quote) {
+      if (char === quote) quote = null;
+    } else if (char === '"' || char === "'" || char === '`') {
+      quote = char;
+    } else if ('([{'.includes(char)) {
+      depth++;
+    } else if (')]}'.includes(char)) {
+      depth--;
+    } else if (char === ',' && depth === 0) {
+      parts.push(text.slice(start, i));
+      start = i + 1;
+    }
+  }
+  parts.push(text.slice(start));
+  return parts.map(part => part.trim()).filter(Boolean);
+}
+
+// Table/column names compare case-insensitively
+const key = name => String(name).toLowerCase();
+
+function createTable(name, file, line) {
+  return { name, file, line, columns: [], foreignKeys: [], indexes: [], autoIndexesForeignKeys: false };
+}
+
+function hasColumn(table, column) {
+  return table.columns.some(c => key(c.name) === key(column));
+}
+
+// ---------------------------------------------------------------------------
+// Prisma schema
+// ---------------------------------------------------------------------------
+
+// Field names in `[a, b(sort: Desc)]`
+function prismaFieldList(text) {
+  return splitTopLevel(text).map(item => item.match(/^\w+/)?.[0]).filter(Boolean);
+}
+
+/**
+ * Parse the models of a Prisma schema file
+ * @param {string} source - schema.prisma content
+ * @param {string} file - Project-relative path
+ * @returns {Object} { provider, relationMode, tables } - tables carry `endLine` and `indent` for inserting block attributes
+ */
+export function parsePrismaSchema(source, file) {
+  const lines = source.split('\n');
+  const tables = [];
+  let provider = null;
+  let relationMode = null;
+  let block = null;
+  let table = null;
+
+  lines.forEach((raw, index) => {
+    const text = raw.replace(/\/\/.*$/, '').trim();
+    const line = index + 1;
+    if (!block) {
+      const open = text.match(/^(model|datasource|generator|enum|view|type)\s+(\w+)\s*\{/);
+      if (!open) return;
+      block = open[1];
+      if (block === 'model') {
+        table = createTable(open[2], file, line);
+        tables.push(table);
+      }
+      return;
+    }
+    if (text.startsWith('}')) {
+      if (table) table.endLine = line;
+      block = null;
+      table = null;
+      return;
+    }
+    if (block === 'datasource') {
+      const setting = text.match(/^(provider|relationMode|referentialIntegrity)\s*=\s*"([^"]+)"/);
+      if (setting?.[1] === 'provider') provider = setting[2];
+      else if (setting) relationMode = setting[2];
+      return;
+    }
+    if (!table || !text) return;
+
+    const attribute = text.match(/^@@(index|unique|id)\s*\(/);
+    if (attribute) {
+      const list = text.match(/\[([^\]]*)\]/);
+      if (list) table.indexes.push({ name: null, columns: prismaFieldList(list[1]) });
+      return;
+    }
+    const field = text.match(/^(\w+)\s+(\w+)(\[\])?\??(.*)$/);
+    if (!field) return;
+    const [, name, type, list, rest] = field;
+    table.indent = table.indent ?? raw.match(/^\s*/)[0];
+    if (/@id\b/.test(rest) || /@unique\b/.test(rest)) table.indexes.push({ name: null, columns: [name] });
+    const relation = rest.match(/@relation\s*\(([^)]*(?:\([^)]*\)[^)]*)*)\)/);
+    const fields = relation?.[1].match(/fields\s*:\s*\[([^\]]*)\]/);
+    if (fields) {
+      table.foreignKeys.push({ columns: prismaFieldList(fields[1]), references: type, file, line });
+    } else if (!list) {
+      table.columns.push({ name, line });
+    }
+  });
+
+  for (const model of tables) {
+    model.indent = model.indent ?? '  ';
+  }
+  return { provider, relationMode, tables };
+}
+
+// ---------------------------------------------------------------------------
+// SQL migrations
+// ---------------------------------------------------------------------------
+
+const IDENT = '(?:"[^"]+"|`[^`]+`|\\[[^\\]]+\\]|[\\w$]+)';
+const QNAME = `${IDENT}(?:\\s*\\.\\s*${IDENT})*`;
+
+const CREATE_TABLE = new RegExp(`^CREATE\\s+(?:(GLOBAL|LOCAL)\\s+)?(?:(TEMP|TEMPORARY|UNLOGGED)\\s+)?TABLE\\s+(?:IF\\s+NOT\\s+EXISTS\\s+)?(${QNAME})\\s*\\(`, 'i');
+const ALTER_TABLE = new RegExp(`^ALTER\\s+TABLE\\s+(?:IF\\s+EXISTS\\s+)?(?:ONLY\\s+)?(${QNAME})\\s+([\\s\\S]*)$`, 'i');
+const CREATE_INDEX = new RegExp(`^CREATE\\s+(?:UNIQUE\\s+)?(?:(?:CLUSTERED|NONCLUSTERED)\\s+)?INDEX\\s+(?:CONCURRENTLY\\s+)?(?:IF\\s+NOT\\s+EXISTS\\s+)?(?:(${QNAME})\\s+)?ON\\s+(?:ONLY\\s+)?(${QNAME})\\s*(?:USING\\s+\\w+\\s*)?\\(`, 'i');
+const DROP_TABLE = new RegExp(`^DROP\\s+TABLE\\s+(?:IF\\s+EXISTS\\s+)?(${QNAME}(?:\\s*,\\s*${QNAME})*)`, 'i');
+const DROP_INDEX = new RegExp(`^DROP\\s+INDEX\\s+(?:CONCURRENTLY\\s+)?(?:IF\\s+EXISTS\\s+)?(${QNAME})`, 'i');
+const TRUNCATE = new RegExp(`^TRUNCATE\\s+(?:TABLE\\s+)?(?:ONLY\\s+)?(${QNAME})`, 'i');
+const REFERENCES = new RegExp(`\\bREFERENCES\\s+(${QNAME})`, 'i');
+
+/**
+ * Unqualified, unquoted identifier ("public"."Order" -> Order)
+ */
+function sqlName(qualified) {
+  const parts = qualified.match(new RegExp(IDENT, 'g'));
+  return parts[parts.length - 1].replace(/^["`[]|["`\]]$/g, '');
+}
+
+// Leading plain column of each item in `(a, b DESC, lower(c))`; expressions become null
+function sqlColumnList(text) {
+  return splitTopLevel(text).map(item => {
+    const match = item.match(new RegExp(`^(${IDENT})(\\s|$)`));
+    return match ? sqlName(match[1]) : null;
+  });
+}
+
+// Columns inside the parenthesis that follows `offset`
+function parenColumns(text, offset = 0) {
+  const open = text.indexOf('(', offset);
+  const close = open === -1 ? -1 : closingBracket(text, open);
+  return close === -1 ? [] : sqlColumnList(text.slice(open + 1, close));
+}
+
+/**
+ * Blank out comments, string literals and dollar-quoted bodies, keeping offsets and line breaks
+ */
+function maskSql(sql) {
+  const blank = text => text.replace(/[^\n]/g, ' ');
+  return sql.replace(/--[^\n]*|\/\*[\s\S]*?\*\/|'(?:[^']|'')*'|(\$\w*\$)[\s\S]*?\1/g, match => {
+    if (match.startsWith("'")) return `'${blank(match.slice(1, -1))}'`;
+    return blank(match);
+  });
+}
+
+/**
+ * Statements of a SQL script with their 1-based start line (split on `;` and SQL Server `GO`)
+ */
+function sqlStatements(sql) {
+  const masked = maskSql(sql);
+  const lineAt = lineIndex(masked);
+  const statements = [];
+  const pattern = /;|^[ \t]*GO[ \t]*$/gim;
+  let start = 0;
+  const push = end => {
+    const text = masked.slice(start, end);
+    const leading = text.length - text.trimStart().length;
+    if (text.trim()) statements.push({ text: text.trim(), line: lineAt(start + leading) });
+  };
+  let match;
+  while ((match = pattern.exec(masked))) {
+    push(match.index);
+    start = match.index + match[0].length;
+  }
+  push(masked.length);
+  return statements;
+}
+
+/**
+ * Apply one column or constraint definition (CREATE TABLE item or ALTER TABLE ADD) to a table
+ */
+function applyTableItem(table, item, file, line) {
+  const text = item.replace(new RegExp(`^CONSTRAINT\\s+${IDENT}\\s+`, 'i'), '');
+  if (/^PRIMARY\s+KEY\b/i.test(text) || /^UNIQUE\b/i.test(text) || /^(KEY|INDEX)\b/i.test(text)) {
+    table.indexes.push({ name: null, columns: parenColumns(text) });
+    return;
+  }
+  if (/^FOREIGN\s+KEY\b/i.test(text)) {
+    const references = text.match(REFERENCES);
+    if (references) table.foreignKeys.push({ columns: parenColumns(text), references: sqlName(references[1]), file, line });
+    return;
+  }
+  if (/^(CHECK|EXCLUDE|FULLTEXT|SPATIAL|PERIOD|LIKE)\b/i.test(text)) return;
+
+  const column = text.match(new RegExp(`^(${IDENT})\\s+\\S`));
+  if (!column) return;
+  const name = sqlName(column[1]);
+  if (!hasColumn(table, name)) table.columns.push({ name, line });
+  if (/\bPRIMARY\s+KEY\b|\bUNIQUE\b/i.test(text)) table.indexes.push({ name: null, columns: [name] });
+  const references = text.match(REFERENCES);
+  if (references) table.foreignKeys.push({ columns: [name], references: sqlName(references[1]), file, line });
+}
+
+function dropColumn(table, column) {
+  table.columns = table.columns.filter(c => key(c.name) !== key(column));
+  table.foreignKeys = table.foreignKeys.filter(fk => !fk.columns.some(c => key(c) === key(column)));
+  table.indexes = table.indexes.filter(index => !index.columns.some(c => c && key(c) === key(column)));
+}
+
+function renameColumn(table, from, to) {
+  const rename = name => (name && key(name) === key(from) ? to : name);
+  table.columns.forEach(c => (c.name = rename(c.name)));
+  table.foreignKeys.forEach(fk => (fk.columns = fk.columns.map(rename)));
+  table.indexes.forEach(index => (index.columns = index.columns.map(rename)));
+}
+
+function renameTable(tables, from, to) {
+  const table = tables.get(key(from));
+  if (!table) return;
+  tables.delete(key(from));
+  table.name = to;
+  tables.set(key(to), table);
+  for (const other of tables.values()) {
+    other.foreignKeys.forEach(fk => {
+      if (key(fk.references) === key(from)) fk.references = to;
+    });
+  }
+}
+
+/**
+ * Apply an ALTER TABLE action list; returns the destructive operations it contains
+ */
+function applyAlterTable(tables, tableName, actions, file, line) {
+  const table = tables.get(key(tableName));
+  const destructive = [];
+  for (const action of splitTopLevel(actions)) {
+    let match;
+    if ((match = action.match(new RegExp(`^RENAME\\s+TO\\s+(${QNAME})`, 'i')))) {
+      destructive.push(`renames table ${tableName}`);
+      renameTable(tables, tableName, sqlName(match[1]));
+    } else if ((match = action.match(new RegExp(`^RENAME\\s+(?:COLUMN\\s+)?(${IDENT})\\s+TO\\s+(${IDENT})`, 'i')))) {
+      destructive.push(`renames column ${tableName}.${sqlName(match[1])}`);
+      if (table) renameColumn(table, sqlName(match[1]), sqlName(match[2]));
+    } else if ((match = action.match(new RegExp(`^CHANGE\\s+(?:COLUMN\\s+)?(${IDENT})\\s+(${IDENT})`, 'i')))) {
+      if (key(sqlName(match[1])) !== key(sqlName(match[2]))) {
+        destructive.push(`renames column ${tableName}.${sqlName(match[1])}`);
+        if (table) renameColumn(table, sqlName(match[1]), sqlName(match[2]));
+      }
+    } else if ((match = action.match(new RegExp(`^DROP\\s+(?!CONSTRAINT\\b|INDEX\\b|KEY\\b|PRIMARY\\b|FOREIGN\\b|DEFAULT\\b|CHECK\\b)(?:COLUMN\\s+)?(?:IF\\s+EXISTS\\s+)?(${IDENT})`, 'i')))) {
+      destructive.push(`drops column ${tableName}.${sqlName(match[1])}`);
+      if (table) dropColumn(table, sqlName(match[1]));
+    } else if ((match = action.match(new RegExp(`^(?:ALTER\\s+(?:COLUMN\\s+)?(${IDENT})\\s+(?:SET\\s+DATA\\s+)?TYPE\\b|MODIFY\\s+(?:COLUMN\\s+)?(${IDENT})\\s)`, 'i')))) {
+      destructive.push(`changes the type of ${tableName}.${sqlName(match[1] || match[2])}`);
+    } else if ((match = action.match(/^ADD\s+(?:COLUMN\s+)?(?:IF\s+NOT\s+EXISTS\s+)?([\s\S]+)$/i)) && table) {
+      applyTableItem(table, match[1], file, line);
+    }
+  }
+  return destructive;
+}
+
+/**
+ * Replay SQL migration scripts (in path order) into a table model
+ * @param {Object[]} scripts - { file, content } sorted in apply order
+ * @returns {Object} { tables: Map<string, Table>, migrations: [{ file, destructive: [{ operation, line }] }] }
+ */
+export function parseSqlMigrations(scripts) {
+  const tables = new Map();
+  const indexOwners = new Map();
+  const migrations = [];
+
+  for (const { file, content } of scripts) {
+    const destructive = [];
+    for (const { text, line } of sqlStatements(content)) {
+      let match;
+      if ((match = text.match(CREATE_TABLE))) {
+        if (/^TEMP/i.test(match[2] || '')) continue;
+        const name = sqlName(match[3]);
+        const open = match[0].length - 1;
+        const close = closingBracket(text, open);
+        if (close === -1) continue;
+        const table = createTable(name, file, line);
+        table.autoIndexesForeignKeys = match[3].includes('`') || /\bENGINE\s*=/i.test(text.slice(close));
+        // Columns and constraints report their own line
+        let cursor = open + 1;
+        for (const item of splitTopLevel(text.slice(open + 1, close))) {
+          cursor = text.indexOf(item, cursor);
+          applyTableItem(table, item, file, line + (text.slice(0, cursor).match(/\n/g) || []).length);
+          cursor += item.length;
+        }
+        tables.set(key(name), table);
+      } else if ((match = text.match(CREATE_INDEX))) {
+        const table = tables.get(key(sqlName(match[2])));
+        if (!table) continue;
+        const index = { name: match[1] ? sqlName(match[1]) : null, columns: parenColumns(text, match[0].length - 1) };
+        table.indexes.push(index);
+        if (index.name) indexOwners.set(key(index.name), table);
+      } else if ((match = text.match(ALTER_TABLE))) {
+        const tableName = sqlName(match[1]);
+        destructive.push(...applyAlterTable(tables, tableName, match[2], file, line).map(operation => ({ operation, line })));
+      } else if ((match = text.match(DROP_TABLE))) {
+        for (const name of match[1].split(',').map(n => sqlName(n.trim()))) {
+          destructive.push({ operation: `drops table ${name}`, line });
+          tables.delete(key(name));
+        }
+      } else if ((match = text.match(DROP_INDEX))) {
+        const table = indexOwners.get(key(sqlName(match[1])));
+        if (table) table.indexes = table.indexes.filter(index => key(index.name || '') !== key(sqlName(match[1])));
+      } else if ((match = text.match(TRUNCATE))) {
+        destructive.push({ operation: `empties table ${sqlName(match[1])}`, line });
+      }
+    }
+    migrations.push({ file, destructive });
+  }
+
+  return { tables, migrations };
+}
+
+// Down script of an up migration: foo.down.sql, down.sql next to up.sql, Flyway U1__x.sql for V1__x.sql
+function downScriptFor(file, fileSet) {
+  const dir = path.dirname(file);
+  const base = path.basename(file);
+  const candidates = [];
+  const suffix = base.match(/^(.*[._-])up\.sql$/i);
+  if (suffix) candidates.push(path.join(dir, `${suffix[1]}down.sql`));
+  if (/^up\.sql$/i.test(base)) candidates.push(path.join(dir, 'down.sql'));
+  const flyway = base.match(/^V(.+)$/);
+  if (flyway) candidates.push(path.join(dir, `U${flyway[1]}`));
+  return candidates.find(candidate => fileSet.has(candidate)) || null;
+}
+
+function isDownScript(file) {
+  const base = path.basename(file);
+  return /(^|[._-])down\.sql$/i.test(base) || /^U\d/.test(base);
+}
+
+function isMigrationScript(file) {
+  return /(^|[\\/])(migrations?|migrate)[\\/]/i.test(file) || /^V\d[\w.]*__/.test(path.basename(file));
+}
+
+// ---------------------------------------------------------------------------
+// EF Core migrations
+// ---------------------------------------------------------------------------
+
+// Raw text of a named argument (name: value) in a C# argument list
+function csharpArg(args, name) {
+  const arg = splitTopLevel(args).find(part => part.startsWith(`${name}:`));
+  return arg ? arg.slice(name.length + 1).trim() : null;
+}
+
+function csharpStrings(text) {
+  return [...(text || '').matchAll(/"([^"]*)"/g)].map(match => match[1]);
+}
+
+// Properties picked by `x => x.Id` or `x => new { x.A, x.B }`
+function csharpSelector(text) {
+  const body = (text || '').split('=>')[1] || '';
+  return [...body.matchAll(/\b\w+\.(\w+)/g)].map(match => match[1]);
+}
+
+// Column(s) of an EF call: column: "A" | columns: new[] { "A", "B" } (or the positional string after the table)
+function csharpColumns(args, positional = 2) {
+  const named = csharpArg(args, 'columns') || csharpArg(args, 'column');
+  if (named) return csharpStrings(named);
+  const strings = splitTopLevel(args).filter(part => /^"/.test(part)).map(part => csharpStrings(part)[0]);
+  return strings.slice(positional, positional + 1);
+}
+
+function csharpValue(args, name, position) {
+  const named = csharpArg(args, name);
+  if (named) return csharpStrings(named)[0] || null;
+  const part = splitTopLevel(args)[position];
+  return part && /^"/.test(part) ? csharpStrings(part)[0] : null;
+}
+
+// Body of `void <name>(MigrationBuilder ...)` with its offset
+function csharpMethod(source, name) {
+  const match = source.match(new RegExp(`void\\s+${name}\\s*\\(\\s*MigrationBuilder\\s+\\w+\\s*\\)\\s*\\{`));
+  if (!match) return null;
+  const open = match.index + match[0].length - 1;
+  const close = closingBracket(source, open);
+  return close === -1 ? null : { body: source.slice(open + 1, close), offset: open + 1, start: match.index };
+}
+
+function csharpCalls(body) {
+  const calls = [];
+  const pattern = /\b\w+\.(\w+)\s*(?:<[^>(]*>)?\s*\(/g;
+  let match;
+  while ((match = pattern.exec(body))) {
+    const open = match.index + match[0].length - 1;
+    const close = closingBracket(body, open);
+    if (close === -1) continue;
+    calls.push({ method: match[1], args: body.slice(open + 1, close), index: match.index, argsIndex: open + 1 });
+    pattern.lastIndex = close;
+  }
+  return calls;
+}
+
+/**
+ * Replay EF Core migrations (Up methods, in file order) into a table model and check their Down methods
+ * @param {Object[]} sources - { file, content } sorted in apply order
+ * @returns {Object} { tables: Map<string, Table>, migrations: [{ file, line, operations, down: 'ok'|'empty'|'throws' }] }
+ */
+export function parseEfMigrations(sources) {
+  const tables = new Map();
+  const migrations = [];
+
+  for (const { file, content } of sources) {
+    const source = content.replace(/\/\/[^\n]*/g, match => ' '.repeat(match.length));
+    const up = csharpMethod(source, 'Up');
+    if (!up) continue;
+    const lineAt = lineIndex(source);
+    const calls = csharpCalls(up.body);
+
+    for (const { method, args, index, argsIndex } of calls) {
+      const line = lineAt(up.offset + index);
+      const tableName = csharpValue(args, 'table', 1);
+      const table = tableName && tables.get(key(tableName));
+      switch (method) {
+        case 'CreateTable': {
+          const name = csharpValue(args, 'name', 0);
+          if (!name) break;
+          const created = createTable(name, file, line);
+          const columns = csharpArg(args, 'columns') || '';
+          for (const column of columns.matchAll(/(\w+)\s*=\s*\w+\.Column\s*<[^>]*>\s*\(([^)]*)\)/g)) {
+            created.columns.push({ name: csharpValue(column[2], 'name', -1) || column[1], line: lineAt(up.offset + argsIndex + args.indexOf(columns) + column.index) });
+          }
+          const constraints = csharpArg(args, 'constraints') || '';
+          for (const constraint of csharpCalls(constraints)) {
+            const selector = csharpArg(constraint.args, 'columns') || csharpArg(constraint.args, 'column') || splitTopLevel(constraint.args)[1];
+            if (['PrimaryKey', 'UniqueConstraint'].includes(constraint.method)) {
+              created.indexes.push({ name: null, columns: csharpSelector(selector) });
+            } else if (constraint.method === 'ForeignKey') {
+              const references = csharpValue(constraint.args, 'principalTable', 2);
+              const at = lineAt(up.offset + argsIndex + args.indexOf(constraints) + constraint.index);
+              if (references) created.foreignKeys.push({ columns: csharpSelector(selector), references, file, line: at });
+            }
+          }
+          tables.set(key(name), created);
+          break;
+        }
+        case 'CreateIndex':
+          if (table) table.indexes.push({ name: csharpValue(args, 'name', 0), columns: csharpColumns(args) });
+          break;
+        case 'DropIndex':
+          if (table) table.indexes = table.indexes.filter(i => key(i.name || '') !== key(csharpValue(args, 'name', 0) || ''));
+          break;
+        case 'AddColumn':
+          if (table && !hasColumn(table, csharpValue(args, 'name', 0) || '')) table.columns.push({ name: csharpValue(args, 'name', 0), line });
+          break;
+        case 'DropColumn':
+          if (table) dropColumn(table, csharpValue(args, 'name', 0) || '');
+          break;
+        case 'RenameColumn':
+          if (table) renameColumn(table, csharpValue(args, 'name', 0) || '', csharpValue(args, 'newName', 2) || '');
+          break;
+        case 'AddForeignKey': {
+          const references = csharpValue(args, 'principalTable', 3);
+          if (table && references) table.foreignKeys.push({ columns: csharpColumns(args), references, file, line });
+          break;
+        }
+        case 'AddPrimaryKey':
+        case 'AddUniqueConstraint':
+          if (table) table.indexes.push({ name: null, columns: csharpColumns(args) });
+          break;
+        case 'DropTable':
+          tables.delete(key(csharpValue(args, 'name', 0) || ''));
+          break;
+        case 'RenameTable':
+          renameTable(tables, csharpValue(args, 'name', 0) || '', csharpValue(args, 'newName', 2) || '');
+          break;
+      }
+    }
+
+    const down = csharpMethod(source, 'Down');
+    const downBody = (down?.body || '').replace(/\/\*[\s\S]*?\*\//g, '').trim();
+    migrations.push({
+      file,
+      line: lineAt(down ? down.start : up.start),
+      operations: calls.length,
+      down: /\bthrow\b/.test(downBody) ? 'throws' : downBody ? 'ok' : 'empty'
+    });
+  }
+
+  return { tables, migrations };
+}
+
+// ---------------------------------------------------------------------------
+// Checks over a table model
+// ---------------------------------------------------------------------------
+
+// An index serves a foreign key when its leading columns are the key's columns
+function isIndexed(table, columns) {
+  const wanted = new Set(columns.map(key));
+  return table.indexes.some(index => {
+    const leading = index.columns.slice(0, columns.length);
+    return leading.length === columns.length && leading.every(c => c && wanted.has(key(c)));
+  });
+}
+
+/**
+ * Foreign keys without an index starting with their columns
+ * @param {Table[]} tables
+ * @returns {Object[]} { table, foreignKey }
+ */
+export function unindexedForeignKeys(tables) {
+  const findings = [];
+  for (const table of tables) {
+    if (table.autoIndexesForeignKeys) continue;
+    for (const foreignKey of table.foreignKeys) {
+      if (foreignKey.columns.length > 0 && !isIndexed(table, foreignKey.columns)) findings.push({ table, foreignKey });
+    }
+  }
+  return findings;
+}
+
+/**
+ * Tables that hang off tenant-scoped tables without carrying the tenant column themselves
+ * The schema counts as multi-tenant when two or more tables (or a tenant table plus one) share a tenant column;
+ * tables without foreign keys into tenant-scoped data are treated as global (users, lookups).
+ * @param {Table[]} tables
+ * @returns {Object} { column, findings: [{ table, scopedParents }] } - column is null for single-tenant schemas
+ */
+export function missingTenantColumns(tables) {
+  const spellings = new Map();
+  for (const table of tables) {
+    for (const column of table.columns.filter(c => TENANT_COLUMN.test(c.name))) {
+      const normalized = key(column.name).replace(/_/g, '');
+      if (!spellings.has(normalized)) spellings.set(normalized, { name: column.name, tables: new Set() });
+      spellings.get(normalized).tables.add(key(table.name));
+    }
+  }
+  const [normalized, tenant] = [...spellings].sort((a, b) => b[1].tables.size - a[1].tables.size)[0] || [];
+  if (!tenant) return { column: null, findings: [] };
+
+  const entity = normalized.replace(/id$/, '');
+  const isTenantTable = table => new RegExp(`^${entity}s?$`).test(key(table.name).replace(/_/g, ''));
+  const hasTenantTable = tables.some(isTenantTable);
+  if (tenant.tables.size < 2 && !hasTenantTable) return { column: null, findings: [] };
+
+  const scoped = table => tenant.tables.has(key(table.name));
+  const byName = new Map(tables.map(table => [key(table.name), table]));
+  const findings = [];
+  for (const table of tables) {
+    if (scoped(table) || isTenantTable(table) || MIGRATION_TABLES.test(table.name)) continue;
+    const parents = table.foreignKeys.map(fk => byName.get(key(fk.references))).filter(Boolean);
+    // A direct reference to the tenant table scopes the row already
+    if (parents.some(isTenantTable)) continue;
+    const scopedParents = [...new Set(parents.filter(scoped).map(parent => parent.name))];
+    if (scopedParents.length > 0) findings.push({ table, scopedParents });
+  }
+  return { column: tenant.name, findings };
+}
+
+// ---------------------------------------------------------------------------
+// N+1 Prisma queries
+// ---------------------------------------------------------------------------
+
+const isFunction = node => ['ArrowFunctionExpression', 'FunctionExpression', 'FunctionDeclaration', 'ObjectMethod', 'ClassMethod', 'ClassPrivateMethod'].includes(node.type);
+
+/**
+ * Prisma Client reads issued once per loop iteration or per array callback
+ * @param {string} code
+ * @param {string} file
+ * @returns {Object[]} { file, line, column, call, loop }
+ */
+export function findNPlusOne(code, file) {
+  let ast;
+  try {
+    ast = parseModule(code, file);
+  } catch (e) {
+    return [];
+  }
+  const findings = [];
+  const contexts = [];
+  const callbacks = new Map();
+
+  // Innermost loop body around the node, unless a function boundary comes first
+  const enclosingLoop = node => {
+    for (let i = contexts.length - 1; i >= 0; i--) {
+      const context = contexts[i];
+      if (context.function) return context.loop;
+      if (node.start >= context.start && node.start < context.end) return context.loop;
+    }
+    return null;
+  };
+
+  walk(ast.program, node => {
+    if (LOOP_LABELS[node.type]) {
+      contexts.push({ node, loop: LOOP_LABELS[node.type], start: node.body.start, end: node.body.end });
+    } else if (isFunction(node)) {
+      contexts.push({ node, function: true, loop: callbacks.get(node) || null });
+    }
+    if (node.type !== 'CallExpression' || node.callee.type !== 'MemberExpression' || node.callee.computed) return;
+
+    const { object, property } = node.callee;
+    if (ITERATION_METHODS.has(property.name) && node.arguments[0] && isFunction(node.arguments[0])) {
+      callbacks.set(node.arguments[0], `.${property.name}() callback`);
+    }
+    if (!PRISMA_QUERY_METHODS.has(property.name) || object.type !== 'MemberExpression' || object.computed) return;
+    const loop = enclosingLoop(node);
+    if (loop) {
+      findings.push({
+        file,
+        line: node.loc.start.line,
+        column: node.loc.start.column + 1,
+        call: code.slice(node.callee.start, node.callee.end).replace(/\s+/g, ''),
+        method: property.name,
+        loop
+      });
+    }
+  }, node => {
+    if (contexts.length > 0 && contexts[contexts.length - 1].node === node) contexts.pop();
+  });
+
+  return findings;
+}
+
+// ---------------------------------------------------------------------------
+// Audit
+// ---------------------------------------------------------------------------
+
+function readSource(projectPath, file) {
+  try {
+    if (fs.statSync(path.join(projectPath, file)).size > MAX_PARSE_BYTES) return null;
+    return fs.readFileSync(path.join(projectPath, file), 'utf-8');
+  } catch (e) {
+    return null;
+  }
+}
+
+// schema.prisma with `@@index([...])` lines added before the closing brace of each model
+function addPrismaIndexes(source, models) {
+  const lines = source.split('\n');
+  for (const { model, columns } of [...models].sort((a, b) => b.model.endLine - a.model.endLine)) {
+    const at = model.endLine - 1;
+    const previous = lines[at - 1]?.trim() || '';
+    const added = columns.map(list => `${model.indent}@@index([${list.join(', ')}])`);
+    if (previous && !previous.startsWith('@@')) added.unshift('');
+    lines.splice(at, 0, ...added);
+  }
+  return lines.join('\n');
+}
+
+function tenantDiagnostics(tables, hint) {
+  const { column, findings } = missingTenantColumns(tables);
+  return findings.map(({ table, scopedParents }) => ({
+    severity: 'warning',
+    type: 'missing-tenant-id',
+    message: `${table.name} references tenant-scoped ${scopedParents.join(', ')} but has no ${column} column - ${hint(column)}`,
+    file: table.file,
+    line: table.line,
+    table: table.name
+  }));
+}
+
+/**
+ * Audit the database layer of a project: schema.prisma, SQL migration folders, EF Core migrations and Prisma queries
+ * @param {string} projectPath
+ * @param {string[]} files - Project-relative paths (from walkFiles)
+ * @returns {Object} { schemas: [{ kind, files, tables }], diagnostics, changes }
+ */
+export function auditDatabase(projectPath, files) {
+  const sorted = [...files].sort();
+  const fileSet = new Set(sorted);
+  const schemas = [];
+  const diagnostics = [];
+  const changes = [];
+
+  // Prisma: every .prisma file is part of the schema (multi-file schemas split models across them)
+  const prismaFiles = sorted.filter(file => file.endsWith('.prisma') && !SKIP_PATHS.test(file));
+  if (prismaFiles.length > 0) {
+    const parsed = prismaFiles.map(file => ({ file, source: readSource(projectPath, file) })).filter(p => p.source !== null);
+    const models = parsed.map(({ file, source }) => ({ file, source, ...parsePrismaSchema(source, file) }));
+    const provider = models.find(m => m.provider)?.provider || null;
+    const relationMode = models.find(m => m.relationMode)?.relationMode || null;
+    const tables = models.flatMap(m => m.tables);
+    schemas.push({ kind: 'prisma', files: parsed.map(p => p.file), tables: tables.length, provider });
+
+    if (provider !== 'mongodb' && !(AUTO_FK_INDEX_PROVIDERS.has(provider) && relationMode !== 'prisma')) {
+      const missing = unindexedForeignKeys(tables);
+      for (const { table, foreignKey } of missing) {
+        diagnostics.push({
+          severity: 'warning',
+          type: 'missing-fk-index',
+          message: `${table.name}.${foreignKey.columns.join(', ')} references ${foreignKey.references} but has no index - add @@index([${foreignKey.columns.join(', ')}])`,
+          file: foreignKey.file,
+          line: foreignKey.line,
+          table: table.name,
+          columns: foreignKey.columns
+        });
+      }
+      for (const { file, source, tables: fileTables } of models) {
+        const perModel = fileTables
+          .map(model => ({ model, columns: missing.filter(m => m.table === model).map(m => m.foreignKey.columns) }))
+          .filter(entry => entry.columns.length > 0 && entry.model.endLine);
+        if (perModel.length === 0) continue;
+        const content = addPrismaIndexes(source, perModel);
+        const fields = perModel.flatMap(({ model, columns }) => columns.map(list => `${model.name}.${list.join('+')}`));
+        changes.push({
+          type: 'update',
+          file,
+          description: `Add @@index for ${fields.length} foreign key(s) in ${file} (${fields.join(', ')})`,
+          diff: computeDiff(source, content, file).diff,
+          content,
+          originalContent: source
+        });
+      }
+    }
+    diagnostics.push(...tenantDiagnostics(tables, column => `add ${column} so tenant filters and row-level security cover it`));
+  }
+
+  // SQL: replay scripts in path order (timestamped migration names sort in apply order)
+  const sqlFiles = sorted.filter(file => file.endsWith('.sql') && !SKIP_PATHS.test(file) && !isDownScript(file));
+  if (sqlFiles.length > 0) {
+    const scripts = sqlFiles.map(file => {
+      const raw = readSource(projectPath, file);
+      if (raw === null) return null;
+      const marker = raw.match(DOWN_MARKER);
+      const down = marker ? maskSql(raw.slice(marker.index + marker[0].length)).replace(/[\s;]/g, '') : '';
+      return { file, content: marker ? raw.slice(0, marker.index) : raw, hasDown: Boolean(down) };
+    }).filter(Boolean);
+
+    // Prisma Migrate output mirrors schema.prisma, which is already checked
+    const modelScripts = prismaFiles.length > 0 ? scripts.filter(s => !/(^|[\\/])prisma[\\/]migrations[\\/]/.test(s.file)) : scripts;
+    const { migrations, tables: allTables } = parseSqlMigrations(scripts);
+    const tables = modelScripts === scripts ? allTables : parseSqlMigrations(modelScripts).tables;
+    if (tables.size > 0) {
+      schemas.push({ kind: 'sql', files: modelScripts.map(s => s.file), tables: tables.size });
+    }
+
+    for (const { table, foreignKey } of unindexedForeignKeys([...tables.values()])) {
+      diagnostics.push({
+        severity: 'warning',
+        type: 'missing-fk-index',
+        message: `${table.name}.${foreignKey.columns.join(', ')} references ${foreignKey.references} but has no index - add CREATE INDEX ON ${table.name} (${foreignKey.columns.join(', ')})`,
+        file: foreignKey.file,
+        line: foreignKey.line,
+        table: table.name,
+        columns: foreignKey.columns
+      });
+    }
+    diagnostics.push(...tenantDiagnostics([...tables.values()], column => `add ${column} so tenant filters and row-level security cover it`));
+
+    scripts.forEach((script, i) => {
+      const { destructive } = migrations[i];
+      if (!isMigrationScript(script.file) || destructive.length === 0 || script.hasDown || downScriptFor(script.file, fileSet)) return;
+      const operations = [...new Set(destructive.map(d => d.operation))];
+      diagnostics.push({
+        severity: 'warning',
+        type: 'irreversible-migration',
+        message: `Migration ${operations.slice(0, 3).join(', ')}${operations.length > 3 ? ', ...' : ''} without a down migration - the data cannot be restored on rollback`,
+        file: script.file,
+        line: destructive[0].line
+      });
+    });
+  }
+
+  // EF Core: migration classes under Migrations/ (designer files and the model snapshot are generated)
+  const efFiles = sorted.filter(file => /(^|[\\/])Migrations[\\/].*\.cs$/.test(file) && !/(\.Designer|ModelSnapshot)\.cs$/.test(file));
+  if (efFiles.length > 0) {
+    const sources = efFiles.map(file => ({ file, content: readSource(projectPath, file) })).filter(s => s.content && /MigrationBuilder/.test(s.content));
+    const { tables, migrations } = parseEfMigrations(sources);
+    if (migrations.length > 0) {
+      schemas.push({ kind: 'efcore', files: migrations.map(m => m.file), tables: tables.size });
+    }
+    for (const { table, foreignKey } of unindexedForeignKeys([...tables.values()])) {
+      diagnostics.push({
+        severity: 'warning',
+        type: 'missing-fk-index',
+        message: `${table.name}.${foreignKey.columns.join(', ')} references ${foreignKey.references} but has no index - add migrationBuilder.CreateIndex (or HasIndex in the model)`,
+        file: foreignKey.file,
+        line: foreignKey.line,
+        table: table.name,
+        columns: foreignKey.columns
+      });
+    }
+    diagnostics.push(...tenantDiagnostics([...tables.values()], column => `add ${column} and a HasQueryFilter so tenant filters cover it`));
+    for (const migration of migrations.filter(m => m.operations > 0 && m.down !== 'ok')) {
+      diagnostics.push({
+        severity: 'warning',
+        type: 'irreversible-migration',
+        message: migration.down === 'throws'
+          ? `${path.basename(migration.file, '.cs')} throws in Down() - the migration cannot be rolled back`
+          : `${path.basename(migration.file, '.cs')} has an empty Down() - rolling it back leaves the schema changed`,
+        file: migration.file,
+        line: migration.line
+      });
+    }
+  }
+
+  // N+1: Prisma reads inside loops and array callbacks
+  for (const file of sorted) {
+    if (SKIP_PATHS.test(file) || !JS_TS_EXTENSIONS.includes(path.extname(file))) continue;
+    const code = readSource(projectPath, file);
+    if (!code || !/prisma/i.test(code)) continue;
+    for (const finding of findNPlusOne(code, file)) {
+      diagnostics.push({
+        severity: 'warning',
+        type: 'n-plus-one',
+        message: `${finding.call} inside a ${finding.loop} issues one query per item (N+1) - batch it into one findMany with an \`in\` filter or load it through include`,
+        file: finding.file,
+        line: finding.line,
+        column: finding.column
+      });
+    }
+  }
+
+  if (schemas.length > 0) {
+    const labels = { prisma: 'Prisma', sql: 'SQL', efcore: 'EF Core' };
+    diagnostics.unshift({
+      severity: 'info',
+      type: 'schema-inventory',
+      message: `Database schema: ${schemas.map(s => `${labels[s.kind]}${s.provider ? ` (${s.provider})` : ''} ${s.tables} table(s) from ${s.files.length} file(s)`).join(', ')}`,
+      file: '',
+      line: 0,
+      schemas
+    });
+  }
+
+  return { schemas, diagnostics, changes };
+}
+
+export default { parsePrismaSchema, parseSqlMigrations, parseEfMigrations, unindexedForeignKeys, missingTenantColumns, findNPlusOne, auditDatabase };
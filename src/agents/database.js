@@ -0,0 +1,132 @@
+// Database Agent - Schemas, migrations and ORM queries (Prisma, SQL, EF Core)
+import fs from 'fs';
+import path from 'path';
+import { walkFiles, gitignoreMatcher, budgetDiagnostic, DEFAULT_MAX_FILES } from './budget.js';
+import { auditDatabase } from './database-audit.js';
+import { JS_TS_EXTENSIONS } from './ast.js';
+
+/**
+ * Supported languages for database
+ */
+const SUPPORTED_LANGUAGES = ['javascript', 'typescript', 'python', 'go', 'rust', 'php', 'csharp'];
+
+/**
+ * Files the audit reads: Prisma schemas, SQL scripts, C# migrations and JS/TS (Prisma queries)
+ */
+function isDatabaseFile(relPath) {
+  const ext = path.extname(relPath);
+  return ['.prisma', '.sql', '.cs'].includes(ext) || JS_TS_EXTENSIONS.includes(ext);
+}
+
+/**
+ * Validate agent context
+ * @param {Object} context - Agent context
+ * @returns {Object} Validation result { valid: boolean, error?: string }
+ */
+function validateContext(context) {
+  if (!context) {
+    return { valid: false, error: 'Context is required' };
+  }
+
+  if (!context.projectPath) {
+    return { valid: false, error: 'projectPath is required' };
+  }
+
+  if (typeof context.projectPath !== 'string') {
+    return { valid: false, error: 'projectPath must be a string' };
+  }
+
+  if (!fs.existsSync(context.projectPath)) {
+    return { valid: false, error: `Project path does not exist: ${context.projectPath}` };
+  }
+
+  return { valid: true };
+}
+
+/**
+ * Analyze the database layer of a project
+ */
+export async function run(context) {
+  // Validate context
+  const validation = validateContext(context);
+  if (!validation.valid) {
+    return {
+      success: false,
+      diagnostics: [{
+        severity: 'error',
+        type: 'invalid-context',
+        message: `Invalid context: ${validation.error}`,
+        file: '',
+        line: 0
+      }],
+      changes: [],
+      summary: `Error: ${validation.error}`
+    };
+  }
+
+  const { projectPath, metadata } = context;
+  const { language } = metadata || {};
+
+  // Check language support
+  if (!language || !SUPPORTED_LANGUAGES.includes(language)) {
+    return {
+      success: false,
+      diagnostics: [{
+        severity: 'warning',
+        type: 'unsupported-language',
+        message: `Database agent does not support language: ${language || 'unknown'}`,
+        file: '',
+        line: 0
+      }],
+      changes: [],
+      summary: `Skipped: language ${language || 'unknown'} not supported by Database agent`
+    };
+  }
+
+  // Schemas, migrations and queries, within the orchestrator's file budget
+  const maxFiles = context.budget?.maxFiles ?? DEFAULT_MAX_FILES;
+  const { files, truncated } = walkFiles(projectPath, {
+    maxFiles,
+    signal: context.signal,
+    filter: isDatabaseFile,
+    skip: gitignoreMatcher(projectPath)
+  });
+  const { schemas, diagnostics, changes } = auditDatabase(projectPath, files);
+
+  if (schemas.length === 0) {
+    diagnostics.unshift({
+      severity: 'info',
+      type: 'no-schema',
+      message: 'No schema.prisma, SQL migrations or EF Core migrations found',
+      file: '',
+      line: 0
+    });
+  }
+
+  const issues = diagnostics.filter(d => d.severity !== 'info').length;
+  const summary = schemas.length > 0
+    ? `Database analysis complete. Found ${issues} issues in ${schemas.map(s => s.kind).join(', ')} schema.`
+    : `Database analysis complete. No schema found, ${issues} query issues.`;
+
+  if (truncated) {
+    diagnostics.push(budgetDiagnostic('Database', maxFiles));
+  }
+
+  return {
+    success: true,
+    diagnostics,
+    changes,
+    summary
+  };
+}
+
+// Agent definition
+export const databaseAgent = {
+  id: 'database',
+  description: 'Analiza la capa de datos: esquemas Prisma, migraciones SQL y EF Core, índices, multi-tenant y consultas N+1',
+  supportedLanguages: SUPPORTED_LANGUAGES,
+  requiredCapabilities: [],
+  run
+};
+
+export default databaseAgent;
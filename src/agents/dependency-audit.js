@@ -0,0 +1,503 @@
+// Dependency Audit - Match lockfile versions against a local OSV advisory database (security agent)
+import fs from 'fs';
+import path from 'path';
+import { getMemoryConfig } from '../memory/storage.js';
+import { computeDiff } from '../file-engine/diff.js';
+
+// Advisory database path -> { key, index } (index: '<ecosystem>:<name>' -> OSV entries)
+const dbCache = new Map();
+
+/**
+ * Advisory database location: AI_CORE_ADVISORY_DB (an OSV JSON file or a directory of them),
+ * or ~/.ai-core/advisories next to memory
+ */
+export function getAdvisoryDbPath() {
+  const { memoryDir } = getMemoryConfig();
+  return process.env.AI_CORE_ADVISORY_DB || path.join(memoryDir, '..', 'advisories');
+}
+
+/**
+ * Normalize package names the way each registry compares them
+ */
+function packageKey(ecosystem, name) {
+  const eco = ecosystem.toLowerCase();
+  const normalized = eco === 'pypi' ? name.toLowerCase().replace(/[-_.]+/g, '-') : name;
+  return `${eco}:${normalized}`;
+}
+
+function readText(file) {
+  try {
+    return fs.readFileSync(file, 'utf-8');
+  } catch (e) {
+    return null;
+  }
+}
+
+function readJson(file) {
+  const text = readText(file);
+  if (text === null) return null;
+  try {
+    return JSON.parse(text);
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * [[package]] name/version pairs of a TOML lockfile (poetry.lock, Cargo.lock)
+ */
+function parseTomlPackages(text) {
+  const packages = [];
+  let current = null;
+  for (const line of text.split('\n')) {
+    if (/^\s*\[\[package\]\]\s*$/.test(line)) {
+      current = {};
+      packages.push(current);
+    } else if (/^\s*\[/.test(line)) {
+      current = null;
+    } else if (current) {
+      const match = line.match(/^\s*(name|version)\s*=\s*"([^"]+)"/);
+      if (match) current[match[1]] = match[2];
+    }
+  }
+  return packages.filter(p => p.name && p.version);
+}
+
+/**
+ * Lockfile readers: resolved packages plus the manifest a version bump goes to
+ */
+const LOCKFILES = [
+  {
+    file: 'package-lock.json',
+    ecosystem: 'npm',
+    manifest: 'package.json',
+    read(text) {
+      const lock = JSON.parse(text);
+      const packages = [];
+      if (lock.packages) {
+        // lockfileVersion 2/3: keys like node_modules/a/node_modules/b
+        for (const [key, info] of Object.entries(lock.packages)) {
+          if (!key || !info.version || info.link) continue;
+          packages.push({ name: info.name || key.split('node_modules/').pop(), version: info.version });
+        }
+      } else {
+        const visit = (deps = {}) => {
+          for (const [name, info] of Object.entries(deps)) {
+            if (info.version) packages.push({ name, version: info.version });
+            visit(info.dependencies);
+          }
+        };
+        visit(lock.dependencies);
+      }
+      return packages;
+    }
+  },
+  {
+    file: 'requirements.txt',
+    ecosystem: 'PyPI',
+    manifest: 'requirements.txt',
+    read(text) {
+      return text.split('\n')
+        .map(line => line.replace(/#.*/, '').trim().match(/^([A-Za-z0-9][A-Za-z0-9._-]*)(?:\[[^\]]*\])?\s*===?\s*([^\s;,]+)/))
+        .filter(Boolean)
+        .map(([, name, version]) => ({ name, version }));
+    }
+  },
+  {
+    file: 'poetry.lock',
+    ecosystem: 'PyPI',
+    manifest: 'pyproject.toml',
+    read: parseTomlPackages
+  },
+  {
+    file: 'composer.lock',
+    ecosystem: 'Packagist',
+    manifest: 'composer.json',
+    read(text) {
+      const lock = JSON.parse(text);
+      return [...(lock.packages || []), ...(lock['packages-dev'] || [])]
+        .filter(p => p.name && p.version)
+        .map(p => ({ name: p.name, version: p.version.replace(/^v/, '') }));
+    }
+  },
+  {
+    file: 'go.sum',
+    ecosystem: 'Go',
+    manifest: 'go.mod',
+    read(text) {
+      const seen = new Set();
+      const packages = [];
+      for (const line of text.split('\n')) {
+        const [name, rawVersion] = line.trim().split(/\s+/);
+        if (!name || !rawVersion) continue;
+        const version = rawVersion.replace(/\/go\.mod$/, '').replace(/\+incompatible$/, '');
+        if (!seen.has(`${name}@${version}`)) {
+          seen.add(`${name}@${version}`);
+          packages.push({ name, version });
+        }
+      }
+      return packages;
+    }
+  },
+  {
+    file: 'Cargo.lock',
+    ecosystem: 'crates.io',
+    manifest: 'Cargo.toml',
+    read: parseTomlPackages
+  }
+];
+
+/**
+ * Resolved dependencies from every supported lockfile in the project root
+ * @param {string} projectPath
+ * @returns {Object[]} [{ ecosystem, name, version, lockfile, manifest }]
+ */
+export function readLockfiles(projectPath) {
+  const dependencies = [];
+  for (const reader of LOCKFILES) {
+    const text = readText(path.join(projectPath, reader.file));
+    if (text === null) continue;
+    try {
+      for (const { name, version } of reader.read(text)) {
+        dependencies.push({ ecosystem: reader.ecosystem, name, version, lockfile: reader.file, manifest: reader.manifest });
+      }
+    } catch (e) {
+      console.error(`[Security Agent] Could not parse ${reader.file}: ${e.message}`);
+    }
+  }
+  return dependencies;
+}
+
+/**
+ * Load and index the advisory database (cached until the files change)
+ * Accepts OSV entries as a JSON array, { vulns: [...] }, a single entry, or a directory of such files.
+ * @param {string} [dbPath]
+ * @returns {Object|null} { index: Map, count } or null when missing
+ */
+export function loadAdvisories(dbPath = getAdvisoryDbPath()) {
+  let files;
+  try {
+    files = fs.statSync(dbPath).isDirectory()
+      ? fs.readdirSync(dbPath).filter(f => f.endsWith('.json')).sort().map(f => path.join(dbPath, f))
+      : [dbPath];
+  } catch (e) {
+    return null;
+  }
+
+  const key = files.map(f => `${f}:${fs.statSync(f).mtimeMs}`).join('\n');
+  const cached = dbCache.get(dbPath);
+  if (cached?.key === key) return cached.db;
+
+  const index = new Map();
+  let count = 0;
+  for (const file of files) {
+    const data = readJson(file);
+    if (!data) {
+      console.error(`[Security Agent] Skipping unreadable advisory file: ${file}`);
+      continue;
+    }
+    const entries = Array.isArray(data) ? data : (Array.isArray(data.vulns) ? data.vulns : [data]);
+    for (const entry of entries) {
+      if (!entry?.id || !Array.isArray(entry.affected)) continue;
+      count++;
+      for (const affected of entry.affected) {
+        if (!affected.package?.ecosystem || !affected.package?.name) continue;
+        const pkgKey = packageKey(affected.package.ecosystem, affected.package.name);
+        if (!index.has(pkgKey)) index.set(pkgKey, []);
+        index.get(pkgKey).push({ entry, affected });
+      }
+    }
+  }
+
+  const db = { index, count };
+  dbCache.set(dbPath, { key, db });
+  return db;
+}
+
+/**
+ * Compare versions segment by segment (numeric parts numerically, pre-release tags before releases)
+ * Close enough to SEMVER and the common ECOSYSTEM orderings for range checks.
+ * @returns {number} <0, 0, >0
+ */
+export function compareVersions(a, b) {
+  const parse = (v) => {
+    const [main, pre = ''] = String(v).replace(/^v/, '').split('+')[0].split(/-(.*)/s);
+    return { main: main.split('.'), pre };
+  };
+  const compareParts = (x = '0', y = '0') => {
+    const nx = /^\d+$/.test(x);
+    const ny = /^\d+$/.test(y);
+    if (nx && ny) return Number(x) - Number(y);
+    if (nx !== ny) return nx ? 1 : -1;
+    return x < y ? -1 : (x > y ? 1 : 0);
+  };
+  // 1.0rc1 -> 1, 0rc1 -> chunks so PyPI-style tags sort below the release
+  const chunks = (parts) => parts.flatMap(p => p.match(/\d+|[a-z]+/gi) || ['0']);
+
+  const va = parse(a);
+  const vb = parse(b);
+  const ma = chunks(va.main);
+  const mb = chunks(vb.main);
+  for (let i = 0; i < Math.max(ma.length, mb.length); i++) {
+    const diff = compareParts(ma[i], mb[i]);
+    if (diff !== 0) return diff;
+  }
+  if (va.pre === vb.pre) return 0;
+  if (!va.pre) return 1;
+  if (!vb.pre) return -1;
+  const pa = va.pre.split('.');
+  const pb = vb.pre.split('.');
+  for (let i = 0; i < Math.max(pa.length, pb.length); i++) {
+    if (pa[i] === undefined) return -1;
+    if (pb[i] === undefined) return 1;
+    const diff = compareParts(pa[i], pb[i]);
+    if (diff !== 0) return diff;
+  }
+  return 0;
+}
+
+/**
+ * Whether a version falls in an OSV affected entry, and the range it matched
+ * @returns {Object|null} { range, fixed }
+ */
+export function matchAffected(affected, version) {
+  const v = version.replace(/^v/, '');
+  if ((affected.versions || []).some(listed => listed.replace(/^v/, '') === v)) {
+    const fixed = findFixed(affected.ranges, v);
+    return { range: `=${v}`, fixed };
+  }
+
+  for (const range of affected.ranges || []) {
+    if (range.type === 'GIT') continue;
+    const events = [...(range.events || [])]
+      .map(e => {
+        const [kind, value] = Object.entries(e)[0] || [];
+        return { kind, value: String(value ?? '').replace(/^v/, '') };
+      })
+      .filter(e => ['introduced', 'fixed', 'last_affected'].includes(e.kind))
+      .sort((x, y) => (x.value === '0' ? -1 : y.value === '0' ? 1 : compareVersions(x.value, y.value)));
+
+    let inRange = false;
+    let introduced = null;
+    let upper = null;
+    for (const event of events) {
+      if (event.kind === 'introduced' && (event.value === '0' || compareVersions(v, event.value) >= 0)) {
+        inRange = true;
+        introduced = event.value;
+        upper = null;
+      } else if (event.kind === 'fixed' && inRange) {
+        if (compareVersions(v, event.value) >= 0) inRange = false;
+        else if (!upper) upper = `<${event.value}`;
+      } else if (event.kind === 'last_affected' && inRange) {
+        if (compareVersions(v, event.value) > 0) inRange = false;
+        else if (!upper) upper = `<=${event.value}`;
+      }
+    }
+
+    if (inRange) {
+      const lower = introduced && introduced !== '0' ? `>=${introduced}` : '';
+      return { range: [lower, upper].filter(Boolean).join(' ') || '*', fixed: findFixed([range], v) };
+    }
+  }
+  return null;
+}
+
+/**
+ * Lowest fixed version above the current one
+ */
+function findFixed(ranges = [], version) {
+  const fixes = ranges
+    .flatMap(r => (r.events || []).map(e => e.fixed).filter(Boolean))
+    .map(f => String(f).replace(/^v/, ''))
+    .filter(f => compareVersions(f, version) > 0)
+    .sort(compareVersions);
+  return fixes[0] || null;
+}
+
+/**
+ * GHSA-style severity of an advisory, mapped to a diagnostic severity
+ */
+function advisorySeverity(entry, affected) {
+  const level = String(entry.database_specific?.severity || affected.database_specific?.severity || '').toUpperCase();
+  return level === 'CRITICAL' || level === 'HIGH' ? 'error' : 'warning';
+}
+
+/**
+ * Audit resolved dependencies against the advisory database
+ * @param {Object[]} dependencies - From readLockfiles
+ * @param {Object} db - From loadAdvisories
+ * @returns {Object[]} [{ dependency, advisory, aliases, summary, range, fixed, severity }]
+ */
+export function auditDependencies(dependencies, db) {
+  const findings = [];
+  const seen = new Set();
+  for (const dependency of dependencies) {
+    for (const { entry, affected } of db.index.get(packageKey(dependency.ecosystem, dependency.name)) || []) {
+      const match = matchAffected(affected, dependency.version);
+      const key = `${dependency.lockfile}:${dependency.name}@${dependency.version}:${entry.id}`;
+      if (!match || seen.has(key)) continue;
+      seen.add(key);
+      findings.push({
+        dependency,
+        advisory: entry.id,
+        aliases: entry.aliases || [],
+        summary: entry.summary || entry.details?.split('\n')[0] || '',
+        range: match.range,
+        fixed: match.fixed,
+        severity: advisorySeverity(entry, affected)
+      });
+    }
+  }
+  return findings;
+}
+
+/**
+ * Rewrite the version of one direct dependency in a manifest, or null when it is not declared there
+ */
+function bumpManifest(manifest, content, name, fixed) {
+  const escaped = name.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+  switch (manifest) {
+    case 'package.json':
+    case 'composer.json': {
+      const json = JSON.parse(content);
+      const sections = manifest === 'package.json'
+        ? ['dependencies', 'devDependencies', 'optionalDependencies']
+        : ['require', 'require-dev'];
+      const section = sections.find(s => json[s]?.[name]);
+      if (!section) return null;
+      json[section][name] = `^${fixed}`;
+      return JSON.stringify(json, null, 2) + (content.endsWith('\n') ? '\n' : '');
+    }
+    case 'requirements.txt': {
+      const pattern = new RegExp(`^(${escaped}(?:\\[[^\\]]*\\])?\\s*)===?\\s*[^\\s;#]+`, 'im');
+      return pattern.test(content) ? content.replace(pattern, `$1==${fixed}`) : null;
+    }
+    case 'pyproject.toml':
+    case 'Cargo.toml': {
+      const pattern = new RegExp(`^(\\s*${escaped}\\s*=\\s*(?:\\{[^}\\n]*version\\s*=\\s*)?")[^"]*(")`, 'm');
+      const spec = manifest === 'pyproject.toml' ? `^${fixed}` : fixed;
+      return pattern.test(content) ? content.replace(pattern, `$1${spec}$2`) : null;
+    }
+    case 'go.mod': {
+      const pattern = new RegExp(`^(\\s*(?:require\\s+)?${escaped}\\s+)v[^\\s]+`, 'm');
+      return pattern.test(content) ? content.replace(pattern, `$1v${fixed}`) : null;
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * One update change per manifest bumping every vulnerable direct dependency to its fixed version
+ * @param {string} projectPath
+ * @param {Object[]} findings - From auditDependencies
+ * @returns {Object[]} Change[]
+ */
+export function proposeVersionBumps(projectPath, findings) {
+  // Highest fixed version needed per manifest/package
+  const bumps = new Map();
+  for (const { dependency, fixed, advisory } of findings) {
+    if (!fixed) continue;
+    const key = `${dependency.manifest}\n${dependency.name}`;
+    const current = bumps.get(key);
+    if (!current || compareVersions(fixed, current.fixed) > 0) {
+      bumps.set(key, { manifest: dependency.manifest, name: dependency.name, fixed, advisories: [...(current?.advisories || []), advisory] });
+    } else {
+      current.advisories.push(advisory);
+    }
+  }
+
+  const byManifest = new Map();
+  for (const bump of bumps.values()) {
+    if (!byManifest.has(bump.manifest)) byManifest.set(bump.manifest, []);
+    byManifest.get(bump.manifest).push(bump);
+  }
+
+  const changes = [];
+  for (const [manifest, list] of byManifest) {
+    const originalContent = readText(path.join(projectPath, manifest));
+    if (originalContent === null) continue;
+
+    let content = originalContent;
+    const applied = [];
+    for (const bump of list) {
+      try {
+        const next = bumpManifest(manifest, content, bump.name, bump.fixed);
+        if (next && next !== content) {
+          content = next;
+          applied.push(bump);
+        }
+      } catch (e) {
+        console.error(`[Security Agent] Could not update ${manifest}: ${e.message}`);
+      }
+    }
+    if (applied.length === 0) continue;
+
+    changes.push({
+      type: 'update',
+      file: manifest,
+      description: `Bump vulnerable dependencies: ${applied.map(b => `${b.name} -> ${b.fixed} (${b.advisories.join(', ')})`).join('; ')}`,
+      diff: computeDiff(originalContent, content, manifest).diff,
+      content,
+      originalContent
+    });
+  }
+  return changes;
+}
+
+/**
+ * Full audit for the security agent
+ * @param {string} projectPath
+ * @returns {Object} { diagnostics, changes }
+ */
+export function scanDependencies(projectPath) {
+  const dependencies = readLockfiles(projectPath);
+  if (dependencies.length === 0) return { diagnostics: [], changes: [] };
+
+  const dbPath = getAdvisoryDbPath();
+  const db = loadAdvisories(dbPath);
+  if (!db) {
+    return {
+      diagnostics: [{
+        severity: 'info',
+        type: 'audit-skipped',
+        message: `Dependency audit skipped - no advisory database at ${dbPath} (set AI_CORE_ADVISORY_DB)`,
+        file: '',
+        line: 0
+      }],
+      changes: []
+    };
+  }
+
+  const findings = auditDependencies(dependencies, db);
+  const diagnostics = findings.map(f => ({
+    severity: f.severity,
+    type: 'vulnerability',
+    message: `${f.dependency.name}@${f.dependency.version} is affected by ${f.advisory}` +
+      (f.aliases.length > 0 ? ` (${f.aliases.join(', ')})` : '') +
+      (f.summary ? `: ${f.summary}` : '') +
+      (f.fixed ? ` - fixed in ${f.fixed}` : ' - no fixed version yet'),
+    file: f.dependency.lockfile,
+    line: 0,
+    advisory: f.advisory,
+    aliases: f.aliases,
+    package: f.dependency.name,
+    ecosystem: f.dependency.ecosystem,
+    version: f.dependency.version,
+    affected: f.range,
+    fixed: f.fixed
+  }));
+
+  return { diagnostics, changes: proposeVersionBumps(projectPath, findings) };
+}
+
+export default {
+  scanDependencies,
+  readLockfiles,
+  loadAdvisories,
+  auditDependencies,
+  proposeVersionBumps,
+  matchAffected,
+  compareVersions,
+  getAdvisoryDbPath
+};
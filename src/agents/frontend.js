@@ -1,11 +1,13 @@
 // Frontend Agent - UI/UX, components, styles
 import fs from 'fs';
 import path from 'path';
+import { walkFiles, budgetDiagnostic, DEFAULT_MAX_FILES } from './budget.js';
+import { auditAccessibility } from './a11y.js';
 
 /**
  * Supported languages for frontend
  */
-const SUPPORTED_LANGUAGES = ['javascript', 'typescript'];
+const SUPPORTED_LANGUAGES = ['javascript', 'typescript', 'html'];
 
 /**
  * Safely read directory contents
@@ -82,6 +84,7 @@ export async function run(context) {
       success: false,
       diagnostics: [{
         severity: 'error',
+        type: 'invalid-context',
         message: `Invalid context: ${validation.error}`,
         file: '',
         line: 0
@@ -103,6 +106,7 @@ export async function run(context) {
       success: false,
       diagnostics: [{
         severity: 'warning',
+        type: 'unsupported-language',
         message: `Frontend agent does not support language: ${language || 'unknown'}`,
         file: '',
         line: 0
@@ -120,8 +124,19 @@ export async function run(context) {
   const commonIssues = analyzeCommonFrontend(projectPath);
   diagnostics.push(...commonIssues);
   
+  // Accessibility audit of components and templates, within the orchestrator's file budget
+  const maxFiles = context.budget?.maxFiles ?? DEFAULT_MAX_FILES;
+  const { files, truncated } = walkFiles(projectPath, { maxFiles, signal: context.signal });
+  const a11y = auditAccessibility(projectPath, files);
+  diagnostics.push(...a11y.diagnostics);
+  changes.push(...a11y.changes);
+  
   const summary = `Frontend analysis complete. Found ${diagnostics.length} issues for ${framework || 'vanilla'} project.`;
   
+  if (truncated) {
+    diagnostics.push(budgetDiagnostic('Frontend', maxFiles));
+  }
+  
   return {
     success: true,
     diagnostics,
@@ -142,6 +157,7 @@ function analyzeFramework(projectPath, framework, signals) {
     if (!files.includes('package.json')) {
       diagnostics.push({
         severity: 'warning',
+        type: 'missing-manifest',
         message: 'No package.json found',
         file: 'package.json',
         line: 0
@@ -159,6 +175,7 @@ function analyzeFramework(projectPath, framework, signals) {
     if (!hasEntryPoint) {
       diagnostics.push({
         severity: 'info',
+        type: 'project-structure',
         message: 'No clear entry point found (index.js, App.js, main.tsx)',
         file: '',
         line: 0
@@ -172,6 +189,7 @@ function analyzeFramework(projectPath, framework, signals) {
     if (!hasPages) {
       diagnostics.push({
         severity: 'info',
+        type: 'project-structure',
         message: 'No pages or app directory found in Next.js project',
         file: '',
         line: 0
@@ -184,6 +202,7 @@ function analyzeFramework(projectPath, framework, signals) {
     if (!hasVueFiles) {
       diagnostics.push({
         severity: 'info',
+        type: 'project-structure',
         message: 'No .vue files found',
         file: '',
         line: 0
@@ -206,6 +225,7 @@ function analyzeCommonFrontend(projectPath) {
   if (!hasPublic) {
     diagnostics.push({
       severity: 'info',
+      type: 'project-structure',
       message: 'No public or static folder found for assets',
       file: '',
       line: 0
@@ -217,6 +237,7 @@ function analyzeCommonFrontend(projectPath) {
   if (!hasImages) {
     diagnostics.push({
       severity: 'info',
+      type: 'project-structure',
       message: 'No images folder found - consider adding one',
       file: '',
       line: 0
@@ -234,6 +255,7 @@ function analyzeCommonFrontend(projectPath) {
   if (!hasStyles && files.includes('package.json')) {
     diagnostics.push({
       severity: 'info',
+      type: 'project-structure',
       message: 'No CSS/SCSS/SASS files found - using CSS-in-JS or Tailwind?',
       file: '',
       line: 0
@@ -247,7 +269,7 @@ function analyzeCommonFrontend(projectPath) {
 export const frontendAgent = {
   id: 'frontend',
   description: 'Analiza proyectos frontend: React, Vue, Next.js, etc.',
-  supportedLanguages: ['javascript', 'typescript'],
+  supportedLanguages: ['javascript', 'typescript', 'html'],
   requiredCapabilities: [],
   run
 };
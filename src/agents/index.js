@@ -5,6 +5,9 @@ import { frontendAgent } from './frontend.js';
 import { backendAgent } from './backend.js';
 import { securityAgent } from './security.js';
 import { testAgent } from './test.js';
+import { databaseAgent } from './database.js';
+import { loadPluginAgents } from './plugins.js';
+import { pathToFileURL } from 'url';
 
 /**
  * All available agents
@@ -15,14 +18,61 @@ export const agents = {
   frontend: frontendAgent,
   backend: backendAgent,
   security: securityAgent,
-  test: testAgent
+  test: testAgent,
+  database: databaseAgent
 };
 
+/**
+ * Module each built-in agent is defined in (its default export)
+ */
+const BUILTIN_MODULES = new Map([
+  [seoAgent, './seo.js'],
+  [codeAgent, './code.js'],
+  [frontendAgent, './frontend.js'],
+  [backendAgent, './backend.js'],
+  [securityAgent, './security.js'],
+  [testAgent, './test.js'],
+  [databaseAgent, './database.js']
+].map(([agent, file]) => [agent, new URL(file, import.meta.url).href]));
+
+/**
+ * Module URL an agent can be re-imported from (e.g. in a worker thread): built-in agents and file plugins
+ * @param {Object} agent
+ * @returns {string|null} null for agents only registered in memory
+ */
+export function getAgentModule(agent) {
+  if (BUILTIN_MODULES.has(agent)) return BUILTIN_MODULES.get(agent);
+  if (agent?.plugin?.file) return pathToFileURL(agent.plugin.file).href;
+  return null;
+}
+
+/**
+ * Built-in agents plus the plugin agents available to a project
+ * (<project>/.ai-core/agents and the global plugin directory)
+ * @param {string} [projectPath]
+ * @param {Object} [options] - { reload }
+ * @returns {Promise<Object>} { agents: { <id>: Agent }, plugins: string[], errors: [{ file, error }] }
+ */
+export async function loadAgents(projectPath, options = {}) {
+  const { agents: pluginAgents, errors } = await loadPluginAgents(projectPath, {
+    ...options,
+    reserved: Object.keys(agents)
+  });
+
+  return {
+    agents: { ...agents, ...pluginAgents },
+    plugins: Object.keys(pluginAgents),
+    errors
+  };
+}
+
 /**
  * Get agent by ID
+ * @param {string} id
+ * @param {Object} [registry] - Registry from loadAgents (default: built-in agents)
  */
-export function getAgent(id) {
-  return agents[id] || null;
+export function getAgent(id, registry = agents) {
+  return registry[id] || null;
 }
 
 /**
@@ -0,0 +1,715 @@
+// Code Metrics - Per-function complexity and nesting, file length and cross-file duplication for the code agent
+import fs from 'fs';
+import path from 'path';
+import { parseModule, walk, JS_TS_EXTENSIONS } from './ast.js';
+
+/**
+ * Default thresholds, overridable per project in .ai-core/code-metrics.json
+ */
+export const DEFAULT_THRESHOLDS = {
+  complexity: 10,            // cyclomatic complexity per function
+  nesting: 4,                // nested control blocks per function
+  fileLines: 500,            // lines per file
+  duplicateTokens: 50,       // smallest copy-paste block, in tokens
+  maxFileBytes: 256 * 1024,  // larger files are skipped (bundles, generated code)
+  maxTotalBytes: 5 * 1024 * 1024
+};
+
+const CONFIG_FILE = path.join('.ai-core', 'code-metrics.json');
+const MAX_HOTSPOTS = 10;
+
+// Token-mode languages: decision points and block keywords for complexity and nesting
+const LANGUAGES = {
+  '.py': {
+    comments: ['#'],
+    decisions: new Set(['if', 'elif', 'for', 'while', 'except', 'and', 'or', 'case']),
+    blocks: new Set(['if', 'elif', 'else', 'for', 'while', 'try', 'except', 'finally', 'with', 'match', 'case'])
+  },
+  '.go': {
+    comments: ['//', '/*'],
+    decisions: new Set(['if', 'for', 'case', '&&', '||']),
+    blocks: new Set(['if', 'else', 'for', 'switch', 'select']),
+    functionKeyword: 'func'
+  },
+  '.php': {
+    comments: ['//', '/*', '#'],
+    decisions: new Set(['if', 'elseif', 'for', 'foreach', 'while', 'case', 'catch', '&&', '||', 'and', 'or', '?', '??']),
+    blocks: new Set(['if', 'elseif', 'else', 'for', 'foreach', 'while', 'do', 'switch', 'try', 'catch', 'finally']),
+    functionKeyword: 'function'
+  },
+  '.rs': {
+    comments: ['//', '/*'],
+    decisions: new Set(['if', 'for', 'while', '=>', '&&', '||']),
+    blocks: new Set(['if', 'else', 'for', 'while', 'loop', 'match']),
+    functionKeyword: 'fn'
+  }
+};
+
+const JS_LANGUAGE = { comments: ['//', '/*'] };
+
+const OPERATOR = /&&|\|\||\?\?|=>|->|::|\.\.\.|[=!]==?|[<>]=?|\+\+|--|[-+*/%&|^]=?|\S/y;
+
+/**
+ * Thresholds for a project: defaults merged with .ai-core/code-metrics.json (invalid values are ignored)
+ * @param {string} projectPath
+ * @returns {Object}
+ */
+export function loadThresholds(projectPath) {
+  const thresholds = { ...DEFAULT_THRESHOLDS };
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(path.join(projectPath, CONFIG_FILE), 'utf-8'));
+  } catch (e) {
+    if (e.code !== 'ENOENT') console.warn(`[Code] Ignoring ${CONFIG_FILE}: ${e.message}`);
+    return thresholds;
+  }
+
+  for (const [key, value] of Object.entries(config || {})) {
+    if (!(key in DEFAULT_THRESHOLDS)) {
+      console.warn(`[Code] Unknown threshold "${key}" in ${CONFIG_FILE}`);
+    } else if (!Number.isFinite(value) || value <= 0) {
+      console.warn(`[Code] Threshold "${key}" in ${CONFIG_FILE} must be a positive number`);
+    } else {
+      thresholds[key] = value;
+    }
+  }
+  return thresholds;
+}
+
+/**
+ * Read project files within the size budget
+ * @param {string} projectPath
+ * @param {string[]} files - Relative paths
+ * @param {Object} thresholds - maxFileBytes, maxTotalBytes
+ * @returns {Object} { sources: { file, content }[], diagnostics }
+ */
+export function readSources(projectPath, files, thresholds) {
+  const sources = [];
+  const diagnostics = [];
+  const oversized = [];
+  let total = 0;
+
+  for (const file of files) {
+    let size;
+    try {
+      size = fs.statSync(path.join(projectPath, file)).size;
+    } catch (e) {
+      continue;
+    }
+    if (size > thresholds.maxFileBytes || /\.min\.[cm]?js$/.test(file)) {
+      oversized.push(file);
+      continue;
+    }
+    if (total + size > thresholds.maxTotalBytes) {
+      diagnostics.push({
+        severity: 'info',
+        type: 'budget',
+        message: `Code agent stopped after reading ${formatBytes(total)} (size budget ${formatBytes(thresholds.maxTotalBytes)}) - ${files.length - sources.length - oversized.length} file(s) not analyzed`,
+        file: '',
+        line: 0
+      });
+      break;
+    }
+    try {
+      sources.push({ file, content: fs.readFileSync(path.join(projectPath, file), 'utf-8') });
+      total += size;
+    } catch (e) {
+      // Skip files we can't read
+    }
+  }
+
+  if (oversized.length > 0) {
+    diagnostics.push({
+      severity: 'info',
+      type: 'budget',
+      message: `Skipped ${oversized.length} minified or oversized file(s) (over ${formatBytes(thresholds.maxFileBytes)}): ${oversized.slice(0, 5).join(', ')}${oversized.length > 5 ? ', ...' : ''}`,
+      file: '',
+      line: 0
+    });
+  }
+
+  return { sources, diagnostics };
+}
+
+function formatBytes(bytes) {
+  return bytes >= 1024 * 1024 ? `${+(bytes / 1024 / 1024).toFixed(1)} MB` : `${Math.round(bytes / 1024)} KB`;
+}
+
+/**
+ * Split source into tokens without comments and whitespace (strings stay whole)
+ * @param {string} content
+ * @param {string} file - Picks the comment and string syntax by extension
+ * @returns {Object[]} { value, line }
+ */
+export function tokenize(content, file) {
+  const ext = path.extname(file);
+  const language = LANGUAGES[ext] || JS_LANGUAGE;
+  const tokens = [];
+  let line = 1;
+  let i = 0;
+
+  const advance = end => {
+    for (let j = i; j < end; j++) if (content.charCodeAt(j) === 10) line++;
+    i = end;
+  };
+
+  while (i < content.length) {
+    const char = content[i];
+    if (char === '\n' || char === ' ' || char === '\t' || char === '\r') {
+      if (char === '\n') line++;
+      i++;
+      continue;
+    }
+
+    const rest2 = content.slice(i, i + 2);
+    if (language.comments.includes('//') && rest2 === '//' || char === '#' && language.comments.includes('#') && content[i + 1] !== '[') {
+      const end = content.indexOf('\n', i);
+      i = end === -1 ? content.length : end;
+      continue;
+    }
+    if (language.comments.includes('/*') && rest2 === '/*') {
+      const end = content.indexOf('*/', i + 2);
+      advance(end === -1 ? content.length : end + 2);
+      continue;
+    }
+
+    const start = i;
+    const startLine = line;
+    if (ext === '.py' && (content.startsWith('"""', i) || content.startsWith("'''", i))) {
+      const end = content.indexOf(content.slice(i, i + 3), i + 3);
+      advance(end === -1 ? content.length : end + 3);
+    } else if (char === "'" && ext === '.rs' && !/^'(\\.|[^\\'])'/.test(content.slice(i, i + 12))) {
+      // Rust lifetime ('a), not a char literal
+      const match = /^'\w*/.exec(content.slice(i));
+      i += match[0].length;
+    } else if (char === '"' || char === "'" || char === '`') {
+      let j = i + 1;
+      while (j < content.length && content[j] !== char) {
+        if (content[j] === '\\' && !(char === '`' && ext === '.go')) j++;
+        else if (content[j] === '\n' && char !== '`') break;
+        j++;
+      }
+      advance(Math.min(j + 1, content.length));
+    } else if (/[\w$]/.test(char)) {
+      const match = /[\w$]+/y;
+      match.lastIndex = i;
+      match.exec(content);
+      i = match.lastIndex;
+    } else {
+      OPERATOR.lastIndex = i;
+      OPERATOR.exec(content);
+      i = OPERATOR.lastIndex;
+    }
+    tokens.push({ value: content.slice(start, i), line: startLine });
+  }
+
+  return tokens;
+}
+
+/**
+ * Per-function metrics for a source file
+ * @param {string} content
+ * @param {string} file
+ * @returns {Object[]|null} { name, line, endLine, complexity, nesting, nestingLine }, or null for unsupported/unparseable files
+ */
+export function functionMetrics(content, file) {
+  const ext = path.extname(file);
+  if (JS_TS_EXTENSIONS.includes(ext)) return jsFunctionMetrics(content, file);
+  if (ext === '.py') return pythonFunctionMetrics(tokenize(content, file), content);
+  if (LANGUAGES[ext]) return braceFunctionMetrics(tokenize(content, file), LANGUAGES[ext], ext);
+  return null;
+}
+
+const JS_FUNCTIONS = new Set(['FunctionDeclaration', 'FunctionExpression', 'ArrowFunctionExpression', 'ObjectMethod', 'ClassMethod', 'ClassPrivateMethod']);
+const JS_DECISIONS = new Set(['IfStatement', 'ConditionalExpression', 'ForStatement', 'ForInStatement', 'ForOfStatement', 'WhileStatement', 'DoWhileStatement', 'CatchClause']);
+const JS_BLOCKS = new Set(['IfStatement', 'ForStatement', 'ForInStatement', 'ForOfStatement', 'WhileStatement', 'DoWhileStatement', 'SwitchStatement', 'TryStatement', 'WithStatement']);
+
+function propertyName(key) {
+  if (!key) return null;
+  if (key.type === 'Identifier') return key.name;
+  if (key.type === 'PrivateName') return `#${key.id.name}`;
+  if (key.type === 'StringLiteral' || key.type === 'NumericLiteral') return String(key.value);
+  return null;
+}
+
+function jsFunctionMetrics(content, file) {
+  let ast;
+  try {
+    ast = parseModule(content, file);
+  } catch (e) {
+    return null;
+  }
+
+  const names = new WeakMap();
+  const elseIfs = new WeakSet();
+  const classes = [];
+  const stack = [];
+  const functions = [];
+
+  walk(ast.program, node => {
+    // Name function values from the binding, property or class member that holds them
+    if (node.type === 'VariableDeclarator' && node.id.type === 'Identifier' && node.init) {
+      names.set(node.init, node.id.name);
+    } else if ((node.type === 'ObjectProperty' || node.type === 'ClassProperty' || node.type === 'ClassPrivateProperty') && node.value) {
+      const name = propertyName(node.key);
+      if (name) names.set(node.value, node.type === 'ObjectProperty' || !classes.length ? name : `${classes[classes.length - 1]}.${name}`);
+    } else if (node.type === 'AssignmentExpression' && node.left.type === 'MemberExpression') {
+      const name = propertyName(node.left.property);
+      if (name) names.set(node.right, name);
+    } else if (node.type === 'ExportDefaultDeclaration') {
+      names.set(node.declaration, 'default');
+    } else if (node.type === 'CallExpression' || node.type === 'NewExpression') {
+      const callee = node.callee.type === 'MemberExpression' ? propertyName(node.callee.property) : node.callee.name;
+      if (callee) for (const arg of node.arguments) names.set(arg, `${callee} callback`);
+    } else if (node.type === 'ClassDeclaration' || node.type === 'ClassExpression') {
+      classes.push(node.id?.name || names.get(node) || '(anonymous class)');
+    }
+
+    if (JS_FUNCTIONS.has(node.type)) {
+      let name = node.id?.name || names.get(node);
+      if (node.type === 'ClassMethod' || node.type === 'ClassPrivateMethod') {
+        name = `${classes[classes.length - 1]}.${propertyName(node.key) ?? '(computed)'}`;
+      } else if (node.type === 'ObjectMethod') {
+        name = propertyName(node.key);
+      }
+      stack.push({ name: name || '(anonymous)', line: node.loc.start.line, endLine: node.loc.end.line, complexity: 1, nesting: 0, nestingLine: 0, depth: 0 });
+      return;
+    }
+
+    const current = stack[stack.length - 1];
+    if (!current) return;
+    if (JS_DECISIONS.has(node.type) || node.type === 'SwitchCase' && node.test ||
+        (node.type === 'LogicalExpression' || node.type === 'AssignmentExpression') && ['&&', '||', '??', '&&=', '||=', '??='].includes(node.operator)) {
+      current.complexity++;
+    }
+    if (node.type === 'IfStatement' && node.alternate?.type === 'IfStatement') elseIfs.add(node.alternate);
+    if (JS_BLOCKS.has(node.type) && !elseIfs.has(node)) {
+      current.depth++;
+      if (current.depth > current.nesting) {
+        current.nesting = current.depth;
+        current.nestingLine = node.loc.start.line;
+      }
+    }
+  }, node => {
+    if (node.type === 'ClassDeclaration' || node.type === 'ClassExpression') {
+      classes.pop();
+    } else if (JS_FUNCTIONS.has(node.type)) {
+      const { depth, ...metrics } = stack.pop();
+      functions.push(metrics);
+    } else if (JS_BLOCKS.has(node.type) && !elseIfs.has(node) && stack.length) {
+      stack[stack.length - 1].depth--;
+    }
+  });
+
+  return functions.sort((a, b) => a.line - b.line);
+}
+
+/**
+ * Python: functions and blocks from indentation of logical lines (open brackets continue a line)
+ */
+function pythonFunctionMetrics(tokens, content) {
+  const language = LANGUAGES['.py'];
+  const sourceLines = content.split('\n');
+  const logicalLines = [];
+  let brackets = 0;
+  for (const token of tokens) {
+    if (brackets === 0 && (!logicalLines.length || logicalLines[logicalLines.length - 1].line !== token.line)) {
+      const indent = /^[ \t]*/.exec(sourceLines[token.line - 1])[0].replace(/\t/g, '        ').length;
+      logicalLines.push({ line: token.line, indent, tokens: [] });
+    }
+    logicalLines[logicalLines.length - 1].tokens.push(token.value);
+    logicalLines[logicalLines.length - 1].endLine = token.line;
+    if ('([{'.includes(token.value)) brackets++;
+    else if (')]}'.includes(token.value)) brackets = Math.max(0, brackets - 1);
+  }
+
+  const scopes = [];  // open classes and functions: { kind, name, indent, blocks }
+  const functions = [];
+  const close = indent => {
+    while (scopes.length && scopes[scopes.length - 1].indent >= indent) {
+      const scope = scopes.pop();
+      if (scope.kind === 'function') {
+        const { kind, indent: _, blocks, ...metrics } = scope;
+        functions.push(metrics);
+      }
+    }
+  };
+
+  for (const { line, endLine, indent, tokens: words } of logicalLines) {
+    close(indent);
+    const fn = [...scopes].reverse().find(s => s.kind === 'function');
+    for (const scope of scopes) if (scope.kind === 'function') scope.endLine = endLine;
+
+    const keyword = words[0] === 'async' ? words[1] : words[0];
+    if (keyword === 'def' || keyword === 'class') {
+      const name = words[words.indexOf(keyword) + 1];
+      const owner = scopes[scopes.length - 1];
+      const qualified = owner?.kind === 'class' ? `${owner.name}.${name}` : name;
+      scopes.push(keyword === 'def'
+        ? { kind: 'function', name: qualified, line, endLine, complexity: 1, nesting: 0, nestingLine: 0, indent, blocks: [] }
+        : { kind: 'class', name: qualified, indent });
+      continue;
+    }
+    if (!fn) continue;
+
+    fn.complexity += words.filter(word => language.decisions.has(word)).length;
+    while (fn.blocks.length && fn.blocks[fn.blocks.length - 1] >= indent) fn.blocks.pop();
+    if (language.blocks.has(keyword) && words[words.length - 1] === ':') {
+      fn.blocks.push(indent);
+      if (fn.blocks.length > fn.nesting) {
+        fn.nesting = fn.blocks.length;
+        fn.nestingLine = line;
+      }
+    }
+  }
+  close(-1);
+
+  return functions.sort((a, b) => a.line - b.line);
+}
+
+/**
+ * Go, PHP and Rust: functions from their keyword to the matching brace, blocks from control keywords
+ */
+function braceFunctionMetrics(tokens, language, ext) {
+  const braces = [];   // open braces: { kind: 'function'|'block'|'control'|'type', fn, name }
+  const functions = [];
+  let pendingFunction = null;
+  let pendingType = null;
+  let pendingControl = false;
+  let parens = 0;
+
+  const currentFunction = () => {
+    for (let i = braces.length - 1; i >= 0; i--) if (braces[i].kind === 'function') return braces[i];
+    return null;
+  };
+  const typeName = () => {
+    for (let i = braces.length - 1; i >= 0; i--) if (braces[i].kind === 'type') return braces[i].name;
+    return null;
+  };
+
+  for (let i = 0; i < tokens.length; i++) {
+    const { value, line } = tokens[i];
+
+    if (value === language.functionKeyword) {
+      const header = functionHeader(tokens, i, ext);
+      if (header) {
+        const owner = header.receiver || typeName();
+        pendingFunction = { name: owner && header.name !== '(anonymous)' ? `${owner}.${header.name}` : header.name, line, bodyIndex: header.bodyIndex };
+      }
+      continue;
+    }
+    if (/^(class|trait|interface|enum|impl)$/.test(value) && ext !== '.go' && !/^(::|->)$/.test(tokens[i - 1]?.value)) {
+      const name = value === 'impl' ? implName(tokens, i) : tokens[i + 1]?.value;
+      if (/^\w+$/.test(name || '')) pendingType = name;
+    }
+    if (value === '(') parens++;
+    else if (value === ')') parens = Math.max(0, parens - 1);
+
+    const fn = currentFunction();
+    if (value === '{') {
+      if (pendingFunction?.bodyIndex === i) {
+        braces.push({ kind: 'function', name: pendingFunction.name, line: pendingFunction.line, complexity: 1, nesting: 0, nestingLine: 0 });
+        pendingFunction = null;
+      } else if (pendingControl && fn) {
+        const depth = braces.slice(braces.indexOf(fn) + 1).filter(b => b.kind === 'control').length + 1;
+        braces.push({ kind: 'control' });
+        if (depth > fn.nesting) {
+          fn.nesting = depth;
+          fn.nestingLine = pendingControl;
+        }
+      } else if (pendingType && !fn) {
+        braces.push({ kind: 'type', name: pendingType });
+      } else {
+        braces.push({ kind: 'block' });
+      }
+      pendingControl = false;
+      pendingType = null;
+      continue;
+    }
+    if (value === '}') {
+      const closed = braces.pop();
+      if (closed?.kind === 'function') {
+        const { kind, ...metrics } = closed;
+        functions.push({ ...metrics, endLine: line });
+      }
+      continue;
+    }
+    if (value === ';' && parens === 0) {
+      pendingType = null;
+      // Braceless bodies (PHP `if ($x) return;`) don't open a block; Go's `if x := f(); x > 0 {` does
+      if (ext === '.php') pendingControl = false;
+    }
+    // Rust match guard: `Some(x) if x > 1 => ...`
+    if (value === '=>') pendingControl = false;
+
+    if (fn) {
+      if (language.decisions.has(value)) fn.complexity++;
+      if (language.blocks.has(value) && !pendingControl) pendingControl = line;
+    }
+  }
+
+  return functions.sort((a, b) => a.line - b.line);
+}
+
+/**
+ * Name, receiver and body brace of a function header starting at the keyword, or null for declarations without a body
+ */
+function functionHeader(tokens, start, ext) {
+  let i = start + 1;
+  let receiver = null;
+  const end = tokens[i]?.value === '(' ? closingIndex(tokens, i) : -1;
+  if (ext === '.go' && end !== -1 && /^\w+$/.test(tokens[end + 1]?.value || '') && tokens[end + 2]?.value === '(') {
+    // Method receiver: func (s *Server) Handle(...)
+    receiver = tokens.slice(i, end).map(t => t.value).filter(v => /^\w+$/.test(v)).pop() || null;
+    i = end + 1;
+  }
+  if (tokens[i]?.value === '&') i++;
+  const name = /^\w+$/.test(tokens[i]?.value || '') ? tokens[i++].value : '(anonymous)';
+
+  let parens = 0;
+  for (; i < tokens.length; i++) {
+    const { value, line } = tokens[i];
+    if (value === '{' && parens > 0) {
+      // Braces inside the signature: interface{}, struct{ ... }, default arrays
+      i = closingIndex(tokens, i);
+    } else if (value === '(' || value === '[') parens++;
+    else if (value === ')' || value === ']') {
+      if (--parens < 0) return null;
+    } else if (value === '}' || value === ';') {
+      return null;
+    } else if (value === '{' && parens === 0) {
+      if (ext === '.go' && /^(interface|struct)$/.test(tokens[i - 1].value)) {
+        i = closingIndex(tokens, i);
+        continue;
+      }
+      return { name, receiver, bodyIndex: i };
+    }
+    // Go statements end at the line break: a func type (var f func(int) int) has no body
+    if (ext === '.go' && parens === 0 && i > start + 1 && line > tokens[i - 1].line) return null;
+  }
+  return null;
+}
+
+function closingIndex(tokens, open) {
+  const pairs = { '(': ')', '[': ']', '{': '}' };
+  const closer = pairs[tokens[open].value];
+  let depth = 0;
+  for (let i = open; i < tokens.length; i++) {
+    if (tokens[i].value === tokens[open].value) depth++;
+    else if (tokens[i].value === closer && --depth === 0) return i;
+  }
+  return tokens.length - 1;
+}
+
+// Rust `impl Trait for Type` / `impl<T> Type<T>`: the implementing type
+function implName(tokens, start) {
+  const words = [];
+  for (let i = start + 1; i < tokens.length && tokens[i].value !== '{' && tokens[i].value !== ';'; i++) {
+    if (tokens[i].value === '<') {
+      let depth = 0;
+      for (; i < tokens.length; i++) {
+        if (tokens[i].value === '<') depth++;
+        else if (tokens[i].value === '>' && --depth === 0) break;
+      }
+      continue;
+    }
+    words.push(tokens[i].value);
+  }
+  const forIndex = words.indexOf('for');
+  return (forIndex === -1 ? words : words.slice(forIndex + 1)).filter(w => /^\w+$/.test(w) && w !== 'where')[0] || null;
+}
+
+/**
+ * Copy-paste blocks across files: windows of `minTokens` tokens are hashed (Rabin-Karp), matches are
+ * verified token by token and extended as far as both copies agree
+ * @param {Object[]} sources - { file, tokens }
+ * @param {number} minTokens
+ * @returns {Object[]} { file, line, endLine, tokens, other: { file, line, endLine } } - one per later copy
+ */
+export function findDuplicates(sources, minTokens) {
+  const P1 = 50331653;
+  const P2 = 25165843;
+  const BASE = 257;
+  const ids = new Map();
+  const first = new Map();   // window hash -> { source, index } of its first occurrence
+  const duplicates = [];
+
+  let pow1 = 1;
+  let pow2 = 1;
+  for (let k = 1; k < minTokens; k++) {
+    pow1 = (pow1 * BASE) % P1;
+    pow2 = (pow2 * BASE) % P2;
+  }
+
+  const encoded = sources.map(({ file, tokens }) => ({
+    file,
+    tokens,
+    ids: tokens.map(t => {
+      if (!ids.has(t.value)) ids.set(t.value, ids.size + 1);
+      return ids.get(t.value);
+    })
+  }));
+
+  for (const source of encoded) {
+    const seq = source.ids;
+    if (seq.length < minTokens) continue;
+    let h1 = 0;
+    let h2 = 0;
+    for (let k = 0; k < minTokens; k++) {
+      h1 = (h1 * BASE + seq[k]) % P1;
+      h2 = (h2 * BASE + seq[k]) % P2;
+    }
+
+    let skipUntil = -1;
+    for (let start = 0; start + minTokens <= seq.length; start++) {
+      if (start > 0) {
+        const out = seq[start - 1];
+        const next = seq[start + minTokens - 1];
+        h1 = ((h1 - (out * pow1) % P1 + P1) * BASE + next) % P1;
+        h2 = ((h2 - (out * pow2) % P2 + P2) * BASE + next) % P2;
+      }
+      const key = h1 * P2 + h2;
+      const seen = first.get(key);
+      if (!seen) {
+        first.set(key, { source, index: start });
+        continue;
+      }
+      if (start < skipUntil || seen.source === source) continue;
+
+      const other = seen.source.ids;
+      let length = 0;
+      while (start + length < seq.length && seen.index + length < other.length && seq[start + length] === other[seen.index + length]) length++;
+      if (length < minTokens) continue;
+
+      duplicates.push({
+        file: source.file,
+        line: source.tokens[start].line,
+        endLine: source.tokens[start + length - 1].line,
+        tokens: length,
+        other: {
+          file: seen.source.file,
+          line: seen.source.tokens[seen.index].line,
+          endLine: seen.source.tokens[seen.index + length - 1].line
+        }
+      });
+      skipUntil = start + length;
+    }
+  }
+
+  return duplicates;
+}
+
+/**
+ * Complexity, nesting, file length and duplication findings plus a ranked hotspot list
+ * Each finding scores value/threshold; a file's hotspot score is the sum of its findings.
+ * @param {Object[]} sources - { file, content } from readSources
+ * @param {Object} thresholds - From loadThresholds
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal]
+ * @returns {Object} { diagnostics, hotspots }
+ */
+export function analyzeMetrics(sources, thresholds, { signal } = {}) {
+  const diagnostics = [];
+  const scores = new Map();   // file -> { score, line, reasons }
+
+  const addScore = (file, score, line, reason) => {
+    const entry = scores.get(file) || { file, score: 0, line, reasons: [], worst: 0 };
+    entry.score += score;
+    entry.reasons.push({ reason, score });
+    if (score > entry.worst) {
+      entry.worst = score;
+      entry.line = line;
+    }
+    scores.set(file, entry);
+  };
+
+  const tokenized = [];
+  for (const { file, content } of sources) {
+    if (signal?.aborted) break;
+
+    const lines = content.endsWith('\n') ? content.split('\n').length - 1 : content.split('\n').length;
+    if (lines > thresholds.fileLines) {
+      diagnostics.push({
+        severity: 'info',
+        type: 'file-length',
+        message: `${file} has ${lines} lines (limit ${thresholds.fileLines}) - consider splitting it`,
+        file,
+        line: 0,
+        lines
+      });
+      addScore(file, lines / thresholds.fileLines, 0, `${lines} lines`);
+    }
+
+    for (const fn of functionMetrics(content, file) || []) {
+      if (fn.complexity > thresholds.complexity) {
+        diagnostics.push({
+          severity: 'warning',
+          type: 'complexity',
+          message: `${fn.name} has cyclomatic complexity ${fn.complexity} (limit ${thresholds.complexity})`,
+          file,
+          line: fn.line,
+          endLine: fn.endLine,
+          function: fn.name,
+          complexity: fn.complexity
+        });
+        addScore(file, fn.complexity / thresholds.complexity, fn.line, `complexity ${fn.complexity} in ${fn.name}`);
+      }
+      if (fn.nesting > thresholds.nesting) {
+        diagnostics.push({
+          severity: 'warning',
+          type: 'nesting',
+          message: `${fn.name} nests blocks ${fn.nesting} deep (limit ${thresholds.nesting})`,
+          file,
+          line: fn.nestingLine,
+          function: fn.name,
+          nesting: fn.nesting
+        });
+        addScore(file, fn.nesting / thresholds.nesting, fn.nestingLine, `nesting ${fn.nesting} in ${fn.name}`);
+      }
+    }
+
+    tokenized.push({ file, tokens: tokenize(content, file) });
+  }
+
+  for (const duplicate of findDuplicates(tokenized, thresholds.duplicateTokens)) {
+    const { file, line, endLine, tokens, other } = duplicate;
+    diagnostics.push({
+      severity: 'warning',
+      type: 'duplication',
+      message: `Lines ${line}-${endLine} duplicate ${other.file}:${other.line}-${other.endLine} (${tokens} tokens) - extract the shared code`,
+      file,
+      line,
+      endLine,
+      tokens,
+      duplicateOf: other
+    });
+    const score = tokens / thresholds.duplicateTokens;
+    addScore(file, score, line, `duplicate of ${other.file}:${other.line}`);
+    addScore(other.file, score, other.line, `duplicated in ${file}:${line}`);
+  }
+
+  const hotspots = [...scores.values()]
+    .sort((a, b) => b.score - a.score || a.file.localeCompare(b.file))
+    .slice(0, MAX_HOTSPOTS)
+    .map(({ file, score, line, reasons }) => ({
+      file,
+      score: Math.round(score * 10) / 10,
+      line,
+      reasons: reasons.sort((a, b) => b.score - a.score).map(r => r.reason)
+    }));
+
+  if (hotspots.length > 0) {
+    diagnostics.unshift({
+      severity: 'info',
+      type: 'hotspots',
+      message: `Top ${hotspots.length} hotspot(s): ${hotspots.map(h => `${h.file} (${h.score}: ${h.reasons.slice(0, 3).join(', ')}${h.reasons.length > 3 ? ', ...' : ''})`).join('; ')}`,
+      file: hotspots[0].file,
+      line: hotspots[0].line,
+      hotspots
+    });
+  }
+
+  return { diagnostics, hotspots };
+}
+
+export default { loadThresholds, readSources, tokenize, functionMetrics, findDuplicates, analyzeMetrics, DEFAULT_THRESHOLDS };
@@ -0,0 +1,198 @@
+// Plugin Agents - Third-party agents discovered from <project>/.ai-core/agents and the global plugin directory
+import fs from 'fs';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { getMemoryConfig } from '../memory/storage.js';
+
+const PROJECT_PLUGIN_DIR = path.join('.ai-core', 'agents');
+const PLUGIN_EXTENSIONS = ['.js', '.mjs'];
+const ID_PATTERN = /^[a-z][a-z0-9-]*$/;
+const TRUSTED_PROJECTS_FILE = 'trusted-projects.json';
+
+// Plugin dir -> { key, agents, errors } (node caches imported modules, so edits need a restart)
+const cache = new Map();
+
+/**
+ * Global plugin directory: AI_CORE_PLUGIN_DIR, or next to memory (~/.ai-core/agents)
+ */
+export function getGlobalPluginDir() {
+  const { memoryDir } = getMemoryConfig();
+  return process.env.AI_CORE_PLUGIN_DIR || path.join(memoryDir, '..', 'agents');
+}
+
+/**
+ * Project plugins run with the server's privileges, so a cloned repository must not get to run code just by being
+ * analyzed: they only load with AI_CORE_TRUST_PROJECT_PLUGINS=true, or for projects listed in
+ * ~/.ai-core/trusted-projects.json ({ "projects": ["/abs/path"] }, next to memory)
+ * @param {string} projectPath
+ * @returns {boolean}
+ */
+export function isTrustedProject(projectPath) {
+  if (process.env.AI_CORE_TRUST_PROJECT_PLUGINS === 'true') return true;
+
+  const file = path.join(getMemoryConfig().memoryDir, '..', TRUSTED_PROJECTS_FILE);
+  let projects;
+  try {
+    projects = JSON.parse(fs.readFileSync(file, 'utf-8')).projects;
+  } catch (e) {
+    return false;
+  }
+
+  const resolved = path.resolve(projectPath);
+  return Array.isArray(projects) && projects.some(p => typeof p === 'string' && path.resolve(p) === resolved);
+}
+
+/**
+ * Plugin entry files in a directory: *.js / *.mjs, or <name>/index.js
+ */
+function listPluginFiles(dir) {
+  let entries;
+  try {
+    entries = fs.readdirSync(dir, { withFileTypes: true });
+  } catch (e) {
+    return [];
+  }
+
+  return entries
+    .map(entry => {
+      if (entry.isFile() && PLUGIN_EXTENSIONS.includes(path.extname(entry.name))) {
+        return path.join(dir, entry.name);
+      }
+      if (entry.isDirectory()) {
+        const index = path.join(dir, entry.name, 'index.js');
+        return fs.existsSync(index) ? index : null;
+      }
+      return null;
+    })
+    .filter(Boolean)
+    .sort();
+}
+
+/**
+ * Normalize trigger keywords: a list, or lists grouped by language like the trigger packs
+ */
+function normalizeTriggers(triggers) {
+  const terms = Array.isArray(triggers) ? triggers : Object.values(triggers || {}).flat();
+  return terms.filter(t => typeof t === 'string' && t.trim()).map(t => t.trim());
+}
+
+/**
+ * Check a plugin module against the agent contract
+ * @param {Object} mod - Imported module (default export or named `agent`)
+ * @returns {Object} { agent } or { error }
+ */
+export function validatePluginAgent(mod) {
+  const agent = mod?.default ?? mod?.agent;
+  if (!agent || typeof agent !== 'object') {
+    return { error: 'Plugin must export an agent object (default export or `agent`)' };
+  }
+  if (typeof agent.id !== 'string' || !ID_PATTERN.test(agent.id)) {
+    return { error: `Invalid agent id: ${JSON.stringify(agent.id)} (lowercase letters, digits and dashes)` };
+  }
+  if (!Array.isArray(agent.supportedLanguages) || agent.supportedLanguages.length === 0) {
+    return { error: `Agent ${agent.id}: supportedLanguages must be a non-empty array` };
+  }
+  if (typeof agent.run !== 'function') {
+    return { error: `Agent ${agent.id}: run(context) must be a function` };
+  }
+  if (agent.triggers !== undefined && (typeof agent.triggers !== 'object' || agent.triggers === null)) {
+    return { error: `Agent ${agent.id}: triggers must be a list or an object of lists` };
+  }
+
+  return {
+    agent: {
+      id: agent.id,
+      description: agent.description || agent.id,
+      supportedLanguages: agent.supportedLanguages,
+      requiredCapabilities: agent.requiredCapabilities || [],
+      triggers: normalizeTriggers(agent.triggers),
+      run: agent.run
+    }
+  };
+}
+
+/**
+ * Import and validate every plugin in a directory
+ */
+async function loadDirectory(dir, source, { reload = false } = {}) {
+  const files = listPluginFiles(dir);
+  const key = files.join('\n');
+  const cached = cache.get(dir);
+  if (!reload && cached?.key === key) return cached;
+
+  const agents = {};
+  const errors = [];
+  for (const file of files) {
+    try {
+      const { agent, error } = validatePluginAgent(await import(pathToFileURL(file).href));
+      if (error) {
+        errors.push({ file, error });
+      } else if (agents[agent.id]) {
+        errors.push({ file, error: `Duplicate agent id: ${agent.id}` });
+      } else {
+        agents[agent.id] = { ...agent, plugin: { source, file } };
+      }
+    } catch (e) {
+      errors.push({ file, error: `Could not load plugin: ${e.message}` });
+    }
+  }
+
+  for (const { file, error } of errors) {
+    console.error(`[Plugins] Skipping ${file}: ${error}`);
+  }
+
+  const loaded = { key, agents, errors };
+  cache.set(dir, loaded);
+  return loaded;
+}
+
+/**
+ * Report project plugins that were not imported because the project is not trusted
+ */
+function untrustedDirectory(dir) {
+  const errors = listPluginFiles(dir).map(file => ({
+    file,
+    error: 'Project plugins are not trusted: set AI_CORE_TRUST_PROJECT_PLUGINS=true or list the project in ' + TRUSTED_PROJECTS_FILE
+  }));
+
+  if (errors.length > 0) {
+    console.error(`[Plugins] Not loading ${errors.length} plugin(s) from untrusted project directory ${dir}`);
+  }
+  return { agents: {}, errors };
+}
+
+/**
+ * Discover plugin agents for a project (project plugins shadow global ones with the same id)
+ * Project plugins load only for trusted projects (see isTrustedProject); global ones always do
+ * @param {string} [projectPath]
+ * @param {Object} [options]
+ * @param {string[]} [options.reserved] - Ids plugins may not take (built-in agents)
+ * @param {boolean} [options.reload] - Re-import even if the directory listing is unchanged
+ * @returns {Promise<Object>} { agents: { <id>: Agent }, errors: [{ file, error }] }
+ */
+export async function loadPluginAgents(projectPath, { reserved = [], reload = false } = {}) {
+  const global = await loadDirectory(getGlobalPluginDir(), 'global', { reload });
+  const projectDir = projectPath && path.join(projectPath, PROJECT_PLUGIN_DIR);
+  let project = { agents: {}, errors: [] };
+  if (projectDir) {
+    project = isTrustedProject(projectPath)
+      ? await loadDirectory(projectDir, 'project', { reload })
+      : untrustedDirectory(projectDir);
+  }
+
+  const agents = {};
+  const errors = [...global.errors, ...project.errors];
+  for (const agent of [...Object.values(global.agents), ...Object.values(project.agents)]) {
+    if (reserved.includes(agent.id)) {
+      const error = `Agent id ${agent.id} conflicts with a built-in agent`;
+      console.error(`[Plugins] Skipping ${agent.plugin.file}: ${error}`);
+      errors.push({ file: agent.plugin.file, error });
+      continue;
+    }
+    agents[agent.id] = agent;
+  }
+
+  return { agents, errors };
+}
+
+export default { loadPluginAgents, validatePluginAgent, getGlobalPluginDir, isTrustedProject };
@@ -0,0 +1,1314 @@
+// Route Inventory - HTTP endpoint extraction across frameworks and draft OpenAPI generation (backend agent)
+import fs from 'fs';
+import path from 'path';
+import { parseModule, walk, moduleConstants, staticValue, JS_TS_EXTENSIONS } from './ast.js';
+import { diffFile } from '../file-engine/diff.js';
+
+// Larger files (bundles, generated code) are skipped
+const MAX_PARSE_BYTES = 512 * 1024;
+
+const HTTP_METHODS = ['get', 'post', 'put', 'patch', 'delete', 'options', 'head'];
+const METHOD_ORDER = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS', 'HEAD', 'ANY'];
+const MUTATING_METHODS = new Set(['POST', 'PUT', 'PATCH', 'DELETE']);
+
+// Middleware, decorator and guard names that imply an authenticated caller
+const AUTH_PATTERN = /auth|jwt|passport|protect|guard|login_?required|require_?(user|login|session|admin|role)|ensure_?(logged|auth)|is_?(logged|signed)_?in|is_?admin|verify_?(token|session|user)|current_?user|clerk|token_?required/i;
+
+// In-handler session checks (Next.js route handlers and API routes)
+const AUTH_CALL = /\b(auth|getServerSession|getSession|currentUser|getAuth|getToken|requireAuth|requireUser|verifyToken|verifySession|validateRequest|withAuth|withApiAuthRequired)\s*\(|\.auth\.getUser\s*\(/;
+
+// Endpoints that are public by design (sign-in flows, webhooks, health checks)
+const PUBLIC_PATHS = /login|logout|sign-?(in|up|out)|register|oauth|callback|webhook|password|forgot|reset|verify|confirm|health|status|ping|token/i;
+
+// Objects whose .get/.post calls are route registrations (not HTTP clients or Maps)
+const ROUTER_NAMES = /^(app|router|server|fastify|instance)$|Router$|Routes$/;
+const ROUTER_FACTORIES = new Set(['express', 'Router', 'fastify', 'Fastify', 'createRouter']);
+
+const SKIP_PATHS = /(^|[\\/])(__tests__|__mocks__|tests?|vendor|venv|\.venv|site-packages|migrations|bin|obj)[\\/]|\.(test|spec)\.[jt]sx?$|\.d\.ts$/;
+
+// ---------------------------------------------------------------------------
+// Paths and small text helpers
+// ---------------------------------------------------------------------------
+
+/**
+ * Normalize a framework route pattern to OpenAPI style (/users/{id})
+ * Handles :id (Express), <int:id> (Flask/Django), [id] and [...slug] (Next.js), {id?} (Laravel), {id:int} (ASP.NET).
+ * @param {string} raw
+ * @returns {string}
+ */
+export function normalizePath(raw) {
+  let route = String(raw)
+    .replace(/^~\//, '/')
+    .replace(/\[\[?\.\.\.(\w+)\]\]?/g, '{$1}')
+    .replace(/\[(\w+)\]/g, '{$1}')
+    .replace(/\{\*{0,2}(\w+)(?::[^}]*)?\??\}/g, '{$1}')
+    .replace(/<(?:\w+:)?(\w+)>/g, '{$1}')
+    .replace(/:(\w+)(\([^)]*\))?[?*+]?/g, '{$1}');
+  route = `/${route}`.replace(/\/{2,}/g, '/');
+  return route.length > 1 ? route.replace(/\/$/, '') : route;
+}
+
+function joinPaths(...parts) {
+  return normalizePath(parts.filter(Boolean).join('/'));
+}
+
+// Relative route path is inside a mount/middleware prefix
+function pathWithin(route, prefix) {
+  if (!prefix || prefix === '/') return true;
+  const base = normalizePath(prefix);
+  const target = normalizePath(route);
+  return target === base || target.startsWith(`${base}/`);
+}
+
+function lineIndex(source) {
+  const starts = [0];
+  for (let i = 0; i < source.length; i++) {
+    if (source[i] === '\n') starts.push(i + 1);
+  }
+  return offset => {
+    let low = 0;
+    let high = starts.length - 1;
+    while (low < high) {
+      const mid = (low + high + 1) >> 1;
+      if (starts[mid] <= offset) low = mid;
+      else high = mid - 1;
+    }
+    return low + 1;
+  };
+}
+
+/**
+ * Index of the bracket closing the one at `open`, skipping quoted strings
+ */
+function closingBracket(text, open) {
+  let depth = 0;
+  let quote = null;
+  for (let i = open; i < text.length; i++) {
+    const ch = text[i];
+    if (quote) {
+      if (ch === '\\') i++;
+      else if (ch === quote) quote = null;
+      continue;
+    }
+    if (ch === '"' || ch === "'") quote = ch;
+    else if (ch === '(' || ch === '[' || ch === '{') depth++;
+    else if ((ch === ')' || ch === ']' || ch === '}') && --depth === 0) return i;
+  }
+  return -1;
+}
+
+/**
+ * Split call arguments on top-level commas (Python, PHP and C# sources)
+ */
+function splitArgs(text) {
+  const args = [];
+  let depth = 0;
+  let quote = null;
+  let start = 0;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quote) {
+      if (ch === '\\') i++;
+      else if (ch === quote) quote = null;
+      continue;
+    }
+    if (ch === '"' || ch === "'") quote = ch;
+    else if ('([{'.includes(ch)) depth++;
+    else if (')]}'.includes(ch)) depth--;
+    else if (ch === ',' && depth === 0) {
+      args.push(text.slice(start, i).trim());
+      start = i + 1;
+    }
+  }
+  const last = text.slice(start).trim();
+  if (last) args.push(last);
+  return args;
+}
+
+function stringValue(arg) {
+  const match = arg?.trim().match(/^[rRbBuU@]{0,2}(['"])([\s\S]*)\1$/);
+  return match ? match[2] : null;
+}
+
+function stringList(text) {
+  return [...(text || '').matchAll(/(['"])(.*?)\1/g)].map(m => m[2]);
+}
+
+// Python keyword argument: name=value
+function keywordArg(args, name) {
+  const match = args.map(arg => arg.match(new RegExp(`^${name}\\s*=\\s*([\\s\\S]+)$`))).find(Boolean);
+  return match ? match[1] : null;
+}
+
+function unbalanced(text) {
+  return (text.match(/\(/g) || []).length > (text.match(/\)/g) || []).length;
+}
+
+// ---------------------------------------------------------------------------
+// Mount graph: routers keyed "<file>#<binding>", with prefixes and inherited auth
+// ---------------------------------------------------------------------------
+
+function createGraph() {
+  return {
+    routes: [],
+    // { parent, child, prefix, auth, file, order, replacesOwn }
+    mounts: [],
+    // Router-level auth middleware: { key, prefix, file, order }
+    uses: [],
+    // Prefix/auth declared on the router itself (Blueprint url_prefix, APIRouter prefix)
+    own: new Map(),
+    aliases: new Map()
+  };
+}
+
+function canonical(graph, key) {
+  let current = key;
+  for (let i = 0; i < 5 && graph.aliases.has(current); i++) current = graph.aliases.get(current);
+  return current;
+}
+
+function usesAuth(graph, key, item, relPath) {
+  return graph.uses.some(use => canonical(graph, use.key) === key && (use.file !== item.file || use.order < item.order) && pathWithin(relPath, use.prefix));
+}
+
+function mountChains(graph, key, seen = new Set()) {
+  const parents = graph.mounts.filter(mount => canonical(graph, mount.child) === key);
+  if (parents.length === 0 || seen.has(key)) return [{ prefix: '', auth: false, replacesOwn: false }];
+  const chains = [];
+  for (const mount of parents) {
+    const parentKey = canonical(graph, mount.parent);
+    const parentOwn = graph.own.get(parentKey) || {};
+    for (const chain of mountChains(graph, parentKey, new Set([...seen, key]))) {
+      chains.push({
+        prefix: joinPaths(chain.prefix, chain.replacesOwn ? '' : parentOwn.prefix, mount.prefix),
+        auth: chain.auth || Boolean(parentOwn.auth) || mount.auth || usesAuth(graph, parentKey, mount, mount.prefix),
+        replacesOwn: Boolean(mount.replacesOwn)
+      });
+    }
+  }
+  return chains.slice(0, 20);
+}
+
+function resolveGraph(graph) {
+  const routes = [];
+  for (const route of graph.routes) {
+    const { key, order, ...entry } = route;
+    if (!key) {
+      routes.push({ ...entry, path: normalizePath(entry.path) });
+      continue;
+    }
+    const target = canonical(graph, key);
+    const own = graph.own.get(target) || {};
+    for (const chain of mountChains(graph, target)) {
+      routes.push({
+        ...entry,
+        path: joinPaths(chain.prefix, chain.replacesOwn ? '' : own.prefix, entry.path),
+        auth: entry.auth || chain.auth || Boolean(own.auth) || usesAuth(graph, target, route, entry.path)
+      });
+    }
+  }
+  return routes;
+}
+
+// ---------------------------------------------------------------------------
+// Express, Fastify and NestJS (AST)
+// ---------------------------------------------------------------------------
+
+function resolveJsModule(from, specifier, fileSet) {
+  if (!specifier.startsWith('.')) return null;
+  const base = path.join(path.dirname(from), specifier);
+  const stem = base.replace(/\.[cm]?js$/, '');
+  const candidates = [base, ...JS_TS_EXTENSIONS.map(ext => stem + ext), ...JS_TS_EXTENSIONS.map(ext => path.join(base, `index${ext}`))];
+  return candidates.find(candidate => fileSet.has(candidate)) || null;
+}
+
+function requireSource(node) {
+  return node?.type === 'CallExpression' && node.callee.name === 'require' && node.arguments[0]?.type === 'StringLiteral' ? node.arguments[0].value : null;
+}
+
+function isRouterFactory(node) {
+  let init = node;
+  while (init && (init.type === 'AwaitExpression' || init.type === 'TSAsExpression')) init = init.argument ?? init.expression;
+  if (!init || (init.type !== 'CallExpression' && init.type !== 'NewExpression')) return false;
+  const callee = init.callee;
+  if (callee.type === 'Identifier') return ROUTER_FACTORIES.has(callee.name);
+  if (callee.type === 'MemberExpression') return callee.property.name === 'Router';
+  return requireSource(callee) === 'express' || requireSource(callee) === 'fastify';
+}
+
+function collectJs(file, code, fileSet, graph) {
+  let program;
+  try {
+    program = parseModule(code, file).program;
+  } catch (e) {
+    return;
+  }
+  const constants = moduleConstants(program);
+  const framework = /\bfastify\b/i.test(code) ? 'fastify' : 'express';
+  const text = node => code.slice(node.start, node.end);
+  const local = new Set();
+  const imports = new Map();
+
+  const importModule = (specifier, binding, exported) => {
+    const target = resolveJsModule(file, specifier, fileSet);
+    if (target) imports.set(binding, `${target}#${exported}`);
+  };
+
+  walk(program, node => {
+    if (node.type === 'ImportDeclaration') {
+      for (const specifier of node.specifiers) {
+        if (specifier.type === 'ImportDefaultSpecifier') importModule(node.source.value, specifier.local.name, 'default');
+        else if (specifier.type === 'ImportSpecifier') importModule(node.source.value, specifier.local.name, specifier.imported.name ?? specifier.imported.value);
+      }
+    } else if (node.type === 'VariableDeclarator' && node.init) {
+      const source = requireSource(node.init);
+      if (source && node.id.type === 'Identifier') importModule(source, node.id.name, 'default');
+      else if (source && node.id.type === 'ObjectPattern') {
+        for (const property of node.id.properties) {
+          if (property.type === 'ObjectProperty' && property.value.type === 'Identifier') importModule(source, property.value.name, property.key.name);
+        }
+      } else if (node.id.type === 'Identifier' && isRouterFactory(node.init)) {
+        local.add(node.id.name);
+      }
+    } else if (node.type === 'ExportDefaultDeclaration' && node.declaration.type === 'Identifier') {
+      graph.aliases.set(`${file}#default`, `${file}#${node.declaration.name}`);
+    } else if (node.type === 'AssignmentExpression' && text(node.left) === 'module.exports' && node.right.type === 'Identifier') {
+      graph.aliases.set(`${file}#default`, `${file}#${node.right.name}`);
+    }
+  });
+
+  const keyOf = name => (local.has(name) ? `${file}#${name}` : imports.get(name) ?? `${file}#default`);
+  const isRouter = name => local.has(name) || ROUTER_NAMES.test(name);
+  const childKey = node => {
+    if (node.type === 'Identifier') return local.has(node.name) ? `${file}#${node.name}` : imports.get(node.name) ?? null;
+    const source = requireSource(node);
+    const target = source && resolveJsModule(file, source, fileSet);
+    return target ? `${target}#default` : null;
+  };
+  // Fastify route options: only the hooks that run before the handler
+  const middlewareText = node => {
+    if (node.type !== 'ObjectExpression') return text(node);
+    return node.properties
+      .filter(p => p.type === 'ObjectProperty' && ['preHandler', 'onRequest', 'preValidation'].includes(p.key.name))
+      .map(p => text(p.value))
+      .join(' ');
+  };
+  const handlerName = node => {
+    if (!node) return undefined;
+    if (node.type === 'Identifier' || node.type === 'MemberExpression') return text(node);
+    return node.id?.name;
+  };
+
+  const addRoute = (object, method, routePath, args, node) => {
+    const handler = args[args.length - 1];
+    graph.routes.push({
+      key: keyOf(object),
+      method: method === 'all' ? 'ANY' : method.toUpperCase(),
+      path: routePath,
+      file,
+      line: node.callee.property.loc.start.line,
+      handler: handlerName(handler),
+      framework,
+      auth: args.slice(0, -1).some(arg => AUTH_PATTERN.test(middlewareText(arg))),
+      order: node.start
+    });
+  };
+
+  walk(program, node => {
+    if (node.type === 'ClassDeclaration' || node.type === 'ClassExpression') {
+      collectNestController(node, file, code, constants, graph);
+      return;
+    }
+    if (node.type !== 'CallExpression' || node.callee.type !== 'MemberExpression' || node.callee.computed) return;
+    const method = node.callee.property.name;
+    const object = node.callee.object;
+
+    if (HTTP_METHODS.includes(method) || method === 'all') {
+      // router.route('/users/:id').get(...).put(...)
+      let target = object;
+      while (target.type === 'CallExpression' && target.callee.type === 'MemberExpression' && [...HTTP_METHODS, 'all'].includes(target.callee.property.name)) {
+        target = target.callee.object;
+      }
+      if (target.type === 'CallExpression' && target.callee.type === 'MemberExpression' && target.callee.property.name === 'route') {
+        const owner = target.callee.object;
+        const routePath = staticValue(target.arguments[0], constants);
+        if (owner.type === 'Identifier' && isRouter(owner.name) && typeof routePath === 'string' && node.arguments.length > 0) {
+          addRoute(owner.name, method, routePath, node.arguments, node);
+        }
+        return;
+      }
+      if (object.type !== 'Identifier' || !isRouter(object.name) || node.arguments.length < 2) return;
+      const routePath = staticValue(node.arguments[0], constants);
+      if (typeof routePath !== 'string' || !(routePath.startsWith('/') || routePath === '*')) return;
+      addRoute(object.name, method, routePath, node.arguments.slice(1), node);
+      return;
+    }
+
+    if (object.type !== 'Identifier' || !isRouter(object.name)) return;
+    const key = keyOf(object.name);
+
+    if (method === 'route' && node.arguments[0]?.type === 'ObjectExpression') {
+      // fastify.route({ method, url, preHandler, handler })
+      const options = staticValue(node.arguments[0], constants);
+      const props = Object.fromEntries(node.arguments[0].properties.filter(p => p.type === 'ObjectProperty').map(p => [p.key.name, p.value]));
+      if (typeof options.url !== 'string') return;
+      const methods = [].concat(options.method).filter(m => typeof m === 'string');
+      for (const verb of methods) {
+        graph.routes.push({
+          key,
+          method: verb.toUpperCase(),
+          path: options.url,
+          file,
+          line: node.loc.start.line,
+          handler: handlerName(props.handler),
+          framework: 'fastify',
+          auth: AUTH_PATTERN.test(middlewareText(node.arguments[0])),
+          order: node.start
+        });
+      }
+    } else if (method === 'use') {
+      // app.use([prefix], ...middleware, router)
+      const prefix = staticValue(node.arguments[0], constants);
+      const args = typeof prefix === 'string' ? node.arguments.slice(1) : node.arguments;
+      args.forEach((arg, index) => {
+        const child = childKey(arg);
+        if (child) {
+          graph.mounts.push({
+            parent: key,
+            child,
+            prefix: typeof prefix === 'string' ? prefix : '',
+            auth: args.slice(0, index).some(mw => AUTH_PATTERN.test(text(mw))),
+            file,
+            order: node.start
+          });
+        } else if (AUTH_PATTERN.test(text(arg))) {
+          graph.uses.push({ key, prefix: typeof prefix === 'string' ? prefix : '', file, order: node.start });
+        }
+      });
+    } else if (method === 'register' && node.arguments[0]) {
+      // fastify.register(plugin, { prefix })
+      const child = childKey(node.arguments[0]);
+      const options = staticValue(node.arguments[1], constants);
+      if (child) graph.mounts.push({ parent: key, child, prefix: typeof options?.prefix === 'string' ? options.prefix : '', auth: false, file, order: node.start });
+    } else if (method === 'addHook') {
+      const hook = staticValue(node.arguments[0], constants);
+      if (['onRequest', 'preHandler', 'preValidation'].includes(hook) && node.arguments[1] && AUTH_PATTERN.test(text(node.arguments[1]))) {
+        graph.uses.push({ key, prefix: '', file, order: node.start });
+      }
+    }
+  });
+}
+
+function decoratorCall(decorator) {
+  const expression = decorator.expression;
+  if (expression.type === 'CallExpression' && expression.callee.type === 'Identifier') return { name: expression.callee.name, args: expression.arguments };
+  if (expression.type === 'Identifier') return { name: expression.name, args: [] };
+  return null;
+}
+
+// @Controller('users') + @Get(':id') + @UseGuards(AuthGuard)
+function collectNestController(node, file, code, constants, graph) {
+  const classDecorators = (node.decorators || []).map(decoratorCall).filter(Boolean);
+  const controller = classDecorators.find(d => d.name === 'Controller');
+  if (!controller) return;
+  const option = staticValue(controller.args[0], constants);
+  const prefixes = [].concat(typeof option === 'object' && option && !Array.isArray(option) ? option.path : option).filter(p => typeof p === 'string');
+  const classAuth = classDecorators.some(d => d.name === 'UseGuards');
+  const classPublic = classDecorators.some(d => /^(Public|AllowAnonymous|SkipAuth)$/.test(d.name));
+
+  for (const member of node.body.body) {
+    if (member.type !== 'ClassMethod' || !member.decorators) continue;
+    const decorators = member.decorators.map(decoratorCall).filter(Boolean);
+    const isPublic = classPublic || decorators.some(d => /^(Public|AllowAnonymous|SkipAuth)$/.test(d.name));
+    const auth = !isPublic && (classAuth || decorators.some(d => d.name === 'UseGuards') || graph.nestGlobalGuard === true);
+    for (const decorator of decorators) {
+      const verb = decorator.name.toLowerCase();
+      if (!HTTP_METHODS.includes(verb) && verb !== 'all') continue;
+      const routePath = decorator.args.length ? staticValue(decorator.args[0], constants) : '';
+      if (typeof routePath !== 'string') continue;
+      for (const prefix of prefixes.length ? prefixes : ['']) {
+        graph.routes.push({
+          key: null,
+          method: verb === 'all' ? 'ANY' : verb.toUpperCase(),
+          path: joinPaths(prefix, routePath),
+          file,
+          line: member.loc.start.line,
+          handler: `${node.id?.name ?? 'Controller'}.${code.slice(member.key.start, member.key.end)}`,
+          framework: 'nest',
+          auth
+        });
+      }
+    }
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Next.js route handlers (app/**/route.ts) and API routes (pages/api)
+// ---------------------------------------------------------------------------
+
+const NEXT_METHODS = new Set(['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'HEAD', 'OPTIONS']);
+
+function nextRoutePath(segments) {
+  if (segments.some(segment => segment.startsWith('_'))) return null;
+  return joinPaths(...segments.filter(segment => !/^\(.*\)$/.test(segment) && !segment.startsWith('@')));
+}
+
+function matcherRegex(pattern) {
+  const source = pattern
+    .replace(/\/:\w+\*/g, '(?:/.*)?')
+    .replace(/\/:\w+\+/g, '/.+')
+    .replace(/:\w+/g, '[^/]+');
+  try {
+    return new RegExp(`^${source}$`);
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Paths covered by an auth-checking middleware.ts (or proxy.ts), or null when there is none
+ */
+function nextMiddlewareCoverage(sources) {
+  const file = ['middleware.ts', 'middleware.js', 'src/middleware.ts', 'src/middleware.js', 'proxy.ts', 'proxy.js', 'src/proxy.ts', 'src/proxy.js'].find(f => sources.has(f));
+  if (!file || !AUTH_PATTERN.test(sources.get(file))) return null;
+  let matchers = [];
+  try {
+    const program = parseModule(sources.get(file), file).program;
+    const config = staticValue(moduleConstants(program).get('config'), moduleConstants(program));
+    matchers = [].concat(config?.matcher ?? []).map(m => (typeof m === 'string' ? m : m?.source)).filter(m => typeof m === 'string');
+  } catch (e) {
+    return null;
+  }
+  const patterns = matchers.map(matcherRegex).filter(Boolean);
+  return routePath => {
+    const sample = routePath.replace(/\{\w+\}/g, 'x');
+    return matchers.length === 0 || patterns.some(pattern => pattern.test(sample));
+  };
+}
+
+function collectNext(file, code, graph, middlewareCovers) {
+  const appRoute = file.match(/^(?:src\/)?app\/(?:(.*)\/)?route\.[cm]?[jt]s$/);
+  const apiRoute = file.match(/^(?:src\/)?pages\/(api(?:\/.*)?)\.[cm]?[jt]s$/);
+  if (!appRoute && !apiRoute) return false;
+
+  const segments = appRoute ? (appRoute[1] || '').split('/').filter(Boolean) : apiRoute[1].replace(/\/index$/, '').split('/');
+  const routePath = nextRoutePath(segments);
+  if (routePath === null) return true;
+  const covered = Boolean(middlewareCovers?.(routePath));
+  const push = (method, line, auth, handler) => graph.routes.push({ key: null, method, path: routePath, file, line, handler, framework: 'nextjs', auth: covered || auth });
+
+  if (apiRoute) {
+    const methods = new Set([...code.matchAll(/\.method\s*[!=]==?\s*['"](\w+)['"]|case\s+['"]([A-Z]+)['"]\s*:/g)].map(m => (m[1] || m[2]).toUpperCase()).filter(m => NEXT_METHODS.has(m)));
+    const auth = AUTH_CALL.test(code);
+    for (const method of methods.size ? methods : ['ANY']) push(method, 1, auth, 'default');
+    return true;
+  }
+
+  let program;
+  try {
+    program = parseModule(code, file).program;
+  } catch (e) {
+    return true;
+  }
+  for (const statement of program.body) {
+    if (statement.type !== 'ExportNamedDeclaration') continue;
+    const declaration = statement.declaration;
+    if (declaration?.type === 'FunctionDeclaration' && NEXT_METHODS.has(declaration.id?.name)) {
+      push(declaration.id.name, declaration.loc.start.line, AUTH_CALL.test(code.slice(declaration.start, declaration.end)), declaration.id.name);
+    } else if (declaration?.type === 'VariableDeclaration') {
+      for (const declarator of declaration.declarations) {
+        if (NEXT_METHODS.has(declarator.id.name)) push(declarator.id.name, declarator.loc.start.line, AUTH_CALL.test(code.slice(declarator.start, declarator.end)), declarator.id.name);
+      }
+    }
+    // export { handler as GET, handler as POST }
+    for (const specifier of statement.specifiers || []) {
+      const name = specifier.exported.name ?? specifier.exported.value;
+      if (NEXT_METHODS.has(name)) push(name, specifier.loc.start.line, AUTH_CALL.test(code), specifier.local.name);
+    }
+  }
+  return true;
+}
+
+// ---------------------------------------------------------------------------
+// Python: Django urls.py, Flask and FastAPI decorators
+// ---------------------------------------------------------------------------
+
+function resolvePyModule(from, name, fileSet) {
+  const dots = name.match(/^\.*/)[0].length;
+  const rest = name.slice(dots).split('.').filter(Boolean).join('/');
+  if (dots > 0) {
+    let dir = path.dirname(from);
+    for (let i = 1; i < dots; i++) dir = path.dirname(dir);
+    const base = path.join(dir, rest);
+    return [`${base}.py`, path.join(base, '__init__.py')].find(candidate => fileSet.has(candidate)) || null;
+  }
+  const suffixes = [`${rest}.py`, `${rest}/__init__.py`];
+  return [...fileSet].find(file => suffixes.some(suffix => file === suffix || file.endsWith(`/${suffix}`))) || null;
+}
+
+/**
+ * Imported names of a Python module: name -> { file, attr } (attr null for modules)
+ */
+function pythonImports(file, source, fileSet) {
+  const imports = new Map();
+  for (const match of source.matchAll(/^[ \t]*from[ \t]+([.\w]+)[ \t]+import[ \t]+(\([^)]*\)|[^\n]+)/gm)) {
+    const module = match[1];
+    for (const item of match[2].replace(/[()\\]/g, ' ').split(',')) {
+      const [name, alias] = item.trim().split(/\s+as\s+/);
+      if (!name || !/^\w+$/.test(name)) continue;
+      const submodule = resolvePyModule(file, module.endsWith('.') ? module + name : `${module}.${name}`, fileSet);
+      if (submodule) {
+        imports.set(alias || name, { file: submodule, attr: null });
+        continue;
+      }
+      const target = resolvePyModule(file, module, fileSet);
+      if (target) imports.set(alias || name, { file: target, attr: name });
+    }
+  }
+  for (const match of source.matchAll(/^[ \t]*import[ \t]+([\w.]+)(?:[ \t]+as[ \t]+(\w+))?/gm)) {
+    const target = resolvePyModule(file, match[1], fileSet);
+    if (target) imports.set(match[2] || match[1], { file: target, attr: null });
+  }
+  return imports;
+}
+
+/**
+ * Decorated functions of a Python module: { name, line, decorators: [{ text, line }], signature }
+ */
+function pythonFunctions(source) {
+  const lines = source.split('\n');
+  const functions = [];
+  let decorators = [];
+  for (let i = 0; i < lines.length; i++) {
+    const trimmed = lines[i].trim();
+    if (trimmed.startsWith('@')) {
+      const line = i + 1;
+      let text = trimmed;
+      while (unbalanced(text) && i + 1 < lines.length) text += ` ${lines[++i].trim()}`;
+      decorators.push({ text: text.slice(1), line });
+    } else if (/^(async\s+)?def\s+\w+/.test(trimmed)) {
+      const line = i + 1;
+      let signature = trimmed;
+      while (unbalanced(signature) && i + 1 < lines.length) signature += ` ${lines[++i].trim()}`;
+      functions.push({ name: trimmed.match(/def\s+(\w+)/)[1], line, decorators, signature });
+      decorators = [];
+    } else if (trimmed && !trimmed.startsWith('#')) {
+      decorators = [];
+    }
+  }
+  return functions;
+}
+
+/**
+ * A top-level def/class: decorators above it, base classes and indented body
+ */
+function pythonDefinition(source, name) {
+  const lines = source.split('\n');
+  const pattern = new RegExp(`^(\\s*)(?:async\\s+def|def|class)\\s+${name}\\b\\s*(?:\\(([^)]*)\\))?`);
+  const index = lines.findIndex(line => pattern.test(line));
+  if (index === -1) return null;
+  const [, indent, bases = ''] = lines[index].match(pattern);
+  const decorators = [];
+  for (let i = index - 1; i >= 0 && lines[i].trim().startsWith('@'); i--) decorators.unshift(lines[i].trim());
+  const body = [];
+  for (let i = index + 1; i < lines.length; i++) {
+    if (lines[i].trim() && lines[i].match(/^\s*/)[0].length <= indent.length) break;
+    body.push(lines[i]);
+  }
+  return { kind: /^\s*class\b/.test(lines[index]) ? 'class' : 'def', line: index + 1, decorators: decorators.join('\n'), bases, body: body.join('\n') };
+}
+
+const VIEWSET_ACTIONS = {
+  list: ['GET', false],
+  create: ['POST', false],
+  retrieve: ['GET', true],
+  update: ['PUT', true],
+  partial_update: ['PATCH', true],
+  destroy: ['DELETE', true]
+};
+const VIEWSET_MIXINS = { ListModelMixin: 'list', CreateModelMixin: 'create', RetrieveModelMixin: 'retrieve', UpdateModelMixin: 'update partial_update', DestroyModelMixin: 'destroy' };
+
+function viewSetActions(definition) {
+  if (/ReadOnlyModelViewSet/.test(definition.bases)) return ['list', 'retrieve'];
+  if (/ModelViewSet/.test(definition.bases)) return Object.keys(VIEWSET_ACTIONS);
+  const actions = new Set();
+  for (const [mixin, names] of Object.entries(VIEWSET_MIXINS)) {
+    if (definition.bases.includes(mixin)) names.split(' ').forEach(a => actions.add(a));
+  }
+  for (const match of definition.body.matchAll(/def\s+(\w+)\s*\(/g)) {
+    if (VIEWSET_ACTIONS[match[1]]) actions.add(match[1]);
+  }
+  return [...actions];
+}
+
+function viewMethods(definition) {
+  if (definition.kind === 'def') {
+    const listed = definition.decorators.match(/(?:api_view|require_http_methods)\s*\(([^)]*)\)/);
+    if (listed) return stringList(listed[1]).map(m => m.toUpperCase()).concat(listed[1].trim() ? [] : ['GET']);
+    if (/require_POST/.test(definition.decorators)) return ['POST'];
+    if (/require_(GET|safe)/.test(definition.decorators)) return ['GET'];
+    return ['ANY'];
+  }
+  const defined = [...definition.body.matchAll(/def\s+(get|post|put|patch|delete)\s*\(/g)].map(m => m[1].toUpperCase());
+  if (defined.length) return [...new Set(defined)];
+  const generic = definition.bases.match(/(\w+)APIView/);
+  if (generic) {
+    const methods = [];
+    if (/List|Retrieve/.test(generic[1])) methods.push('GET');
+    if (/Create/.test(generic[1])) methods.push('POST');
+    if (/Update/.test(generic[1])) methods.push('PUT', 'PATCH');
+    if (/Destroy/.test(generic[1])) methods.push('DELETE');
+    if (methods.length) return methods;
+  }
+  if (/\b(Create|Update|Delete|Form)View\b/.test(definition.bases)) return ['GET', 'POST'];
+  if (/\b(Template|List|Detail|Redirect|Archive)\w*View\b/.test(definition.bases)) return ['GET'];
+  return ['ANY'];
+}
+
+function viewAuth(definition, drfDefaultAuth) {
+  const declared = `${definition.decorators}\n${definition.kind === 'class' ? definition.body : ''}`;
+  const permissions = declared.match(/permission_classes[^\n]*/)?.[0] ?? '';
+  if (/AllowAny/.test(permissions)) return false;
+  if (/IsAuthenticated|IsAdminUser|DjangoModelPermissions|TokenHasScope/.test(permissions)) return true;
+  if (/LoginRequiredMixin|PermissionRequiredMixin|UserPassesTestMixin/.test(definition.bases)) return true;
+  if (/login_required|permission_required|user_passes_test/.test(declared) || AUTH_PATTERN.test(definition.decorators)) return true;
+  const drf = /api_view/.test(definition.decorators) || /APIView|ViewSet/.test(definition.bases);
+  return drf && drfDefaultAuth;
+}
+
+function resolvePyName(expression, imports, file) {
+  const parts = expression.split('.');
+  const name = parts.pop();
+  if (parts.length === 0) {
+    const imported = imports.get(name);
+    return imported ? { file: imported.file, name: imported.attr ?? name } : { file, name };
+  }
+  const imported = imports.get(parts[0]);
+  return imported && !imported.attr && parts.length === 1 ? { file: imported.file, name } : null;
+}
+
+function collectDjango(file, source, ctx) {
+  if (!/\burlpatterns\b/.test(source)) return;
+  const { graph, fileSet, sources, drfDefaultAuth } = ctx;
+  const imports = pythonImports(file, source, fileSet);
+  const lineAt = lineIndex(source);
+  const key = `${file}#default`;
+  const routerPrefixes = new Map();
+
+  for (const match of source.matchAll(/(?<![\w.])(re_path|path|url)\s*\(/g)) {
+    const open = match.index + match[0].length - 1;
+    const close = closingBracket(source, open);
+    if (close === -1) continue;
+    const args = splitArgs(source.slice(open + 1, close));
+    let route = stringValue(args[0]);
+    if (route === null || !args[1]) continue;
+    if (match[1] !== 'path') route = route.replace(/^\^/, '').replace(/\$$/, '').replace(/\(\?P<(\w+)>[^)]*\)/g, '{$1}');
+
+    let view = args[1];
+    const include = view.match(/^include\(\s*([\s\S]*)\)$/);
+    if (include) {
+      const routerUrls = include[1].match(/^(\w+)\.urls$/);
+      if (routerUrls) {
+        routerPrefixes.set(routerUrls[1], route);
+        continue;
+      }
+      const module = stringValue(splitArgs(include[1].replace(/^\(([\s\S]*)\)$/, '$1'))[0]);
+      const target = module && resolvePyModule(file, module, fileSet);
+      if (target) graph.mounts.push({ parent: key, child: `${target}#default`, prefix: route, auth: false, file, order: match.index });
+      continue;
+    }
+
+    // login_required(views.x), UserView.as_view()
+    let wrappedAuth = false;
+    let wrapper;
+    while ((wrapper = view.match(/^([\w.]+)\(\s*([\s\S]*)\)$/)) && !/\.as_view$/.test(wrapper[1])) {
+      wrappedAuth = wrappedAuth || AUTH_PATTERN.test(wrapper[1]) || /permission_required/.test(wrapper[1]);
+      view = splitArgs(wrapper[2])[0] || '';
+    }
+    const viewName = view.replace(/\.as_view\([\s\S]*\)$/, '');
+    const target = /^[\w.]+$/.test(viewName) ? resolvePyName(viewName, imports, file) : null;
+    const definition = target && sources.has(target.file) ? pythonDefinition(sources.get(target.file), target.name) : null;
+    for (const method of definition ? viewMethods(definition) : ['ANY']) {
+      graph.routes.push({
+        key,
+        method,
+        path: route,
+        file: definition ? target.file : file,
+        line: definition ? definition.line : lineAt(match.index),
+        handler: viewName,
+        framework: 'django',
+        auth: wrappedAuth || (definition ? viewAuth(definition, drfDefaultAuth) : false),
+        order: match.index
+      });
+    }
+  }
+
+  // DRF routers: router.register(r'users', UserViewSet)
+  for (const match of source.matchAll(/(\w+)\.register\s*\(\s*r?(['"])(.*?)\2\s*,\s*([\w.]+)/g)) {
+    const target = resolvePyName(match[4], imports, file);
+    const definition = target && sources.has(target.file) ? pythonDefinition(sources.get(target.file), target.name) : null;
+    if (!definition) continue;
+    const prefix = joinPaths(routerPrefixes.get(match[1]) ?? '', match[3]);
+    for (const action of viewSetActions(definition)) {
+      const [method, detail] = VIEWSET_ACTIONS[action];
+      graph.routes.push({
+        key,
+        method,
+        path: detail ? `${prefix}/{pk}` : prefix,
+        file: target.file,
+        line: definition.line,
+        handler: `${match[4]}.${action}`,
+        framework: 'django',
+        auth: viewAuth(definition, drfDefaultAuth),
+        order: match.index
+      });
+    }
+  }
+}
+
+function dependsAuth(text) {
+  return [...(text || '').matchAll(/\b(Depends|Security)\s*\(([^)]*)\)/g)].some(m => m[1] === 'Security' || AUTH_PATTERN.test(m[2]));
+}
+
+function collectFlask(file, source, ctx) {
+  if (!/\.(route|get|post|put|patch|delete|api_route|register_blueprint|include_router)\s*\(/.test(source)) return;
+  const { graph, fileSet } = ctx;
+  const imports = pythonImports(file, source, fileSet);
+  const framework = /fastapi/i.test(source) ? 'fastapi' : 'flask';
+  const locals = new Set();
+
+  // bp = Blueprint('users', __name__, url_prefix='/users'); router = APIRouter(prefix='/items')
+  for (const match of source.matchAll(/^(\w+)\s*(?::\s*\w+\s*)?=\s*(Flask|Blueprint|FastAPI|APIRouter)\s*\(/gm)) {
+    locals.add(match[1]);
+    const open = match.index + match[0].length - 1;
+    const args = splitArgs(source.slice(open + 1, Math.max(open + 1, closingBracket(source, open))));
+    const prefix = stringValue(keywordArg(args, match[2] === 'Blueprint' ? 'url_prefix' : 'prefix') || '');
+    graph.own.set(`${file}#${match[1]}`, { prefix: prefix || '', auth: dependsAuth(keywordArg(args, 'dependencies')) });
+  }
+
+  const objectKey = expression => {
+    const [head, attr] = expression.split('.');
+    if (attr) {
+      const imported = imports.get(head);
+      return imported && !imported.attr ? `${imported.file}#${attr}` : `${file}#${expression}`;
+    }
+    if (locals.has(head)) return `${file}#${head}`;
+    const imported = imports.get(head);
+    return imported ? `${imported.file}#${imported.attr ?? 'default'}` : `${file}#${head}`;
+  };
+
+  // app.register_blueprint(bp, url_prefix='/api'); app.include_router(router, prefix='/v1')
+  for (const match of source.matchAll(/([\w.]+)\.(register_blueprint|include_router)\s*\(/g)) {
+    const open = match.index + match[0].length - 1;
+    const args = splitArgs(source.slice(open + 1, Math.max(open + 1, closingBracket(source, open))));
+    if (!args[0] || !/^[\w.]+$/.test(args[0])) continue;
+    const prefix = stringValue(keywordArg(args, match[2] === 'register_blueprint' ? 'url_prefix' : 'prefix') || '');
+    graph.mounts.push({
+      parent: objectKey(match[1]),
+      child: objectKey(args[0]),
+      prefix: prefix || '',
+      auth: dependsAuth(keywordArg(args, 'dependencies')),
+      file,
+      order: match.index,
+      // Flask: url_prefix at registration replaces the blueprint's own
+      replacesOwn: match[2] === 'register_blueprint' && prefix !== null
+    });
+  }
+
+  for (const fn of pythonFunctions(source)) {
+    const routeDecorators = [];
+    const others = [];
+    for (const decorator of fn.decorators) {
+      const match = decorator.text.match(/^([\w.]+)\.(route|get|post|put|patch|delete|api_route)\s*\(([\s\S]*)\)\s*$/);
+      (match ? routeDecorators : others).push(match ? { match, line: decorator.line } : decorator);
+    }
+    const auth = others.some(d => AUTH_PATTERN.test(d.text)) || dependsAuth(fn.signature);
+    for (const { match, line } of routeDecorators) {
+      const [, object, kind, argsText] = match;
+      const args = splitArgs(argsText);
+      const route = stringValue(args[0]) ?? stringValue(keywordArg(args, 'rule') || keywordArg(args, 'path') || '');
+      if (route === null) continue;
+      const methods = kind === 'route' || kind === 'api_route' ? stringList(keywordArg(args, 'methods')) : [kind];
+      for (const method of methods.length ? methods : ['GET']) {
+        graph.routes.push({
+          key: objectKey(object),
+          method: method.toUpperCase(),
+          path: route,
+          file,
+          line,
+          handler: fn.name,
+          framework,
+          auth: auth || dependsAuth(keywordArg(args, 'dependencies')),
+          order: 0
+        });
+      }
+    }
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Laravel routes/*.php
+// ---------------------------------------------------------------------------
+
+const LARAVEL_VERBS = new Set(['get', 'post', 'put', 'patch', 'delete', 'options', 'any', 'match']);
+const RESOURCE_ACTIONS = [
+  ['index', 'GET', ''],
+  ['create', 'GET', '/create'],
+  ['store', 'POST', ''],
+  ['show', 'GET', '/{param}'],
+  ['edit', 'GET', '/{param}/edit'],
+  ['update', 'PUT', '/{param}'],
+  ['update', 'PATCH', '/{param}'],
+  ['destroy', 'DELETE', '/{param}']
+];
+
+// Route::middleware('auth')->prefix('v1')->get(...): [{ name, args, start, end }]
+function phpChain(code, position) {
+  const calls = [];
+  let pos = position;
+  const first = /\s*(\w+)\s*\(/y;
+  const next = /\s*->\s*(\w+)\s*\(/y;
+  let pattern = first;
+  for (;;) {
+    pattern.lastIndex = pos;
+    const match = pattern.exec(code);
+    if (!match) break;
+    const open = pattern.lastIndex - 1;
+    const close = closingBracket(code, open);
+    if (close === -1) break;
+    calls.push({ name: match[1], args: code.slice(open + 1, close), start: open + 1, end: close });
+    pos = close + 1;
+    pattern = next;
+  }
+  return calls;
+}
+
+function laravelHandler(text) {
+  const action = text?.match(/^\[\s*\\?([\w\\]+)::class\s*,\s*'(\w+)'\s*\]$/);
+  if (action) return `${action[1].split('\\').pop()}@${action[2]}`;
+  const controller = text?.match(/^\\?([\w\\]+)::class$/);
+  if (controller) return controller[1].split('\\').pop();
+  return stringValue(text || '') ?? undefined;
+}
+
+function collectLaravel(file, source, graph) {
+  // Blank comments but keep offsets and line numbers
+  const code = source
+    .replace(/\/\*[\s\S]*?\*\//g, m => m.replace(/[^\n]/g, ' '))
+    .replace(/^[ \t]*(\/\/|#).*$/gm, m => ' '.repeat(m.length));
+  const lineAt = lineIndex(code);
+  const base = /(^|\/)routes\/api\.php$/.test(file) ? '/api' : '';
+  const groups = [];
+
+  for (const match of code.matchAll(/Route::/g)) {
+    const chain = phpChain(code, match.index + 7);
+    let prefix = '';
+    const middleware = [];
+    for (const call of chain) {
+      if (call.name === 'prefix') prefix = joinPaths(prefix, stringValue(splitArgs(call.args)[0]) || '');
+      if (call.name === 'middleware') middleware.push(...stringList(call.args));
+      if (call.name === 'group' && call.args.trim().startsWith('[')) {
+        // Route::group(['prefix' => 'v1', 'middleware' => ['auth']], function () { ... })
+        const options = splitArgs(call.args)[0];
+        const groupPrefix = options.match(/'prefix'\s*=>\s*'([^']*)'/);
+        const groupMiddleware = options.match(/'middleware'\s*=>\s*(\[[^\]]*\]|'[^']*')/);
+        if (groupPrefix) prefix = joinPaths(prefix, groupPrefix[1]);
+        if (groupMiddleware) middleware.push(...stringList(groupMiddleware[1]));
+      }
+    }
+    const group = chain.find(call => call.name === 'group');
+    if (group) {
+      groups.push({ start: group.start, end: group.end, prefix, middleware });
+      continue;
+    }
+
+    const verb = chain.find(call => LARAVEL_VERBS.has(call.name) || call.name === 'resource' || call.name === 'apiResource');
+    if (!verb) continue;
+    const enclosing = groups.filter(g => match.index > g.start && match.index < g.end);
+    const fullPrefix = joinPaths(base, ...enclosing.map(g => g.prefix), prefix);
+    const auth = [...enclosing.flatMap(g => g.middleware), ...middleware].some(m => /auth/i.test(m));
+    const args = splitArgs(verb.args);
+    const line = lineAt(match.index);
+    const push = (method, route, handler) => graph.routes.push({ key: null, method, path: joinPaths(fullPrefix, route), file, line, handler, framework: 'laravel', auth });
+
+    if (verb.name === 'resource' || verb.name === 'apiResource') {
+      const name = stringValue(args[0]);
+      if (name === null) continue;
+      const param = name.split(/[./]/).pop().replace(/ies$/, 'y').replace(/s$/, '');
+      const only = chain.find(c => c.name === 'only');
+      const except = chain.find(c => c.name === 'except');
+      const controller = laravelHandler(args[1]);
+      for (const [action, method, suffix] of RESOURCE_ACTIONS) {
+        if (verb.name === 'apiResource' && (action === 'create' || action === 'edit')) continue;
+        if (only && !stringList(only.args).includes(action)) continue;
+        if (except && stringList(except.args).includes(action)) continue;
+        push(method, name + suffix.replace('{param}', `{${param}}`), controller && `${controller}@${action}`);
+      }
+    } else if (verb.name === 'match') {
+      const route = stringValue(args[1]);
+      if (route !== null) stringList(args[0]).forEach(method => push(method.toUpperCase(), route, laravelHandler(args[2])));
+    } else {
+      const route = stringValue(args[0]);
+      if (route !== null) push(verb.name === 'any' ? 'ANY' : verb.name.toUpperCase(), route, laravelHandler(args[1]));
+    }
+  }
+}
+
+// ---------------------------------------------------------------------------
+// ASP.NET controllers ([HttpGet], [Route], [Authorize]) and minimal APIs (MapGet)
+// ---------------------------------------------------------------------------
+
+function csharpAttributes(line) {
+  const attributes = [];
+  for (const group of line.matchAll(/\[((?:[^[\]"]|"[^"]*")*)\]/g)) {
+    for (const part of splitArgs(group[1])) {
+      const match = part.match(/^(\w+?)(?:Attribute)?\s*(?:\(([\s\S]*)\))?$/);
+      if (match) attributes.push({ name: match[1], args: match[2] ? splitArgs(match[2]) : [] });
+    }
+  }
+  return attributes;
+}
+
+function collectAspNet(file, source, graph, defaultAuth) {
+  const lines = source.split('\n');
+  let pending = [];
+  let controller = null;
+
+  lines.forEach((raw, index) => {
+    const line = raw.trim();
+    if (line.startsWith('[') && !line.startsWith('[assembly:')) {
+      pending.push(...csharpAttributes(line));
+      return;
+    }
+    if (!line || line.startsWith('//')) return;
+    const classMatch = line.match(/\bclass\s+(\w+)/);
+    if (classMatch) {
+      const route = pending.find(a => a.name === 'Route');
+      controller = {
+        name: classMatch[1],
+        route: route ? stringValue(route.args[0]) || '' : '',
+        auth: pending.some(a => a.name === 'Authorize') ? true : pending.some(a => a.name === 'AllowAnonymous') ? false : null
+      };
+      pending = [];
+      return;
+    }
+    const methodMatch = line.match(/^(?:public|protected|internal)\b[^=;(]*?\b(\w+)\s*\(/);
+    const verbs = pending.filter(a => /^Http(Get|Post|Put|Patch|Delete|Head|Options)$/.test(a.name));
+    if (methodMatch && controller && verbs.length) {
+      const methodRoute = pending.find(a => a.name === 'Route');
+      const auth = pending.some(a => a.name === 'Authorize') ? true
+        : pending.some(a => a.name === 'AllowAnonymous') ? false
+          : controller.auth ?? defaultAuth;
+      const expand = template => template
+        .replace(/\[controller\]/gi, controller.name.replace(/Controller$/, ''))
+        .replace(/\[action\]/gi, methodMatch[1]);
+      for (const verb of verbs) {
+        const template = stringValue(verb.args.find(arg => !/^\w+\s*=/.test(arg)) || '') ?? (methodRoute ? stringValue(methodRoute.args[0]) : null) ?? '';
+        const route = /^~?\//.test(template) ? expand(template) : joinPaths(expand(controller.route), expand(template));
+        graph.routes.push({
+          key: null,
+          method: verb.name.slice(4).toUpperCase(),
+          path: route,
+          file,
+          line: index + 1,
+          handler: `${controller.name}.${methodMatch[1]}`,
+          framework: 'aspnet',
+          auth
+        });
+      }
+    }
+    pending = [];
+  });
+
+  // var api = app.MapGroup("/api").RequireAuthorization();
+  const groups = new Map();
+  for (const match of source.matchAll(/\b(\w+)\s*=\s*(\w+)\.MapGroup\(\s*@?"([^"]*)"\s*\)([^;]*);/g)) {
+    const parent = groups.get(match[2]) || { prefix: '', auth: false };
+    groups.set(match[1], { prefix: joinPaths(parent.prefix, match[3]), auth: parent.auth || /RequireAuthorization\(/.test(match[4]) });
+  }
+  const lineAt = lineIndex(source);
+  for (const match of source.matchAll(/\b(\w+)\.Map(Get|Post|Put|Patch|Delete)\s*\(/g)) {
+    const open = match.index + match[0].length - 1;
+    const close = closingBracket(source, open);
+    if (close === -1) continue;
+    const args = splitArgs(source.slice(open + 1, close));
+    const route = stringValue(args[0]);
+    if (route === null) continue;
+    const group = groups.get(match[1]) || { prefix: '', auth: false };
+    const rest = source.slice(close + 1, source.indexOf(';', close) === -1 ? source.length : source.indexOf(';', close));
+    graph.routes.push({
+      key: null,
+      method: match[2].toUpperCase(),
+      path: joinPaths(group.prefix, route),
+      file,
+      line: lineAt(match.index),
+      handler: /^[\w.]+$/.test(args[1] || '') ? args[1] : undefined,
+      framework: 'aspnet',
+      auth: !/AllowAnonymous\(/.test(rest) && (group.auth || /RequireAuthorization\(/.test(rest) || defaultAuth)
+    });
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Inventory
+// ---------------------------------------------------------------------------
+
+function readSources(projectPath, files) {
+  const sources = new Map();
+  for (const file of files) {
+    if (SKIP_PATHS.test(file) || !/\.([cm]?[jt]sx?|py|php|cs)$/.test(file)) continue;
+    try {
+      if (fs.statSync(path.join(projectPath, file)).size > MAX_PARSE_BYTES) continue;
+      sources.set(file, fs.readFileSync(path.join(projectPath, file), 'utf-8'));
+    } catch (e) {
+      continue;
+    }
+  }
+  return sources;
+}
+
+/**
+ * Enumerate the HTTP endpoints of a project
+ * @param {string} projectPath
+ * @param {string[]} files - Project-relative paths (from walkFiles)
+ * @returns {Object[]} Routes: { method, path, file, line, handler, framework, auth }
+ */
+export function extractRoutes(projectPath, files) {
+  const sorted = [...files].sort();
+  const sources = readSources(projectPath, sorted);
+  const fileSet = new Set(sorted);
+  const graph = createGraph();
+  const all = [...sources.values()];
+
+  // Project-wide defaults: DRF permission classes, Nest global guards, ASP.NET fallback policy
+  const settings = [...sources].filter(([file]) => /settings\.py$|settings[\\/]\w+\.py$/.test(file)).map(([, s]) => s).join('\n');
+  const drfDefaultAuth = /DEFAULT_PERMISSION_CLASSES[^\]]*IsAuthenticated/.test(settings);
+  graph.nestGlobalGuard = all.some(s => /APP_GUARD|useGlobalGuards\(/.test(s) && AUTH_PATTERN.test(s));
+  const aspnetDefaultAuth = [...sources].some(([file, s]) => file.endsWith('.cs') && /FallbackPolicy\s*=|MapControllers\(\)\s*\.RequireAuthorization\(/.test(s));
+  const middlewareCovers = nextMiddlewareCoverage(sources);
+  const ctx = { graph, fileSet, sources, drfDefaultAuth };
+
+  for (const [file, source] of sources) {
+    const ext = path.extname(file);
+    if (ext === '.py') {
+      collectDjango(file, source, ctx);
+      collectFlask(file, source, ctx);
+    } else if (ext === '.php') {
+      if (/(^|\/)routes\/[\w-]+\.php$/.test(file)) collectLaravel(file, source, graph);
+    } else if (ext === '.cs') {
+      collectAspNet(file, source, graph, aspnetDefaultAuth);
+    } else if (JS_TS_EXTENSIONS.includes(ext) && !collectNext(file, source, graph, middlewareCovers)) {
+      if (/\.(get|post|put|patch|delete|all|route|use|register)\s*\(|@Controller\b/.test(source)) collectJs(file, source, fileSet, graph);
+    }
+  }
+
+  const seen = new Set();
+  return resolveGraph(graph)
+    .filter(route => {
+      const id = `${route.method} ${route.path} ${route.file}:${route.line}`;
+      if (seen.has(id)) return false;
+      seen.add(id);
+      return true;
+    })
+    .sort((a, b) => a.path.localeCompare(b.path) || METHOD_ORDER.indexOf(a.method) - METHOD_ORDER.indexOf(b.method));
+}
+
+// ---------------------------------------------------------------------------
+// OpenAPI draft
+// ---------------------------------------------------------------------------
+
+function operationId(method, route) {
+  const words = route.split('/').filter(Boolean).map(segment => {
+    const param = segment.match(/^\{(\w+)\}$/);
+    const word = (param ? `by-${param[1]}` : segment).replace(/[^A-Za-z0-9]+(.)?/g, (m, c) => (c ? c.toUpperCase() : ''));
+    return word.charAt(0).toUpperCase() + word.slice(1);
+  });
+  return method.toLowerCase() + (words.join('') || 'Root');
+}
+
+/**
+ * Build a draft OpenAPI 3.0 document from a route map (ANY routes are left out)
+ * @param {Object[]} routes - From extractRoutes
+ * @param {Object} [info] - { title, version }
+ * @returns {Object}
+ */
+export function buildOpenApi(routes, { title = 'API', version = '0.1.0' } = {}) {
+  const paths = {};
+  let secured = false;
+  for (const route of routes) {
+    if (route.method === 'ANY') continue;
+    const method = route.method.toLowerCase();
+    paths[route.path] = paths[route.path] || {};
+    if (paths[route.path][method]) continue;
+    const operation = {
+      operationId: operationId(method, route.path),
+      ...(route.handler ? { summary: route.handler } : {})
+    };
+    const tag = route.path.split('/').filter(s => s && !/^(api|v\d+|\{.*\})$/.test(s))[0];
+    if (tag) operation.tags = [tag];
+    const params = [...route.path.matchAll(/\{(\w+)\}/g)].map(m => ({ name: m[1], in: 'path', required: true, schema: { type: 'string' } }));
+    if (params.length) operation.parameters = params;
+    if (['post', 'put', 'patch'].includes(method)) {
+      operation.requestBody = { content: { 'application/json': { schema: { type: 'object' } } } };
+    }
+    operation.responses = { 200: { description: 'OK' } };
+    if (route.auth) {
+      operation.security = [{ bearerAuth: [] }];
+      secured = true;
+    }
+    operation['x-source'] = `${route.file}:${route.line}`;
+    paths[route.path][method] = operation;
+  }
+  return {
+    openapi: '3.0.3',
+    info: { title, version, description: 'Draft generated from the route inventory - review schemas and responses' },
+    paths,
+    ...(secured ? { components: { securitySchemes: { bearerAuth: { type: 'http', scheme: 'bearer' } } } } : {})
+  };
+}
+
+function yamlScalar(value) {
+  if (typeof value === 'number' || typeof value === 'boolean') return String(value);
+  if (value === null || value === undefined) return 'null';
+  const text = String(value);
+  // Dotted versions stay plain; anything a YAML parser could read as a number, bool or mapping is quoted
+  const plain = (/^[A-Za-z_/][\w ./{}@:-]*$/.test(text) && !/:( |$)/.test(text) && !/\s$/.test(text) && !/^(true|false|null|yes|no|on|off|y|n)$/i.test(text))
+    || /^\d+(\.\d+){2,}$/.test(text);
+  return plain ? text : JSON.stringify(text);
+}
+
+function yamlLines(value, indent) {
+  const isBlock = item => item && typeof item === 'object' && Object.keys(item).length > 0;
+  const inline = item => (Array.isArray(item) ? '[]' : item && typeof item === 'object' ? '{}' : yamlScalar(item));
+  const lines = [];
+  if (Array.isArray(value)) {
+    for (const item of value) {
+      if (isBlock(item)) {
+        const [first, ...rest] = yamlLines(item, `${indent}  `);
+        lines.push(`${indent}- ${first.trimStart()}`, ...rest);
+      } else {
+        lines.push(`${indent}- ${inline(item)}`);
+      }
+    }
+    return lines;
+  }
+  for (const [key, item] of Object.entries(value)) {
+    const name = /^\d+$/.test(key) ? `'${key}'` : yamlScalar(key);
+    if (isBlock(item)) lines.push(`${indent}${name}:`, ...yamlLines(item, `${indent}  `));
+    else lines.push(`${indent}${name}: ${inline(item)}`);
+  }
+  return lines;
+}
+
+/**
+ * Serialize plain objects/arrays/scalars as block YAML
+ * @param {Object} value
+ * @returns {string}
+ */
+export function toYaml(value) {
+  return `${yamlLines(value, '').join('\n')}\n`;
+}
+
+// Paths already documented in an existing spec
+function documentedPaths(file, content) {
+  if (file.endsWith('.json')) {
+    try {
+      return new Set(Object.keys(JSON.parse(content).paths || {}).map(normalizePath));
+    } catch (e) {
+      return new Set();
+    }
+  }
+  const paths = new Set();
+  let inPaths = false;
+  for (const line of content.split('\n')) {
+    if (/^\S/.test(line)) inPaths = /^paths\s*:/.test(line);
+    const match = inPaths && line.match(/^\s{1,4}(['"]?)(\/[^'"]*?)\1\s*:\s*$/);
+    if (match) paths.add(normalizePath(match[2]));
+  }
+  return paths;
+}
+
+function projectInfo(projectPath) {
+  for (const manifest of ['package.json', 'composer.json']) {
+    try {
+      const parsed = JSON.parse(fs.readFileSync(path.join(projectPath, manifest), 'utf-8'));
+      if (parsed.name) return { title: parsed.name, version: parsed.version || '0.1.0' };
+    } catch (e) {
+      continue;
+    }
+  }
+  return { title: path.basename(path.resolve(projectPath)), version: '0.1.0' };
+}
+
+/**
+ * Route inventory of a project: route map, unauthenticated mutating routes and a draft openapi.yaml
+ * @param {string} projectPath
+ * @param {string[]} files - Project-relative paths (from walkFiles)
+ * @returns {Object} { routes, diagnostics: Problem[], changes: Change[] }
+ */
+export function auditRoutes(projectPath, files) {
+  const routes = extractRoutes(projectPath, files);
+  const diagnostics = [];
+  const changes = [];
+  if (routes.length === 0) return { routes, diagnostics, changes };
+
+  const frameworks = {};
+  routes.forEach(route => (frameworks[route.framework] = (frameworks[route.framework] || 0) + 1));
+  const unauthenticated = routes.filter(route => MUTATING_METHODS.has(route.method) && !route.auth && !PUBLIC_PATHS.test(route.path));
+  diagnostics.push({
+    severity: 'info',
+    type: 'route-inventory',
+    message: `Route inventory: ${routes.length} endpoint(s) (${Object.entries(frameworks).map(([name, count]) => `${name} ${count}`).join(', ')}), ${routes.filter(r => !r.auth).length} without auth middleware`,
+    file: '',
+    line: 0,
+    routes
+  });
+  for (const route of unauthenticated) {
+    diagnostics.push({
+      severity: 'warning',
+      type: 'unauthenticated-route',
+      message: `${route.method} ${route.path} has no auth middleware - anyone can call it`,
+      file: route.file,
+      line: route.line,
+      method: route.method,
+      path: route.path
+    });
+  }
+
+  const existing = files.find(file => /^(openapi|swagger)\.(ya?ml|json)$/i.test(path.basename(file)));
+  if (existing) {
+    let content = '';
+    try {
+      content = fs.readFileSync(path.join(projectPath, existing), 'utf-8');
+    } catch (e) {
+      return { routes, diagnostics, changes };
+    }
+    const documented = documentedPaths(existing, content);
+    const missing = [...new Set(routes.filter(r => r.method !== 'ANY' && !documented.has(r.path)).map(r => `${r.method} ${r.path}`))];
+    if (missing.length) {
+      diagnostics.push({
+        severity: 'info',
+        type: 'route-inventory',
+        message: `${missing.length} route(s) missing from ${existing}: ${missing.slice(0, 10).join(', ')}${missing.length > 10 ? ', ...' : ''}`,
+        file: existing,
+        line: 0
+      });
+    }
+    return { routes, diagnostics, changes };
+  }
+
+  const spec = buildOpenApi(routes, projectInfo(projectPath));
+  if (Object.keys(spec.paths).length > 0) {
+    const content = toYaml(spec);
+    changes.push({
+      type: 'create',
+      file: 'openapi.yaml',
+      description: `Draft OpenAPI spec for ${Object.keys(spec.paths).length} path(s) from the route inventory (review schemas and responses)`,
+      diff: diffFile({ type: 'create', file: 'openapi.yaml', content }).diff,
+      content
+    });
+  }
+  return { routes, diagnostics, changes };
+}
+
+export default { auditRoutes, extractRoutes, buildOpenApi, toYaml, normalizePath };
@@ -1,31 +1,30 @@
 // Security Agent - Security issues, JWT, auth
 import fs from 'fs';
 import path from 'path';
+import { walkFiles, budgetDiagnostic, DEFAULT_MAX_FILES } from './budget.js';
+import { analyzeTaint, JS_TS_EXTENSIONS } from './taint.js';
+import { scanDependencies } from './dependency-audit.js';
+import { unignoredEnvFiles, proposeEnvIgnore } from './autofix.js';
 
 /**
  * Supported languages
  */
 const SUPPORTED_LANGUAGES = ['javascript', 'typescript', 'python', 'go', 'rust', 'php', 'csharp'];
 
-// Limit recursive scans to prevent performance issues
-const MAX_FILES_TO_SCAN = 100;
-
 /**
- * Safely read directory contents with limit
+ * Safely list project files with limit (stops walking once the limit is reached)
  * @param {string} dirPath - Directory path to read
- * @param {number} maxFiles - Maximum files to return
- * @returns {string[]} Array of filenames
+ * @param {Object} [options]
+ * @param {number} [options.maxFiles] - Maximum files to return
+ * @param {AbortSignal} [options.signal] - Stops the walk on agent timeout
+ * @returns {Object} { files: string[] (relative paths), truncated }
  */
-function safeReaddir(dirPath, maxFiles = MAX_FILES_TO_SCAN) {
+function safeReaddir(dirPath, { maxFiles = DEFAULT_MAX_FILES, signal } = {}) {
   try {
     if (!fs.existsSync(dirPath)) {
-      return [];
-    }
-    const files = fs.readdirSync(dirPath, { recursive: true });
-    if (Array.isArray(files)) {
-      return files.slice(0, maxFiles);
+      return { files: [], truncated: false };
     }
-    return [];
+    return walkFiles(dirPath, { maxFiles, signal });
   } catch (error) {
     if (error.code === 'EACCES') {
       console.warn(`[Security Agent] Permission denied: ${dirPath}`);
@@ -34,7 +33,7 @@ function safeReaddir(dirPath, maxFiles = MAX_FILES_TO_SCAN) {
     } else {
       console.warn(`[Security Agent] Error reading directory: ${error.message}`);
     }
-    return [];
+    return { files: [], truncated: false };
   }
 }
 
@@ -115,6 +114,7 @@ export async function run(context) {
       success: false,
       diagnostics: [{
         severity: 'error',
+        type: 'invalid-context',
         message: `Invalid context: ${validation.error}`,
         file: '',
         line: 0
@@ -136,6 +136,7 @@ export async function run(context) {
       success: false,
       diagnostics: [{
         severity: 'warning',
+        type: 'unsupported-language',
         message: `Security agent does not support language: ${language || 'unknown'}`,
         file: '',
         line: 0
@@ -145,16 +146,37 @@ export async function run(context) {
     };
   }
   
+  // Walk the project once, within the orchestrator's file budget
+  const maxFiles = context.budget?.maxFiles ?? DEFAULT_MAX_FILES;
+  const { files, truncated } = safeReaddir(projectPath, { maxFiles, signal: context.signal });
+  
   // Scan for security issues
-  const securityIssues = scanSecurityIssues(projectPath, language);
+  const securityIssues = scanSecurityIssues(projectPath, files);
   diagnostics.push(...securityIssues);
   
   // Check for auth/JWT issues
-  const authIssues = scanAuthIssues(projectPath, language);
+  const authIssues = scanAuthIssues(projectPath, files);
   diagnostics.push(...authIssues);
   
+  // Environment files git would pick up: ignore them
+  const envIgnore = proposeEnvIgnore(projectPath, metadata);
+  if (envIgnore) changes.push(envIgnore);
+  
+  // Audit locked dependency versions against the offline advisory database
+  const audit = scanDependencies(projectPath);
+  diagnostics.push(...audit.diagnostics);
+  changes.push(...audit.changes);
+  
+  // Review what upstream agents are about to change
+  const upstreamIssues = reviewUpstreamChanges(context.upstream);
+  diagnostics.push(...upstreamIssues);
+  
   const summary = `Security analysis complete. Found ${diagnostics.length} security issues.`;
   
+  if (truncated) {
+    diagnostics.push(budgetDiagnostic('Security', maxFiles));
+  }
+  
   return {
     success: true,
     diagnostics,
@@ -164,77 +186,154 @@ export async function run(context) {
 }
 
 /**
- * Scan for general security issues
+ * Secret checks by line; injection and eval checks by taint analysis for JS/TS
+ * (line regexes for other languages, or when the module does not parse)
+ * @param {string} content - File content
+ * @param {string} file - Path reported in diagnostics
+ * @returns {Problem[]}
  */
-function scanSecurityIssues(projectPath, language) {
+function scanContent(content, file) {
   const diagnostics = [];
-  const files = safeReaddir(projectPath, MAX_FILES_TO_SCAN);
+  const lines = content.split('\n');
+  const taint = JS_TS_EXTENSIONS.includes(path.extname(file)) ? analyzeTaint(content, file) : null;
+  const parsed = Boolean(taint?.parsed);
   
-  for (const file of files) {
-    if (typeof file !== 'string') continue;
+  lines.forEach((line, index) => {
+    // Check for hardcoded secrets
+    if (line.match(/password\s*=\s*['"][^'"]+['"]/i) && !line.includes('process.env')) {
+      diagnostics.push({
+        severity: 'error',
+        type: 'hardcoded-password',
+        message: 'Potential hardcoded password found',
+        file,
+        line: index + 1
+      });
+    }
+    
+    // Check for API keys
+    if (line.match(/api[_-]?key\s*=\s*['"][^'"]+['"]/i) && !line.includes('process.env')) {
+      diagnostics.push({
+        severity: 'error',
+        type: 'hardcoded-api-key',
+        message: 'Potential hardcoded API key found',
+        file,
+        line: index + 1
+      });
+    }
     
-    // Skip node_modules, .git, etc.
-    if (file.includes('node_modules') || file.includes('.git') || file.includes('dist')) continue;
+    // Check for private keys
+    if (line.match(/private[_-]?key\s*=\s*['"]/i) && !line.includes('process.env')) {
+      diagnostics.push({
+        severity: 'error',
+        type: 'hardcoded-private-key',
+        message: 'Potential hardcoded private key found',
+        file,
+        line: index + 1
+      });
+    }
+    
+    // Check for SQL injection risk
+    if (parsed) return;
+    if (line.match(/query\s*\(\s*['"`].* \+ /i) || line.match(/execute\s*\(\s*['"`].*\+/i)) {
+      diagnostics.push({
+        severity: 'error',
+        type: 'sql-injection',
+        message: 'Potential SQL injection risk - use parameterized queries',
+        file,
+        line: index + 1
+      });
+    }
     
+    // Check for eval usage
+    if (line.includes('eval(')) {
+      diagnostics.push({
+        severity: 'error',
+        type: 'eval',
+        message: 'eval() is dangerous - consider alternatives',
+        file,
+        line: index + 1
+      });
+    }
+  });
+  
+  if (parsed) {
+    diagnostics.push(...taintDiagnostics(taint, file));
+  }
+  
+  return diagnostics;
+}
+
+/**
+ * Diagnostics for taint findings, plus eval() calls that no untrusted source reaches
+ * @param {Object} taint - analyzeTaint() result
+ * @param {string} file
+ * @returns {Problem[]}
+ */
+function taintDiagnostics(taint, file) {
+  const diagnostics = taint.findings.map(finding => ({
+    severity: 'error',
+    type: 'taint',
+    rule: finding.rule,
+    message: `${finding.message} - ${finding.advice}`,
+    file,
+    line: finding.line,
+    column: finding.column,
+    source: finding.source,
+    sink: finding.sink,
+    path: finding.path
+  }));
+  
+  for (const call of taint.evalCalls) {
+    if (diagnostics.some(d => d.line === call.line && d.column === call.column)) continue;
+    diagnostics.push({
+      severity: 'error',
+      type: 'eval',
+      message: 'eval() is dangerous - consider alternatives',
+      file,
+      line: call.line,
+      column: call.column
+    });
+  }
+  
+  return diagnostics;
+}
+
+/**
+ * Review changes proposed by upstream agents (e.g. backend) before they are applied
+ * @param {UpstreamResult[]} upstream
+ * @returns {Problem[]}
+ */
+function reviewUpstreamChanges(upstream = []) {
+  const diagnostics = [];
+  
+  for (const { agentId, changes = [] } of upstream) {
+    for (const change of changes) {
+      if (change.type === 'delete' || !change.content) continue;
+      for (const problem of scanContent(change.content, change.file)) {
+        diagnostics.push({ ...problem, message: `${problem.message} (in ${agentId} change)` });
+      }
+    }
+  }
+  
+  return diagnostics;
+}
+
+/**
+ * Scan for general security issues
+ * @param {string} projectPath
+ * @param {string[]} files - Relative paths (node_modules, .git, dist already skipped)
+ */
+function scanSecurityIssues(projectPath, files) {
+  const diagnostics = [];
+  
+  for (const file of files) {
     const fullPath = path.join(projectPath, file);
     if (!safeIsFile(fullPath)) continue;
     
     const { content } = safeReadFile(fullPath);
     if (!content) continue;
     
-    const lines = content.split('\n');
-    
-    lines.forEach((line, index) => {
-      // Check for hardcoded secrets
-      if (line.match(/password\s*=\s*['"][^'"]+['"]/i) && !line.includes('process.env')) {
-        diagnostics.push({
-          severity: 'error',
-          message: 'Potential hardcoded password found',
-          file,
-          line: index + 1
-        });
-      }
-      
-      // Check for API keys
-      if (line.match(/api[_-]?key\s*=\s*['"][^'"]+['"]/i) && !line.includes('process.env')) {
-        diagnostics.push({
-          severity: 'error',
-          message: 'Potential hardcoded API key found',
-          file,
-          line: index + 1
-        });
-      }
-      
-      // Check for private keys
-      if (line.match(/private[_-]?key\s*=\s*['"]/i) && !line.includes('process.env')) {
-        diagnostics.push({
-          severity: 'error',
-          message: 'Potential hardcoded private key found',
-          file,
-          line: index + 1
-        });
-      }
-      
-      // Check for SQL injection risk
-      if (line.match(/query\s*\(\s*['"`].* \+ /i) || line.match(/execute\s*\(\s*['"`].*\+/i)) {
-        diagnostics.push({
-          severity: 'error',
-          message: 'Potential SQL injection risk - use parameterized queries',
-          file,
-          line: index + 1
-        });
-      }
-      
-      // Check for eval usage
-      if (line.includes('eval(')) {
-        diagnostics.push({
-          severity: 'error',
-          message: 'eval() is dangerous - consider alternatives',
-          file,
-          line: index + 1
-        });
-      }
-    });
+    diagnostics.push(...scanContent(content, file));
   }
   
   return diagnostics;
@@ -242,10 +341,11 @@ function scanSecurityIssues(projectPath, language) {
 
 /**
  * Scan for auth/JWT issues
+ * @param {string} projectPath
+ * @param {string[]} files - Relative paths
  */
-function scanAuthIssues(projectPath, language) {
+function scanAuthIssues(projectPath, files) {
   const diagnostics = [];
-  const files = safeReaddir(projectPath);
   
   // Check for JWT without expiration
   if (files.includes('package.json')) {
@@ -256,6 +356,7 @@ function scanAuthIssues(projectPath, language) {
       if (deps.jsonwebtoken || deps.jwt) {
         diagnostics.push({
           severity: 'info',
+          type: 'jwt-expiration',
           message: 'JWT library detected - ensure tokens have expiration',
           file: 'package.json',
           line: 0
@@ -265,14 +366,17 @@ function scanAuthIssues(projectPath, language) {
   }
   
   // Check for .env (should not be committed)
-  const hasEnv = files.includes('.env');
+  const envFiles = unignoredEnvFiles(projectPath);
   const hasGitignore = files.includes('.gitignore');
   
-  if (hasEnv && !hasGitignore) {
+  if (envFiles.length > 0) {
     diagnostics.push({
       severity: 'warning',
-      message: '.env found but no .gitignore - sensitive data may be committed',
-      file: '.env',
+      type: 'env-not-ignored',
+      message: hasGitignore
+        ? `${envFiles.join(', ')} not covered by .gitignore - sensitive data may be committed`
+        : `${envFiles.join(', ')} found but no .gitignore - sensitive data may be committed`,
+      file: envFiles[0],
       line: 0
     });
   }
@@ -287,6 +391,7 @@ function scanAuthIssues(projectPath, language) {
   if (!hasAuthMiddleware && files.includes('package.json')) {
     diagnostics.push({
       severity: 'info',
+      type: 'missing-auth',
       message: 'No auth middleware found - ensure routes are protected',
       file: '',
       line: 0
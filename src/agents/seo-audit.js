@@ -0,0 +1,1009 @@
+// SEO Audit - Crawl-level checks: sitemap.xml and robots.txt against the real pages, head tags and JSON-LD (SEO agent)
+import fs from 'fs';
+import path from 'path';
+import { parseModule, walk, moduleConstants, staticValue, DYNAMIC } from './ast.js';
+
+// Directories served as-is at the site root
+const STATIC_ROOTS = ['', 'public/', 'static/'];
+// Routes that exist but are not meant to be indexed
+const NON_INDEXABLE_ROUTES = new Set(['/404', '/500', '/_error', '/_not-found']);
+// HTML files that are fragments or templates rather than pages
+const NON_PAGE_SEGMENTS = new Set(['templates', 'partials', 'includes', 'components', 'layouts', 'fixtures', '__tests__', 'tests', 'test']);
+
+const TWITTER_CARDS = new Set(['summary', 'summary_large_image', 'app', 'player']);
+const REQUIRED_OPENGRAPH = ['og:title', 'og:type', 'og:image', 'og:url'];
+const HREFLANG_PATTERN = /^(x-default|[a-z]{2,3}(-[a-z]{4})?(-([a-z]{2}|\d{3}))?)$/i;
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/;
+const DATE_PROPERTIES = ['datePublished', 'dateModified', 'uploadDate', 'startDate', 'endDate', 'datePosted'];
+const MAX_SITEMAP_URLS = 50000;
+
+// Properties Google needs for rich results, by schema.org type
+const SCHEMA_REQUIRED = {
+  Article: ['headline', 'author', 'datePublished'],
+  BlogPosting: ['headline', 'author', 'datePublished'],
+  NewsArticle: ['headline', 'author', 'datePublished'],
+  BreadcrumbList: ['itemListElement'],
+  ListItem: ['position'],
+  Event: ['name', 'startDate', 'location'],
+  FAQPage: ['mainEntity'],
+  Question: ['name', 'acceptedAnswer'],
+  Answer: ['text'],
+  HowTo: ['name', 'step'],
+  JobPosting: ['title', 'description', 'datePosted', 'hiringOrganization'],
+  LocalBusiness: ['name', 'address'],
+  Organization: ['name', 'url'],
+  Person: ['name'],
+  Product: ['name'],
+  Recipe: ['name', 'image'],
+  Review: ['author', 'reviewRating'],
+  SoftwareApplication: ['name'],
+  VideoObject: ['name', 'thumbnailUrl', 'uploadDate'],
+  WebSite: ['name', 'url']
+};
+
+// schema.org types accepted without further checks (the commonly used part of the vocabulary)
+const SCHEMA_TYPES = new Set([
+  ...Object.keys(SCHEMA_REQUIRED),
+  'Thing', 'CreativeWork', 'WebPage', 'AboutPage', 'ContactPage', 'CollectionPage', 'ProfilePage', 'ItemPage',
+  'SearchResultsPage', 'QAPage', 'FAQPage', 'Blog', 'TechArticle', 'ScholarlyArticle', 'Report', 'Comment',
+  'DiscussionForumPosting', 'ImageObject', 'MediaObject', 'AudioObject', 'Clip', 'Episode', 'PodcastEpisode',
+  'PodcastSeries', 'Book', 'Movie', 'MusicRecording', 'Dataset', 'Course', 'ItemList', 'ImageGallery', 'Menu',
+  'MenuItem', 'HowToStep', 'HowToSection', 'HowToSupply', 'HowToTool', 'NutritionInformation', 'Offer',
+  'AggregateOffer', 'AggregateRating', 'Rating', 'Brand', 'ProductGroup', 'ProductModel', 'Service', 'Corporation',
+  'NGO', 'EducationalOrganization', 'GovernmentOrganization', 'NewsMediaOrganization', 'SportsOrganization',
+  'Store', 'OnlineStore', 'Restaurant', 'FoodEstablishment', 'Hotel', 'LodgingBusiness', 'MedicalOrganization',
+  'Dentist', 'Physician', 'Attorney', 'ProfessionalService', 'AutomotiveBusiness', 'HomeAndConstructionBusiness',
+  'PostalAddress', 'Place', 'Country', 'City', 'VirtualLocation', 'GeoCoordinates', 'ContactPoint',
+  'OpeningHoursSpecification', 'SearchAction', 'EntryPoint', 'PropertyValueSpecification', 'ReadAction',
+  'BuyAction', 'ViewAction', 'Action', 'MonetaryAmount', 'QuantitativeValue', 'PriceSpecification',
+  'UnitPriceSpecification', 'OfferShippingDetails', 'MerchantReturnPolicy', 'MobileApplication', 'WebApplication',
+  'VideoGame', 'SoftwareSourceCode', 'SiteNavigationElement', 'WPHeader', 'WPFooter', 'Language', 'Audience',
+  'Occupation', 'DefinedTerm', 'DefinedTermSet', 'ClaimReview', 'SpecialAnnouncement', 'Vehicle', 'Car', 'Project'
+]);
+
+function readText(file) {
+  try {
+    return fs.readFileSync(file, 'utf-8');
+  } catch (e) {
+    return null;
+  }
+}
+
+function lineAt(text, index) {
+  return text.slice(0, index).split('\n').length;
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function isAbsoluteUrl(value) {
+  return typeof value === 'string' && /^https?:\/\//i.test(value);
+}
+
+function urlPath(value) {
+  try {
+    return new URL(value, 'http://localhost').pathname;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Compare page routes and URLs the way static hosts serve them (/about, /about/, /about.html, /about/index.html)
+ */
+export function normalizeRoute(pathname) {
+  let route = pathname;
+  try {
+    route = decodeURI(pathname);
+  } catch (e) {
+    // Keep the raw path
+  }
+  route = route.replace(/\/index\.html?$/i, '/').replace(/\.html?$/i, '');
+  if (route.length > 1) route = route.replace(/\/+$/, '');
+  return route || '/';
+}
+
+function problem(severity, type, message, file, line = 0) {
+  return { severity, type, message, file, line };
+}
+
+// ---------------------------------------------------------------------------
+// Pages and routes
+// ---------------------------------------------------------------------------
+
+/**
+ * Route and matcher for framework route segments ([slug], [...slug], [[...slug]], (group))
+ */
+function routeFromSegments(segments) {
+  const parts = segments.filter(s => s && !/^\(.*\)$/.test(s));
+  const dynamic = parts.some(p => /\[.+\]/.test(p));
+  let source = '';
+  for (const part of parts) {
+    if (/^\[\[\.\.\..+\]\]$/.test(part)) source += '(?:/.*)?';
+    else if (/^\[\[.+\]\]$/.test(part)) source += '(?:/[^/]+)?';
+    else if (/^\[\.\.\..+\]$/.test(part)) source += '/.+';
+    else source += '/' + part.split(/(\[[^\]]+\])/).map(chunk => (/^\[.+\]$/.test(chunk) ? '[^/]+' : escapeRegExp(chunk))).join('');
+  }
+  return {
+    route: '/' + parts.join('/'),
+    pattern: dynamic ? new RegExp(`^${source || '/'}$`) : null
+  };
+}
+
+/**
+ * Pages of the site: static HTML, Next.js App/Pages Router and Nuxt pages
+ * @param {string[]} files - Project-relative paths ('/' separated)
+ * @param {Object} options
+ * @param {boolean} options.next - Next.js project
+ * @param {boolean} options.nuxt - Nuxt project
+ * @returns {Object[]} [{ route, pattern, file, kind, layouts }]
+ */
+export function discoverPages(files, { next = false, nuxt = false } = {}) {
+  const fileSet = new Set(files);
+  const pages = [];
+
+  for (const file of files) {
+    let match;
+    if (file.endsWith('.html') || file.endsWith('.htm')) {
+      const segments = file.split('/');
+      const base = segments[segments.length - 1];
+      if (base.startsWith('_') || segments.slice(0, -1).some(s => NON_PAGE_SEGMENTS.has(s))) continue;
+      if (segments[0] === 'src' && file !== 'src/index.html') continue;
+      const served = file.replace(/^src\//, '').replace(/^(public|static)\//, '');
+      pages.push({ route: normalizeRoute('/' + served), pattern: null, file, kind: 'html', layouts: [] });
+    } else if (next && (match = file.match(/^((?:src\/)?app\/)((?:[^/]+\/)*)page\.(jsx?|tsx?|mdx)$/))) {
+      const dirs = match[2].split('/').filter(Boolean);
+      if (dirs.some(d => d.startsWith('_') || d.startsWith('@') || /^\(\.+\)/.test(d))) continue;
+      // Root layout first, then every segment down to the page
+      const layouts = [];
+      for (let i = 0; i <= dirs.length; i++) {
+        const dir = match[1] + dirs.slice(0, i).map(d => `${d}/`).join('');
+        const layout = ['js', 'jsx', 'ts', 'tsx'].map(ext => `${dir}layout.${ext}`).find(f => fileSet.has(f));
+        if (layout) layouts.push(layout);
+      }
+      pages.push({ ...routeFromSegments(dirs), file, kind: 'next-app', layouts, dirs: { root: match[1], segments: dirs } });
+    } else if (next && (match = file.match(/^(?:src\/)?pages\/(.+)\.(jsx?|tsx?|mdx)$/))) {
+      const segments = match[1].split('/');
+      if (segments[0] === 'api' || segments[segments.length - 1].startsWith('_')) continue;
+      if (segments[segments.length - 1] === 'index') segments.pop();
+      pages.push({ ...routeFromSegments(segments), file, kind: 'next-pages', layouts: [] });
+    } else if (nuxt && (match = file.match(/^(?:app\/|src\/)?pages\/(.+)\.vue$/))) {
+      const segments = match[1].split('/');
+      if (segments[segments.length - 1] === 'index') segments.pop();
+      pages.push({ ...routeFromSegments(segments), file, kind: 'nuxt', layouts: [] });
+    }
+  }
+  return pages;
+}
+
+// ---------------------------------------------------------------------------
+// Head tags: HTML, JSX, Next.js metadata exports, Nuxt useHead/useSeoMeta
+// ---------------------------------------------------------------------------
+
+function emptyHead() {
+  return { title: undefined, description: undefined, robots: undefined, canonicals: [], alternates: [], meta: {}, jsonLd: [], dynamic: false, base: false };
+}
+
+function addMeta(head, key, value, line) {
+  if (typeof key !== 'string') return;
+  const name = key.toLowerCase();
+  if (name === 'description') head.description = value;
+  else if (name === 'robots') head.robots = value;
+  else if ((name.startsWith('og:') || name.startsWith('twitter:')) && !(name in head.meta)) head.meta[name] = { value, line };
+}
+
+function addLink(head, attrs, line) {
+  const rel = typeof attrs.rel === 'string' ? attrs.rel.toLowerCase() : '';
+  const hreflang = attrs.hreflang ?? attrs.hrefLang;
+  if (rel === 'canonical') head.canonicals.push({ href: attrs.href, line });
+  else if (rel === 'alternate' && hreflang !== undefined) head.alternates.push({ lang: hreflang, href: attrs.href, line });
+}
+
+/**
+ * Head tags of an HTML document
+ * @param {string} html
+ * @returns {Object} Head model
+ */
+export function headFromHtml(html) {
+  const head = emptyHead();
+  // Blank out comments but keep line numbers
+  const source = html.replace(/<!--[\s\S]*?-->/g, comment => comment.replace(/[^\n]/g, ' '));
+  const title = source.match(/<title[^>]*>([\s\S]*?)<\/title>/i);
+  if (title) head.title = title[1].trim();
+
+  for (const match of source.matchAll(/<(meta|link)\b[^>]*>/gi)) {
+    const attrs = {};
+    for (const attr of match[0].matchAll(/([^\s=/<>]+)\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+))/g)) {
+      attrs[attr[1].toLowerCase()] = attr[2] ?? attr[3] ?? attr[4];
+    }
+    const line = lineAt(source, match.index);
+    if (match[1].toLowerCase() === 'meta') addMeta(head, attrs.property || attrs.name, attrs.content, line);
+    else addLink(head, attrs, line);
+  }
+
+  for (const match of source.matchAll(/<script\b([^>]*)>([\s\S]*?)<\/script>/gi)) {
+    if (/type\s*=\s*["']?application\/ld\+json/i.test(match[1])) {
+      head.jsonLd.push({ value: match[2], line: lineAt(source, match.index) });
+    }
+  }
+  return head;
+}
+
+/**
+ * <title>, <meta>, <link> and JSON-LD <script> elements written in JSX (next/head, App Router pages)
+ */
+function addJsxHead(head, program, constants) {
+  const attributeValue = (attr) => {
+    if (!attr.value) return true;
+    if (attr.value.type === 'StringLiteral') return attr.value.value;
+    if (attr.value.type === 'JSXExpressionContainer') return staticValue(attr.value.expression, constants);
+    return DYNAMIC;
+  };
+
+  walk(program, (node) => {
+    if (node.type !== 'JSXElement' || node.openingElement.name.type !== 'JSXIdentifier') return;
+    const tag = node.openingElement.name.name;
+    if (!['title', 'meta', 'link', 'script'].includes(tag)) return;
+
+    const attrs = {};
+    for (const attr of node.openingElement.attributes) {
+      if (attr.type === 'JSXAttribute' && attr.name.type === 'JSXIdentifier') attrs[attr.name.name] = attributeValue(attr);
+    }
+    const line = node.loc.start.line;
+    const children = node.children.filter(c => !(c.type === 'JSXText' && !c.value.trim()));
+    const childValue = () => {
+      if (children.length !== 1) return children.length === 0 ? undefined : DYNAMIC;
+      const child = children[0];
+      if (child.type === 'JSXText') return child.value.trim();
+      return child.type === 'JSXExpressionContainer' ? staticValue(child.expression, constants) : DYNAMIC;
+    };
+
+    if (tag === 'title') head.title = childValue();
+    else if (tag === 'meta') addMeta(head, attrs.property || attrs.name, attrs.content, line);
+    else if (tag === 'link') addLink(head, attrs, line);
+    else if (attrs.type === 'application/ld+json') {
+      const inner = attrs.dangerouslySetInnerHTML;
+      const value = inner && inner !== DYNAMIC && typeof inner === 'object' ? inner.__html : (inner === DYNAMIC ? DYNAMIC : childValue());
+      head.jsonLd.push({ value: value === undefined ? DYNAMIC : value, line });
+    }
+  });
+}
+
+/**
+ * `export const metadata = {...}` (static) or `generateMetadata` (runtime) of a Next.js App Router module
+ * @returns {Object|null} { value, line } - value is DYNAMIC for generateMetadata
+ */
+function nextMetadataExport(program, constants) {
+  for (const statement of program.body) {
+    if (statement.type !== 'ExportNamedDeclaration' || !statement.declaration) continue;
+    const declaration = statement.declaration;
+    if (declaration.type === 'FunctionDeclaration' && declaration.id?.name === 'generateMetadata') {
+      return { value: DYNAMIC, line: statement.loc.start.line };
+    }
+    if (declaration.type !== 'VariableDeclaration') continue;
+    for (const declarator of declaration.declarations) {
+      if (declarator.id.name === 'metadata') return { value: staticValue(declarator.init, constants), line: statement.loc.start.line };
+      if (declarator.id.name === 'generateMetadata') return { value: DYNAMIC, line: statement.loc.start.line };
+    }
+  }
+  return null;
+}
+
+/**
+ * Fill a head model from a resolved Next.js Metadata object
+ */
+function addNextMetadata(head, metadata, line) {
+  if (metadata === DYNAMIC || !metadata || typeof metadata !== 'object') {
+    head.dynamic = true;
+    return;
+  }
+  const first = (value) => (Array.isArray(value) ? value[0] : value);
+  const imageUrl = (value) => {
+    const image = first(value);
+    return image && typeof image === 'object' && image !== DYNAMIC ? image.url : image;
+  };
+
+  if (metadata.metadataBase !== undefined && metadata.metadataBase !== null) head.base = true;
+  if (metadata.title !== undefined) {
+    const title = metadata.title;
+    head.title = title && typeof title === 'object' && title !== DYNAMIC ? (title.absolute ?? title.default) : title;
+  }
+  if (metadata.description !== undefined) head.description = metadata.description;
+  if (metadata.robots !== undefined) {
+    const robots = metadata.robots;
+    head.robots = robots && typeof robots === 'object' && robots !== DYNAMIC ? (robots.index === false ? 'noindex' : 'index') : robots;
+  }
+
+  const alternates = metadata.alternates;
+  if (alternates && typeof alternates === 'object' && alternates !== DYNAMIC) {
+    if (alternates.canonical !== undefined) head.canonicals = [{ href: alternates.canonical, line }];
+    if (alternates.languages && typeof alternates.languages === 'object' && alternates.languages !== DYNAMIC) {
+      head.alternates = Object.entries(alternates.languages).map(([lang, href]) => ({ lang, href, line }));
+    }
+  }
+
+  const og = metadata.openGraph;
+  if (og !== undefined) {
+    for (const key of Object.keys(head.meta)) if (key.startsWith('og:')) delete head.meta[key];
+    if (og === DYNAMIC) {
+      REQUIRED_OPENGRAPH.forEach(key => addMeta(head, key, DYNAMIC, line));
+    } else if (og && typeof og === 'object') {
+      addMeta(head, 'og:title', og.title, line);
+      addMeta(head, 'og:description', og.description, line);
+      addMeta(head, 'og:url', og.url, line);
+      addMeta(head, 'og:type', og.type, line);
+      addMeta(head, 'og:site_name', og.siteName, line);
+      addMeta(head, 'og:image', imageUrl(og.images), line);
+      for (const key of Object.keys(head.meta)) if (head.meta[key].value === undefined) delete head.meta[key];
+    }
+  }
+
+  const twitter = metadata.twitter;
+  if (twitter !== undefined) {
+    for (const key of Object.keys(head.meta)) if (key.startsWith('twitter:')) delete head.meta[key];
+    if (twitter === DYNAMIC) {
+      addMeta(head, 'twitter:card', DYNAMIC, line);
+    } else if (twitter && typeof twitter === 'object') {
+      addMeta(head, 'twitter:card', twitter.card, line);
+      addMeta(head, 'twitter:title', twitter.title, line);
+      addMeta(head, 'twitter:description', twitter.description, line);
+      addMeta(head, 'twitter:image', imageUrl(twitter.images), line);
+      addMeta(head, 'twitter:site', twitter.site, line);
+      for (const key of Object.keys(head.meta)) if (head.meta[key].value === undefined) delete head.meta[key];
+    }
+  }
+}
+
+/**
+ * useSeoMeta key -> tag name (ogImage -> og:image, twitterCard -> twitter:card, ogSiteName -> og:site_name)
+ */
+function seoMetaKey(key) {
+  const match = key.match(/^(og|twitter|fb)([A-Z].*)$/);
+  if (!match) return key;
+  return `${match[1]}:${match[2].replace(/([a-z0-9])([A-Z])/g, '$1_$2').toLowerCase()}`;
+}
+
+/**
+ * Fill a head model from useHead()/useSeoMeta() input (or nuxt.config app.head)
+ */
+function addNuxtHead(head, input, line, seoMeta) {
+  if (input === DYNAMIC || !input || typeof input !== 'object') {
+    head.dynamic = true;
+    return;
+  }
+  if (seoMeta) {
+    for (const [key, value] of Object.entries(input)) {
+      if (key === 'title') head.title = value;
+      else addMeta(head, seoMetaKey(key), value && typeof value === 'object' && value !== DYNAMIC ? (value.url ?? value[0]?.url ?? value[0]) : value, line);
+    }
+    return;
+  }
+
+  if (input.title !== undefined) head.title = input.title;
+  const list = (value) => (Array.isArray(value) ? value : []);
+  for (const meta of list(input.meta)) {
+    if (meta && typeof meta === 'object' && meta !== DYNAMIC) addMeta(head, meta.property || meta.name, meta.content, line);
+  }
+  for (const link of list(input.link)) {
+    if (link && typeof link === 'object' && link !== DYNAMIC) addLink(head, link, line);
+  }
+  for (const script of list(input.script)) {
+    if (script && typeof script === 'object' && script.type === 'application/ld+json') {
+      const value = script.children ?? script.innerHTML ?? script.textContent;
+      head.jsonLd.push({ value: value === undefined ? DYNAMIC : value, line });
+    }
+  }
+}
+
+/**
+ * Head calls in the <script> blocks of a Vue single-file component
+ */
+function headFromVue(source, file) {
+  const head = emptyHead();
+  for (const block of source.matchAll(/<script\b[^>]*>([\s\S]*?)<\/script>/gi)) {
+    const offset = lineAt(source, block.index + block[0].indexOf('>') + 1) - 1;
+    let ast;
+    try {
+      ast = parseModule(block[1], file.replace(/\.vue$/, '.ts'));
+    } catch (e) {
+      continue;
+    }
+    const constants = moduleConstants(ast.program);
+    walk(ast.program, (node) => {
+      if (node.type !== 'CallExpression' || node.callee.type !== 'Identifier') return;
+      const name = node.callee.name;
+      if (!['useHead', 'useServerHead', 'useSeoMeta', 'useServerSeoMeta'].includes(name)) return;
+      addNuxtHead(head, staticValue(node.arguments[0], constants), offset + node.loc.start.line, name.endsWith('SeoMeta'));
+    });
+  }
+  return head;
+}
+
+/**
+ * Layer a page head over inherited defaults (page values win, structured data accumulates)
+ */
+function mergeHeads(base, page) {
+  return {
+    title: page.title ?? base.title,
+    description: page.description ?? base.description,
+    robots: page.robots ?? base.robots,
+    canonicals: page.canonicals.length > 0 ? page.canonicals : base.canonicals,
+    alternates: page.alternates.length > 0 ? page.alternates : base.alternates,
+    meta: { ...base.meta, ...page.meta },
+    jsonLd: [...base.jsonLd, ...page.jsonLd],
+    dynamic: base.dynamic || page.dynamic,
+    base: base.base || page.base
+  };
+}
+
+/**
+ * Parse a JS/TS module, or null when it does not parse
+ */
+function parseSource(projectPath, file) {
+  const code = readText(path.join(projectPath, file));
+  if (code === null) return null;
+  try {
+    const ast = parseModule(code, file.replace(/\.mdx$/, '.jsx'));
+    return { program: ast.program, constants: moduleConstants(ast.program) };
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Resolved head of a page, including what it inherits (Next.js layouts, Nuxt app defaults)
+ */
+function resolveHead(projectPath, page, { fileSet, nuxtDefaults, nextDocumentHead }) {
+  if (page.kind === 'html') {
+    const html = readText(path.join(projectPath, page.file));
+    return html === null ? null : headFromHtml(html);
+  }
+
+  if (page.kind === 'nuxt') {
+    const source = readText(path.join(projectPath, page.file));
+    return source === null ? null : mergeHeads(nuxtDefaults, headFromVue(source, page.file));
+  }
+
+  if (page.kind === 'next-pages') {
+    const parsed = parseSource(projectPath, page.file);
+    if (!parsed) return null;
+    const head = emptyHead();
+    addJsxHead(head, parsed.program, parsed.constants);
+    return mergeHeads(nextDocumentHead, head);
+  }
+
+  // App Router: metadata objects merge shallowly from the root layout down to the page
+  let metadata = {};
+  let metadataLine = 0;
+  const head = emptyHead();
+  for (const file of [...page.layouts, page.file]) {
+    const parsed = parseSource(projectPath, file);
+    if (!parsed) continue;
+    const exported = nextMetadataExport(parsed.program, parsed.constants);
+    if (exported) {
+      metadata = exported.value === DYNAMIC || metadata === DYNAMIC ? DYNAMIC : { ...metadata, ...exported.value };
+      if (file === page.file) metadataLine = exported.line;
+    }
+    if (file === page.file) addJsxHead(head, parsed.program, parsed.constants);
+  }
+  addNextMetadata(head, metadata, metadataLine);
+
+  // opengraph-image / twitter-image files in the segment or any parent
+  const { root, segments } = page.dirs;
+  for (let i = 0; i <= segments.length; i++) {
+    const dir = root + segments.slice(0, i).map(d => `${d}/`).join('');
+    for (const [prefix, key] of [['opengraph-image', 'og:image'], ['twitter-image', 'twitter:image']]) {
+      if (['jpg', 'jpeg', 'png', 'gif', 'js', 'jsx', 'ts', 'tsx'].some(ext => fileSet.has(`${dir}${prefix}.${ext}`))) {
+        head.meta[key] = { value: `/${prefix}`, line: 0, generated: true };
+      }
+    }
+  }
+  return head;
+}
+
+// ---------------------------------------------------------------------------
+// Per-page checks
+// ---------------------------------------------------------------------------
+
+function isStatic(value) {
+  return typeof value === 'string';
+}
+
+/**
+ * Canonical, hreflang, OpenGraph and Twitter checks for one page
+ */
+function checkHeadTags(page, head) {
+  const diagnostics = [];
+  const file = page.file;
+  const relativeOk = head.base;
+
+  if (head.canonicals.length > 1) {
+    diagnostics.push(problem('error', 'canonical', `${head.canonicals.length} canonical links - search engines may ignore all of them`, file, head.canonicals[1].line));
+  } else if (head.canonicals.length === 0) {
+    if (!head.dynamic) diagnostics.push(problem('info', 'canonical', `No canonical URL for ${page.route}`, file));
+  } else {
+    const { href, line } = head.canonicals[0];
+    if (isStatic(href) && !isAbsoluteUrl(href) && !relativeOk) {
+      diagnostics.push(problem('warning', 'canonical', `Canonical URL "${href}" should be absolute`, file, line));
+    }
+  }
+
+  if (head.alternates.length > 0) {
+    const seen = new Set();
+    for (const { lang, href, line } of head.alternates) {
+      if (isStatic(lang) && !HREFLANG_PATTERN.test(lang)) {
+        diagnostics.push(problem('warning', 'hreflang', `Invalid hreflang "${lang}" (use a language code like en or en-US, or x-default)`, file, line));
+      }
+      if (isStatic(lang) && seen.has(lang.toLowerCase())) {
+        diagnostics.push(problem('warning', 'hreflang', `Duplicate hreflang "${lang}"`, file, line));
+      }
+      if (isStatic(lang)) seen.add(lang.toLowerCase());
+      if (isStatic(href) && !isAbsoluteUrl(href) && !relativeOk) {
+        diagnostics.push(problem('warning', 'hreflang', `hreflang "${lang}" URL "${href}" should be absolute`, file, line));
+      }
+    }
+    if (!seen.has('x-default') && head.alternates.every(a => isStatic(a.lang))) {
+      diagnostics.push(problem('info', 'hreflang', 'hreflang alternates without an x-default fallback', file, head.alternates[0].line));
+    }
+  }
+
+  const ogKeys = Object.keys(head.meta).filter(k => k.startsWith('og:'));
+  if (ogKeys.length === 0) {
+    if (!head.dynamic) diagnostics.push(problem('info', 'opengraph', `No OpenGraph tags for ${page.route} - shared links get no preview`, file));
+  } else {
+    const missing = REQUIRED_OPENGRAPH.filter(key => !(key in head.meta));
+    if (missing.length > 0 && !head.dynamic) {
+      diagnostics.push(problem('warning', 'opengraph', `Incomplete OpenGraph tags, missing ${missing.join(', ')}`, file, head.meta[ogKeys[0]].line));
+    }
+    const image = head.meta['og:image'];
+    if (image && !image.generated && isStatic(image.value) && !isAbsoluteUrl(image.value) && !relativeOk) {
+      diagnostics.push(problem('warning', 'opengraph', `og:image "${image.value}" should be an absolute URL`, file, image.line));
+    }
+  }
+
+  const card = head.meta['twitter:card'];
+  if (card && isStatic(card.value) && !TWITTER_CARDS.has(card.value)) {
+    diagnostics.push(problem('warning', 'twitter', `Invalid twitter:card "${card.value}" (use ${[...TWITTER_CARDS].join(', ')})`, file, card.line));
+  } else if (!card && ogKeys.length > 0 && !head.dynamic) {
+    diagnostics.push(problem('info', 'twitter', 'No twitter:card - X/Twitter shows a plain summary card', file));
+  }
+
+  return diagnostics;
+}
+
+/**
+ * Validate one schema.org node and everything nested in it
+ */
+function checkSchemaNode(node, topLevel, report) {
+  if (node === DYNAMIC || !node || typeof node !== 'object') return;
+  if (Array.isArray(node)) {
+    node.forEach(item => checkSchemaNode(item, topLevel, report));
+    return;
+  }
+  // { "@id": ... } only references a node defined elsewhere
+  if (Object.keys(node).length === 1 && node['@id'] !== undefined) return;
+
+  const type = node['@type'];
+  if (type === undefined) {
+    if (topLevel) report('JSON-LD item has no @type');
+  } else {
+    for (const name of [].concat(type).filter(isStatic)) {
+      if (!SCHEMA_TYPES.has(name)) {
+        report(`Unknown schema.org type "${name}"`);
+        continue;
+      }
+      const missing = (SCHEMA_REQUIRED[name] || []).filter(prop => node[prop] === undefined || node[prop] === null || node[prop] === '');
+      if (missing.length > 0) report(`JSON-LD ${name} is missing required properties: ${missing.join(', ')}`);
+    }
+  }
+
+  for (const prop of DATE_PROPERTIES) {
+    if (isStatic(node[prop]) && !ISO_DATE_PATTERN.test(node[prop])) report(`JSON-LD ${prop} "${node[prop]}" is not an ISO 8601 date`);
+  }
+  for (const [key, value] of Object.entries(node)) {
+    if (key !== '@context' && key !== '@graph' && value && typeof value === 'object') checkSchemaNode(value, false, report);
+  }
+}
+
+/**
+ * JSON-LD blocks: valid JSON, schema.org @context, known @type and required properties
+ */
+function checkStructuredData(page, head) {
+  const diagnostics = [];
+  for (const { value, line } of head.jsonLd) {
+    if (value === DYNAMIC) continue;
+    const report = (message, severity = 'warning') => diagnostics.push(problem(severity, 'structured-data', message, page.file, line));
+
+    let data = value;
+    if (typeof data === 'string') {
+      try {
+        data = JSON.parse(data);
+      } catch (e) {
+        report(`Invalid JSON-LD: ${e.message}`, 'error');
+        continue;
+      }
+    }
+
+    for (const item of [].concat(data)) {
+      if (!item || typeof item !== 'object' || item === DYNAMIC) continue;
+      const context = item['@context'];
+      if (context === undefined) {
+        report('JSON-LD without @context (expected https://schema.org)');
+      } else if (context !== DYNAMIC && !JSON.stringify(context).includes('schema.org')) {
+        report(`JSON-LD @context ${JSON.stringify(context)} is not schema.org`);
+      }
+      if (Array.isArray(item['@graph'])) checkSchemaNode(item['@graph'], true, report);
+      else checkSchemaNode(item, true, report);
+    }
+  }
+  return diagnostics;
+}
+
+/**
+ * The same literal title or description on several pages
+ */
+function checkDuplicates(resolved) {
+  const diagnostics = [];
+  for (const [field, label] of [['title', 'title'], ['description', 'meta description']]) {
+    const byValue = new Map();
+    for (const { page, head } of resolved) {
+      const value = head[field];
+      if (!isStatic(value) || !value.trim() || page.pattern) continue;
+      if (!byValue.has(value)) byValue.set(value, []);
+      byValue.get(value).push(page);
+    }
+    for (const [value, pages] of byValue) {
+      if (pages.length < 2) continue;
+      diagnostics.push(problem('warning', 'duplicate-metadata',
+        `Same ${label} "${value}" on ${pages.length} pages: ${pages.map(p => p.route).join(', ')}`, pages[0].file));
+    }
+  }
+  return diagnostics;
+}
+
+// ---------------------------------------------------------------------------
+// sitemap.xml and robots.txt
+// ---------------------------------------------------------------------------
+
+function decodeXml(text) {
+  return text.trim()
+    .replace(/^<!\[CDATA\[([\s\S]*)\]\]>$/, '$1')
+    .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&apos;/g, "'").replace(/&amp;/g, '&');
+}
+
+/**
+ * <url>/<sitemap> entries of a sitemap or sitemap index
+ * @param {string} xml
+ * @returns {Object} { kind: 'urlset'|'sitemapindex'|null, entries: [{ loc, lastmod, line }] }
+ */
+export function parseSitemap(xml) {
+  const kind = /<urlset[\s>]/.test(xml) ? 'urlset' : (/<sitemapindex[\s>]/.test(xml) ? 'sitemapindex' : null);
+  const entries = [];
+  if (!kind) return { kind, entries };
+  const tag = kind === 'urlset' ? 'url' : 'sitemap';
+  for (const match of xml.matchAll(new RegExp(`<${tag}>([\\s\\S]*?)</${tag}>`, 'g'))) {
+    const loc = match[1].match(/<loc>([\s\S]*?)<\/loc>/);
+    const lastmod = match[1].match(/<lastmod>([\s\S]*?)<\/lastmod>/);
+    entries.push({ loc: loc ? decodeXml(loc[1]) : '', lastmod: lastmod ? decodeXml(lastmod[1]) : null, line: lineAt(xml, match.index) });
+  }
+  return { kind, entries };
+}
+
+/**
+ * Groups, rules and sitemap directives of a robots.txt
+ * @param {string} text
+ * @returns {Object} { groups: [{ agents, rules: [{ type, path, line }] }], sitemaps: [{ url, line }] }
+ */
+export function parseRobots(text) {
+  const groups = [];
+  const sitemaps = [];
+  let current = null;
+  text.split('\n').forEach((raw, index) => {
+    const line = raw.replace(/#.*/, '').trim();
+    const match = line.match(/^([A-Za-z-]+)\s*:\s*(.*)$/);
+    if (!match) return;
+    const field = match[1].toLowerCase();
+    const value = match[2].trim();
+    if (field === 'sitemap') {
+      sitemaps.push({ url: value, line: index + 1 });
+    } else if (field === 'user-agent') {
+      if (!current || current.rules.length > 0) {
+        current = { agents: [], rules: [] };
+        groups.push(current);
+      }
+      current.agents.push(value.toLowerCase());
+    } else if ((field === 'allow' || field === 'disallow') && current) {
+      current.rules.push({ type: field, path: value, line: index + 1 });
+    }
+  });
+  return { groups, sitemaps };
+}
+
+/**
+ * Whether robots.txt lets a crawler fetch a path (longest match wins, allow wins ties)
+ * @returns {Object} { allowed, rule }
+ */
+export function robotsAllows(robots, pathname, agent = '*') {
+  const name = agent.toLowerCase();
+  const specific = robots.groups.filter(g => g.agents.includes(name));
+  const groups = specific.length > 0 ? specific : robots.groups.filter(g => g.agents.includes('*'));
+  let best = null;
+  for (const rule of groups.flatMap(g => g.rules)) {
+    if (!rule.path) continue;
+    const source = '^' + rule.path.split('*').map(escapeRegExp).join('.*').replace(/\\\$$/, '$');
+    if (!new RegExp(source).test(pathname)) continue;
+    if (!best || rule.path.length > best.path.length || (rule.path.length === best.path.length && rule.type === 'allow')) best = rule;
+  }
+  return { allowed: !best || best.type === 'allow', rule: best };
+}
+
+/**
+ * Array/object returned by the default export of app/sitemap.ts or app/robots.ts
+ */
+function generatedRouteValue(projectPath, file) {
+  const parsed = parseSource(projectPath, file);
+  if (!parsed) return DYNAMIC;
+  let value = DYNAMIC;
+  for (const statement of parsed.program.body) {
+    if (statement.type !== 'ExportDefaultDeclaration') continue;
+    let fn = statement.declaration;
+    if (fn.type === 'Identifier') {
+      fn = parsed.program.body.find(s => s.type === 'FunctionDeclaration' && s.id?.name === fn.name) || fn;
+    }
+    const body = fn.body;
+    if (!body) continue;
+    if (body.type !== 'BlockStatement') return staticValue(body, parsed.constants);
+    const returned = body.body.find(s => s.type === 'ReturnStatement');
+    if (returned) value = staticValue(returned.argument, parsed.constants);
+  }
+  return value;
+}
+
+/**
+ * Sitemap sources: static sitemap.xml (following local sitemap indexes) or a Next.js app/sitemap route
+ * @returns {Object|null} { file, entries, generated, partial, problems } - partial when an index points at remote sitemaps
+ */
+function loadSitemap(projectPath, fileSet) {
+  const generator = ['app/', 'src/app/'].flatMap(dir => ['js', 'ts'].map(ext => `${dir}sitemap.${ext}`)).find(f => fileSet.has(f));
+  if (generator) {
+    const value = generatedRouteValue(projectPath, generator);
+    if (!Array.isArray(value)) return { file: generator, entries: [], generated: true, problems: [] };
+    const entries = value
+      .filter(entry => entry && typeof entry === 'object' && isStatic(entry.url))
+      .map(entry => ({ loc: entry.url, lastmod: isStatic(entry.lastModified) ? entry.lastModified : null, line: 0 }));
+    return { file: generator, entries, generated: value.some(entry => !entry || !isStatic(entry.url)), problems: [] };
+  }
+
+  const root = STATIC_ROOTS.find(dir => fileSet.has(`${dir}sitemap.xml`));
+  if (root === undefined) {
+    const configured = ['next-sitemap.config.js', 'next-sitemap.config.cjs', 'next-sitemap.config.mjs'].find(f => fileSet.has(f));
+    return configured ? { file: configured, entries: [], generated: true, problems: [] } : null;
+  }
+
+  const file = `${root}sitemap.xml`;
+  const problems = [];
+  const entries = [];
+  const visited = new Set();
+  let partial = false;
+  const visit = (sitemapFile) => {
+    if (visited.has(sitemapFile)) return;
+    visited.add(sitemapFile);
+    const xml = readText(path.join(projectPath, sitemapFile));
+    if (xml === null) return;
+    const parsed = parseSitemap(xml);
+    if (!parsed.kind) {
+      problems.push(problem('error', 'sitemap', 'Sitemap is not a <urlset> or <sitemapindex> document', sitemapFile, 1));
+      return;
+    }
+    for (const entry of parsed.entries) {
+      if (parsed.kind === 'urlset') {
+        entries.push({ ...entry, file: sitemapFile });
+        continue;
+      }
+      // Index entries point at child sitemaps; follow the ones shipped in the same directory
+      const child = root + (urlPath(entry.loc) || '').replace(/^\//, '');
+      if (fileSet.has(child)) visit(child);
+      else partial = true;
+    }
+  };
+  visit(file);
+  return { file, entries, generated: false, partial, problems };
+}
+
+/**
+ * robots.txt sources: static file or a Next.js app/robots route
+ * @returns {Object|null} { file, robots, generated }
+ */
+function loadRobots(projectPath, fileSet) {
+  const generator = ['app/', 'src/app/'].flatMap(dir => ['js', 'ts'].map(ext => `${dir}robots.${ext}`)).find(f => fileSet.has(f));
+  if (generator) {
+    const value = generatedRouteValue(projectPath, generator);
+    if (!value || typeof value !== 'object' || value === DYNAMIC) return { file: generator, robots: null, generated: true };
+    const list = (v) => [].concat(v ?? []).filter(isStatic);
+    const groups = [].concat(value.rules ?? []).filter(r => r && typeof r === 'object').map(rule => ({
+      agents: list(rule.userAgent).map(a => a.toLowerCase()),
+      rules: [
+        ...list(rule.allow).map(p => ({ type: 'allow', path: p, line: 0 })),
+        ...list(rule.disallow).map(p => ({ type: 'disallow', path: p, line: 0 }))
+      ]
+    }));
+    return { file: generator, robots: { groups, sitemaps: list(value.sitemap).map(url => ({ url, line: 0 })) }, generated: false };
+  }
+
+  const root = STATIC_ROOTS.find(dir => fileSet.has(`${dir}robots.txt`));
+  if (root === undefined) return null;
+  const text = readText(path.join(projectPath, `${root}robots.txt`));
+  return text === null ? null : { file: `${root}robots.txt`, robots: parseRobots(text), generated: false };
+}
+
+/**
+ * Cross-check sitemap URLs against pages, canonicals, noindex and robots.txt
+ */
+function checkSitemap(sitemap, pages, heads, robots) {
+  const diagnostics = [...sitemap.problems];
+  const { entries } = sitemap;
+
+  if (entries.length > MAX_SITEMAP_URLS) {
+    diagnostics.push(problem('error', 'sitemap', `Sitemap has ${entries.length} URLs (limit ${MAX_SITEMAP_URLS} per file)`, sitemap.file));
+  }
+
+  const seen = new Set();
+  const listed = new Set();
+  const host = entries.map(e => (isAbsoluteUrl(e.loc) ? new URL(e.loc).host : null)).find(Boolean);
+  for (const entry of entries) {
+    const file = entry.file || sitemap.file;
+    if (!isAbsoluteUrl(entry.loc)) {
+      diagnostics.push(problem('error', 'sitemap', `Sitemap URL "${entry.loc}" must be absolute`, file, entry.line));
+      continue;
+    }
+    const url = new URL(entry.loc);
+    if (seen.has(entry.loc)) diagnostics.push(problem('warning', 'sitemap', `Duplicate sitemap URL ${entry.loc}`, file, entry.line));
+    seen.add(entry.loc);
+    if (host && url.host !== host) {
+      diagnostics.push(problem('warning', 'sitemap', `Sitemap URL ${entry.loc} is on ${url.host}, not ${host}`, file, entry.line));
+    }
+    if (entry.lastmod && !ISO_DATE_PATTERN.test(entry.lastmod)) {
+      diagnostics.push(problem('warning', 'sitemap', `Invalid <lastmod> "${entry.lastmod}" (use W3C datetime, e.g. 2024-05-01)`, file, entry.line));
+    }
+
+    const route = normalizeRoute(url.pathname);
+    const page = pages.find(p => p.route === route) || pages.find(p => p.pattern?.test(route));
+    if (pages.length > 0 && !page) {
+      diagnostics.push(problem('warning', 'sitemap', `Sitemap lists ${url.pathname} but no page or route serves it`, file, entry.line));
+    }
+    if (page) {
+      listed.add(page);
+      const head = heads.get(page);
+      if (head && isStatic(head.robots) && /noindex/i.test(head.robots)) {
+        diagnostics.push(problem('warning', 'sitemap', `Sitemap lists ${url.pathname} but the page is marked noindex`, file, entry.line));
+      }
+      const canonical = head?.canonicals.length === 1 ? head.canonicals[0].href : null;
+      if (!page.pattern && isStatic(canonical) && normalizeRoute(urlPath(canonical) || '') !== route) {
+        diagnostics.push(problem('warning', 'canonical', `Sitemap lists ${url.pathname} but its canonical URL is ${canonical}`, page.file, head.canonicals[0].line));
+      }
+    }
+    if (robots) {
+      const { allowed, rule } = robotsAllows(robots.robots, url.pathname);
+      if (!allowed) {
+        diagnostics.push(problem('warning', 'robots', `Sitemap lists ${url.pathname} but robots.txt disallows it (Disallow: ${rule.path})`, file, entry.line));
+      }
+    }
+  }
+
+  if (!sitemap.generated && !sitemap.partial) {
+    const unlisted = pages.filter(p => !p.pattern && !listed.has(p) && !NON_INDEXABLE_ROUTES.has(p.route) &&
+      !(isStatic(heads.get(p)?.robots) && /noindex/i.test(heads.get(p).robots)));
+    if (unlisted.length > 0) {
+      const shown = unlisted.slice(0, 5).map(p => p.route).join(', ');
+      diagnostics.push(problem('info', 'sitemap',
+        `${unlisted.length} page(s) missing from the sitemap: ${shown}${unlisted.length > 5 ? ', ...' : ''}`, sitemap.file));
+    }
+  }
+  return diagnostics;
+}
+
+/**
+ * robots.txt sanity: blocking everything, Sitemap directives
+ */
+function checkRobots(robots, sitemap, fileSet) {
+  const diagnostics = [];
+  const { file } = robots;
+  const everyone = robots.robots.groups.filter(g => g.agents.includes('*'));
+  const blockAll = everyone.flatMap(g => g.rules).find(r => r.type === 'disallow' && r.path === '/');
+  if (blockAll && !robotsAllows(robots.robots, '/').allowed) {
+    diagnostics.push(problem('error', 'robots', 'robots.txt disallows the whole site for all crawlers (Disallow: /)', file, blockAll.line));
+  }
+
+  if (robots.robots.sitemaps.length === 0) {
+    if (sitemap) diagnostics.push(problem('info', 'robots', 'robots.txt has no Sitemap directive', file));
+    return diagnostics;
+  }
+  for (const { url, line } of robots.robots.sitemaps) {
+    if (!isAbsoluteUrl(url)) {
+      diagnostics.push(problem('warning', 'robots', `Sitemap directive "${url}" must be an absolute URL`, file, line));
+      continue;
+    }
+    const pathname = urlPath(url).replace(/^\//, '');
+    // app/sitemap.ts is served at /sitemap.xml; generated sitemaps (next-sitemap) are not on disk yet
+    const route = sitemap && /(^|\/)app\/sitemap\.(js|ts)$/.test(sitemap.file) ? 'sitemap.xml' : null;
+    const served = STATIC_ROOTS.some(dir => fileSet.has(dir + pathname)) || pathname === route;
+    if (!served && !sitemap?.generated) {
+      diagnostics.push(problem('warning', 'robots', `Sitemap directive points to /${pathname}, which the project does not serve`, file, line));
+    }
+  }
+  return diagnostics;
+}
+
+/**
+ * Crawl-level SEO audit of a project
+ * @param {string} projectPath
+ * @param {string[]} files - Project-relative paths (from walkFiles)
+ * @param {Object} [options]
+ * @param {string} [options.framework] - Detected framework (nextjs, nuxt, ...)
+ * @returns {Object[]} Problem[]
+ */
+export function auditSite(projectPath, files, { framework } = {}) {
+  // Sorted so results do not depend on directory listing order
+  const posixFiles = files.map(f => f.split(path.sep).join('/')).sort();
+  const fileSet = new Set(posixFiles);
+  const next = framework === 'nextjs' || posixFiles.some(f => /^next\.config\.(js|mjs|cjs|ts)$/.test(f));
+  const nuxt = framework === 'nuxt' || posixFiles.some(f => /^nuxt\.config\.(js|mjs|ts)$/.test(f));
+
+  const pages = discoverPages(posixFiles, { next, nuxt });
+  const sitemap = loadSitemap(projectPath, fileSet);
+  const robots = loadRobots(projectPath, fileSet);
+  if (pages.length === 0 && !sitemap && !robots) return [];
+
+  // Site-wide head defaults
+  let nuxtDefaults = emptyHead();
+  if (nuxt) {
+    const config = posixFiles.find(f => /^nuxt\.config\.(js|mjs|ts)$/.test(f));
+    const parsed = config && parseSource(projectPath, config);
+    if (parsed) {
+      walk(parsed.program, (node) => {
+        if (node.type !== 'ObjectProperty' || node.key.name !== 'app' || node.value.type !== 'ObjectExpression') return;
+        const app = staticValue(node.value, parsed.constants);
+        if (app.head && typeof app.head === 'object') addNuxtHead(nuxtDefaults, app.head, node.loc.start.line, false);
+      });
+    }
+    for (const file of ['app.vue', 'app/app.vue', 'layouts/default.vue', 'app/layouts/default.vue'].filter(f => fileSet.has(f))) {
+      nuxtDefaults = mergeHeads(nuxtDefaults, headFromVue(readText(path.join(projectPath, file)) || '', file));
+    }
+  }
+  let nextDocumentHead = emptyHead();
+  for (const file of posixFiles.filter(f => /^(?:src\/)?pages\/_(app|document)\.(jsx?|tsx?)$/.test(f))) {
+    const parsed = parseSource(projectPath, file);
+    if (parsed) addJsxHead(nextDocumentHead, parsed.program, parsed.constants);
+  }
+  // Site-wide tags cannot be per-page canonicals
+  nextDocumentHead = { ...nextDocumentHead, canonicals: [] };
+
+  const diagnostics = [];
+  const heads = new Map();
+  const resolved = [];
+  for (const page of pages) {
+    const head = resolveHead(projectPath, page, { fileSet, nuxtDefaults, nextDocumentHead });
+    if (!head) continue;
+    heads.set(page, head);
+    resolved.push({ page, head });
+    if (!NON_INDEXABLE_ROUTES.has(page.route)) diagnostics.push(...checkHeadTags(page, head));
+    diagnostics.push(...checkStructuredData(page, head));
+  }
+  diagnostics.push(...checkDuplicates(resolved));
+
+  if (sitemap) {
+    diagnostics.push(...checkSitemap(sitemap, pages, heads, robots?.robots ? robots : null));
+  } else if (pages.length > 0) {
+    diagnostics.push(problem('warning', 'sitemap', `No sitemap.xml for ${pages.length} page(s) - add one at the site root (or public/)`, ''));
+  }
+
+  if (robots?.robots) {
+    diagnostics.push(...checkRobots(robots, sitemap, fileSet));
+  } else if (!robots && pages.length > 0) {
+    diagnostics.push(problem('info', 'robots', 'No robots.txt - crawlers will assume everything is allowed', ''));
+  }
+  return diagnostics;
+}
+
+export default { auditSite, discoverPages, headFromHtml, parseSitemap, parseRobots, robotsAllows, normalizeRoute };
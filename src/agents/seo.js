@@ -1,6 +1,9 @@
 // SEO Agent - Analyzes and optimizes for search engines
 import fs from 'fs';
 import path from 'path';
+import { walkFiles, budgetDiagnostic, DEFAULT_MAX_FILES } from './budget.js';
+import { auditSite } from './seo-audit.js';
+import { proposeViewportMeta, proposeStrictMode } from './autofix.js';
 
 /**
  * Supported languages
@@ -106,6 +109,7 @@ export async function run(context) {
       success: false,
       diagnostics: [{
         severity: 'error',
+        type: 'invalid-context',
         message: `Invalid context: ${validation.error}`,
         file: '',
         line: 0
@@ -127,6 +131,7 @@ export async function run(context) {
       success: false,
       diagnostics: [{
         severity: 'warning',
+        type: 'unsupported-language',
         message: `SEO agent does not support language: ${language || 'unknown'}`,
         file: '',
         line: 0
@@ -138,17 +143,28 @@ export async function run(context) {
   
   // Analyze based on project type
   if (projectType === 'landing' || language === 'javascript' || language === 'typescript') {
-    const htmlDiagnostics = analyzeHTMLFiles(projectPath);
-    diagnostics.push(...htmlDiagnostics);
+    const html = analyzeHTMLFiles(projectPath);
+    diagnostics.push(...html.diagnostics);
+    changes.push(...html.changes);
   }
   
   // Check for metadata files
-  const metaDiagnostics = analyzeMetadata(projectPath, language);
-  diagnostics.push(...metaDiagnostics);
+  const meta = analyzeMetadata(projectPath, language);
+  diagnostics.push(...meta.diagnostics);
+  changes.push(...meta.changes);
+  
+  // Crawl-level audit: sitemap/robots against the real pages, canonical/hreflang/social tags, JSON-LD
+  const maxFiles = context.budget?.maxFiles ?? DEFAULT_MAX_FILES;
+  const { files, truncated } = walkFiles(projectPath, { maxFiles, signal: context.signal });
+  diagnostics.push(...auditSite(projectPath, files, { framework }));
   
   // Generate summary
   const summary = `SEO analysis complete. Found ${diagnostics.length} issues for ${language}/${framework || 'no-framework'} project.`;
   
+  if (truncated) {
+    diagnostics.push(budgetDiagnostic('SEO', maxFiles));
+  }
+  
   return {
     success: true,
     diagnostics,
@@ -160,10 +176,11 @@ export async function run(context) {
 /**
  * Analyze HTML files in the project
  * @param {string} projectPath 
- * @returns {Array}
+ * @returns {Object} { diagnostics, changes } - changes add missing viewport tags
  */
 function analyzeHTMLFiles(projectPath) {
   const diagnostics = [];
+  const changes = [];
   const files = safeReaddir(projectPath);
   
   // Find HTML files
@@ -172,11 +189,12 @@ function analyzeHTMLFiles(projectPath) {
   if (htmlFiles.length === 0) {
     diagnostics.push({
       severity: 'warning',
+      type: 'no-html',
       message: 'No HTML files found in project root',
       file: '',
       line: 0
     });
-    return diagnostics;
+    return { diagnostics, changes };
   }
   
   // Check each HTML file
@@ -188,6 +206,7 @@ function analyzeHTMLFiles(projectPath) {
       if (!content.includes('<title>') && !content.includes('<Title>')) {
         diagnostics.push({
           severity: 'warning',
+          type: 'missing-title',
           message: 'HTML file missing <title> tag',
           file,
           line: 0
@@ -198,6 +217,7 @@ function analyzeHTMLFiles(projectPath) {
       if (!content.includes('name="description"') && !content.includes("name='description'")) {
         diagnostics.push({
           severity: 'info',
+          type: 'missing-description',
           message: 'HTML file missing meta description',
           file,
           line: 0
@@ -205,37 +225,31 @@ function analyzeHTMLFiles(projectPath) {
       }
       
       // Check for viewport meta
-      if (!content.includes('name="viewport"')) {
+      if (!/<meta\b[^>]*\bname\s*=\s*["']?viewport\b/i.test(content)) {
         diagnostics.push({
           severity: 'warning',
+          type: 'missing-viewport',
           message: 'HTML file missing viewport meta tag',
           file,
           line: 0
         });
+        const viewport = proposeViewportMeta(projectPath, file);
+        if (viewport) changes.push(viewport);
       }
-
-    // Check for viewport meta
-    if (!content.includes('name="viewport"')) {
-      diagnostics.push({
-        severity: 'warning',
-        message: 'HTML file missing viewport meta tag',
-        file,
-        line: 0
-      });
-    }
   }
 
-  return diagnostics;
+  return { diagnostics, changes };
 }
 
 /**
  * Analyze metadata configuration
  * @param {string} projectPath 
  * @param {string} language 
- * @returns {Array}
+ * @returns {Object} { diagnostics, changes } - changes enable reactStrictMode
  */
 function analyzeMetadata(projectPath, language) {
   const diagnostics = [];
+  const changes = [];
   
   // Check for next.config.js (Next.js)
   if (language === 'typescript' || language === 'javascript') {
@@ -250,10 +264,13 @@ function analyzeMetadata(projectPath, language) {
         if (!config.includes('reactStrictMode')) {
           diagnostics.push({
             severity: 'info',
+            type: 'react-strict-mode',
             message: 'Next.js: Consider enabling reactStrictMode',
             file: configFile,
             line: 0
           });
+          const strictMode = proposeStrictMode(projectPath, configFile);
+          if (strictMode) changes.push(strictMode);
         }
       } catch (e) {
         // Ignore
@@ -267,6 +284,7 @@ function analyzeMetadata(projectPath, language) {
       if (pkg && (!pkg.scripts || (!pkg.scripts.build && !pkg.scripts.export))) {
         diagnostics.push({
           severity: 'warning',
+          type: 'missing-build-script',
           message: 'No build script found - may affect SEO for static sites',
           file: 'package.json',
           line: 0
@@ -275,7 +293,7 @@ function analyzeMetadata(projectPath, language) {
     }
   }
   
-  return diagnostics;
+  return { diagnostics, changes };
 }
 
 // Agent definition
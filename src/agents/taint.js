@@ -0,0 +1,290 @@
+// Taint Analysis - AST-based source→sink tracking for JavaScript/TypeScript modules (used by the security agent)
+import { parseModule, walk, JS_TS_EXTENSIONS } from './ast.js';
+
+export { JS_TS_EXTENSIONS };
+
+// Larger files (bundles, generated code) fall back to line checks
+const MAX_PARSE_BYTES = 512 * 1024;
+
+// Untrusted sources: req.body, request.query, ..., process.argv
+const REQUEST_OBJECTS = new Set(['req', 'request']);
+const REQUEST_INPUTS = new Set(['body', 'query', 'params', 'headers', 'cookies']);
+
+const SQL_METHODS = new Set(['query', 'execute', 'raw', 'unsafe', '$queryRawUnsafe', '$executeRawUnsafe']);
+const EXEC_FUNCTIONS = new Set(['exec', 'execSync']);
+const CHILD_PROCESS_MODULES = new Set(['child_process', 'node:child_process']);
+const HTML_PROPERTIES = new Set(['innerHTML', 'outerHTML']);
+const RESPONSE_OBJECTS = new Set(['res', 'response', 'reply']);
+
+// Calls whose result is no longer attacker-controlled text
+const SANITIZERS = new Set([
+  'parseInt', 'parseFloat', 'Number', 'Boolean', 'encodeURIComponent', 'encodeURI',
+  'escape', 'escapeHtml', 'escapeId', 'sanitize', 'isValid'
+]);
+// Plain function calls that hand their first argument back
+const PASS_THROUGH = new Set(['String', 'decodeURIComponent', 'decodeURI']);
+
+const SINKS = {
+  sql: { rule: 'sql-injection', what: 'SQL query', advice: 'use parameterized queries' },
+  command: { rule: 'command-injection', what: 'shell command', advice: 'use execFile/spawn with an argument list' },
+  eval: { rule: 'code-injection', what: 'dynamic code evaluation', advice: 'never evaluate user input' },
+  html: { rule: 'xss', what: 'HTML markup', advice: 'use textContent or sanitize the markup' },
+  redirect: { rule: 'open-redirect', what: 'redirect', advice: 'redirect only to allowlisted URLs' }
+};
+
+function propertyName(member) {
+  if (!member.computed && member.property.type === 'Identifier') return member.property.name;
+  if (member.property.type === 'StringLiteral') return member.property.value;
+  return null;
+}
+
+function isMember(node) {
+  return node?.type === 'MemberExpression' || node?.type === 'OptionalMemberExpression';
+}
+
+function isCall(node) {
+  return node?.type === 'CallExpression' || node?.type === 'OptionalCallExpression';
+}
+
+/**
+ * Source label when `object.property` is an untrusted input (e.g. 'req.body')
+ */
+function sourceOf(objectName, property) {
+  if (REQUEST_OBJECTS.has(objectName) && REQUEST_INPUTS.has(property)) return `${objectName}.${property}`;
+  if (objectName === 'process' && property === 'argv') return 'process.argv';
+  return null;
+}
+
+/**
+ * Analyze one module for untrusted input reaching dangerous sinks
+ * Flow-insensitive and module-wide: a binding that is ever assigned tainted data stays tainted.
+ * @param {string} code - Module source
+ * @param {string} [file] - Path, used to pick the TypeScript/JSX parser plugins
+ * @returns {Object} { parsed, findings: [{ rule, source, sink, message, advice, line, column, path }], evalCalls: [{ line, column }], error }
+ */
+export function analyzeTaint(code, file = '') {
+  if (code.length > MAX_PARSE_BYTES) {
+    return { parsed: false, findings: [], evalCalls: [], error: 'File too large to parse' };
+  }
+
+  let ast;
+  try {
+    ast = parseModule(code, file);
+  } catch (e) {
+    return { parsed: false, findings: [], evalCalls: [], error: e.message };
+  }
+
+  const describe = (node) => {
+    if (!node) return '';
+    if (node.type === 'Identifier') return node.name;
+    if (node.type === 'ThisExpression') return 'this';
+    if (isMember(node)) {
+      const name = propertyName(node);
+      if (name) return `${describe(node.object)}.${name}`;
+      return `${describe(node.object)}[${node.property.type === 'NumericLiteral' ? node.property.value : '...'}]`;
+    }
+    if (isCall(node)) return `${describe(node.callee)}()`;
+    const text = code.slice(node.start, node.end).replace(/\s+/g, ' ');
+    return text.length > 40 ? `${text.slice(0, 37)}...` : text;
+  };
+  const step = (label, node) => ({ label, line: node.loc.start.line, column: node.loc.start.column + 1 });
+
+  const tainted = new Map(); // binding name -> { source, path }
+  const execNames = new Set(); // exec/execSync imported from child_process
+  const childProcessNames = new Set(); // bindings of the child_process module
+
+  const isChildProcessRequire = (node) => isCall(node) && node.callee.type === 'Identifier' &&
+    node.callee.name === 'require' && CHILD_PROCESS_MODULES.has(node.arguments[0]?.value);
+
+  // Root untrusted source of a member chain (req.body.user.name -> 'req.body')
+  const memberSource = (node) => {
+    let current = node;
+    while (isMember(current)) {
+      if (current.object.type === 'Identifier') {
+        const source = sourceOf(current.object.name, propertyName(current));
+        if (source) return source;
+      }
+      current = current.object;
+    }
+    return null;
+  };
+
+  const taintOf = (node) => {
+    if (!node) return null;
+    switch (node.type) {
+      case 'Identifier':
+        return tainted.get(node.name) || null;
+      case 'MemberExpression':
+      case 'OptionalMemberExpression': {
+        const source = memberSource(node);
+        return source ? { source, path: [step(describe(node), node)] } : taintOf(node.object);
+      }
+      case 'TemplateLiteral':
+        return node.expressions.map(taintOf).find(Boolean) || null;
+      case 'BinaryExpression':
+        return node.operator === '+' ? (taintOf(node.left) || taintOf(node.right)) : null;
+      case 'LogicalExpression':
+        return taintOf(node.left) || taintOf(node.right);
+      case 'ConditionalExpression':
+        return taintOf(node.consequent) || taintOf(node.alternate);
+      case 'AssignmentExpression':
+        return taintOf(node.right);
+      case 'SequenceExpression':
+        return taintOf(node.expressions.at(-1));
+      case 'AwaitExpression':
+      case 'SpreadElement':
+        return taintOf(node.argument);
+      case 'ParenthesizedExpression':
+      case 'TSAsExpression':
+      case 'TSSatisfiesExpression':
+      case 'TSNonNullExpression':
+      case 'TSTypeAssertion':
+        return taintOf(node.expression);
+      case 'ArrayExpression':
+        return node.elements.map(taintOf).find(Boolean) || null;
+      case 'ObjectExpression':
+        return node.properties.map(p => taintOf(p.type === 'SpreadElement' ? p : p.value)).find(Boolean) || null;
+      case 'CallExpression':
+      case 'OptionalCallExpression': {
+        const callee = isMember(node.callee) ? propertyName(node.callee) : node.callee.name;
+        if (SANITIZERS.has(callee)) return null;
+        // Methods on tainted values (trim, join, concat, ...) keep the taint
+        if (isMember(node.callee)) return taintOf(node.callee.object);
+        return PASS_THROUGH.has(callee) ? taintOf(node.arguments[0]) : null;
+      }
+      default:
+        return null;
+    }
+  };
+
+  // Bind a (possibly destructuring) pattern to the taint of what is assigned to it
+  let changed = false;
+  const bind = (pattern, taint, init) => {
+    if (!pattern) return;
+    switch (pattern.type) {
+      case 'Identifier':
+        if (taint && !tainted.has(pattern.name)) {
+          tainted.set(pattern.name, { source: taint.source, path: [...taint.path, step(pattern.name, pattern)] });
+          changed = true;
+        }
+        break;
+      case 'ObjectPattern':
+        for (const property of pattern.properties) {
+          if (property.type === 'RestElement') {
+            bind(property.argument, taint, null);
+            continue;
+          }
+          const key = property.key?.name ?? property.key?.value;
+          // const { body } = req / const { argv } = process
+          const source = init?.type === 'Identifier' ? sourceOf(init.name, key) : null;
+          bind(property.value, source ? { source, path: [step(source, property)] } : taint, null);
+        }
+        break;
+      case 'ArrayPattern':
+        for (const element of pattern.elements) bind(element, taint, null);
+        break;
+      case 'AssignmentPattern':
+        bind(pattern.left, taint, init);
+        break;
+      case 'RestElement':
+        bind(pattern.argument, taint, null);
+        break;
+      default:
+        break;
+    }
+  };
+
+  // Pass 1: child_process bindings
+  walk(ast.program, (node) => {
+    if (node.type === 'ImportDeclaration' && CHILD_PROCESS_MODULES.has(node.source.value)) {
+      for (const specifier of node.specifiers) {
+        if (specifier.type === 'ImportSpecifier' && EXEC_FUNCTIONS.has(specifier.imported.name ?? specifier.imported.value)) {
+          execNames.add(specifier.local.name);
+        } else if (specifier.type !== 'ImportSpecifier') {
+          childProcessNames.add(specifier.local.name);
+        }
+      }
+    } else if (node.type === 'VariableDeclarator' && isChildProcessRequire(node.init)) {
+      if (node.id.type === 'Identifier') {
+        childProcessNames.add(node.id.name);
+      } else if (node.id.type === 'ObjectPattern') {
+        for (const property of node.id.properties) {
+          if (EXEC_FUNCTIONS.has(property.key?.name) && property.value?.type === 'Identifier') {
+            execNames.add(property.value.name);
+          }
+        }
+      }
+    }
+  });
+
+  // Pass 2: propagate taint through assignments until nothing changes (handles use-before-definition)
+  for (let round = 0; round < 5; round++) {
+    changed = false;
+    walk(ast.program, (node) => {
+      if (node.type === 'VariableDeclarator' && node.init) {
+        bind(node.id, taintOf(node.init), node.init);
+      } else if (node.type === 'AssignmentExpression') {
+        bind(node.left, taintOf(node.right), node.right);
+      }
+    });
+    if (!changed) break;
+  }
+
+  // Pass 3: sinks
+  const findings = [];
+  const evalCalls = [];
+  const seen = new Set();
+  const report = (kind, sinkLabel, argument, node) => {
+    const taint = taintOf(argument);
+    if (!taint) return;
+    const at = step(sinkLabel, node);
+    const key = `${kind}:${at.line}:${at.column}`;
+    if (seen.has(key)) return;
+    seen.add(key);
+
+    const { rule, what, advice } = SINKS[kind];
+    const path = [...taint.path, at];
+    findings.push({
+      rule,
+      source: taint.source,
+      sink: sinkLabel,
+      message: `Untrusted ${taint.source} reaches ${what} (${path.map(s => s.label).join(' -> ')})`,
+      advice,
+      line: at.line,
+      column: at.column,
+      path
+    });
+  };
+
+  walk(ast.program, (node) => {
+    if (isCall(node)) {
+      const { callee, arguments: args } = node;
+      const method = isMember(callee) ? propertyName(callee) : null;
+      const label = `${describe(callee)}()`;
+
+      if (callee.type === 'Identifier' && callee.name === 'eval') {
+        evalCalls.push({ line: node.loc.start.line, column: node.loc.start.column + 1 });
+        report('eval', label, args[0], node);
+      } else if (method && SQL_METHODS.has(method)) {
+        report('sql', label, args[0], node);
+      } else if ((callee.type === 'Identifier' && execNames.has(callee.name)) ||
+        (method && EXEC_FUNCTIONS.has(method) && callee.object.type === 'Identifier' && childProcessNames.has(callee.object.name))) {
+        report('command', label, args[0], node);
+      } else if (method === 'redirect' && callee.object.type === 'Identifier' && RESPONSE_OBJECTS.has(callee.object.name)) {
+        report('redirect', label, args.at(-1), node);
+      } else if ((method === 'write' || method === 'writeln') && callee.object.type === 'Identifier' && callee.object.name === 'document') {
+        report('html', label, args[0], node);
+      } else if (method === 'insertAdjacentHTML') {
+        report('html', label, args[1], node);
+      }
+    } else if (node.type === 'NewExpression' && node.callee.type === 'Identifier' && node.callee.name === 'Function') {
+      report('eval', 'new Function()', node.arguments.at(-1), node);
+    } else if (node.type === 'AssignmentExpression' && isMember(node.left) && HTML_PROPERTIES.has(propertyName(node.left))) {
+      report('html', describe(node.left), node.right, node);
+    }
+  });
+
+  return { parsed: true, findings, evalCalls };
+}
+
+export default { analyzeTaint, JS_TS_EXTENSIONS };
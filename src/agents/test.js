@@ -1,6 +1,8 @@
 // Test Agent - Testing, coverage, specs
 import fs from 'fs';
 import path from 'path';
+import { walkFiles, budgetDiagnostic, DEFAULT_MAX_FILES } from './budget.js';
+import { analyzeCoverageGaps } from './coverage.js';
 
 /**
  * Supported languages
@@ -23,6 +25,7 @@ export async function run(context) {
       success: false,
       diagnostics: [{
         severity: 'warning',
+        type: 'unsupported-language',
         message: `Test agent does not support language: ${language}`,
         file: '',
         line: 0
@@ -40,8 +43,23 @@ export async function run(context) {
   const coverageDiagnostics = analyzeCoverage(projectPath, language);
   diagnostics.push(...coverageDiagnostics);
   
+  // Files upstream agents (frontend, backend, code) are creating or changing need tests too
+  const upstreamDiagnostics = analyzeUpstreamChanges(projectPath, context.upstream);
+  diagnostics.push(...upstreamDiagnostics);
+  
+  // Coverage reports: least-covered modules and functions, test scaffolds for the worst gaps
+  const maxFiles = context.budget?.maxFiles ?? DEFAULT_MAX_FILES;
+  const { files, truncated } = walkFiles(projectPath, { maxFiles, signal: context.signal });
+  const gaps = analyzeCoverageGaps(projectPath, files);
+  diagnostics.push(...gaps.diagnostics);
+  changes.push(...gaps.changes);
+  
   const summary = `Test analysis complete. Found ${diagnostics.length} issues.`;
   
+  if (truncated) {
+    diagnostics.push(budgetDiagnostic('Test', maxFiles));
+  }
+  
   return {
     success: true,
     diagnostics,
@@ -68,6 +86,7 @@ function analyzeTestSetup(projectPath, language) {
   if (!hasTests) {
     diagnostics.push({
       severity: 'warning',
+      type: 'no-tests',
       message: 'No test files found - consider adding tests',
       file: '',
       line: 0
@@ -87,6 +106,7 @@ function analyzeTestSetup(projectPath, language) {
         if (!hasTestFramework && !hasTests) {
           diagnostics.push({
             severity: 'warning',
+            type: 'missing-test-framework',
             message: 'No test framework found in package.json',
             file: 'package.json',
             line: 0
@@ -112,6 +132,7 @@ function analyzeTestSetup(projectPath, language) {
         if (!hasPytest && !hasTests) {
           diagnostics.push({
             severity: 'warning',
+            type: 'missing-test-framework',
             message: 'No Python test framework found (pytest, unittest)',
             file: 'requirements.txt',
             line: 0
@@ -143,6 +164,7 @@ function analyzeCoverage(projectPath, language) {
     if (!hasCoverageConfig) {
       diagnostics.push({
         severity: 'info',
+        type: 'missing-coverage-config',
         message: 'No test coverage configuration found',
         file: '',
         line: 0
@@ -158,6 +180,7 @@ function analyzeCoverage(projectPath, language) {
   if (!hasCI) {
     diagnostics.push({
       severity: 'info',
+      type: 'missing-ci',
       message: 'No CI/CD configuration found - consider adding automated tests',
       file: '',
       line: 0
@@ -167,6 +190,42 @@ function analyzeCoverage(projectPath, language) {
   return diagnostics;
 }
 
+/**
+ * Flag source files changed by upstream agents that have no matching test file
+ */
+function analyzeUpstreamChanges(projectPath, upstream = []) {
+  const diagnostics = [];
+  const testPattern = /(\.test\.|\.spec\.|__tests__|(^|\/)tests?\/|_test\.|(^|\/)test_)/;
+  const sourcePattern = /\.(js|jsx|ts|tsx|vue|svelte|py|go|rs|php|cs)$/;
+  
+  for (const { agentId, changes = [] } of upstream) {
+    for (const change of changes) {
+      const file = change.file || '';
+      if (change.type === 'delete' || !sourcePattern.test(file) || testPattern.test(file)) continue;
+      
+      const ext = path.extname(file);
+      const base = file.slice(0, -ext.length);
+      const candidates = [
+        `${base}.test${ext}`,
+        `${base}.spec${ext}`,
+        path.join(path.dirname(file), '__tests__', `${path.basename(base)}.test${ext}`)
+      ];
+      
+      if (!candidates.some(c => fs.existsSync(path.join(projectPath, c)))) {
+        diagnostics.push({
+          severity: 'warning',
+          type: 'untested-change',
+          message: `No tests for ${file} (${change.type} by ${agentId}) - add ${path.basename(candidates[0])}`,
+          file,
+          line: 0
+        });
+      }
+    }
+  }
+  
+  return diagnostics;
+}
+
 // Agent definition
 export const testAgent = {
   id: 'test',
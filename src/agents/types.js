@@ -8,6 +8,8 @@
  * @property {string[]} supportedLanguages
  * @property {string[]} requiredCapabilities
  * @property {function(AgentContext): Promise<AgentResult>} run
+ * @property {string[]} [triggers] - Plugin agents: keywords that route to the agent
+ * @property {Object} [plugin] - Plugin agents: { source: 'project'|'global', file }
  */
 
 /**
@@ -16,6 +18,20 @@
  * @property {string} projectPath
  * @property {Object} metadata - Scanner output
  * @property {string} userIntent
+ * @property {string} [agentRules] - Knowledge base rules from agents-bridge
+ * @property {UpstreamResult[]} [upstream] - Results of the agents this one depends on (plan `dependsOn`)
+ * @property {Object} [budget] - { maxFiles } file-count budget for project walks
+ * @property {AbortSignal} [signal] - Aborted when the agent exceeds its timeout
+ */
+
+/**
+ * Result of an upstream agent, as seen by its dependents
+ * @typedef {Object} UpstreamResult
+ * @property {string} agentId
+ * @property {boolean} success
+ * @property {Problem[]} diagnostics
+ * @property {Change[]} changes
+ * @property {string} summary
  */
 
 /**
@@ -25,15 +41,23 @@
  * @property {Problem[]} diagnostics
  * @property {Change[]} changes
  * @property {string} summary
+ * @property {boolean} [timedOut] - Set by the orchestrator when the agent exceeded its timeout
  */
 
 /**
  * Problem detected by agent
  * @typedef {Object} Problem
  * @property {string} severity - 'error', 'warning', 'info'
+ * @property {string} [type] - Structured kind, e.g. 'timeout', 'budget' - the rule id reporters group by
  * @property {string} message
  * @property {string} file
  * @property {number} line
+ * @property {number} [column] - 1-based, when the check is parse-based
+ * @property {Object[]} [path] - Taint findings: source -> sink steps ({ label, line, column })
+ * @property {string} [advisory] - Vulnerability findings: advisory id (plus aliases, package, version, affected, fixed)
+ * @property {Object[]} [routes] - Route inventory: { method, path, file, line, handler, framework, auth }
+ * @property {number} [coverage] - Coverage findings: line coverage % (gaps add uncoveredLines, churn, functions)
+ * @property {Object[]} [hotspots] - Code metrics ranking: { file, score, line, reasons }
  */
 
 /**
@@ -44,6 +68,7 @@
  * @property {string} description
  * @property {string} diff
  * @property {string} content - File content (for create/update)
+ * @property {string} [originalContent] - Content the diff was computed against (for update)
  */
 
 /**
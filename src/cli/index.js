@@ -6,8 +6,10 @@ import { scan } from '../scanner/index.js';
 import { route } from '../router/index.js';
 import { orchestrate } from '../orchestrator/index.js';
 import { generateProposals } from '../proposals/index.js';
+import { proposalStore } from '../proposals/store.js';
 import { loadConfig, isConfigured, getLLMStatus } from '../llm/index.js';
 import { memory } from '../memory/index.js';
+import { runWithProgress } from './spinner.js';
 
 /**
  * Session state
@@ -115,10 +117,12 @@ async function analyzePrompt(userIntent) {
     console.log('   💡 Generando proposals...');
     const proposalResult = await generateProposals(currentProject, userIntent, metadata);
     const proposals = proposalResult.proposals || [];
+    // Stored like MCP proposals, so --preview / --apply <id> find them
+    proposalStore.saveProposals(currentProject, proposals, { userIntent });
     
     console.log('\n📋 Proposals generadas:', proposals.length);
     proposals.forEach((p, i) => {
-      console.log(`   ${i + 1}. [${p.agent}] ${p.description}`);
+      console.log(`   ${i + 1}. [${p.agent}] ${p.description} (${p.id})`);
     });
     
     sessionStats.prompts++;
@@ -288,6 +292,7 @@ export function printBanner() {
 
 /**
  * Quick analyze - single prompt mode
+ * Stages report through the spinner; Ctrl+C cancels between them
  */
 export async function quickAnalyze(projectPath, userIntent) {
   printBanner();
@@ -299,15 +304,36 @@ export async function quickAnalyze(projectPath, userIntent) {
   loadConfig();
   
   try {
-    // Scan
-    console.log('\n📡 Escaneando...');
-    const metadata = scan(projectPath);
-    console.log('   ✅', metadata.framework || metadata.language, '-', metadata.projectType);
+    const result = await runWithProgress(async ({ onProgress, signal }) => {
+      // Scan
+      onProgress({ stage: 'scan', message: `Escaneando ${projectPath}` });
+      const metadata = scan(projectPath);
+      if (signal.aborted) return { cancelled: true };
+      
+      // Route
+      onProgress({ stage: 'route', message: 'Enrutando' });
+      const routeResult = await route({ metadata, userIntent, projectPath });
+      if (signal.aborted) return { cancelled: true };
+      
+      // Proposals
+      onProgress({ stage: 'proposals', message: 'Generando proposals' });
+      const proposalResult = await generateProposals(projectPath, userIntent, metadata, { onProgress });
+      if (signal.aborted) return { cancelled: true };
+      const proposals = proposalResult.proposals || [];
+      // Stored like MCP proposals, so --preview / --apply <id> find them
+      proposalStore.saveProposals(projectPath, proposals, { userIntent });
+      
+      return { success: true, metadata, routeResult, proposals };
+    });
     
-    // Route
-    console.log('\n🎯 Enrutando...');
-    const routeResult = await route({ metadata, userIntent, projectPath });
-    console.log('   Agentes:', routeResult.agents.map(a => a.agentId).join(', '));
+    if (result.cancelled) {
+      console.log('\n⛔ Cancelado\n');
+      return { success: false, cancelled: true };
+    }
+    
+    const { metadata, routeResult, proposals } = result;
+    console.log('\n📡 Stack:', metadata.framework || metadata.language, '-', metadata.projectType);
+    console.log('\n🎯 Agentes:', routeResult.agents.map(a => a.agentId).join(', '));
     console.log('   Razón:', routeResult.reason);
     
     // Context
@@ -318,23 +344,20 @@ export async function quickAnalyze(projectPath, userIntent) {
       console.log('   Rules:', routeResult.agentsContext.mdFiles?.join(', ') || 'ninguna');
     }
     
-    // Proposals
-    console.log('\n💡 Generando proposals...');
-    const proposalResult = await generateProposals(projectPath, userIntent, metadata);
-    const proposals = proposalResult.proposals || [];
-    
     console.log('\n📋 Proposals:', proposals.length);
     proposals.forEach((p, i) => {
-      console.log(`   ${i + 1}. [${p.agent}] ${p.description}`);
+      console.log(`   ${i + 1}. [${p.agent}] ${p.description} (${p.id})`);
     });
     
     if (proposals.length === 0) {
       console.log('   (ninguna)');
+    } else {
+      console.log('   Usa --preview <id> o --apply <id> para actuar sobre ellas.');
     }
     
     console.log('\n✅ Listo!\n');
     
-    return { success: true, metadata, routeResult, proposals };
+    return result;
   } catch (error) {
     console.error('\n❌ Error:', error.message);
     return { success: false, error: error.message };
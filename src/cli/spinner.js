@@ -0,0 +1,89 @@
+// CLI Spinner - Stage progress on stderr (animated on a TTY, one line per stage otherwise)
+
+const FRAMES = ['⠋', '⠙', '⠹', '⠸', '⠼', '⠴', '⠦', '⠧', '⠇', '⠏'];
+const INTERVAL_MS = 80;
+
+/**
+ * Create a spinner that can be fed analyze/apply progress events
+ * @param {Object} [options]
+ * @param {NodeJS.WriteStream} [options.stream] - Defaults to stderr so stdout stays machine-readable
+ * @returns {Object} { update, onProgress, succeed, fail, stop }
+ */
+export function createSpinner({ stream = process.stderr } = {}) {
+  const animated = Boolean(stream.isTTY);
+  let text = '';
+  let frame = 0;
+  let timer = null;
+
+  const render = () => {
+    stream.write(`\r\x1b[2K${FRAMES[frame]} ${text}`);
+    frame = (frame + 1) % FRAMES.length;
+  };
+
+  const clear = () => {
+    if (timer) {
+      clearInterval(timer);
+      timer = null;
+      stream.write('\r\x1b[2K');
+    }
+  };
+
+  const update = (nextText) => {
+    text = nextText;
+
+    if (!animated) {
+      stream.write(`… ${text}\n`);
+      return;
+    }
+
+    if (!timer) {
+      timer = setInterval(render, INTERVAL_MS);
+      timer.unref();
+    }
+    render();
+  };
+
+  const finish = (symbol, finalText) => {
+    clear();
+    if (finalText || text) {
+      stream.write(`${symbol} ${finalText || text}\n`);
+    }
+  };
+
+  return {
+    update,
+    onProgress: ({ stage, message }) => update(`[${stage}] ${message}`),
+    succeed: (finalText) => finish('✔', finalText),
+    fail: (finalText) => finish('✖', finalText),
+    stop: clear
+  };
+}
+
+/**
+ * Run a long CLI command with a progress spinner; Ctrl+C cancels it
+ * @param {Function} run - ({ onProgress, signal }) => Promise<Object>
+ * @returns {Promise<Object>} Command result
+ */
+export async function runWithProgress(run) {
+  const spinner = createSpinner();
+  const controller = new AbortController();
+  const onInterrupt = () => controller.abort('Interrupted (Ctrl+C)');
+  process.once('SIGINT', onInterrupt);
+  
+  try {
+    const result = await run({ onProgress: spinner.onProgress, signal: controller.signal });
+    if (result.cancelled) {
+      spinner.fail('Cancelled');
+    } else if (result.success === false) {
+      spinner.fail();
+    } else {
+      spinner.succeed('Done');
+    }
+    return result;
+  } finally {
+    spinner.stop();
+    process.removeListener('SIGINT', onInterrupt);
+  }
+}
+
+export default { createSpinner, runWithProgress };
@@ -1,5 +1,6 @@
 // Integration tests for atomic patch manager
-import { preparePatch, applyAtomic, rollback, runChecks, getPatchStatus } from '../atomic.js';
+import { preparePatch, applyAtomic, rollback, runChecks, getPatchStatus, listAppliedPatches } from '../atomic.js';
+import { jest } from '@jest/globals';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
@@ -121,6 +122,35 @@ describe('Atomic Patch Manager', () => {
       expect(result.checkResult).toBeDefined();
     });
 
+    test('should report progress stages while applying', async () => {
+      const stages = [];
+      const patch = preparePatch([{
+        id: 'prop-progress',
+        agent: 'seo',
+        change: { type: 'create', file: 'progress-' + Date.now() + '.txt', content: 'ok' }
+      }]);
+
+      const result = await applyAtomic(testDir, patch, { onProgress: ({ stage }) => stages.push(stage) });
+
+      expect(result.success).toBe(true);
+      expect(stages).toEqual(['secrets', 'apply', 'checks']);
+    });
+
+    test('should not touch files when cancelled before applying', async () => {
+      const fileName = 'cancelled-' + Date.now() + '.js';
+      const patch = preparePatch([{
+        id: 'prop-cancel',
+        agent: 'code',
+        change: { type: 'create', file: fileName, content: 'const z = 1;\n' }
+      }]);
+
+      const result = await applyAtomic(testDir, patch, { signal: AbortSignal.abort() });
+
+      expect(result.success).toBe(false);
+      expect(result.cancelled).toBe(true);
+      expect(fs.existsSync(path.join(testDir, fileName))).toBe(false);
+    });
+
     test('should prepare patch correctly', () => {
       const proposals = [
         {
@@ -157,5 +187,125 @@ describe('Atomic Patch Manager', () => {
       // May return success if snapshot directory exists from previous tests
       expect(result).toBeDefined();
     });
+
+    test('should restore updated files and remove created ones', async () => {
+      const existing = 'rollback-existing-' + Date.now() + '.js';
+      const created = 'rollback-created-' + Date.now() + '.js';
+      fs.writeFileSync(path.join(testDir, existing), 'const a = 1;\n', 'utf-8');
+
+      const patch = preparePatch([
+        { id: 'rb-1', agent: 'code', change: { type: 'update', file: existing, content: 'const a = 2;\n', originalContent: 'const a = 1;\n' } },
+        { id: 'rb-2', agent: 'code', change: { type: 'create', file: created, content: 'const b = 1;\n' } }
+      ]);
+      const applied = await applyAtomic(testDir, patch);
+      expect(applied.success).toBe(true);
+
+      const result = rollback(testDir, applied.patchId);
+
+      expect(result.success).toBe(true);
+      expect(fs.readFileSync(path.join(testDir, existing), 'utf-8')).toBe('const a = 1;\n');
+      expect(fs.existsSync(path.join(testDir, created))).toBe(false);
+      expect(result.removedFiles).toContain(created);
+    });
+  });
+
+  describe('patch journal', () => {
+    test('should journal applied patches with snapshot, files and proposals', async () => {
+      const file = 'journal-' + Date.now() + '.js';
+      const patch = preparePatch([
+        { id: 'journal-prop', agent: 'frontend', change: { type: 'create', file, content: '// journal' } }
+      ]);
+      const applied = await applyAtomic(testDir, patch);
+
+      const [latest] = listAppliedPatches(testDir);
+
+      expect(latest.patchId).toBe(applied.patchId);
+      expect(latest.status).toBe('applied');
+      expect(latest.snapshotId).toBe(applied.snapshotId);
+      expect(latest.appliedFiles).toEqual([file]);
+      expect(latest.createdFiles).toEqual([file]);
+      expect(latest.proposals[0].id).toBe('journal-prop');
+      expect(latest.appliedAt).toBeDefined();
+    });
+
+    test('should roll back from the journal in a fresh process', async () => {
+      const file = 'journal-fresh-' + Date.now() + '.js';
+      fs.writeFileSync(path.join(testDir, file), 'before\n', 'utf-8');
+
+      const patch = preparePatch([
+        { id: 'fresh-prop', agent: 'code', change: { type: 'update', file, content: 'after\n', originalContent: 'before\n' } }
+      ]);
+      const applied = await applyAtomic(testDir, patch);
+
+      // A fresh module instance has no in-memory patches, like a new CLI run
+      jest.resetModules();
+      const fresh = await import('../atomic.js');
+
+      expect(fresh.getPatchStatus(applied.patchId).found).toBe(false);
+      expect(fresh.getPatchStatus(applied.patchId, testDir).status).toBe('applied');
+
+      const result = fresh.rollback(testDir, applied.patchId);
+
+      expect(result.success).toBe(true);
+      expect(fs.readFileSync(path.join(testDir, file), 'utf-8')).toBe('before\n');
+      expect(fresh.getPatchStatus(applied.patchId, testDir).status).toBe('rolled_back');
+      expect(fresh.rollback(testDir, applied.patchId).success).toBe(false);
+    });
+
+    test('should refuse to roll back over later patches to the same files unless forced', async () => {
+      const file = 'journal-stack-' + Date.now() + '.js';
+      fs.writeFileSync(path.join(testDir, file), 'v1\n', 'utf-8');
+      const update = (id, from, to) => preparePatch([
+        { id, agent: 'code', change: { type: 'update', file, content: to, originalContent: from } }
+      ]);
+
+      const first = await applyAtomic(testDir, update('stack-1', 'v1\n', 'v2\n'));
+      const second = await applyAtomic(testDir, update('stack-2', 'v2\n', 'v3\n'));
+
+      const refused = rollback(testDir, first.patchId);
+      expect(refused.success).toBe(false);
+      expect(refused.conflicts).toEqual([{ patchId: second.patchId, files: [file] }]);
+      expect(fs.readFileSync(path.join(testDir, file), 'utf-8')).toBe('v3\n');
+
+      // Newest first works; then the older one no longer conflicts
+      expect(rollback(testDir, second.patchId).success).toBe(true);
+      expect(rollback(testDir, first.patchId).success).toBe(true);
+      expect(fs.readFileSync(path.join(testDir, file), 'utf-8')).toBe('v1\n');
+
+      const third = await applyAtomic(testDir, update('stack-3', 'v1\n', 'v2\n'));
+      await applyAtomic(testDir, update('stack-4', 'v2\n', 'v3\n'));
+      expect(rollback(testDir, third.patchId, { force: true }).success).toBe(true);
+      expect(fs.readFileSync(path.join(testDir, file), 'utf-8')).toBe('v1\n');
+    });
+
+    test('should only match snapshot directories when looking a patch up by prefix', () => {
+      expect(fs.existsSync(path.join(testDir, '.ai-core-snapshots', 'journal.jsonl'))).toBe(true);
+
+      expect(rollback(testDir, 'journal')).toEqual({ success: false, error: 'Patch not found: journal' });
+    });
+
+    test('should flag a patch whose journal could not be written', async () => {
+      const project = testDir + '-unjournaled';
+      fs.mkdirSync(path.join(project, '.ai-core-snapshots', 'journal.jsonl'), { recursive: true });
+
+      try {
+        const applied = await applyAtomic(project, preparePatch([
+          { id: 'unjournaled', agent: 'code', change: { type: 'create', file: 'a.js', content: 'const a = 1;\n' } }
+        ]));
+
+        expect(applied.success).toBe(true);
+        expect(applied.journaled).toBe(false);
+        expect(applied.warning).toMatch(/^Patch journal not written .* only this process can roll it back$/);
+      } finally {
+        fs.rmSync(project, { recursive: true, force: true });
+      }
+    });
+
+    test('should filter journaled patches by status', () => {
+      const rolledBack = listAppliedPatches(testDir, { status: 'rolled_back' });
+
+      expect(rolledBack.length).toBeGreaterThan(0);
+      rolledBack.forEach(p => expect(p.rolledBackAt).toBeDefined());
+    });
   });
 });
@@ -6,10 +6,11 @@ import { diffFile } from './diff.js';
 import { runSimpleChecks } from './check-runner.js';
 import { validateTestsInSandbox, requiresTesting } from './test-validator.js';
 import { scanProposals } from './secret-scanner.js';
+import { recordApplied, recordRolledBack, listPatches, getJournalPatch } from './journal.js';
 
 /**
- * In-memory store for active patches
- * In production, this should be persisted
+ * In-memory cache of patches applied by this process
+ * The on-disk journal (journal.js) is the source of truth across processes
  */
 const activePatches = new Map();
 
@@ -163,9 +164,14 @@ export function runChecks(projectPath) {
  * Apply atomic patch - all or nothing
  * @param {string} projectPath 
  * @param {Object} patch - Prepared patch
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Cancels before writing; during test validation it rolls back
+ * @param {Function} [options.onProgress] - Called with { stage, message } (secrets, apply, checks, tests)
  * @returns {Object} Apply result
  */
-export async function applyAtomic(projectPath, patch) {
+export async function applyAtomic(projectPath, patch, options = {}) {
+  const { signal, onProgress } = options;
+  
   if (!patch || !patch.success) {
     return {
       success: false,
@@ -184,6 +190,7 @@ export async function applyAtomic(projectPath, patch) {
   
   // Step 0: Security check - scan for secrets before applying
   console.error('[Atomic] Scanning for secrets...');
+  onProgress?.({ stage: 'secrets', message: 'Scanning patch for secrets' });
   const securityScan = scanProposals(patch.proposalsData || []);
   
   if (!securityScan.all_clean) {
@@ -201,8 +208,13 @@ export async function applyAtomic(projectPath, patch) {
     }
   }
   
+  if (signal?.aborted) {
+    return { success: false, cancelled: true, error: 'Cancelled before applying' };
+  }
+  
   // Step 1: Create snapshot before applying
   console.error('[Atomic] Creating snapshot for:', files.join(', '));
+  onProgress?.({ stage: 'apply', message: `Applying ${files.length} file(s)` });
   const snapshot = createSnapshot(projectPath, files);
   
   if (!snapshot.success) {
@@ -214,6 +226,7 @@ export async function applyAtomic(projectPath, patch) {
   
   // Store snapshot reference in patch
   patch.snapshotId = snapshot.id;
+  patch.snapshotFiles = snapshot.files;
   patch.status = 'applying';
   
   // Step 2: Apply all changes
@@ -258,6 +271,7 @@ export async function applyAtomic(projectPath, patch) {
   
   // Step 3: Run checks
   console.error('[Atomic] Running checks...');
+  onProgress?.({ stage: 'checks', message: 'Running project checks' });
   const checkResult = runChecks(projectPath);
   
   // Step 4: Validate tests in sandbox (if proposals have tests or changes require testing)
@@ -280,17 +294,18 @@ export async function applyAtomic(projectPath, patch) {
     }
     
     // Run test validation synchronously
-    testValidationResult = await validateTestsInSandbox(projectPath, tests, changes);
+    testValidationResult = await validateTestsInSandbox(projectPath, tests, changes, { signal, onProgress });
     
     // If test validation fails, rollback
     if (!testValidationResult.valid) {
       console.error('[Atomic] Test validation failed, rolling back...');
       console.error('[Atomic] Test errors:', testValidationResult.errors);
       
-      const rollbackResult = rollback(projectPath, patchId);
+      const rollbackResult = restoreFiles(projectPath, snapshot.id, appliedFiles, snapshot.files);
       
       return {
         success: false,
+        cancelled: testValidationResult.cancelled || false,
         applied: appliedFiles,
         rolledBack: rollbackResult.success,
         error: 'Test validation failed: ' + testValidationResult.errors.join('; '),
@@ -306,7 +321,7 @@ export async function applyAtomic(projectPath, patch) {
   if (!checkResult.success) {
     console.error('[Atomic] Checks failed, rolling back...');
     
-    const rollbackResult = rollback(projectPath, patchId);
+    const rollbackResult = restoreFiles(projectPath, snapshot.id, appliedFiles, snapshot.files);
     
     return {
       success: false,
@@ -322,17 +337,29 @@ export async function applyAtomic(projectPath, patch) {
   patch.status = 'applied';
   
   // Store patch for potential rollback
-  activePatches.set(patchId, {
+  const appliedPatch = {
     ...patch,
     projectPath,
     appliedFiles,
     appliedAt: new Date().toISOString()
-  });
+  };
+  activePatches.set(patchId, appliedPatch);
+  
+  // Journal it so rollback works from later processes
+  let journalError = null;
+  try {
+    recordApplied(projectPath, appliedPatch);
+  } catch (error) {
+    journalError = error.message;
+    console.error('[Atomic] Failed to write patch journal:', error.message);
+  }
   
   return {
     success: true,
     patchId,
     snapshotId: snapshot.id,
+    journaled: !journalError,
+    ...(journalError && { warning: 'Patch journal not written (' + journalError + ') - only this process can roll it back' }),
     applied: appliedFiles,
     checkResult,
     diffs: patch.diffs.map(d => ({
@@ -343,18 +370,93 @@ export async function applyAtomic(projectPath, patch) {
   };
 }
 
+/**
+ * Restore files touched by a patch from its snapshot
+ * Files that did not exist before the patch are removed
+ * @param {string} projectPath
+ * @param {string} snapshotId
+ * @param {string[]} appliedFiles
+ * @param {Object} [snapshotFiles] - Snapshot file map (backedUp flags)
+ * @returns {Object} Restore result
+ */
+function restoreFiles(projectPath, snapshotId, appliedFiles, snapshotFiles = {}) {
+  const snapshotPath = path.join(getSnapshotDir(projectPath), snapshotId);
+  const restoredFiles = [];
+  const removedFiles = [];
+  const errors = [];
+  
+  for (const file of appliedFiles) {
+    const fullPath = path.join(projectPath, file);
+    const snapshotFilePath = path.join(snapshotPath, file);
+    
+    try {
+      if (fs.existsSync(snapshotFilePath)) {
+        const dir = path.dirname(fullPath);
+        if (!fs.existsSync(dir)) {
+          fs.mkdirSync(dir, { recursive: true });
+        }
+        fs.copyFileSync(snapshotFilePath, fullPath);
+        restoredFiles.push(file);
+        console.error('[Atomic] Restored:', file);
+      } else if (snapshotFiles[file] && !snapshotFiles[file].backedUp && fs.existsSync(fullPath)) {
+        fs.unlinkSync(fullPath);
+        removedFiles.push(file);
+        console.error('[Atomic] Removed created file:', file);
+      }
+    } catch (error) {
+      errors.push({ file, error: error.message });
+      console.error('[Atomic] Error restoring:', file, error.message);
+    }
+  }
+  
+  return {
+    success: errors.length === 0,
+    restoredFiles,
+    removedFiles,
+    error: errors.length > 0 ? errors.map(e => e.file + ': ' + e.error).join('; ') : undefined
+  };
+}
+
+/**
+ * Journaled patches applied after `patchId` that are still applied and touch any of its files
+ * Restoring the older snapshot would overwrite their changes
+ * @returns {Object[]} [{ patchId, files }]
+ */
+function laterPatchesTouching(projectPath, patchId, files) {
+  const patches = listPatches(projectPath); // newest first
+  const index = patches.findIndex(p => p.patchId === patchId);
+  const newer = index === -1 ? patches : patches.slice(0, index);
+  
+  return newer
+    .filter(p => p.status === 'applied')
+    .map(p => ({ patchId: p.patchId, files: (p.appliedFiles || []).filter(f => files.includes(f)) }))
+    .filter(p => p.files.length > 0);
+}
+
 /**
  * Rollback a patch by patchId
+ * Looks the patch up in this process first, then in the on-disk journal
  * @param {string} projectPath 
  * @param {string} patchId 
- * @returns {Object} Rollback result
+ * @param {Object} [options]
+ * @param {boolean} [options.force] - Restore even if later applied patches changed the same files
+ * @returns {Object} Rollback result (`conflicts` lists the later patches when refused)
  */
-export function rollback(projectPath, patchId) {
-  // Try to find patch in active patches
-  const patch = activePatches.get(patchId);
+export function rollback(projectPath, patchId, options = {}) {
+  const active = activePatches.get(patchId);
+  const journaled = getJournalPatch(projectPath, patchId);
+  
+  if (journaled?.status === 'rolled_back') {
+    return {
+      success: false,
+      error: 'Patch already rolled back: ' + patchId
+    };
+  }
+  
+  const patch = active || journaled;
   
   if (!patch) {
-    // Try to find by snapshot
+    // Not journaled - try a snapshot directory named by the id
     const snapshotDir = getSnapshotDir(projectPath);
     
     if (!fs.existsSync(snapshotDir)) {
@@ -368,12 +470,12 @@ export function rollback(projectPath, patchId) {
     const snapshotPath = path.join(snapshotDir, patchId);
     
     if (!fs.existsSync(snapshotPath)) {
-      // Try finding by prefix
-      const snapshots = fs.readdirSync(snapshotDir);
-      const matching = snapshots.find(s => s.includes(patchId) || s.includes('snapshot'));
+      // Try finding by prefix (snapshot directories only - the journal lives here too)
+      const snapshots = fs.readdirSync(snapshotDir, { withFileTypes: true });
+      const matching = snapshots.find(s => s.isDirectory() && s.name.startsWith(patchId));
       
       if (matching) {
-        return rollback(projectPath, matching);
+        return rollback(projectPath, matching.name, options);
       }
       
       return {
@@ -434,43 +536,49 @@ export function rollback(projectPath, patchId) {
   
   // Restore from stored patch data
   const { appliedFiles, snapshotId } = patch;
-  const snapshotPath = path.join(getSnapshotDir(projectPath), snapshotId);
   
-  for (const file of appliedFiles) {
-    const fullPath = path.join(projectPath, file);
-    const snapshotFilePath = path.join(snapshotPath, file);
-    
-    try {
-      if (fs.existsSync(snapshotFilePath)) {
-        const dir = path.dirname(fullPath);
-        if (!fs.existsSync(dir)) {
-          fs.mkdirSync(dir, { recursive: true });
-        }
-        fs.copyFileSync(snapshotFilePath, fullPath);
-        console.error('[Atomic] Restored:', file);
-      }
-    } catch (error) {
-      console.error('[Atomic] Error restoring:', file, error.message);
-    }
+  const conflicts = laterPatchesTouching(projectPath, patchId, appliedFiles);
+  if (conflicts.length > 0 && !options.force) {
+    return {
+      success: false,
+      patchId,
+      conflicts,
+      error: 'Later patches changed the same files (' + conflicts.map(c => c.patchId).join(', ') +
+        ') - roll them back first, or force to overwrite their changes'
+    };
   }
+  const snapshotFiles = patch.snapshotFiles ||
+    Object.fromEntries(appliedFiles.map(f => [f, { backedUp: !(patch.createdFiles || []).includes(f) }]));
+  
+  const result = restoreFiles(projectPath, snapshotId, appliedFiles, snapshotFiles);
   
   // Clean up
   activePatches.delete(patchId);
   
+  if (journaled) {
+    recordRolledBack(projectPath, patchId, {
+      restoredFiles: result.restoredFiles,
+      removedFiles: result.removedFiles
+    });
+  }
+  
   return {
-    success: true,
+    success: result.success,
     patchId,
-    restoredFiles: appliedFiles
+    restoredFiles: result.restoredFiles,
+    removedFiles: result.removedFiles,
+    error: result.error
   };
 }
 
 /**
  * Get patch status
  * @param {string} patchId 
+ * @param {string} [projectPath] - Also look in this project's journal
  * @returns {Object} Patch status
  */
-export function getPatchStatus(patchId) {
-  const patch = activePatches.get(patchId);
+export function getPatchStatus(patchId, projectPath = null) {
+  const patch = activePatches.get(patchId) || (projectPath ? getJournalPatch(projectPath, patchId) : null);
   
   if (!patch) {
     return {
@@ -483,16 +591,31 @@ export function getPatchStatus(patchId) {
     found: true,
     patchId: patch.patchId,
     status: patch.status,
+    snapshotId: patch.snapshotId,
     appliedFiles: patch.appliedFiles,
-    appliedAt: patch.appliedAt
+    appliedAt: patch.appliedAt,
+    rolledBackAt: patch.rolledBackAt || null
   };
 }
 
+/**
+ * List patches recorded in a project's journal
+ * @param {string} projectPath
+ * @param {Object} [options]
+ * @param {string} [options.status] - 'applied' or 'rolled_back'
+ * @returns {Array} Patch records, newest first
+ */
+export function listAppliedPatches(projectPath, options = {}) {
+  const patches = listPatches(projectPath);
+  return options.status ? patches.filter(p => p.status === options.status) : patches;
+}
+
 export default {
   preparePatch,
   applyAtomic,
   rollback,
   getPatchStatus,
+  listAppliedPatches,
   runChecks,
   createSnapshot
 };
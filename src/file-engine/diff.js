@@ -69,11 +69,13 @@ export function diffFile(change) {
   const { file, content, originalContent } = change;
   
   if (change.type === 'create') {
+    // A trailing newline ends the last line, it does not add an empty one
+    const lines = (content.endsWith('\n') ? content.slice(0, -1) : content).split('\n');
     return {
       success: true,
       file,
-      diff: `+++ ${file}\n${content.split('\n').map(l => '+' + l).join('\n')}`,
-      additions: content.split('\n').length,
+      diff: `+++ ${file}\n${lines.map(l => '+' + l).join('\n')}`,
+      additions: lines.length,
       deletions: 0
     };
   }
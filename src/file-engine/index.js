@@ -2,7 +2,7 @@
 import { diffFile } from './diff.js';
 import { createBackup, restoreBackup, listBackups } from './backup.js';
 import { applyChange, applyChanges } from './applier.js';
-import { preparePatch, applyAtomic, rollback, getPatchStatus, runChecks } from './atomic.js';
+import { preparePatch, applyAtomic, rollback, getPatchStatus, listAppliedPatches, runChecks } from './atomic.js';
 import { validateTestsInSandbox, requiresTesting } from './test-validator.js';
 import { scanPatch, scanProposals, scanContent, maskSecretsInContent } from './secret-scanner.js';
 
@@ -59,6 +59,7 @@ export const fileEngine = {
   applyAtomic,
   rollback,
   getPatchStatus,
+  listAppliedPatches,
   runChecks,
   // Test validation
   validateTestsInSandbox,
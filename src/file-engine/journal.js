@@ -0,0 +1,153 @@
+// Patch Journal - Append-only on-disk record of applied and rolled back patches
+import fs from 'fs';
+import path from 'path';
+
+const JOURNAL_FILE = 'journal.jsonl';
+
+/**
+ * Journal event types
+ */
+export const JOURNAL_EVENT = {
+  applied: 'applied',
+  rolledBack: 'rolled_back'
+};
+
+/**
+ * Get journal path - kept next to the snapshots it references
+ */
+function getJournalPath(projectPath) {
+  return path.join(projectPath, '.ai-core-snapshots', JOURNAL_FILE);
+}
+
+/**
+ * Read raw journal entries for a project
+ * @param {string} projectPath
+ * @returns {Array} Entries in write order
+ */
+export function readJournal(projectPath) {
+  const journalPath = getJournalPath(projectPath);
+
+  if (!fs.existsSync(journalPath)) {
+    return [];
+  }
+
+  const lines = fs.readFileSync(journalPath, 'utf-8').split('\n').filter(l => l.trim());
+
+  return lines.map(line => {
+    try {
+      return JSON.parse(line);
+    } catch (e) {
+      return null;
+    }
+  }).filter(e => e);
+}
+
+/**
+ * Append an entry to the journal
+ * @param {string} projectPath
+ * @param {Object} entry - Must include patchId and event
+ * @returns {Object} Stored entry
+ */
+export function appendJournalEntry(projectPath, entry) {
+  const journalPath = getJournalPath(projectPath);
+  const dir = path.dirname(journalPath);
+
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
+  }
+
+  const record = {
+    timestamp: new Date().toISOString(),
+    ...entry
+  };
+
+  fs.appendFileSync(journalPath, JSON.stringify(record) + '\n', 'utf-8');
+
+  return record;
+}
+
+/**
+ * Record a successfully applied patch
+ * @param {string} projectPath
+ * @param {Object} patch - Applied patch (patchId, snapshotId, appliedFiles, diffs...)
+ */
+export function recordApplied(projectPath, patch) {
+  return appendJournalEntry(projectPath, {
+    event: JOURNAL_EVENT.applied,
+    patchId: patch.patchId,
+    snapshotId: patch.snapshotId,
+    preparedAt: patch.timestamp,
+    appliedAt: patch.appliedAt,
+    files: patch.files,
+    appliedFiles: patch.appliedFiles,
+    // Files without a snapshot copy did not exist before the patch
+    createdFiles: patch.appliedFiles.filter(f => !patch.snapshotFiles?.[f]?.backedUp),
+    proposals: patch.diffs.map(d => ({
+      id: d.proposalId,
+      agent: d.agent,
+      file: d.change.file,
+      type: d.change.type
+    }))
+  });
+}
+
+/**
+ * Record a rollback
+ * @param {string} projectPath
+ * @param {string} patchId
+ * @param {Object} details - restoredFiles / removedFiles
+ */
+export function recordRolledBack(projectPath, patchId, details = {}) {
+  return appendJournalEntry(projectPath, {
+    event: JOURNAL_EVENT.rolledBack,
+    patchId,
+    ...details
+  });
+}
+
+/**
+ * Fold journal entries into one record per patch
+ * @param {string} projectPath
+ * @returns {Array} Patch records, newest first
+ */
+export function listPatches(projectPath) {
+  const patches = new Map();
+
+  for (const entry of readJournal(projectPath)) {
+    if (entry.event === JOURNAL_EVENT.applied) {
+      patches.set(entry.patchId, {
+        ...entry,
+        status: 'applied',
+        rolledBackAt: null
+      });
+    } else if (entry.event === JOURNAL_EVENT.rolledBack && patches.has(entry.patchId)) {
+      patches.set(entry.patchId, {
+        ...patches.get(entry.patchId),
+        status: 'rolled_back',
+        rolledBackAt: entry.timestamp
+      });
+    }
+  }
+
+  return [...patches.values()].map(({ event, timestamp, ...patch }) => patch).reverse();
+}
+
+/**
+ * Get a single patch record from the journal
+ * @param {string} projectPath
+ * @param {string} patchId
+ * @returns {Object|null}
+ */
+export function getJournalPatch(projectPath, patchId) {
+  return listPatches(projectPath).find(p => p.patchId === patchId) || null;
+}
+
+export default {
+  JOURNAL_EVENT,
+  readJournal,
+  appendJournalEntry,
+  recordApplied,
+  recordRolledBack,
+  listPatches,
+  getJournalPatch
+};
@@ -1,9 +1,11 @@
 // Test Validator - Validate tests in sandbox and generate smoke tests
 import fs from 'fs';
 import path from 'path';
-import { execSync } from 'child_process';
+import { spawn } from 'child_process';
 import { fileURLToPath } from 'url';
 
+const TEST_TIMEOUT_MS = 60000;
+
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
@@ -148,10 +150,58 @@ def test_module_loads():
   };
 }
 
+/**
+ * Run a shell command in its own process group and collect its output.
+ * Timeout and abort kill the whole group, so the runners npx spawns
+ * (jest, vitest and their workers) stop along with the shell.
+ * @param {string} command
+ * @param {string} cwd
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<{code: number|null, output: string, killed: boolean}>}
+ */
+function runCommand(command, cwd, signal) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(command, { cwd, shell: true, detached: true });
+    let output = '';
+    let killed = false;
+    
+    const killGroup = () => {
+      killed = true;
+      try {
+        process.kill(-child.pid, 'SIGKILL');
+      } catch {
+        // Group already gone
+      }
+    };
+    
+    const timer = setTimeout(killGroup, TEST_TIMEOUT_MS);
+    signal?.addEventListener('abort', killGroup, { once: true });
+    
+    child.stdout.setEncoding('utf-8').on('data', chunk => { output += chunk; });
+    child.stderr.setEncoding('utf-8').on('data', chunk => { output += chunk; });
+    
+    child.on('error', (error) => {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', killGroup);
+      reject(error);
+    });
+    child.on('close', (code) => {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', killGroup);
+      resolve({ code, output, killed });
+    });
+    
+    if (signal?.aborted) killGroup();
+  });
+}
+
 /**
  * Run a test file and return results
+ * @param {string} testPath
+ * @param {string} cwd
+ * @param {AbortSignal} [signal] - Kills the test process and its children when aborted
  */
-function runTestFile(testPath, cwd) {
+async function runTestFile(testPath, cwd, signal) {
   const result = {
     success: false,
     output: '',
@@ -163,7 +213,7 @@ function runTestFile(testPath, cwd) {
   
   try {
     // Try jest first, then vitest
-    let command = 'npx jest --passWithNoTests --silent 2>&1';
+    let command = 'npx jest --passWithNoTests --silent';
     
     if (!fs.existsSync(path.join(cwd, 'node_modules'))) {
       // No node_modules, skip test
@@ -172,19 +222,19 @@ function runTestFile(testPath, cwd) {
       return result;
     }
     
-    const output = execSync(command, {
-      cwd,
-      encoding: 'utf-8',
-      timeout: 60000,
-      stdio: ['pipe', 'pipe', 'pipe']
-    });
+    const { code, output, killed } = await runCommand(command, cwd, signal);
     
-    result.success = output.includes('Tests:') && !output.includes('failed');
     result.output = output;
+    if (killed) {
+      result.error = signal?.aborted ? 'Test run cancelled' : `Test run timed out after ${TEST_TIMEOUT_MS}ms`;
+    } else if (code !== 0) {
+      result.error = `Test command exited with code ${code}`;
+    } else {
+      result.success = output.includes('Tests:') && !output.includes('failed');
+    }
   } catch (error) {
     result.success = false;
-    result.output = error.stdout || '';
-    result.error = error.stderr || error.message;
+    result.error = error.message;
   }
   
   result.duration = Date.now() - startTime;
@@ -196,11 +246,16 @@ function runTestFile(testPath, cwd) {
  * @param {string} projectPath - Project root path
  * @param {Array} tests - Array of {path, content} test objects
  * @param {Array} changes - Array of changes to apply
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Stops validation and kills the running test process
+ * @param {Function} [options.onProgress] - Called with { stage: 'tests', message } before each test file
  * @returns {Object} Validation result
  */
-export async function validateTestsInSandbox(projectPath, tests, changes = []) {
+export async function validateTestsInSandbox(projectPath, tests, changes = [], options = {}) {
+  const { signal, onProgress } = options;
   const result = {
     valid: true,
+    cancelled: false,
     testsRun: 0,
     testsPassed: 0,
     testsFailed: 0,
@@ -295,8 +350,13 @@ export async function validateTestsInSandbox(projectPath, tests, changes = []) {
     // Run tests
     result.testsRun = tests.length;
     
-    for (const test of tests) {
-      const testResult = runTestFile(test.path, tempDir);
+    for (const [index, test] of tests.entries()) {
+      if (signal?.aborted) break;
+      
+      onProgress?.({ stage: 'tests', message: `Running test ${index + 1}/${tests.length}: ${test.path}` });
+      const testResult = await runTestFile(test.path, tempDir, signal);
+      
+      if (signal?.aborted) break;
       
       if (testResult.success) {
         result.testsPassed++;
@@ -307,6 +367,12 @@ export async function validateTestsInSandbox(projectPath, tests, changes = []) {
       }
     }
     
+    if (signal?.aborted) {
+      result.cancelled = true;
+      result.valid = false;
+      result.errors.push('Test validation cancelled');
+    }
+    
   } catch (error) {
     result.errors.push(`Sandbox validation failed: ${error.message}`);
     result.valid = false;
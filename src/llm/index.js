@@ -221,7 +221,7 @@ export async function chat(request) {
  * Send chat request with system prompt
  * @param {string} systemPrompt - System instruction
  * @param {string} userPrompt - User message
- * @param {Object} options - Additional options including routing
+ * @param {Object} options - Additional options including routing and signal (AbortSignal)
  * @returns {Promise<LLMResponse>}
  */
 export async function chatWithSystem(systemPrompt, userPrompt, options = {}) {
@@ -230,13 +230,15 @@ export async function chatWithSystem(systemPrompt, userPrompt, options = {}) {
     { role: 'user', content: userPrompt }
   ];
   
-  const { routing, ...chatOptions } = options;
+  const { routing, signal, ...chatOptions } = options;
   
   return chat({ 
     prompt: userPrompt, 
     messages, 
     routing,
-    ...chatOptions 
+    ...chatOptions,
+    // Providers read per-request settings from options (signal aborts the fetch)
+    ...(signal && { options: { ...chatOptions.options, signal } })
   });
 }
 
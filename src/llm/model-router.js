@@ -1,24 +1,14 @@
 // Model Router - Select between heavy (expensive) and light (cheap) LLM providers
 // Based on task complexity, agent type, and prompt content
+import { matchTriggers } from '../triggers/index.js';
 
 /**
  * Complexity signals that indicate HEAVY model needed
+ * (prompt keywords live in the "modelTier" trigger set, config/triggers)
  */
 const HEAVY_SIGNALS = {
   // Agents that typically need complex reasoning
-  agents: ['security', 'architecture', 'backend'],
-  
-  // Keywords indicating architecture/decisions
-  keywords: [
-    'arquitectura', 'architecture', 'schema', 'migración', 'migration',
-    'diseño', 'design', 'sistema', 'system', 'integración', 'integration',
-    'pagos', 'payments', 'stripe', 'paddle', 'webhook', 'suscripción',
-    'autenticación', 'authentication', 'seguridad', 'security',
-    'base de datos', 'database', 'modelo', 'model', 'entidad', 'entity',
-    'refactorizar', 'refactor', 'restructurar', 'reestructurar',
-    'multi-tenant', 'tenant', 'microservicio', 'microservice',
-    'api rest', 'restful', 'graphql', 'websocket'
-  ],
+  agents: ['security', 'architecture', 'backend', 'database'],
   
   // Complexity threshold
   complexityThreshold: 0.6
@@ -31,19 +21,6 @@ const LIGHT_SIGNALS = {
   // Agents that are typically simple
   agents: ['seo', 'frontend', 'test', 'code'],
   
-  // Keywords indicating simple tasks
-  keywords: [
-    'agregar', 'add', 'crear', 'create', 'estilos', 'styles', 'css',
-    'meta tags', 'metadata', 'seo', 'title', 'description',
-    'componente', 'component', 'página', 'page', 'vista', 'view',
-    'test', 'testing', 'prueba', 'coverage', 'test unitario',
-    'fix', 'bug', 'arreglar', 'corregir',
-    'animación', 'animation', 'efecto', 'effect',
-    'responsive', 'mobile', 'adaptar',
-    'botón', 'button', 'form', 'formulario',
-    'actualizar', 'update', 'texto', 'content'
-  ],
-  
   // Complexity threshold
   complexityThreshold: 0.3
 };
@@ -59,21 +36,17 @@ const DEFAULT_MODEL = 'light';
  * @returns {Object} Analysis result
  */
 function analyzePrompt(userIntent) {
-  const lowerIntent = userIntent.toLowerCase();
-  
-  const heavyMatches = HEAVY_SIGNALS.keywords.filter(kw => 
-    lowerIntent.includes(kw.toLowerCase())
-  );
-  
-  const lightMatches = LIGHT_SIGNALS.keywords.filter(kw => 
-    lowerIntent.includes(kw.toLowerCase())
-  );
+  const matches = matchTriggers('modelTier', userIntent);
+  const heavy = matches.find(m => m.category === 'heavy');
+  const light = matches.find(m => m.category === 'light');
   
   return {
-    heavyKeywords: heavyMatches,
-    lightKeywords: lightMatches,
-    hasHeavyKeywords: heavyMatches.length > 0,
-    hasLightKeywords: lightMatches.length > 0
+    heavyKeywords: heavy?.terms || [],
+    lightKeywords: light?.terms || [],
+    heavyWeight: heavy?.score || 0,
+    lightWeight: light?.score || 0,
+    hasHeavyKeywords: Boolean(heavy),
+    hasLightKeywords: Boolean(light)
   };
 }
 
@@ -137,11 +110,11 @@ export function selectModel({ userIntent, agentIds = [], complexityEstimate = 0.
   
   // Prompt keyword scoring
   if (promptAnalysis.hasHeavyKeywords) {
-    heavyScore += promptAnalysis.heavyKeywords.length;
+    heavyScore += promptAnalysis.heavyWeight;
     reasons.push(`Heavy keywords: ${promptAnalysis.heavyKeywords.slice(0, 3).join(', ')}`);
   }
   if (promptAnalysis.hasLightKeywords) {
-    lightScore += promptAnalysis.lightKeywords.length;
+    lightScore += promptAnalysis.lightWeight;
     reasons.push(`Light keywords: ${promptAnalysis.lightKeywords.slice(0, 3).join(', ')}`);
   }
   
@@ -40,6 +40,7 @@ export async function chat(request) {
     
     const response = await fetch(url, {
       method: 'POST',
+      signal: options.signal,
       headers: {
         'x-api-key': apiKey,
         'anthropic-version': '2023-06-01',
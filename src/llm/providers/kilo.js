@@ -26,6 +26,7 @@ export async function chat(request) {
     
     const response = await fetch(url, {
       method: 'POST',
+      signal: options.signal,
       headers: {
         'Authorization': 'Bearer ' + apiKey,
         'Content-Type': 'application/json'
@@ -0,0 +1,294 @@
+// Tests for the streamable HTTP/SSE MCP transport
+import fs from 'fs';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import { createHttpServer } from '../http-transport.js';
+import { ERROR_CODES } from '../mcp-server.js';
+import { agents } from '../../agents/index.js';
+import { configure as configureAgentsBridge } from '../../agents-bridge.js';
+
+let server;
+let baseUrl;
+
+const JSON_HEADERS = {
+  'Content-Type': 'application/json',
+  Accept: 'application/json'
+};
+
+function post(body, headers = {}) {
+  return fetch(`${baseUrl}/mcp`, {
+    method: 'POST',
+    headers: { ...JSON_HEADERS, ...headers },
+    body: typeof body === 'string' ? body : JSON.stringify(body)
+  });
+}
+
+async function initialize() {
+  const res = await post({
+    jsonrpc: '2.0',
+    id: 1,
+    method: 'initialize',
+    params: { protocolVersion: '2025-06-18', capabilities: {}, clientInfo: { name: 'test', version: '1.0.0' } }
+  });
+  return { res, sessionId: res.headers.get('mcp-session-id'), body: await res.json() };
+}
+
+/**
+ * GET with a raw Host header (fetch always sends the real one)
+ */
+function getWithHost(url, host) {
+  return new Promise((resolve, reject) => {
+    http.get(url, { headers: { Host: host } }, (res) => {
+      res.resume();
+      resolve(res.statusCode);
+    }).on('error', reject);
+  });
+}
+
+/**
+ * Parse SSE "data:" lines into JSON messages
+ */
+function parseSse(text) {
+  return text
+    .split('\n\n')
+    .map(event => event.split('\n').find(line => line.startsWith('data: ')))
+    .filter(Boolean)
+    .map(line => JSON.parse(line.slice('data: '.length)));
+}
+
+describe('MCP HTTP transport', () => {
+  const originalConsoleError = console.error;
+
+  beforeAll(async () => {
+    console.error = () => {};
+    server = createHttpServer({ port: 0 });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+    console.error = originalConsoleError;
+  });
+
+  test('should open a session on initialize', async () => {
+    const { res, sessionId, body } = await initialize();
+
+    expect(res.status).toBe(200);
+    expect(sessionId).toMatch(/^[0-9a-f-]{36}$/);
+    expect(body.result.serverInfo.name).toBe('ai-core');
+  });
+
+  test('should give each client its own session', async () => {
+    const first = await initialize();
+    const second = await initialize();
+
+    expect(first.sessionId).not.toBe(second.sessionId);
+    expect(server.sessions.has(first.sessionId)).toBe(true);
+    expect(server.sessions.has(second.sessionId)).toBe(true);
+  });
+
+  test('should answer requests as JSON within a session', async () => {
+    const { sessionId } = await initialize();
+    const res = await post({ jsonrpc: '2.0', id: 2, method: 'tools/list' }, { 'Mcp-Session-Id': sessionId });
+    const body = await res.json();
+
+    expect(res.headers.get('content-type')).toContain('application/json');
+    expect(body.result.tools.map(t => t.name)).toContain('run_agents');
+  });
+
+  test('should stream the response as SSE when the client accepts it', async () => {
+    const { sessionId } = await initialize();
+    const res = await post(
+      { jsonrpc: '2.0', id: 3, method: 'ping' },
+      { 'Mcp-Session-Id': sessionId, Accept: 'application/json, text/event-stream' }
+    );
+    const messages = parseSse(await res.text());
+
+    expect(res.headers.get('content-type')).toContain('text/event-stream');
+    expect(messages.at(-1)).toEqual({ jsonrpc: '2.0', id: 3, result: {} });
+  });
+
+  test('should accept notifications with 202', async () => {
+    const { sessionId } = await initialize();
+    const res = await post({ jsonrpc: '2.0', method: 'notifications/initialized' }, { 'Mcp-Session-Id': sessionId });
+
+    expect(res.status).toBe(202);
+    expect(server.sessions.get(sessionId).session.initialized).toBe(true);
+  });
+
+  test('should require a known session id', async () => {
+    const missing = await post({ jsonrpc: '2.0', id: 4, method: 'tools/list' });
+    const unknown = await post({ jsonrpc: '2.0', id: 5, method: 'tools/list' }, { 'Mcp-Session-Id': 'nope' });
+
+    expect(missing.status).toBe(400);
+    expect(unknown.status).toBe(404);
+  });
+
+  test('should reject malformed JSON with a parse error', async () => {
+    const res = await post('{not json');
+    const body = await res.json();
+
+    expect(res.status).toBe(400);
+    expect(body.error.code).toBe(ERROR_CODES.PARSE_ERROR);
+  });
+
+  test('should reject non-local origins', async () => {
+    const res = await post({ jsonrpc: '2.0', id: 6, method: 'ping' }, { Origin: 'http://evil.example.com' });
+
+    expect(res.status).toBe(403);
+  });
+
+  test('should reject Host headers other than localhost or the configured hosts', async () => {
+    const custom = createHttpServer({ port: 0, allowedHosts: ['mcp.internal'] });
+    await new Promise(resolve => custom.listen(0, '127.0.0.1', resolve));
+    const url = `http://127.0.0.1:${custom.address().port}/health`;
+
+    try {
+      expect(await getWithHost(url, 'evil.example.com')).toBe(403);
+      expect(await getWithHost(url, `localhost:${custom.address().port}`)).toBe(200);
+      expect(await getWithHost(url, 'mcp.internal')).toBe(200);
+    } finally {
+      await new Promise(resolve => custom.close(resolve));
+    }
+  });
+
+  test('should refuse new sessions past the limit', async () => {
+    const small = createHttpServer({ port: 0, maxSessions: 1 });
+    await new Promise(resolve => small.listen(0, '127.0.0.1', resolve));
+    const url = `http://127.0.0.1:${small.address().port}/mcp`;
+    const init = () => fetch(url, {
+      method: 'POST',
+      headers: JSON_HEADERS,
+      body: JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'initialize', params: { protocolVersion: '2025-06-18', capabilities: {} } })
+    });
+
+    try {
+      const first = await init();
+      const refused = await init();
+      await fetch(url, { method: 'DELETE', headers: { 'Mcp-Session-Id': first.headers.get('mcp-session-id') } });
+      const afterClose = await init();
+
+      expect(first.status).toBe(200);
+      expect(refused.status).toBe(503);
+      expect((await refused.json()).error.message).toBe('Too many sessions (max 1)');
+      expect(afterClose.status).toBe(200);
+    } finally {
+      await new Promise(resolve => small.close(resolve));
+    }
+  });
+
+  test('should abort in-flight requests when their SSE stream closes', async () => {
+    const testDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ai-core-http-abort-'));
+    const projectPath = path.join(testDir, 'project');
+    const originalMemoryDir = process.env.AI_CORE_MEMORY_DIR;
+    const codeAgent = agents.code;
+    process.env.AI_CORE_MEMORY_DIR = path.join(testDir, 'memory');
+    configureAgentsBridge(path.join(testDir, 'agents'));
+    fs.mkdirSync(projectPath, { recursive: true });
+    fs.writeFileSync(path.join(projectPath, 'package.json'), '{}');
+    fs.writeFileSync(path.join(projectPath, 'index.js'), 'export const a = 1;\n');
+
+    // Keep run_agents busy until the test lets it finish
+    let release;
+    const gate = new Promise(resolve => { release = resolve; });
+    agents.code = {
+      ...codeAgent,
+      async run() {
+        await gate;
+        return { success: true, diagnostics: [], changes: [], summary: 'finished' };
+      }
+    };
+
+    let session;
+    try {
+      const { sessionId } = await initialize();
+      session = server.sessions.get(sessionId).session;
+      const client = new AbortController();
+
+      await fetch(`${baseUrl}/mcp`, {
+        method: 'POST',
+        headers: { ...JSON_HEADERS, Accept: 'application/json, text/event-stream', 'Mcp-Session-Id': sessionId },
+        body: JSON.stringify({
+          jsonrpc: '2.0',
+          id: 'run-1',
+          method: 'tools/call',
+          params: { name: 'run_agents', arguments: { projectPath, userIntent: 'code check', forceAgent: 'code' } }
+        }),
+        signal: client.signal
+      });
+      while (!session.inFlight.has('run-1')) {
+        await new Promise(resolve => setTimeout(resolve, 5));
+      }
+      const request = session.inFlight.get('run-1');
+
+      // Drop the connection the response would have gone on
+      client.abort();
+      while (!request.signal.aborted) {
+        await new Promise(resolve => setTimeout(resolve, 10));
+      }
+
+      expect(request.signal.reason).toBe('Client closed the stream');
+    } finally {
+      release();
+      while (session?.inFlight.size > 0) {
+        await new Promise(resolve => setTimeout(resolve, 10));
+      }
+      agents.code = codeAgent;
+      configureAgentsBridge('./agents');
+      if (originalMemoryDir === undefined) delete process.env.AI_CORE_MEMORY_DIR;
+      else process.env.AI_CORE_MEMORY_DIR = originalMemoryDir;
+      fs.rmSync(testDir, { recursive: true, force: true });
+    }
+  });
+
+  test('should close the session on DELETE', async () => {
+    const { sessionId } = await initialize();
+    const res = await fetch(`${baseUrl}/mcp`, { method: 'DELETE', headers: { 'Mcp-Session-Id': sessionId } });
+    const after = await post({ jsonrpc: '2.0', id: 7, method: 'ping' }, { 'Mcp-Session-Id': sessionId });
+
+    expect(res.status).toBe(204);
+    expect(after.status).toBe(404);
+  });
+
+  test('should expire idle sessions and close their streams', async () => {
+    const shortLived = createHttpServer({ port: 0, sessionTtlMs: 100 });
+    await new Promise(resolve => shortLived.listen(0, '127.0.0.1', resolve));
+    const url = `http://127.0.0.1:${shortLived.address().port}/mcp`;
+    const rpc = (body, headers = {}) => fetch(url, { method: 'POST', headers: { ...JSON_HEADERS, ...headers }, body: JSON.stringify(body) });
+
+    try {
+      const init = await rpc({ jsonrpc: '2.0', id: 1, method: 'initialize', params: { protocolVersion: '2025-06-18', capabilities: {} } });
+      const sessionId = init.headers.get('mcp-session-id');
+      const stream = await fetch(url, { headers: { Accept: 'text/event-stream', 'Mcp-Session-Id': sessionId } });
+      expect(stream.status).toBe(200);
+
+      // The sweep ends the stream once the session has been idle past the TTL
+      await stream.text();
+      const after = await rpc({ jsonrpc: '2.0', id: 2, method: 'ping' }, { 'Mcp-Session-Id': sessionId });
+
+      expect(shortLived.sessions.has(sessionId)).toBe(false);
+      expect(after.status).toBe(404);
+      expect((await after.json()).error.message).toBe('Unknown or expired session');
+    } finally {
+      await new Promise(resolve => shortLived.close(resolve));
+    }
+  });
+
+  test('should keep sessions active within the TTL', async () => {
+    const { sessionId } = await initialize();
+    server.sweepSessions();
+
+    expect(server.sessions.has(sessionId)).toBe(true);
+  });
+
+  test('should serve health and metrics from the same instance', async () => {
+    const health = await (await fetch(`${baseUrl}/health`)).json();
+    const metrics = await (await fetch(`${baseUrl}/metrics`)).text();
+
+    expect(health.status).toBe('ok');
+    expect(health.sessions).toBe(server.sessions.size);
+    expect(metrics).toContain('ai_core_mcp_sessions');
+  });
+});
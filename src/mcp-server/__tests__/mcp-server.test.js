@@ -0,0 +1,306 @@
+// Tests for the JSON-RPC 2.0 MCP transport
+import { handleMessage, handleLegacyMessage, createSession, ERROR_CODES } from '../mcp-server.js';
+import { configure as configureAgentsBridge } from '../../agents-bridge.js';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+async function rpc(message) {
+  const raw = await handleMessage(typeof message === 'string' ? message : JSON.stringify(message));
+  return raw === null ? null : JSON.parse(raw);
+}
+
+async function callTool(name, args = {}) {
+  const response = await rpc({ jsonrpc: '2.0', id: name, method: 'tools/call', params: { name, arguments: args } });
+  return JSON.parse(response.result.content[0].text);
+}
+
+describe('MCP JSON-RPC server', () => {
+  const originalConsoleError = console.error;
+
+  beforeEach(() => {
+    console.error = () => {};
+  });
+
+  afterEach(() => {
+    console.error = originalConsoleError;
+  });
+
+  describe('initialize', () => {
+    test('should echo a supported protocol version and advertise tools', async () => {
+      const response = await rpc({
+        jsonrpc: '2.0',
+        id: 1,
+        method: 'initialize',
+        params: { protocolVersion: '2024-11-05', capabilities: {}, clientInfo: { name: 'jest', version: '1.0.0' } }
+      });
+
+      expect(response.id).toBe(1);
+      expect(response.result.protocolVersion).toBe('2024-11-05');
+      expect(response.result.capabilities.tools).toBeDefined();
+      expect(response.result.serverInfo.name).toBe('ai-core');
+    });
+
+    test('should offer the latest version for unknown protocol versions', async () => {
+      const response = await rpc({
+        jsonrpc: '2.0',
+        id: 'init',
+        method: 'initialize',
+        params: { protocolVersion: '1999-01-01', capabilities: {} }
+      });
+
+      expect(response.id).toBe('init');
+      expect(response.result.protocolVersion).toBe('2025-06-18');
+    });
+  });
+
+  describe('tools', () => {
+    test('should list tools with input schemas', async () => {
+      const response = await rpc({ jsonrpc: '2.0', id: 2, method: 'tools/list' });
+      const names = response.result.tools.map(t => t.name);
+
+      expect(names).toContain('run_agents');
+      expect(names).toContain('get_memory_config');
+      response.result.tools.forEach(t => expect(t.inputSchema.type).toBe('object'));
+    });
+
+    test('should return tool output as text content', async () => {
+      const response = await rpc({
+        jsonrpc: '2.0',
+        id: 3,
+        method: 'tools/call',
+        params: { name: 'get_memory_config', arguments: {} }
+      });
+
+      expect(response.result.isError).toBe(false);
+      expect(response.result.content[0].type).toBe('text');
+      expect(JSON.parse(response.result.content[0].text)).toHaveProperty('ttlDays');
+    });
+
+    test('should reject unknown tools with invalid params', async () => {
+      const response = await rpc({
+        jsonrpc: '2.0',
+        id: 4,
+        method: 'tools/call',
+        params: { name: 'does_not_exist', arguments: {} }
+      });
+
+      expect(response.error.code).toBe(ERROR_CODES.INVALID_PARAMS);
+    });
+
+    test('should reject calls missing required arguments', async () => {
+      const response = await rpc({
+        jsonrpc: '2.0',
+        id: 5,
+        method: 'tools/call',
+        params: { name: 'run_agents', arguments: { projectPath: '.' } }
+      });
+
+      expect(response.error.code).toBe(ERROR_CODES.INVALID_PARAMS);
+      expect(response.error.message).toContain('userIntent');
+    });
+  });
+
+  describe('proposal lifecycle', () => {
+    const testDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ai-core-mcp-'));
+    const projectPath = path.join(testDir, 'project');
+    const originalMemoryDir = process.env.AI_CORE_MEMORY_DIR;
+
+    beforeAll(() => {
+      // Keep runs and auto-registered projects out of the real knowledge base
+      process.env.AI_CORE_MEMORY_DIR = path.join(testDir, 'memory');
+      configureAgentsBridge(path.join(testDir, 'agents'));
+      fs.mkdirSync(projectPath, { recursive: true });
+      fs.writeFileSync(path.join(projectPath, 'index.html'), '<html><head></head><body></body></html>');
+    });
+
+    afterAll(() => {
+      configureAgentsBridge('./agents');
+      if (originalMemoryDir === undefined) {
+        delete process.env.AI_CORE_MEMORY_DIR;
+      } else {
+        process.env.AI_CORE_MEMORY_DIR = originalMemoryDir;
+      }
+      fs.rmSync(testDir, { recursive: true, force: true });
+    });
+
+    test('should list the lifecycle tools', async () => {
+      const response = await rpc({ jsonrpc: '2.0', id: 10, method: 'tools/list' });
+      const names = response.result.tools.map(t => t.name);
+
+      expect(names).toEqual(expect.arrayContaining([
+        'preview_proposal', 'apply_proposal', 'apply_all_proposals', 'rollback_patch', 'get_patch_status'
+      ]));
+    });
+
+    test('should preview, apply and roll back a proposal in one session', async () => {
+      const analysis = await callTool('run_agents', { projectPath, userIntent: 'mejorar seo metadata' });
+      const proposalId = analysis.proposals[0].id;
+
+      const preview = await callTool('preview_proposal', { projectPath, proposalId });
+      expect(preview.success).toBe(true);
+      const file = preview.proposal.file;
+      expect(fs.existsSync(path.join(projectPath, file))).toBe(false);
+
+      const applied = await callTool('apply_proposal', { projectPath, proposalId });
+      expect(applied.success).toBe(true);
+      expect(applied.patchId).toBeDefined();
+      expect(fs.existsSync(path.join(projectPath, file))).toBe(true);
+
+      const status = await callTool('get_patch_status', { patchId: applied.patchId });
+      expect(status.found).toBe(true);
+      expect(status.appliedFiles).toContain(file);
+
+      const listed = await callTool('list_proposals', { projectPath, status: 'applied' });
+      expect(listed.proposals.map(p => p.id)).toContain(proposalId);
+
+      const rolledBack = await callTool('rollback_patch', { projectPath, patchId: applied.patchId });
+      expect(rolledBack.success).toBe(true);
+      expect((await callTool('get_patch_status', { patchId: applied.patchId })).found).toBe(false);
+      expect((await callTool('get_patch_status', { patchId: applied.patchId, projectPath })).status).toBe('rolled_back');
+
+      const patches = await callTool('list_patches', { projectPath });
+      expect(patches.patches[0].patchId).toBe(applied.patchId);
+
+      // Rolled back proposals become pending again
+      const pending = await callTool('list_proposals', { projectPath, status: 'pending' });
+      expect(pending.proposals.map(p => p.id)).toContain(proposalId);
+    });
+
+    test('should not apply rejected proposals', async () => {
+      const analysis = await callTool('run_agents', { projectPath, userIntent: 'mejorar seo metadata' });
+      const proposalId = analysis.proposals[0].id;
+
+      expect((await callTool('reject_proposal', { projectPath, proposalId })).status).toBe('rejected');
+
+      const result = await callTool('apply_proposal', { projectPath, proposalId });
+      expect(result.success).toBe(false);
+      expect(result.error).toContain('rejected');
+    });
+
+    test('should report unknown proposals without throwing', async () => {
+      const result = await callTool('apply_proposal', { projectPath, proposalId: 'missing' });
+
+      expect(result.success).toBe(false);
+      expect(result.error).toContain('Proposal not found');
+    });
+  });
+
+  describe('progress and cancellation', () => {
+    const testDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ai-core-progress-'));
+    const projectPath = path.join(testDir, 'project');
+    const originalMemoryDir = process.env.AI_CORE_MEMORY_DIR;
+
+    function runAgentsMessage(id, meta) {
+      return JSON.stringify({
+        jsonrpc: '2.0',
+        id,
+        method: 'tools/call',
+        params: { name: 'run_agents', arguments: { projectPath, userIntent: 'mejorar seo metadata' }, ...(meta && { _meta: meta }) }
+      });
+    }
+
+    beforeAll(() => {
+      process.env.AI_CORE_MEMORY_DIR = path.join(testDir, 'memory');
+      configureAgentsBridge(path.join(testDir, 'agents'));
+      fs.mkdirSync(projectPath, { recursive: true });
+      fs.writeFileSync(path.join(projectPath, 'index.html'), '<html><head></head><body></body></html>');
+    });
+
+    afterAll(() => {
+      configureAgentsBridge('./agents');
+      if (originalMemoryDir === undefined) {
+        delete process.env.AI_CORE_MEMORY_DIR;
+      } else {
+        process.env.AI_CORE_MEMORY_DIR = originalMemoryDir;
+      }
+      fs.rmSync(testDir, { recursive: true, force: true });
+    });
+
+    test('should send progress notifications per stage when a progressToken is given', async () => {
+      const notifications = [];
+      const session = createSession({ notify: (method, params) => notifications.push({ method, params }) });
+
+      const response = JSON.parse(await handleMessage(runAgentsMessage(1, { progressToken: 'tok-1' }), session));
+      const progress = notifications.filter(n => n.method === 'notifications/progress').map(n => n.params);
+
+      expect(response.result.isError).toBe(false);
+      expect(progress.every(p => p.progressToken === 'tok-1')).toBe(true);
+      expect(progress.map(p => p.progress)).toEqual(progress.map((_, i) => i + 1));
+      const stages = progress.map(p => p.message.match(/^\[(\w+)\]/)[1]);
+      expect(stages).toEqual(expect.arrayContaining(['scan', 'route', 'agent', 'secrets']));
+    });
+
+    test('should not send progress without a progressToken', async () => {
+      const notifications = [];
+      const session = createSession({ notify: (method, params) => notifications.push({ method, params }) });
+
+      await handleMessage(runAgentsMessage(2), session);
+
+      expect(notifications).toHaveLength(0);
+    });
+
+    test('should stop a cancelled run and send no response', async () => {
+      const session = createSession({ notify: () => {} });
+
+      const pending = handleMessage(runAgentsMessage('run-3'), session);
+      expect(session.inFlight.has('run-3')).toBe(true);
+
+      await handleMessage(JSON.stringify({
+        jsonrpc: '2.0',
+        method: 'notifications/cancelled',
+        params: { requestId: 'run-3', reason: 'user aborted' }
+      }), session);
+
+      expect(await pending).toBeNull();
+      expect(session.inFlight.size).toBe(0);
+    });
+  });
+
+  describe('protocol errors', () => {
+    test('should return a parse error for malformed JSON', async () => {
+      const response = await rpc('{not json');
+
+      expect(response.id).toBeNull();
+      expect(response.error.code).toBe(ERROR_CODES.PARSE_ERROR);
+    });
+
+    test('should return method not found for unknown methods', async () => {
+      const response = await rpc({ jsonrpc: '2.0', id: 6, method: 'resources/unknown' });
+
+      expect(response.error.code).toBe(ERROR_CODES.METHOD_NOT_FOUND);
+    });
+
+    test('should reject messages without jsonrpc 2.0', async () => {
+      const response = await rpc({ id: 7, method: 'ping' });
+
+      expect(response.error.code).toBe(ERROR_CODES.INVALID_REQUEST);
+    });
+
+    test('should not respond to notifications', async () => {
+      const response = await rpc({ jsonrpc: '2.0', method: 'notifications/initialized' });
+
+      expect(response).toBeNull();
+    });
+
+    test('should answer batches with one response per request', async () => {
+      const response = await rpc([
+        { jsonrpc: '2.0', id: 8, method: 'ping' },
+        { jsonrpc: '2.0', method: 'notifications/initialized' },
+        { jsonrpc: '2.0', id: 9, method: 'ping' }
+      ]);
+
+      expect(response.map(r => r.id)).toEqual([8, 9]);
+    });
+  });
+
+  describe('legacy protocol', () => {
+    test('should still answer { type, data } messages', async () => {
+      const raw = await handleLegacyMessage(JSON.stringify({ type: 'tools' }));
+      const response = JSON.parse(raw);
+
+      expect(response.type).toBe('response');
+      expect(response.data.map(t => t.name)).toContain('run_agents');
+    });
+  });
+});
@@ -0,0 +1,137 @@
+// Tests for the PM orchestrator tools served by the main MCP server
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { handleMessage } from '../mcp-server.js';
+import { configure as configureAgentsBridge } from '../../agents-bridge.js';
+
+const testDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ai-core-pm-'));
+const agentsDir = path.join(testDir, 'agents');
+const projectsDir = path.join(agentsDir, 'orchestrator', 'projects');
+const projectPath = path.join(testDir, 'project');
+
+function writeFixture(relPath, data) {
+  const fullPath = path.join(agentsDir, relPath);
+  fs.mkdirSync(path.dirname(fullPath), { recursive: true });
+  fs.writeFileSync(fullPath, JSON.stringify(data, null, 2), 'utf-8');
+}
+
+function readTasks() {
+  return JSON.parse(fs.readFileSync(path.join(projectsDir, 'demo', 'tasks.json'), 'utf-8'));
+}
+
+async function rpc(method, params) {
+  const raw = await handleMessage(JSON.stringify({ jsonrpc: '2.0', id: 1, method, params }));
+  return JSON.parse(raw);
+}
+
+async function callTool(name, args = {}) {
+  const response = await rpc('tools/call', { name, arguments: args });
+  return JSON.parse(response.result.content[0].text);
+}
+
+describe('PM tools in the MCP server', () => {
+  const originalConsoleError = console.error;
+  const originalMemoryDir = process.env.AI_CORE_MEMORY_DIR;
+
+  beforeAll(() => {
+    writeFixture('orchestrator/projects/_index.json', {
+      last_active: 'demo',
+      projects: [{ id: 'demo', name: 'Demo', stack: ['React'], type: 'SaaS', phase: 'build', health: 'active', priority: 1 }]
+    });
+    writeFixture('orchestrator/projects/demo/state.json', { project_id: 'demo', top_priority: 'SEO basico' });
+    writeFixture('orchestrator/projects/demo/tasks.json', {
+      project_id: 'demo',
+      tasks: [
+        { id: 'task_001', title: 'Setup', status: 'done' },
+        { id: 'task_002', title: 'mejorar seo metadata', description: 'meta tags en index', status: 'pending' }
+      ],
+      completed_count: 1,
+      pending_count: 1,
+      in_progress_count: 0
+    });
+    writeFixture('orchestrator/projects/demo/decisions.json', { decisions: [{ id: 'dec_001', title: 'Usar React' }] });
+    writeFixture('orchestrator/agents/registry.json', { agents: {} });
+
+    fs.mkdirSync(projectPath, { recursive: true });
+    fs.writeFileSync(path.join(projectPath, 'index.html'), '<html><head></head><body></body></html>');
+
+    process.env.AI_CORE_MEMORY_DIR = path.join(testDir, 'memory');
+    configureAgentsBridge(agentsDir);
+  });
+
+  afterAll(() => {
+    configureAgentsBridge('./agents');
+    if (originalMemoryDir === undefined) {
+      delete process.env.AI_CORE_MEMORY_DIR;
+    } else {
+      process.env.AI_CORE_MEMORY_DIR = originalMemoryDir;
+    }
+    fs.rmSync(testDir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    console.error = () => {};
+  });
+
+  afterEach(() => {
+    console.error = originalConsoleError;
+  });
+
+  test('should list the pm tools next to the agent tools', async () => {
+    const response = await rpc('tools/list');
+    const byName = Object.fromEntries(response.result.tools.map(t => [t.name, t]));
+
+    for (const name of ['pm_status', 'pm_next', 'pm_context', 'pm_add', 'pm_done', 'pm_use', 'pm_decisions']) {
+      expect(byName[name].inputSchema.type).toBe('object');
+    }
+    expect(byName.pm_done.inputSchema.required).toEqual(['taskId']);
+    expect(byName.run_agents).toBeDefined();
+  });
+
+  test('should read status and decisions from the configured knowledge base', async () => {
+    const status = await callTool('pm_status');
+    const decisions = await callTool('pm_decisions');
+
+    expect(status.id).toBe('demo');
+    expect(status.top_priority).toBe('SEO basico');
+    expect(decisions.decisions[0].id).toBe('dec_001');
+  });
+
+  test('should add and complete tasks', async () => {
+    const added = await callTool('pm_add', { title: 'Nueva tarea', priority: 'high' });
+    expect(added.success).toBe(true);
+
+    const done = await callTool('pm_done', { taskId: added.task.id, notes: 'ok' });
+    expect(done.task.status).toBe('done');
+    expect(readTasks().tasks.find(t => t.id === added.task.id).notes).toBe('ok');
+  });
+
+  test('should run agents for a task and record the run on it', async () => {
+    const analysis = await callTool('run_agents', { projectPath, taskId: 'task_002' });
+
+    expect(analysis.task).toEqual(expect.objectContaining({ id: 'task_002', projectId: 'demo', status: 'in_progress' }));
+    expect(analysis.proposals.length).toBeGreaterThan(0);
+
+    const task = readTasks().tasks.find(t => t.id === 'task_002');
+    expect(task.status).toBe('in_progress');
+    expect(task.last_run.agents.length).toBeGreaterThan(0);
+    // No auto-generated duplicate task for the run
+    expect(readTasks().tasks.filter(t => t.title.includes('mejorar seo metadata'))).toHaveLength(1);
+
+    const listed = await callTool('list_proposals', { projectPath });
+    expect(listed.proposals.every(p => p.taskId === 'task_002')).toBe(true);
+  });
+
+  test('should report unknown tasks', async () => {
+    const analysis = await callTool('run_agents', { projectPath, taskId: 'task_999' });
+
+    expect(analysis.summary).toContain('Task not found: task_999');
+  });
+
+  test('should require either userIntent or taskId', async () => {
+    const response = await rpc('tools/call', { name: 'run_agents', arguments: { projectPath } });
+
+    expect(response.error.message).toContain('userIntent or taskId');
+  });
+});
@@ -0,0 +1,131 @@
+// Tests for MCP resources and prompts backed by the agents/ knowledge base
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { handleMessage, ERROR_CODES } from '../mcp-server.js';
+import { configure as configureAgentsBridge } from '../../agents-bridge.js';
+
+const testDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ai-core-resources-'));
+const agentsDir = path.join(testDir, 'agents');
+
+function writeFixture(relPath, content) {
+  const fullPath = path.join(agentsDir, relPath);
+  fs.mkdirSync(path.dirname(fullPath), { recursive: true });
+  fs.writeFileSync(fullPath, typeof content === 'string' ? content : JSON.stringify(content), 'utf-8');
+}
+
+async function rpc(method, params) {
+  const raw = await handleMessage(JSON.stringify({ jsonrpc: '2.0', id: 1, method, params }));
+  return JSON.parse(raw);
+}
+
+describe('MCP resources and prompts', () => {
+  const originalConsoleError = console.error;
+
+  beforeAll(() => {
+    writeFixture('frontend/react-hooks.md', '# React Hooks\n- Use hooks');
+    writeFixture('frontend/vue-composition.md', '# Vue\n- Use composition API');
+    writeFixture('frontend/ux-accessibility.md', '# UX\n- Label every input');
+    writeFixture('architecture/global-architect.md', '# Architect\n- Keep it simple');
+    writeFixture('orchestrator/README.md', '# Orchestrator docs');
+    writeFixture('orchestrator/agents/registry.json', {
+      agents: { 'react-hooks': { name: 'React Hooks', path: 'frontend/react-hooks.md', role: 'Reglas de hooks' } }
+    });
+    writeFixture('orchestrator/projects/_index.json', {
+      projects: [{ id: 'demo', name: 'Demo', stack: ['React'], type: 'SaaS' }]
+    });
+    writeFixture('orchestrator/projects/demo/state.json', { project_id: 'demo', current_phase: 'build' });
+    writeFixture('orchestrator/projects/demo/decisions.json', { decisions: [{ id: 'dec_001' }] });
+    configureAgentsBridge(agentsDir);
+  });
+
+  afterAll(() => {
+    configureAgentsBridge('./agents');
+    fs.rmSync(testDir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    console.error = () => {};
+  });
+
+  afterEach(() => {
+    console.error = originalConsoleError;
+  });
+
+  test('should advertise resources and prompts capabilities', async () => {
+    const response = await rpc('initialize', { protocolVersion: '2025-06-18', capabilities: {} });
+
+    expect(response.result.capabilities.resources).toBeDefined();
+    expect(response.result.capabilities.prompts).toBeDefined();
+  });
+
+  test('should list rule files and project state as resources', async () => {
+    const response = await rpc('resources/list');
+    const byUri = Object.fromEntries(response.result.resources.map(r => [r.uri, r]));
+
+    expect(byUri['agents://rules/frontend/react-hooks.md'].mimeType).toBe('text/markdown');
+    expect(byUri['agents://rules/frontend/react-hooks.md'].title).toBe('React Hooks');
+    expect(byUri['agents://projects/demo/state.json'].mimeType).toBe('application/json');
+    expect(byUri['agents://projects/demo/decisions.json']).toBeDefined();
+    expect(Object.keys(byUri).some(uri => uri.includes('orchestrator'))).toBe(false);
+  });
+
+  test('should read a rule file by uri', async () => {
+    const response = await rpc('resources/read', { uri: 'agents://rules/frontend/ux-accessibility.md' });
+
+    expect(response.result.contents[0].text).toContain('Label every input');
+  });
+
+  test('should read project decisions as JSON', async () => {
+    const response = await rpc('resources/read', { uri: 'agents://projects/demo/decisions.json' });
+
+    expect(JSON.parse(response.result.contents[0].text).decisions[0].id).toBe('dec_001');
+  });
+
+  test('should not read outside the knowledge base', async () => {
+    const traversal = await rpc('resources/read', { uri: 'agents://rules/../README.md' });
+    const projectTraversal = await rpc('resources/read', { uri: 'agents://projects/../state.json' });
+
+    expect(traversal.error.code).toBe(ERROR_CODES.RESOURCE_NOT_FOUND);
+    expect(projectTraversal.error.code).toBe(ERROR_CODES.RESOURCE_NOT_FOUND);
+  });
+
+  test('should list one prompt per rule domain', async () => {
+    const response = await rpc('prompts/list');
+    const names = response.result.prompts.map(p => p.name);
+
+    expect(names).toContain('apply_frontend_rules');
+    expect(names).toContain('apply_security_rules');
+  });
+
+  test('should build a prompt from the rules relevant to the project stack', async () => {
+    const response = await rpc('prompts/get', {
+      name: 'apply_frontend_rules',
+      arguments: { task: 'crear formulario de login', projectId: 'demo' }
+    });
+    const uris = response.result.messages
+      .filter(m => m.content.type === 'resource')
+      .map(m => m.content.resource.uri);
+
+    expect(uris).toContain('agents://projects/demo/state.json');
+    expect(uris).toContain('agents://rules/frontend/react-hooks.md');
+    expect(uris).not.toContain('agents://rules/frontend/vue-composition.md');
+    expect(response.result.messages.at(-1).content.text).toContain('crear formulario de login');
+  });
+
+  test('should require the task argument', async () => {
+    const response = await rpc('prompts/get', { name: 'apply_frontend_rules', arguments: {} });
+
+    expect(response.error.code).toBe(ERROR_CODES.INVALID_PARAMS);
+    expect(response.error.message).toContain('task');
+  });
+
+  test('should reject unknown projects', async () => {
+    const response = await rpc('prompts/get', {
+      name: 'apply_frontend_rules',
+      arguments: { task: 'x', projectId: 'nope' }
+    });
+
+    expect(response.error.code).toBe(ERROR_CODES.INVALID_PARAMS);
+  });
+});
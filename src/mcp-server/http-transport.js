@@ -0,0 +1,407 @@
+// MCP HTTP Transport - Streamable HTTP (JSON + SSE) so several clients can share one instance
+import http from 'http';
+import crypto from 'crypto';
+import telemetry from '../telemetry/index.js';
+import { handleMetricsRequest } from '../metrics-server.js';
+import { handleMessage, createSession, ERROR_CODES, SUPPORTED_PROTOCOL_VERSIONS } from './mcp-server.js';
+
+// Configuration
+const MCP_PATH = '/mcp';
+const DEFAULT_PORT = 3333;
+const DEFAULT_HOST = '127.0.0.1';
+const MAX_BODY_BYTES = 4 * 1024 * 1024; // 4MB
+const SSE_KEEPALIVE_MS = 25000;
+const DEFAULT_SESSION_TTL_MS = 30 * 60 * 1000; // 30 min without requests
+const MAX_SWEEP_INTERVAL_MS = 60000;
+const DEFAULT_MAX_SESSIONS = 100;
+const LOCAL_HOSTS = ['localhost', '127.0.0.1', '[::1]'];
+
+const SESSION_HEADER = 'mcp-session-id';
+const PROTOCOL_HEADER = 'mcp-protocol-version';
+
+/**
+ * Hostname of a Host header or Origin URL (null when missing or malformed)
+ */
+function parseHostname(value) {
+  if (!value) return null;
+  try {
+    return new URL(value.includes('://') ? value : `http://${value}`).hostname;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * DNS rebinding protection: a rebound page reaches us with its own name in Host,
+ * so Host must be localhost or a configured host. This also covers clients that send no Origin.
+ */
+function isAllowedHost(host, allowedHosts) {
+  return allowedHosts.includes(parseHostname(host));
+}
+
+/**
+ * Only accept browser requests from allowed hosts (non-browser clients send no Origin)
+ */
+function isAllowedOrigin(origin, allowedHosts) {
+  return !origin || allowedHosts.includes(parseHostname(origin));
+}
+
+/**
+ * Read the request body with a size limit
+ * @returns {Promise<string>}
+ */
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(new Error('Request body too large'));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf-8')));
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Send a JSON-RPC error over HTTP
+ */
+function sendRpcError(res, status, code, message) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify({ jsonrpc: '2.0', id: null, error: { code, message } }));
+}
+
+/**
+ * Start an SSE response
+ */
+function openSse(res, headers = {}) {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    ...headers
+  });
+  res.flushHeaders();
+}
+
+/**
+ * Write one JSON-RPC message as an SSE event
+ */
+function writeSse(res, payload) {
+  const data = typeof payload === 'string' ? payload : JSON.stringify(payload);
+  res.write(`event: message\ndata: ${data}\n\n`);
+}
+
+/**
+ * Create the MCP HTTP server (not yet listening)
+ * @param {Object} [options]
+ * @param {number} [options.port] - Used for URL parsing and logs
+ * @param {string} [options.host] - Bind address; accepted in the Host header besides localhost
+ * @param {string[]} [options.allowedHosts] - Extra Host/Origin hostnames (default AI_CORE_MCP_ALLOWED_HOSTS, comma-separated)
+ * @param {number} [options.sessionTtlMs] - Idle time before a session expires (default AI_CORE_MCP_SESSION_TTL_MS or 30 min)
+ * @param {number} [options.maxSessions] - Live sessions before initialize is refused (default AI_CORE_MCP_MAX_SESSIONS or 100)
+ * @returns {http.Server} Server with a `sessions` Map and `sweepSessions()` attached
+ */
+export function createHttpServer(options = {}) {
+  const port = options.port ?? DEFAULT_PORT;
+  const sessionTtlMs = options.sessionTtlMs ?? parseInt(process.env.AI_CORE_MCP_SESSION_TTL_MS || DEFAULT_SESSION_TTL_MS, 10);
+  const maxSessions = options.maxSessions ?? parseInt(process.env.AI_CORE_MCP_MAX_SESSIONS || DEFAULT_MAX_SESSIONS, 10);
+  const extraHosts = options.allowedHosts ?? (process.env.AI_CORE_MCP_ALLOWED_HOSTS || '').split(',');
+  const allowedHosts = [...LOCAL_HOSTS, ...[options.host, ...extraHosts].map(parseHostname).filter(Boolean)];
+
+  /**
+   * Active sessions: id -> { session, streams: Set<ServerResponse>, lastSeen }
+   */
+  const sessions = new Map();
+
+  const updateSessionGauge = () => telemetry.setMcpSessions(sessions.size);
+
+  /**
+   * Register a new client session; server notifications go to its GET streams
+   */
+  function openSession() {
+    const id = crypto.randomUUID();
+    const entry = { streams: new Set(), lastSeen: Date.now() };
+
+    entry.session = createSession({
+      id,
+      notify: (method, params) => {
+        const notification = { jsonrpc: '2.0', method, ...(params !== undefined && { params }) };
+        for (const stream of entry.streams) {
+          writeSse(stream, notification);
+        }
+      }
+    });
+
+    sessions.set(id, entry);
+    updateSessionGauge();
+    console.error('[MCP-HTTP] Session opened:', id);
+    return entry;
+  }
+
+  /**
+   * Close a session and any open streams
+   */
+  function closeSession(id) {
+    const entry = sessions.get(id);
+    if (!entry) return false;
+
+    for (const stream of entry.streams) {
+      stream.end();
+    }
+    sessions.delete(id);
+    updateSessionGauge();
+    console.error('[MCP-HTTP] Session closed:', id);
+    return true;
+  }
+
+  /**
+   * Close sessions idle for longer than the TTL - clients that left without sending DELETE
+   * Sessions with requests still running are kept until those finish
+   */
+  function sweepSessions() {
+    const cutoff = Date.now() - sessionTtlMs;
+    for (const [id, entry] of sessions) {
+      if (entry.lastSeen < cutoff && entry.session.inFlight.size === 0) {
+        console.error('[MCP-HTTP] Session expired:', id);
+        closeSession(id);
+      }
+    }
+  }
+
+  const sweep = setInterval(sweepSessions, Math.min(sessionTtlMs, MAX_SWEEP_INTERVAL_MS));
+  sweep.unref();
+
+  /**
+   * Resolve the session for a non-initialize request
+   * Writes the error response and returns null when missing or unknown
+   */
+  function requireSession(req, res) {
+    const id = req.headers[SESSION_HEADER];
+
+    if (!id) {
+      sendRpcError(res, 400, ERROR_CODES.INVALID_REQUEST, 'Missing Mcp-Session-Id header');
+      return null;
+    }
+
+    const entry = sessions.get(id);
+    if (!entry) {
+      sendRpcError(res, 404, ERROR_CODES.INVALID_REQUEST, 'Unknown or expired session');
+      return null;
+    }
+
+    entry.lastSeen = Date.now();
+    return entry;
+  }
+
+  /**
+   * POST /mcp - client messages; answered as JSON or as an SSE stream
+   */
+  async function handlePost(req, res) {
+    let body;
+    try {
+      body = await readBody(req);
+    } catch (error) {
+      sendRpcError(res, 413, ERROR_CODES.INVALID_REQUEST, error.message);
+      return;
+    }
+
+    let parsed;
+    try {
+      parsed = JSON.parse(body);
+    } catch (error) {
+      sendRpcError(res, 400, ERROR_CODES.PARSE_ERROR, 'Parse error');
+      return;
+    }
+
+    const messages = Array.isArray(parsed) ? parsed : [parsed];
+    const isInitialize = messages.some(m => m?.method === 'initialize');
+    const hasRequests = messages.some(m => m && typeof m.method === 'string' && 'id' in m);
+
+    let entry;
+    if (isInitialize) {
+      // Every initialize opens a session: make room from idle ones, then refuse
+      if (sessions.size >= maxSessions) sweepSessions();
+      if (sessions.size >= maxSessions) {
+        sendRpcError(res, 503, ERROR_CODES.INTERNAL_ERROR, `Too many sessions (max ${maxSessions})`);
+        return;
+      }
+      entry = openSession();
+    } else {
+      entry = requireSession(req, res);
+      if (!entry) return;
+
+      const version = req.headers[PROTOCOL_HEADER];
+      if (version && !SUPPORTED_PROTOCOL_VERSIONS.includes(version)) {
+        sendRpcError(res, 400, ERROR_CODES.INVALID_REQUEST, `Unsupported protocol version: ${version}`);
+        return;
+      }
+    }
+
+    const sessionHeaders = { 'Mcp-Session-Id': entry.session.id };
+
+    // Only notifications / client responses - nothing to answer
+    if (!hasRequests) {
+      await handleMessage(body, entry.session);
+      res.writeHead(202, sessionHeaders);
+      res.end();
+      return;
+    }
+
+    const wantsStream = (req.headers.accept || '').includes('text/event-stream');
+
+    if (wantsStream) {
+      // Notifications raised while handling these requests go on this stream
+      openSse(res, sessionHeaders);
+
+      // Their responses can only go on this stream too: stop the work once the client drops it
+      const requestIds = messages.filter(m => m && typeof m.method === 'string' && 'id' in m).map(m => m.id);
+      res.on('close', () => {
+        if (res.writableEnded) return;
+        for (const id of requestIds) {
+          entry.session.inFlight.get(id)?.abort('Client closed the stream');
+        }
+      });
+
+      const response = await handleMessage(body, entry.session, {
+        notify: (method, params) => writeSse(res, { jsonrpc: '2.0', method, ...(params !== undefined && { params }) })
+      });
+      if (response) {
+        writeSse(res, response);
+      }
+      res.end();
+      return;
+    }
+
+    const response = await handleMessage(body, entry.session);
+    res.writeHead(200, { 'Content-Type': 'application/json', ...sessionHeaders });
+    res.end(response || '');
+  }
+
+  /**
+   * GET /mcp - standalone SSE stream for server-initiated notifications
+   */
+  function handleGet(req, res) {
+    if (!(req.headers.accept || '').includes('text/event-stream')) {
+      res.writeHead(405, { Allow: 'POST, DELETE' });
+      res.end();
+      return;
+    }
+
+    const entry = requireSession(req, res);
+    if (!entry) return;
+
+    openSse(res, { 'Mcp-Session-Id': entry.session.id });
+    entry.streams.add(res);
+
+    // A client still listening keeps its session alive; a dead one errors out and closes the stream
+    const keepAlive = setInterval(() => {
+      res.write(': keep-alive\n\n');
+      entry.lastSeen = Date.now();
+    }, SSE_KEEPALIVE_MS);
+    keepAlive.unref();
+
+    res.on('close', () => {
+      clearInterval(keepAlive);
+      entry.streams.delete(res);
+    });
+  }
+
+  /**
+   * DELETE /mcp - client ends its session
+   */
+  function handleDelete(req, res) {
+    const entry = requireSession(req, res);
+    if (!entry) return;
+
+    closeSession(entry.session.id);
+    res.writeHead(204);
+    res.end();
+  }
+
+  const server = http.createServer(async (req, res) => {
+    if (!isAllowedHost(req.headers.host, allowedHosts)) {
+      res.writeHead(403);
+      res.end('Forbidden host');
+      return;
+    }
+
+    if (!isAllowedOrigin(req.headers.origin, allowedHosts)) {
+      res.writeHead(403);
+      res.end('Forbidden origin');
+      return;
+    }
+
+    const url = new URL(req.url, `http://localhost:${port}`);
+
+    try {
+      if (url.pathname === MCP_PATH) {
+        if (req.method === 'POST') return await handlePost(req, res);
+        if (req.method === 'GET') return handleGet(req, res);
+        if (req.method === 'DELETE') return handleDelete(req, res);
+
+        res.writeHead(405, { Allow: 'GET, POST, DELETE' });
+        res.end();
+        return;
+      }
+
+      // Same telemetry singleton as metrics-server.js
+      if (handleMetricsRequest(req, res, url, { transport: 'http', sessions: sessions.size })) {
+        return;
+      }
+
+      res.writeHead(404);
+      res.end('Not Found');
+    } catch (error) {
+      console.error('[MCP-HTTP] Request failed:', error.message);
+      if (!res.headersSent) {
+        sendRpcError(res, 500, ERROR_CODES.INTERNAL_ERROR, error.message);
+      } else {
+        res.end();
+      }
+    }
+  });
+
+  server.on('close', () => {
+    clearInterval(sweep);
+    for (const id of [...sessions.keys()]) {
+      closeSession(id);
+    }
+  });
+
+  server.sessions = sessions;
+  server.sweepSessions = sweepSessions;
+  return server;
+}
+
+/**
+ * Start the MCP HTTP server on localhost
+ * @param {Object} [options]
+ * @param {number} [options.port] - Defaults to AI_CORE_MCP_PORT or 3333
+ * @param {string} [options.host] - Defaults to AI_CORE_MCP_HOST or 127.0.0.1
+ * @returns {Promise<http.Server>} Listening server
+ */
+export function startHttpServer(options = {}) {
+  const port = options.port ?? parseInt(process.env.AI_CORE_MCP_PORT || DEFAULT_PORT, 10);
+  const host = options.host || process.env.AI_CORE_MCP_HOST || DEFAULT_HOST;
+
+  const server = createHttpServer({ port, host });
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, () => {
+      const { port: boundPort } = server.address();
+      console.error(`[MCP-HTTP] ai-core MCP server on http://${host}:${boundPort}${MCP_PATH}`);
+      console.error(`[MCP-HTTP] Metrics at http://${host}:${boundPort}/metrics`);
+      resolve(server);
+    });
+  });
+}
+
+export default { createHttpServer, startHttpServer };
@@ -4,11 +4,17 @@ import { route } from '../router/index.js';
 import { orchestrate, applyFallbackRules } from '../orchestrator/index.js';
 import { memory } from '../memory/index.js';
 import { fileEngine } from '../file-engine/index.js';
-import { generateProposals, validateProposal } from '../proposals/index.js';
+import { generateProposals, proposalsFromChanges, validateProposal } from '../proposals/index.js';
+import { proposalStore, PROPOSAL_STATUS } from '../proposals/store.js';
 import { initLLM, isConfigured, chatWithSystem, loadConfig, getConfig } from '../llm/index.js';
 import { getSystemPrompt, getUserPrompt, validateBudget, TOKEN_BUDGET, OUTPUT_FORMAT } from '../llm/prompts.js';
-import { configure as configureAgentsBridge } from '../agents-bridge.js';
+import { configure as configureAgentsBridge, findProjectTask, recordTaskRun } from '../agents-bridge.js';
 import telemetry from '../telemetry/index.js';
+import { runWithProgress } from '../cli/spinner.js';
+import { validateTriggerPacks } from '../triggers/index.js';
+import { buildClassifier } from '../router/classifier.js';
+import { loadAgents } from '../agents/index.js';
+import { withRuleId, formatResult, FORMATS } from '../reporters/index.js';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
@@ -30,19 +36,12 @@ try {
 }
 
 /**
- * In-memory store for pending proposals
- * In production, this should be persisted
+ * Validates an agent against the registry (built-in agents + the project's plugin agents)
+ * @param {string} agentId
+ * @param {Object} registry - From loadAgents(projectPath)
  */
-const pendingProposals = new Map();
-
-// Valid agents whitelist
-const VALID_AGENTS = ['frontend', 'backend', 'security', 'seo', 'test', 'code'];
-
-/**
- * Validates if an agent is in the whitelist
- */
-function isValidAgent(agentId) {
-  return VALID_AGENTS.includes(agentId.toLowerCase());
+function isValidAgent(agentId, registry) {
+  return Object.hasOwn(registry, agentId.toLowerCase());
 }
 
 /**
@@ -66,8 +65,9 @@ function emitTelemetry(eventName, data) {
  * @param {Object} metadata
  * @param {string} [agentRules] - Optional agent rules from agents-bridge
  * @param {Object} [routingParams] - Routing parameters for model selection
+ * @param {AbortSignal} [signal] - Aborts the in-flight LLM request
  */
-async function generateLLMProposals(projectPath, userIntent, metadata, agentRules, routingParams) {
+async function generateLLMProposals(projectPath, userIntent, metadata, agentRules, routingParams, signal) {
   if (!isConfigured()) {
     return null; // Fall back to deterministic
   }
@@ -93,7 +93,8 @@ async function generateLLMProposals(projectPath, userIntent, metadata, agentRule
   try {
     const response = await chatWithSystem(systemPrompt, userPrompt, {
       maxTokens: TOKEN_BUDGET.MAX_RESPONSE_TOKENS,
-      routing // Pass routing to enable model selection
+      routing, // Pass routing to enable model selection
+      signal
     });
     
     if (!response.success) {
@@ -152,9 +153,14 @@ async function generateLLMProposals(projectPath, userIntent, metadata, agentRule
  * @param {string} params.userIntent
  * @param {boolean} params.generateProposals - Whether to generate proposals (default: true)
  * @param {string} params.forceAgent - Force a specific agent (bypasses router)
- * @returns {Object} MCPOutput
+ * @param {string} [params.taskId] - Task from agents/ tasks.json this run works on
+ * @param {string} [params.projectId] - Orchestrator project holding taskId (default: active project)
+ * @param {Function} [params.onProgress] - Called with { stage, message } for scan, route, agent, llm and secrets
+ * @param {AbortSignal} [params.signal] - Cancels the run (aborts the LLM request, skips remaining stages)
+ * @param {boolean} [params.explain] - Return the routing decision trace as `explain`
+ * @returns {Object} MCPOutput ({ cancelled: true } when aborted)
  */
-export async function analyze({ projectPath, userIntent, generateProposals: doGenerateProposals = true, forceAgent = null }) {
+export async function analyze({ projectPath, userIntent, generateProposals: doGenerateProposals = true, forceAgent = null, taskId = null, projectId = null, onProgress, signal, explain = false }) {
   const promptId = 'prompt-' + Date.now();
   let forcedByUser = false;
   const startTime = Date.now();
@@ -163,15 +169,36 @@ export async function analyze({ projectPath, userIntent, generateProposals: doGe
   telemetry.incPromptReceived();
   
   try {
+    // Step 0: Resolve the referenced task - its title doubles as the intent
+    let taskRef = null;
+    if (taskId) {
+      taskRef = findProjectTask(taskId, projectId);
+      if (!taskRef) {
+        throw new Error(`Task not found: ${taskId}`);
+      }
+      userIntent = userIntent || [taskRef.task.title, taskRef.task.description].filter(Boolean).join(': ');
+      console.error('[MCP] Working on task:', taskRef.projectId, taskId);
+    }
+    
     // Step 1: Scan project
     console.error('[MCP] Scanning project:', projectPath);
+    onProgress?.({ stage: 'scan', message: `Scanning ${projectPath}` });
     const metadata = scan(projectPath);
     console.error('[MCP] Metadata:', JSON.stringify(metadata));
     
     // Step 2: Route to agents (or force agent)
     let plan, reason;
+    let explanation = null;
     
-    if (forceAgent && isValidAgent(forceAgent)) {
+    // Plugin agents extend the whitelist
+    const { agents: registry, plugins } = await loadAgents(projectPath);
+    telemetry.setPluginAgents(plugins.length);
+    if (plugins.length > 0) {
+      console.error('[MCP] Plugin agents:', plugins.join(', '));
+    }
+    const forcedAgentValid = Boolean(forceAgent) && isValidAgent(forceAgent, registry);
+    
+    if (forcedAgentValid) {
       // Bypass router - use forced agent
       const agentId = forceAgent.toLowerCase();
       plan = [{ agentId, config: {} }];
@@ -187,16 +214,20 @@ export async function analyze({ projectPath, userIntent, generateProposals: doGe
       });
       
       console.error('[MCP] Override: forcing agent:', agentId);
-    } else if (forceAgent && !isValidAgent(forceAgent)) {
+      explanation = { forcedAgent: agentId, route: null, scoring: null };
+    } else if (forceAgent) {
       // Invalid agent specified
       console.error('[MCP] Warning: Invalid agent specified:', forceAgent, '- falling back to router');
     }
     
     // Use router if no forced agent
     let agentsContext = null;
-    if (!forceAgent || !isValidAgent(forceAgent)) {
+    let routing = null;
+    if (!forcedAgentValid) {
+      signal?.throwIfAborted();
       console.error('[MCP] Routing agents for intent:', userIntent);
-      const routeResult = await route({ metadata, userIntent, projectPath });
+      onProgress?.({ stage: 'route', message: 'Selecting agents' });
+      const routeResult = await route({ metadata, userIntent, projectPath, explain });
       plan = routeResult.agents;
       reason = routeResult.reason;
       agentsContext = routeResult.agentsContext || null;
@@ -205,10 +236,12 @@ export async function analyze({ projectPath, userIntent, generateProposals: doGe
       const scoringResult = applyFallbackRules({
         promptId,
         userIntent,
-        keywordsScore: routeResult.scores?.keywords || 0.5,
+        keywordsScore: routeResult.scores?.keywords ?? 0.5,
         profileMatchScore: routeResult.scores?.profile || 0.5,
-        historicalSuccessScore: 0.5,
-        complexityEstimate: routeResult.scores?.complexity || 0.3
+        complexityEstimate: routeResult.scores?.complexity || 0.3,
+        projectPath,
+        agentIds: plan.map(a => a.agentId),
+        explain
       });
       
       // Emit route decision and score telemetry
@@ -220,7 +253,26 @@ export async function analyze({ projectPath, userIntent, generateProposals: doGe
         telemetry.incFallbackInvoked('low_score');
       }
       
-      console.error('[MCP] Routing score:', scoringResult.score, '- route:', scoringResult.route);
+      console.error('[MCP] Routing score:', scoringResult.score, '- route:', scoringResult.route,
+        '- historical rate:', scoringResult.breakdown.historicalRate.toFixed(2), `(${scoringResult.history.source})`);
+      routing = {
+        score: scoringResult.score,
+        route: scoringResult.route,
+        breakdown: scoringResult.breakdown,
+        history: scoringResult.history
+      };
+      explanation = {
+        ...(forceAgent && { invalidForcedAgent: forceAgent }),
+        route: routeResult.trace,
+        scoring: {
+          score: scoringResult.score,
+          level: scoringResult.level,
+          breakdown: scoringResult.breakdown,
+          ...scoringResult.trace,
+          route: scoringResult.route,
+          label: scoringResult.label
+        }
+      };
     }
     
     console.error('[MCP] Selected agents:', plan.map(a => a.agentId).join(', '));
@@ -241,11 +293,15 @@ export async function analyze({ projectPath, userIntent, generateProposals: doGe
       metadata,
       plan,
       userIntent,
-      agentsContext
+      agentsContext,
+      taskId,
+      onProgress,
+      signal
     });
     
-    // Step 4: Collect diagnostics and changes
-    const allDiagnostics = results.flatMap(r => r.diagnostics || []);
+    // Step 4: Collect diagnostics (tagged with their agent and rule id) and changes
+    const planAgentIds = [...new Set(plan.map(p => p.agentId))];
+    const allDiagnostics = results.flatMap((r, i) => (r.diagnostics || []).map(d => withRuleId(d, planAgentIds[i])));
     const allChanges = results.flatMap(r => r.changes || []);
     
     // Step 5: Generate proposals if requested
@@ -253,6 +309,9 @@ export async function analyze({ projectPath, userIntent, generateProposals: doGe
     if (doGenerateProposals) {
       console.error('[MCP] Generating proposals...');
       
+      // Concrete agent changes (autofixes, scaffolds) become proposals without any LLM
+      const agentFixes = proposalsFromChanges(results.map((r, i) => ({ agentId: planAgentIds[i], changes: r.changes })), { onProgress });
+      
       // Build routing parameters for model selection
       const routingParams = {
         agentIds: plan.map(a => a.agentId),
@@ -262,21 +321,30 @@ export async function analyze({ projectPath, userIntent, generateProposals: doGe
       
       // Try LLM first if configured — pass agent rules for context-aware generation
       if (isConfigured()) {
+        signal?.throwIfAborted();
         console.error('[MCP] Using LLM for intelligent proposals...');
+        onProgress?.({ stage: 'llm', message: 'Generating proposals with LLM' });
         const agentRules = agentsContext?.context || '';
-        const llmProposals = await generateLLMProposals(projectPath, userIntent, metadata, agentRules, routingParams);
+        const llmProposals = await generateLLMProposals(projectPath, userIntent, metadata, agentRules, routingParams, signal);
         if (llmProposals && llmProposals.length > 0) {
           proposals = llmProposals;
         }
       }
       
+      // An aborted LLM request looks like "no results" - do not fall through
+      signal?.throwIfAborted();
+      
       // Fall back to deterministic if no LLM or no results
       if (proposals.length === 0) {
         console.error('[MCP] Using deterministic proposals...');
-        const proposalResult = await generateProposals(projectPath, userIntent, metadata);
+        const proposalResult = await generateProposals(projectPath, userIntent, metadata, { onProgress });
         proposals = proposalResult.proposals || [];
       }
       
+      // Agent changes first; generated proposals for the same files wait for the next run
+      const fixedFiles = new Set(agentFixes.proposals.map(p => p.change.file));
+      proposals = [...agentFixes.proposals, ...proposals.filter(p => !fixedFiles.has(p.change?.file))];
+      
       // Add forced_by_user metadata if agent was forced
       if (forcedByUser) {
         proposals = proposals.map(p => ({
@@ -285,10 +353,10 @@ export async function analyze({ projectPath, userIntent, generateProposals: doGe
         }));
       }
       
-      // Store proposals for later apply
+      // Persist proposals so later sessions can preview/apply them
+      signal?.throwIfAborted();
       if (proposals.length > 0) {
-        const proposalKey = projectPath + ':' + Date.now();
-        pendingProposals.set(proposalKey, { projectPath, proposals });
+        proposalStore.saveProposals(projectPath, proposals, { userIntent, ...(taskRef && { taskId }) });
       }
     }
     
@@ -307,6 +375,11 @@ export async function analyze({ projectPath, userIntent, generateProposals: doGe
     
     const memoryReference = memory.getReference(projectPath);
     
+    // Record the run on the referenced task
+    const task = taskRef
+      ? recordTaskRun(taskRef.projectId, taskId, { agents: agentIds, success, summary: runSummary })
+      : null;
+    
     // Emit latency telemetry
     const totalLatency = Date.now() - startTime;
     telemetry.recordLatency('analyze_total', totalLatency);
@@ -319,6 +392,7 @@ export async function analyze({ projectPath, userIntent, generateProposals: doGe
     // Return structured response
     return {
       summary: summary + ' ' + runSummary,
+      agents: planAgentIds,
       diagnostics: allDiagnostics,
       changes: allChanges,
       proposals: proposals.map(p => ({
@@ -332,19 +406,44 @@ export async function analyze({ projectPath, userIntent, generateProposals: doGe
         deletions: p.diff?.deletions || 0,
         risks: p.risks || []
       })),
+      ...(taskRef && {
+        task: {
+          id: taskId,
+          projectId: taskRef.projectId,
+          title: taskRef.task.title,
+          status: task?.status || taskRef.task.status
+        }
+      }),
+      ...(routing && { routing }),
+      ...(explain && { explain: { ...explanation, plan } }),
       memoryReference
     };
     
   } catch (error) {
+    if (signal?.aborted) {
+      const reason = signal.reason?.message || signal.reason || 'cancelled';
+      console.error('[MCP] Analysis cancelled:', reason);
+      emitTelemetry('analyze_cancelled', { prompt_id: promptId, reason: String(reason) });
+      return {
+        cancelled: true,
+        summary: 'Cancelled: ' + reason,
+        diagnostics: [],
+        changes: [],
+        proposals: [],
+        memoryReference: ''
+      };
+    }
+    
     console.error('[MCP] Error:', error.message);
     return {
       summary: 'Error: ' + error.message,
-      diagnostics: [{
+      diagnostics: [withRuleId({
         severity: 'error',
+        type: 'analysis-error',
         message: error.message,
         file: '',
         line: 0
-      }],
+      })],
       changes: [],
       proposals: [],
       memoryReference: ''
@@ -352,21 +451,30 @@ export async function analyze({ projectPath, userIntent, generateProposals: doGe
   }
 }
 
+/**
+ * Look up a stored proposal that can still be applied
+ * @returns {Object} { proposal } or { error }
+ */
+function findPendingProposal(projectPath, proposalId) {
+  const record = proposalStore.getProposal(projectPath, proposalId);
+  
+  if (!record) {
+    return { error: 'Proposal not found. Run analyze first to generate proposals.' };
+  }
+  
+  if (record.status !== PROPOSAL_STATUS.pending) {
+    return { error: `Proposal ${proposalId} is ${record.status}, not pending.` };
+  }
+  
+  return { proposal: record.proposal };
+}
+
 /**
  * Preview a proposal (dry-run)
  */
 export async function previewProposal({ projectPath, proposalId }) {
-  // Find proposal in pending
-  let foundProposal = null;
-  let proposalKey = null;
-  
-  for (const [key, data] of pendingProposals) {
-    if (data.projectPath === projectPath) {
-      foundProposal = data.proposals.find(p => p.id === proposalId);
-      proposalKey = key;
-      break;
-    }
-  }
+  const record = proposalStore.getProposal(projectPath, proposalId);
+  const foundProposal = record?.proposal;
   
   if (!foundProposal) {
     return {
@@ -392,6 +500,7 @@ export async function previewProposal({ projectPath, proposalId }) {
     success: true,
     proposal: {
       id: foundProposal.id,
+      status: record.status,
       description: foundProposal.description,
       file: foundProposal.change?.file,
       type: foundProposal.change?.type,
@@ -405,10 +514,81 @@ export async function previewProposal({ projectPath, proposalId }) {
   };
 }
 
+/**
+ * Fill in originalContent for update/delete changes so diffs can be computed
+ * @param {string} projectPath
+ * @param {Object} proposal
+ * @returns {Object} Proposal with a complete change object
+ */
+function withOriginalContent(projectPath, proposal) {
+  const change = proposal.change || {};
+  if (change.type === 'create' || typeof change.originalContent === 'string') {
+    return proposal;
+  }
+  
+  const fullPath = path.join(projectPath, change.file || '');
+  const originalContent = fs.existsSync(fullPath) ? fs.readFileSync(fullPath, 'utf-8') : '';
+  
+  return {
+    ...proposal,
+    change: { ...change, originalContent }
+  };
+}
+
+/**
+ * Apply proposals as a single atomic patch (snapshot, apply, checks, rollback on failure)
+ * @param {string} projectPath
+ * @param {Array} proposals
+ * @returns {Promise<Object>} Apply result including patchId for rollback
+ */
+async function applyAtomically(projectPath, proposals, options = {}) {
+  const patch = fileEngine.preparePatch(proposals.map(p => withOriginalContent(projectPath, p)));
+  
+  if (!patch.success) {
+    return { success: false, applied: [], errors: [patch.error] };
+  }
+  
+  const result = await fileEngine.applyAtomic(projectPath, patch, options);
+  
+  return {
+    success: result.success,
+    patchId: result.success ? result.patchId : null,
+    snapshotId: result.snapshotId || null,
+    applied: result.success ? patch.diffs.map(d => ({
+      file: d.change.file,
+      action: d.change.type,
+      proposalId: d.proposalId
+    })) : [],
+    rolledBack: result.rolledBack || false,
+    cancelled: result.cancelled || false,
+    errors: result.success ? [] : [result.error]
+  };
+}
+
+/**
+ * Mark stored proposals as applied
+ * @param {string} projectPath
+ * @param {string[]} proposalIds
+ * @param {Object} [details] - e.g. { patchId } for atomic applies
+ */
+function markApplied(projectPath, proposalIds, details = {}) {
+  const appliedAt = new Date().toISOString();
+  for (const id of proposalIds) {
+    proposalStore.updateProposalStatus(projectPath, id, PROPOSAL_STATUS.applied, { ...details, appliedAt });
+  }
+}
+
 /**
  * Apply a proposal
+ * @param {Object} params
+ * @param {string} params.projectPath
+ * @param {string} params.proposalId
+ * @param {boolean} [params.backup=true] - Keep a backup copy of modified files
+ * @param {boolean} [params.atomic=false] - Apply as an atomic patch that can be rolled back
+ * @param {Function} [params.onProgress] - Atomic mode: called with { stage, message } (secrets, apply, checks, tests)
+ * @param {AbortSignal} [params.signal] - Atomic mode: cancels the apply (rolls back during test validation)
  */
-export async function applyProposal({ projectPath, proposalId, backup = true }) {
+export async function applyProposal({ projectPath, proposalId, backup = true, atomic = false, onProgress, signal }) {
   const startTime = Date.now();
   
   // Emit apply attempt
@@ -417,19 +597,12 @@ export async function applyProposal({ projectPath, proposalId, backup = true })
   }
   
   // Find proposal
-  let foundProposal = null;
-  
-  for (const [key, data] of pendingProposals) {
-    if (data.projectPath === projectPath) {
-      foundProposal = data.proposals.find(p => p.id === proposalId);
-      break;
-    }
-  }
+  const { proposal: foundProposal, error } = findPendingProposal(projectPath, proposalId);
   
   if (!foundProposal) {
     return {
       success: false,
-      error: 'Proposal not found. Run analyze first to generate proposals.'
+      error
     };
   }
   
@@ -443,6 +616,28 @@ export async function applyProposal({ projectPath, proposalId, backup = true })
     };
   }
   
+  if (atomic) {
+    const atomicResult = await applyAtomically(projectPath, [foundProposal], { onProgress, signal });
+    
+    if (telemetry) {
+      telemetry.emit('apply_result', {
+        proposalId,
+        success: atomicResult.success,
+        latencyMs: Date.now() - startTime,
+        hasBackup: true
+      });
+    }
+    
+    if (atomicResult.success) {
+      markApplied(projectPath, [proposalId], { patchId: atomicResult.patchId });
+    }
+    
+    return {
+      ...atomicResult,
+      warnings: validation.warnings
+    };
+  }
+  
   // Apply with backup
   const applyFn = backup ? fileEngine.applyWithBackup : fileEngine.applyWithoutBackup;
   const result = applyFn(projectPath, [foundProposal.change]);
@@ -461,6 +656,10 @@ export async function applyProposal({ projectPath, proposalId, backup = true })
     });
   }
   
+  if (success) {
+    markApplied(projectPath, [proposalId]);
+  }
+  
   return {
     success,
     applied: result[0]?.success ? [{
@@ -475,18 +674,19 @@ export async function applyProposal({ projectPath, proposalId, backup = true })
 
 /**
  * Apply all pending proposals
+ * @param {Object} params
+ * @param {string} params.projectPath
+ * @param {boolean} [params.backup=true] - Keep a backup copy of modified files
+ * @param {boolean} [params.atomic=false] - Apply as one atomic patch that can be rolled back
+ * @param {Function} [params.onProgress] - Atomic mode: called with { stage, message }
+ * @param {AbortSignal} [params.signal] - Atomic mode: cancels the apply
  */
-export async function applyAllProposals({ projectPath, backup = true }) {
+export async function applyAllProposals({ projectPath, backup = true, atomic = false, onProgress, signal }) {
   const startTime = Date.now();
   
-  let allProposals = [];
-  
-  for (const [key, data] of pendingProposals) {
-    if (data.projectPath === projectPath) {
-      allProposals = data.proposals;
-      break;
-    }
-  }
+  const allProposals = proposalStore
+    .listProposals(projectPath, { status: PROPOSAL_STATUS.pending })
+    .map(r => r.proposal);
   
   if (allProposals.length === 0) {
     return {
@@ -502,6 +702,27 @@ export async function applyAllProposals({ projectPath, backup = true }) {
     });
   }
   
+  if (atomic) {
+    const atomicResult = await applyAtomically(projectPath, allProposals, { onProgress, signal });
+    
+    if (telemetry) {
+      allProposals.forEach(p => {
+        telemetry.emit('apply_result', {
+          proposalId: p.id,
+          success: atomicResult.success,
+          latencyMs: Math.round((Date.now() - startTime) / allProposals.length),
+          hasBackup: true
+        });
+      });
+    }
+    
+    if (atomicResult.success) {
+      markApplied(projectPath, allProposals.map(p => p.id), { patchId: atomicResult.patchId });
+    }
+    
+    return atomicResult;
+  }
+  
   // Apply all
   const applyFn = backup ? fileEngine.applyWithBackup : fileEngine.applyWithoutBackup;
   const result = applyFn(projectPath, allProposals.map(p => p.change));
@@ -522,6 +743,8 @@ export async function applyAllProposals({ projectPath, backup = true }) {
     });
   }
   
+  markApplied(projectPath, allProposals.filter((p, i) => result[i]?.success).map(p => p.id));
+  
   return {
     success: allSuccess,
     applied: result.map((r, i) => ({
@@ -533,6 +756,100 @@ export async function applyAllProposals({ projectPath, backup = true }) {
   };
 }
 
+/**
+ * Roll back an atomically applied patch
+ * @param {Object} params
+ * @param {string} params.projectPath
+ * @param {string} params.patchId - Patch ID returned by an atomic apply
+ * @param {boolean} [params.force] - Roll back even if later patches changed the same files
+ */
+export async function rollbackPatch({ projectPath, patchId, force = false }) {
+  const result = fileEngine.rollback(projectPath, patchId, { force });
+  
+  // Proposals from a rolled back patch can be applied again
+  if (result.success) {
+    proposalStore
+      .listProposals(projectPath, { status: PROPOSAL_STATUS.applied })
+      .filter(r => r.patchId === patchId)
+      .forEach(r => proposalStore.updateProposalStatus(projectPath, r.id, PROPOSAL_STATUS.pending, { rolledBackAt: new Date().toISOString() }));
+  }
+  
+  if (telemetry) {
+    telemetry.emit('rollback', { patchId, success: result.success });
+  }
+  
+  return result;
+}
+
+/**
+ * List stored proposals for a project
+ * @param {Object} params
+ * @param {string} params.projectPath
+ * @param {string} [params.status] - pending | applied | rejected | expired
+ */
+export function listProposals({ projectPath, status }) {
+  const records = proposalStore.listProposals(projectPath, { status });
+  
+  return {
+    success: true,
+    proposals: records.map(r => ({
+      id: r.id,
+      status: r.status,
+      agent: r.proposal.agent,
+      description: r.proposal.description,
+      file: r.proposal.change?.file,
+      type: r.proposal.change?.type,
+      userIntent: r.userIntent || '',
+      taskId: r.taskId || null,
+      createdAt: r.createdAt,
+      expiresAt: r.expiresAt,
+      patchId: r.patchId || null
+    }))
+  };
+}
+
+/**
+ * Reject a pending proposal so it is no longer applied
+ * @param {Object} params
+ * @param {string} params.projectPath
+ * @param {string} params.proposalId
+ * @param {string} [params.reason]
+ */
+export function rejectProposal({ projectPath, proposalId, reason = '' }) {
+  const { proposal, error } = findPendingProposal(projectPath, proposalId);
+  
+  if (!proposal) {
+    return { success: false, error };
+  }
+  
+  const record = proposalStore.updateProposalStatus(projectPath, proposalId, PROPOSAL_STATUS.rejected, { reason });
+  
+  return { success: true, id: record.id, status: record.status };
+}
+
+/**
+ * Get status of an applied patch
+ * @param {Object} params
+ * @param {string} params.patchId
+ * @param {string} [params.projectPath] - Read the project's patch journal too
+ */
+export function getPatchStatus({ patchId, projectPath = null }) {
+  return fileEngine.getPatchStatus(patchId, projectPath);
+}
+
+/**
+ * List patches applied to a project (from the on-disk journal)
+ * @param {Object} params
+ * @param {string} params.projectPath
+ * @param {string} [params.status] - applied | rolled_back
+ */
+export function listPatches({ projectPath, status }) {
+  return {
+    success: true,
+    patches: fileEngine.listAppliedPatches(projectPath, { status })
+  };
+}
+
 /**
  * Get memory status for a project
  */
@@ -588,7 +905,12 @@ export async function runCLI() {
   let userIntent = '';
   let command = 'analyze';
   let proposalId = '';
+  let patchId = '';
+  let force = false;
   let forceAgent = null;
+  let explain = false;
+  let format = 'json';
+  const packPaths = [];
   
   // Parse arguments
   for (let i = 0; i < args.length; i++) {
@@ -613,19 +935,61 @@ export async function runCLI() {
       command = 'preview';
       proposalId = args[i + 1];
       i++;
+    } else if (args[i] === '--reject' && args[i + 1]) {
+      command = 'reject';
+      proposalId = args[i + 1];
+      i++;
+    } else if (args[i] === '--proposals') {
+      command = 'proposals';
+    } else if (args[i] === '--rollback' && args[i + 1]) {
+      command = 'rollback';
+      patchId = args[i + 1];
+      i++;
+    } else if (args[i] === '--force') {
+      force = true;
+    } else if (args[i] === '--patches') {
+      command = 'patches';
+    } else if (args[i] === '--explain') {
+      explain = true;
+    } else if (args[i] === '--format' && args[i + 1]) {
+      format = args[i + 1];
+      i++;
+    } else if (args[i] === '--list-agents') {
+      command = 'list-agents';
+    } else if (args[i] === '--train-classifier') {
+      command = 'train-classifier';
+    } else if (args[i] === '--validate-triggers') {
+      command = 'validate-triggers';
+      while (args[i + 1] && !args[i + 1].startsWith('--')) {
+        packPaths.push(args[++i]);
+      }
     } else if (args[i] === '--no-backup') {
       // Flag for apply commands
     }
   }
   
+  if (command === 'analyze' && !FORMATS.includes(format)) {
+    console.error(`Unknown format: ${format} (expected ${FORMATS.join(', ')})`);
+    process.exit(1);
+  }
+  
   if (command === 'analyze' && !userIntent) {
     console.log('Usage: node index.js --project <path> --prompt "<intent>"');
     console.log('       node index.js --project <path> --status');
     console.log('       node index.js --project <path> --config');
     console.log('       node index.js --project <path> --preview <proposal-id>');
     console.log('       node index.js --project <path> --apply <proposal-id>');
+    console.log('       node index.js --project <path> --reject <proposal-id>');
+    console.log('       node index.js --project <path> --proposals');
+    console.log('       node index.js --project <path> --patches');
+    console.log('       node index.js --project <path> --rollback <patch-id> [--force]');
     console.log('       node index.js --project <path> --prompt "<intent>" --force-agent <agent>');
-    console.log('       Valid agents: frontend, backend, security, seo, test, code');
+    console.log('       node index.js --project <path> --prompt "<intent>" --explain');
+    console.log(`       node index.js --project <path> --prompt "<intent>" --format <${FORMATS.join('|')}>`);
+    console.log('       node index.js --validate-triggers [pack-file-or-dir ...]');
+    console.log('       node index.js --train-classifier');
+    console.log('       node index.js --project <path> --list-agents');
+    console.log('       Valid agents: frontend, backend, security, seo, test, code, database (+ plugin agents, see --list-agents)');
     process.exit(1);
   }
   
@@ -639,8 +1003,16 @@ export async function runCLI() {
     }
     console.error('');
     
-    const result = await analyze({ projectPath, userIntent, forceAgent });
-    console.log(JSON.stringify(result, null, 2));
+    // stdout carries the result only (SARIF/JUnit files are redirected from it) - route stray console.log output to stderr
+    const print = console.log;
+    console.log = (...args) => console.error(...args);
+    let result;
+    try {
+      result = await runWithProgress(progress => analyze({ projectPath, userIntent, forceAgent, explain, ...progress }));
+    } finally {
+      console.log = print;
+    }
+    console.log(formatResult(result, format, { projectPath: path.resolve(projectPath) }));
     
     if (result.proposals?.length > 0) {
       console.error('');
@@ -667,8 +1039,56 @@ export async function runCLI() {
     console.error('Applying proposal:', proposalId);
     console.error('');
     
-    const result = await applyProposal({ projectPath, proposalId });
+    // Atomic so the patch is journaled and can be rolled back later with --rollback
+    const result = await runWithProgress(progress => applyProposal({ projectPath, proposalId, atomic: true, ...progress }));
+    console.log(JSON.stringify(result, null, 2));
+  } else if (command === 'reject') {
+    console.error('Project:', projectPath);
+    console.error('Rejecting proposal:', proposalId);
+    console.error('');
+    
+    const result = rejectProposal({ projectPath, proposalId });
+    console.log(JSON.stringify(result, null, 2));
+  } else if (command === 'proposals') {
+    console.error('Project:', projectPath);
+    console.error('');
+    
+    const result = listProposals({ projectPath });
+    console.log(JSON.stringify(result, null, 2));
+  } else if (command === 'patches') {
+    console.error('Project:', projectPath);
+    console.error('');
+    
+    const result = listPatches({ projectPath });
+    console.log(JSON.stringify(result, null, 2));
+  } else if (command === 'rollback') {
+    console.error('Project:', projectPath);
+    console.error('Rolling back patch:', patchId);
+    console.error('');
+    
+    const result = await rollbackPatch({ projectPath, patchId, force });
+    console.log(JSON.stringify(result, null, 2));
+  } else if (command === 'list-agents') {
+    const { agents, errors } = await loadAgents(projectPath);
+    const list = Object.values(agents).map(a => ({
+      id: a.id,
+      description: a.description,
+      source: a.plugin?.source || 'built-in',
+      ...(a.plugin && { file: a.plugin.file, triggers: a.triggers })
+    }));
+    console.log(JSON.stringify({ agents: list, errors }, null, 2));
+    process.exitCode = errors.length > 0 ? 1 : 0;
+  } else if (command === 'train-classifier') {
+    const result = buildClassifier();
     console.log(JSON.stringify(result, null, 2));
+    process.exitCode = result.success ? 0 : 1;
+  } else if (command === 'validate-triggers') {
+    // Candidate packs are checked against the installed ones, so clashes with core show up
+    const report = validateTriggerPacks({ include: packPaths });
+    console.error(`Packs: ${report.packs.map(p => p.name).join(', ') || 'none'}`);
+    console.error(`Errors: ${report.errors.length}, conflicts: ${report.conflicts.length}, overlaps: ${report.overlaps.length}`);
+    console.log(JSON.stringify(report, null, 2));
+    process.exitCode = report.valid ? 0 : 1;
   }
 }
 
@@ -677,6 +1097,11 @@ export default {
   previewProposal, 
   applyProposal, 
   applyAllProposals,
+  rollbackPatch,
+  getPatchStatus,
+  listPatches,
+  listProposals,
+  rejectProposal,
   getMemoryStatus, 
   getMemoryConfig, 
   getLLMStatus,
@@ -1,8 +1,53 @@
-// MCP Server - Simple stdio-based MCP protocol
-import { analyze, getMemoryStatus, getMemoryConfig } from './index.js';
+// MCP Server - stdio transport speaking MCP over JSON-RPC 2.0
+import { pathToFileURL } from 'url';
+import {
+  analyze,
+  previewProposal,
+  applyProposal,
+  applyAllProposals,
+  rollbackPatch,
+  getPatchStatus,
+  listPatches,
+  listProposals,
+  rejectProposal,
+  getMemoryStatus,
+  getMemoryConfig,
+  getLLMStatus
+} from './index.js';
+import { listResources, listResourceTemplates, readResource, listPrompts, getPrompt } from './resources.js';
+import { pmTools, isPmTool, callPmTool } from './pm-tools.js';
+import { formatResult, FORMATS } from '../reporters/index.js';
 
 /**
- * MCP Protocol Message Types
+ * JSON-RPC / MCP protocol constants
+ */
+const JSONRPC_VERSION = '2.0';
+
+/**
+ * MCP protocol revisions this server understands (newest first)
+ */
+export const SUPPORTED_PROTOCOL_VERSIONS = ['2025-06-18', '2025-03-26', '2024-11-05'];
+
+const SERVER_INFO = {
+  name: 'ai-core',
+  version: '1.0.0'
+};
+
+/**
+ * JSON-RPC 2.0 error codes
+ */
+export const ERROR_CODES = {
+  PARSE_ERROR: -32700,
+  INVALID_REQUEST: -32600,
+  METHOD_NOT_FOUND: -32601,
+  INVALID_PARAMS: -32602,
+  INTERNAL_ERROR: -32603,
+  // MCP-specific
+  RESOURCE_NOT_FOUND: -32002
+};
+
+/**
+ * Legacy protocol message types ({ type, data } envelopes)
  */
 const MSG_TYPE = {
   initialize: 'initialize',
@@ -28,10 +73,208 @@ const tools = [
         },
         userIntent: {
           type: 'string',
-          description: 'Intención del usuario en lenguaje natural (e.g., "optimizar SEO", "revisar código", "buscar bugs")'
+          description: 'Intención del usuario en lenguaje natural (e.g., "optimizar SEO", "revisar código", "buscar bugs"). Opcional si se indica taskId'
+        },
+        taskId: {
+          type: 'string',
+          description: 'ID de una tarea de tasks.json (e.g., "task_007"). Usa su título como intención y registra la ejecución en la tarea'
+        },
+        projectId: {
+          type: 'string',
+          description: 'Proyecto del orquestador donde buscar taskId (default: proyecto activo)'
+        },
+        explain: {
+          type: 'boolean',
+          description: 'Incluir la traza de la decisión de routing (keywords por agente, clasificador, defaults, score y motivo de cada agente descartado)'
+        },
+        format: {
+          type: 'string',
+          enum: FORMATS,
+          description: 'Formato de la respuesta: json (default), sarif (SARIF 2.1.0 para code scanning) o junit (XML para reporters de CI)',
+          default: 'json'
+        }
+      },
+      required: ['projectPath'],
+      anyOf: [{ required: ['userIntent'] }, { required: ['taskId'] }]
+    }
+  },
+  {
+    name: 'list_proposals',
+    description: 'Lista las propuestas guardadas de un proyecto (persisten entre sesiones) con su estado',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        projectPath: {
+          type: 'string',
+          description: 'Ruta al proyecto'
+        },
+        status: {
+          type: 'string',
+          enum: ['pending', 'applied', 'rejected', 'expired'],
+          description: 'Filtrar por estado (opcional)'
+        }
+      },
+      required: ['projectPath']
+    }
+  },
+  {
+    name: 'preview_proposal',
+    description: 'Muestra el diff de una propuesta generada por run_agents sin modificar archivos',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        projectPath: {
+          type: 'string',
+          description: 'Ruta al proyecto (la misma usada en run_agents)'
+        },
+        proposalId: {
+          type: 'string',
+          description: 'ID de la propuesta devuelto por run_agents'
+        }
+      },
+      required: ['projectPath', 'proposalId']
+    }
+  },
+  {
+    name: 'apply_proposal',
+    description: 'Aplica una propuesta pendiente. En modo atómico (por defecto) crea un snapshot y devuelve un patchId para rollback_patch',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        projectPath: {
+          type: 'string',
+          description: 'Ruta al proyecto (la misma usada en run_agents)'
+        },
+        proposalId: {
+          type: 'string',
+          description: 'ID de la propuesta a aplicar'
+        },
+        atomic: {
+          type: 'boolean',
+          description: 'Aplicar como patch atómico con snapshot y rollback (default: true)',
+          default: true
+        },
+        backup: {
+          type: 'boolean',
+          description: 'Crear backup de los archivos modificados en modo no atómico (default: true)',
+          default: true
+        }
+      },
+      required: ['projectPath', 'proposalId']
+    }
+  },
+  {
+    name: 'apply_all_proposals',
+    description: 'Aplica todas las propuestas pendientes del proyecto. En modo atómico (por defecto) se aplican como un único patch',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        projectPath: {
+          type: 'string',
+          description: 'Ruta al proyecto (la misma usada en run_agents)'
+        },
+        atomic: {
+          type: 'boolean',
+          description: 'Aplicar como patch atómico con snapshot y rollback (default: true)',
+          default: true
+        },
+        backup: {
+          type: 'boolean',
+          description: 'Crear backup de los archivos modificados en modo no atómico (default: true)',
+          default: true
+        }
+      },
+      required: ['projectPath']
+    }
+  },
+  {
+    name: 'reject_proposal',
+    description: 'Marca una propuesta pendiente como rechazada para que no se aplique',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        projectPath: {
+          type: 'string',
+          description: 'Ruta al proyecto'
+        },
+        proposalId: {
+          type: 'string',
+          description: 'ID de la propuesta a rechazar'
+        },
+        reason: {
+          type: 'string',
+          description: 'Motivo del rechazo (opcional)'
+        }
+      },
+      required: ['projectPath', 'proposalId']
+    }
+  },
+  {
+    name: 'rollback_patch',
+    description: 'Revierte un patch aplicado restaurando el snapshot previo',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        projectPath: {
+          type: 'string',
+          description: 'Ruta al proyecto'
+        },
+        patchId: {
+          type: 'string',
+          description: 'ID del patch devuelto por apply_proposal o apply_all_proposals'
+        },
+        force: {
+          type: 'boolean',
+          description: 'Revertir aunque patches posteriores hayan cambiado los mismos archivos (pisa sus cambios)',
+          default: false
         }
       },
-      required: ['projectPath', 'userIntent']
+      required: ['projectPath', 'patchId']
+    }
+  },
+  {
+    name: 'get_patch_status',
+    description: 'Obtiene el estado de un patch aplicado (archivos, snapshot, fecha)',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        patchId: {
+          type: 'string',
+          description: 'ID del patch'
+        },
+        projectPath: {
+          type: 'string',
+          description: 'Ruta al proyecto, para consultar el journal de patches de sesiones anteriores (opcional)'
+        }
+      },
+      required: ['patchId']
+    }
+  },
+  {
+    name: 'list_patches',
+    description: 'Lista los patches aplicados a un proyecto desde el journal en disco (incluye sesiones anteriores)',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        projectPath: {
+          type: 'string',
+          description: 'Ruta al proyecto'
+        },
+        status: {
+          type: 'string',
+          enum: ['applied', 'rolled_back'],
+          description: 'Filtrar por estado (opcional)'
+        }
+      },
+      required: ['projectPath']
+    }
+  },
+  {
+    name: 'get_llm_status',
+    description: 'Indica si hay un proveedor LLM configurado y cuál se usa',
+    inputSchema: {
+      type: 'object',
+      properties: {}
     }
   },
   {
@@ -55,56 +298,429 @@ const tools = [
       type: 'object',
       properties: {}
     }
-  }
+  },
+  // Project manager (agents/orchestrator): estado, tareas y decisiones
+  ...pmTools
 ];
 
 /**
- * Handle incoming MCP messages
+ * Error carrying a JSON-RPC error code
+ */
+class RpcError extends Error {
+  constructor(code, message, data) {
+    super(message);
+    this.code = code;
+    this.data = data;
+  }
+}
+
+/**
+ * Writes a line to stdout (set by startServer)
  */
-async function handleMessage(message) {
+let writeLine = (line) => process.stdout.write(line + '\n');
+
+/**
+ * Create connection state negotiated during initialize
+ * stdio has a single session; the HTTP transport creates one per client
+ * @param {Object} [options]
+ * @param {string} [options.id] - Session id (HTTP transport)
+ * @param {Function} [options.notify] - (method, params) => void, delivers server notifications
+ * @returns {Object} Session
+ */
+export function createSession({ id = null, notify = null } = {}) {
+  return {
+    id,
+    protocolVersion: null,
+    clientInfo: null,
+    clientCapabilities: {},
+    initialized: false,
+    createdAt: new Date().toISOString(),
+    // Request id -> AbortController, for notifications/cancelled
+    inFlight: new Map(),
+    notify: notify || ((method, params) => writeLine(JSON.stringify(buildNotification(method, params))))
+  };
+}
+
+/**
+ * Session used by the stdio transport
+ */
+const stdioSession = createSession();
+
+/**
+ * Execute a tool by name
+ * @param {string} name - Tool name
+ * @param {Object} args - Tool arguments
+ * @param {Object} [options] - { onProgress, signal } for long-running tools
+ * @returns {Promise<Object>} Tool result
+ */
+async function callTool(name, args = {}, { onProgress, signal } = {}) {
+  switch (name) {
+    case 'run_agents': {
+      const { format = 'json', ...params } = args;
+      if (!FORMATS.includes(format)) {
+        throw new RpcError(ERROR_CODES.INVALID_PARAMS, `Unknown format: ${format} (expected ${FORMATS.join(', ')})`);
+      }
+      const result = await analyze({ ...params, onProgress, signal });
+      // SARIF and JUnit come back as the report text itself
+      return format === 'json' ? result : formatResult(result, format, { projectPath: params.projectPath });
+    }
+    case 'list_proposals':
+      return listProposals(args);
+    case 'reject_proposal':
+      return rejectProposal(args);
+    case 'preview_proposal':
+      return await previewProposal(args);
+    case 'apply_proposal':
+      return await applyProposal({ atomic: true, ...args, onProgress, signal });
+    case 'apply_all_proposals':
+      return await applyAllProposals({ atomic: true, ...args, onProgress, signal });
+    case 'rollback_patch':
+      return await rollbackPatch(args);
+    case 'get_patch_status':
+      return getPatchStatus(args);
+    case 'list_patches':
+      return listPatches(args);
+    case 'get_llm_status':
+      return getLLMStatus();
+    case 'get_memory_status':
+      return await getMemoryStatus(args);
+    case 'get_memory_config':
+      return getMemoryConfig();
+    default:
+      if (isPmTool(name)) {
+        return callPmTool(name, args);
+      }
+      throw new RpcError(ERROR_CODES.INVALID_PARAMS, `Unknown tool: ${name}`);
+  }
+}
+
+/**
+ * Check required arguments against the tool inputSchema
+ * @param {Object} tool - Tool definition
+ * @param {Object} args - Tool arguments
+ */
+function validateToolArguments(tool, args) {
+  const isMissing = key => args[key] === undefined || args[key] === null;
+  const required = tool.inputSchema?.required || [];
+  const missing = required.filter(isMissing);
+
+  if (missing.length > 0) {
+    throw new RpcError(
+      ERROR_CODES.INVALID_PARAMS,
+      `Missing required argument(s) for ${tool.name}: ${missing.join(', ')}`
+    );
+  }
+
+  // anyOf: at least one alternative set of arguments must be complete
+  const alternatives = (tool.inputSchema?.anyOf || []).map(schema => schema.required || []);
+  if (alternatives.length > 0 && !alternatives.some(keys => !keys.some(isMissing))) {
+    throw new RpcError(
+      ERROR_CODES.INVALID_PARAMS,
+      `Missing required argument(s) for ${tool.name}: ${alternatives.map(keys => keys.join(' + ')).join(' or ')}`
+    );
+  }
+}
+
+/**
+ * Pick the protocol version to answer with
+ * Echo the client's version when supported, otherwise offer our latest
+ */
+function negotiateProtocolVersion(requested) {
+  if (requested && SUPPORTED_PROTOCOL_VERSIONS.includes(requested)) {
+    return requested;
+  }
+  return SUPPORTED_PROTOCOL_VERSIONS[0];
+}
+
+/**
+ * Request handlers keyed by JSON-RPC method
+ */
+const requestHandlers = {
+  initialize: async (params = {}, { session }) => {
+    session.protocolVersion = negotiateProtocolVersion(params.protocolVersion);
+    session.clientInfo = params.clientInfo || null;
+    session.clientCapabilities = params.capabilities || {};
+
+    console.error('[MCP] Initialize from', session.clientInfo?.name || 'unknown client', '- protocol', session.protocolVersion);
+
+    return {
+      protocolVersion: session.protocolVersion,
+      capabilities: {
+        tools: { listChanged: false },
+        resources: { subscribe: false, listChanged: false },
+        prompts: { listChanged: false }
+      },
+      serverInfo: SERVER_INFO
+    };
+  },
+
+  ping: async () => ({}),
+
+  'tools/list': async () => ({ tools }),
+
+  'tools/call': async (params = {}, { signal, onProgress }) => {
+    const { name, arguments: args = {} } = params;
+
+    if (typeof name !== 'string') {
+      throw new RpcError(ERROR_CODES.INVALID_PARAMS, 'tools/call requires a tool name');
+    }
+
+    const tool = tools.find(t => t.name === name);
+    if (!tool) {
+      throw new RpcError(ERROR_CODES.INVALID_PARAMS, `Unknown tool: ${name}`);
+    }
+
+    validateToolArguments(tool, args);
+
+    // Tool failures are reported inside the result so the model can see them
+    try {
+      const result = await callTool(name, args, { onProgress, signal });
+      return {
+        content: [{ type: 'text', text: typeof result === 'string' ? result : JSON.stringify(result, null, 2) }],
+        isError: false
+      };
+    } catch (error) {
+      return {
+        content: [{ type: 'text', text: error.message }],
+        isError: true
+      };
+    }
+  },
+
+  'resources/list': async () => ({ resources: listResources() }),
+
+  'resources/templates/list': async () => ({ resourceTemplates: listResourceTemplates() }),
+
+  'resources/read': async (params = {}) => {
+    if (typeof params.uri !== 'string') {
+      throw new RpcError(ERROR_CODES.INVALID_PARAMS, 'resources/read requires a uri');
+    }
+
+    const resource = readResource(params.uri);
+    if (!resource) {
+      throw new RpcError(ERROR_CODES.RESOURCE_NOT_FOUND, 'Resource not found', { uri: params.uri });
+    }
+    return resource;
+  },
+
+  'prompts/list': async () => ({ prompts: listPrompts() }),
+
+  'prompts/get': async (params = {}) => {
+    const { name, arguments: args = {} } = params;
+
+    const definition = listPrompts().find(p => p.name === name);
+    if (!definition) {
+      throw new RpcError(ERROR_CODES.INVALID_PARAMS, `Unknown prompt: ${name}`);
+    }
+
+    const missing = definition.arguments.filter(a => a.required && !args[a.name]).map(a => a.name);
+    if (missing.length > 0) {
+      throw new RpcError(ERROR_CODES.INVALID_PARAMS, `Missing required argument(s) for ${name}: ${missing.join(', ')}`);
+    }
+
+    const prompt = getPrompt(name, args);
+    if (prompt.error) {
+      throw new RpcError(ERROR_CODES.INVALID_PARAMS, prompt.error);
+    }
+    return prompt;
+  }
+};
+
+/**
+ * Notification handlers keyed by JSON-RPC method
+ */
+const notificationHandlers = {
+  'notifications/initialized': (params, { session }) => {
+    session.initialized = true;
+    console.error('[MCP] Client initialized');
+  },
+
+  'notifications/cancelled': (params = {}, { session }) => {
+    console.error('[MCP] Client cancelled request:', params.requestId, params.reason || '');
+    session.inFlight.get(params.requestId)?.abort(params.reason || 'Cancelled by client');
+  }
+};
+
+/**
+ * Build a JSON-RPC error response
+ */
+function errorResponse(id, code, message, data) {
+  const error = { code, message };
+  if (data !== undefined) {
+    error.data = data;
+  }
+  return { jsonrpc: JSONRPC_VERSION, id: id ?? null, error };
+}
+
+/**
+ * Build a JSON-RPC notification object
+ */
+function buildNotification(method, params) {
+  const notification = { jsonrpc: JSONRPC_VERSION, method };
+  if (params !== undefined) {
+    notification.params = params;
+  }
+  return notification;
+}
+
+/**
+ * Build an onProgress callback that sends notifications/progress for one request
+ * @param {string|number} [progressToken] - From params._meta; no token means no progress
+ * @param {Function} notify - (method, params) => void
+ * @returns {Function|undefined} ({ stage, message }) => void
+ */
+function createProgressReporter(progressToken, notify) {
+  if (progressToken === undefined || progressToken === null) {
+    return undefined;
+  }
+
+  let progress = 0;
+  return ({ stage, message }) => {
+    progress += 1;
+    notify('notifications/progress', { progressToken, progress, message: `[${stage}] ${message}` });
+  };
+}
+
+/**
+ * Handle a single parsed JSON-RPC message
+ * @param {Object} msg - Parsed message
+ * @param {Object} ctx - { session, notify }
+ * @returns {Promise<Object|null>} Response object, or null for notifications
+ */
+async function handleRpc(msg, ctx) {
+  if (!msg || typeof msg !== 'object' || Array.isArray(msg) ||
+      msg.jsonrpc !== JSONRPC_VERSION || typeof msg.method !== 'string') {
+    // Responses from the client (to server-initiated requests) are ignored
+    if (msg && typeof msg === 'object' && msg.jsonrpc === JSONRPC_VERSION && 'id' in msg && ('result' in msg || 'error' in msg)) {
+      return null;
+    }
+    return errorResponse(msg?.id, ERROR_CODES.INVALID_REQUEST, 'Invalid Request');
+  }
+
+  const isNotification = !('id' in msg);
+
+  if (isNotification) {
+    const handler = notificationHandlers[msg.method];
+    if (handler) {
+      try {
+        handler(msg.params, ctx);
+      } catch (error) {
+        console.error('[MCP] Notification handler failed:', msg.method, error.message);
+      }
+    }
+    return null;
+  }
+
+  if (typeof msg.id !== 'string' && typeof msg.id !== 'number') {
+    return errorResponse(null, ERROR_CODES.INVALID_REQUEST, 'Invalid Request: id must be a string or number');
+  }
+
+  const handler = requestHandlers[msg.method];
+  if (!handler) {
+    return errorResponse(msg.id, ERROR_CODES.METHOD_NOT_FOUND, `Method not found: ${msg.method}`);
+  }
+
+  // Track the request so notifications/cancelled can abort it
+  const controller = new AbortController();
+  ctx.session.inFlight.set(msg.id, controller);
+  const requestCtx = {
+    ...ctx,
+    signal: controller.signal,
+    onProgress: createProgressReporter(msg.params?._meta?.progressToken, ctx.notify)
+  };
+
+  try {
+    const result = await handler(msg.params, requestCtx);
+    // Cancelled requests get no response
+    return controller.signal.aborted ? null : { jsonrpc: JSONRPC_VERSION, id: msg.id, result };
+  } catch (error) {
+    if (controller.signal.aborted) {
+      return null;
+    }
+    if (error instanceof RpcError) {
+      return errorResponse(msg.id, error.code, error.message, error.data);
+    }
+    console.error('[MCP] Internal error:', error.message);
+    return errorResponse(msg.id, ERROR_CODES.INTERNAL_ERROR, error.message);
+  } finally {
+    ctx.session.inFlight.delete(msg.id);
+  }
+}
+
+/**
+ * Handle an incoming JSON-RPC message (single or batch)
+ * @param {string} message - Raw JSON line
+ * @param {Object} [session] - Connection session (defaults to the stdio session)
+ * @param {Object} [options]
+ * @param {Function} [options.notify] - Override where notifications for this message go (e.g. an SSE response stream)
+ * @returns {Promise<string|null>} Serialized response, or null when nothing is owed
+ */
+export async function handleMessage(message, session = stdioSession, options = {}) {
+  const ctx = { session, notify: options.notify || session.notify };
+  let msg;
+  try {
+    msg = JSON.parse(message);
+  } catch (error) {
+    return JSON.stringify(errorResponse(null, ERROR_CODES.PARSE_ERROR, 'Parse error'));
+  }
+
+  if (Array.isArray(msg)) {
+    if (msg.length === 0) {
+      return JSON.stringify(errorResponse(null, ERROR_CODES.INVALID_REQUEST, 'Invalid Request: empty batch'));
+    }
+    const responses = (await Promise.all(msg.map(m => handleRpc(m, ctx)))).filter(Boolean);
+    return responses.length > 0 ? JSON.stringify(responses) : null;
+  }
+
+  const response = await handleRpc(msg, ctx);
+  return response ? JSON.stringify(response) : null;
+}
+
+/**
+ * Send a server-initiated notification to the client
+ * @param {string} method - Notification method (e.g. 'notifications/message')
+ * @param {Object} [params]
+ * @param {Object} [session] - Target session (defaults to the stdio session)
+ */
+export function sendNotification(method, params, session = stdioSession) {
+  session.notify(method, params);
+}
+
+/**
+ * Handle legacy { type, data } messages
+ * Kept for clients built against the pre-JSON-RPC protocol (--legacy)
+ */
+export async function handleLegacyMessage(message) {
   try {
     const msg = JSON.parse(message);
-    
+
     switch (msg.type) {
       case MSG_TYPE.initialize:
         return JSON.stringify({
           type: MSG_TYPE.response,
           data: {
             protocolVersion: '1.0',
-            name: 'ai-core',
-            version: '1.0.0'
+            name: SERVER_INFO.name,
+            version: SERVER_INFO.version
           }
         });
-        
+
       case MSG_TYPE.tools:
         return JSON.stringify({
           type: MSG_TYPE.response,
           data: tools
         });
-        
-      case MSG_TYPE.tool_call:
+
+      case MSG_TYPE.tool_call: {
         const { tool, args } = msg.data;
-        
-        let result;
-        switch (tool) {
-          case 'run_agents':
-            result = await analyze(args);
-            break;
-          case 'get_memory_status':
-            result = await getMemoryStatus(args);
-            break;
-          case 'get_memory_config':
-            result = getMemoryConfig();
-            break;
-          default:
-            throw new Error(`Unknown tool: ${tool}`);
-        }
-        
+        const result = await callTool(tool, args);
+
         return JSON.stringify({
           type: MSG_TYPE.response,
           data: result
         });
-        
+      }
+
       default:
         throw new Error(`Unknown message type: ${msg.type}`);
     }
@@ -118,42 +734,52 @@ async function handleMessage(message) {
 
 /**
  * Start MCP server - reads from stdin, writes to stdout
+ * @param {Object} [options]
+ * @param {boolean} [options.legacy] - Speak the legacy { type, data } protocol instead of JSON-RPC
  */
-export function startServer() {
-  console.error('[MCP] ai-core server starting...');
-  
+export function startServer(options = {}) {
+  const legacy = options.legacy ?? (process.argv.includes('--legacy') || process.env.AI_CORE_MCP_LEGACY === 'true');
+  const handle = legacy ? handleLegacyMessage : handleMessage;
+
+  console.error('[MCP] ai-core server starting...', legacy ? '(legacy protocol)' : '(JSON-RPC 2.0)');
+
+  // stdout carries protocol frames only - route stray console.log output to stderr
+  const stdoutWrite = process.stdout.write.bind(process.stdout);
+  writeLine = (line) => stdoutWrite(line + '\n');
+  console.log = (...args) => console.error(...args);
+
   process.stdin.setEncoding('utf-8');
-  
+
   let buffer = '';
-  
+
   process.stdin.on('data', (chunk) => {
     buffer += chunk;
-    
-    // Try to parse complete JSON messages
-    // MCP uses newline-delimited JSON
+
+    // MCP stdio uses newline-delimited JSON
     const lines = buffer.split('\n');
     buffer = lines.pop(); // Keep incomplete line in buffer
-    
+
     for (const line of lines) {
       if (line.trim()) {
-        handleMessage(line).then(response => {
-          console.log(response);
+        handle(line).then(response => {
+          if (response) {
+            writeLine(response);
+          }
         });
       }
     }
   });
-  
+
   process.stdin.on('end', () => {
     console.error('[MCP] Server stdin ended');
   });
-  
-  // Send ready message
+
   console.error('[MCP] Server ready');
 }
 
-// Run if executed directly
-if (process.argv.includes('--mcp')) {
+// Run if executed directly (index.js --mcp starts the server itself)
+if (process.argv.includes('--mcp') && import.meta.url === pathToFileURL(process.argv[1]).href) {
   startServer();
 }
 
-export default { startServer, tools };
+export default { startServer, handleMessage, handleLegacyMessage, sendNotification, createSession, tools };
@@ -0,0 +1,58 @@
+// PM Tools - Project manager tools from agents/orchestrator served by the main MCP server
+import path from 'path';
+import {
+  manifest,
+  handleMCPRequest,
+  configure as configureOrchestrator
+} from '../../agents/orchestrator/mcp-server.js';
+import { getAgentsBasePath } from '../agents-bridge.js';
+
+/**
+ * Convert a manifest `input` to an MCP inputSchema (empty inputs become an empty object schema)
+ */
+function toInputSchema(input = {}) {
+  return {
+    type: 'object',
+    properties: input.properties || {},
+    ...(input.required && { required: input.required })
+  };
+}
+
+/**
+ * MCP tool definitions for the orchestrator manifest (pm_status, pm_next, ...)
+ */
+export const pmTools = manifest.tools.map(tool => ({
+  name: tool.name,
+  description: tool.description,
+  inputSchema: toInputSchema(tool.input)
+}));
+
+const pmToolNames = new Set(pmTools.map(t => t.name));
+
+/**
+ * Whether a tool name belongs to the PM orchestrator
+ * @param {string} name
+ */
+export function isPmTool(name) {
+  return pmToolNames.has(name);
+}
+
+/**
+ * Execute a PM tool against the configured agents knowledge base
+ * @param {string} name - Tool name
+ * @param {Object} args - Tool arguments
+ * @returns {Object} Tool result ({ error } when the orchestrator data is missing)
+ */
+export function callPmTool(name, args = {}) {
+  // Follow agents-bridge so both tool families read the same projects/
+  configureOrchestrator(path.join(getAgentsBasePath(), 'orchestrator'));
+
+  try {
+    return handleMCPRequest(name, args);
+  } catch (error) {
+    console.error('[MCP] PM tool failed:', name, error.message);
+    return { error: error.message };
+  }
+}
+
+export default { pmTools, isPmTool, callPmTool };
@@ -0,0 +1,221 @@
+// MCP Resources & Prompts - Expose the agents/ knowledge base to MCP clients
+import {
+  listRuleFiles,
+  readRuleFile,
+  getRuleDomains,
+  resolveRelevantMdFiles,
+  getProjectsIndex,
+  getProjectState,
+  getProjectDecisions
+} from '../agents-bridge.js';
+
+const RULES_URI_PREFIX = 'agents://rules/';
+const PROJECTS_URI_PREFIX = 'agents://projects/';
+
+const MIME_TYPES = {
+  markdown: 'text/markdown',
+  json: 'application/json'
+};
+
+/**
+ * Per-project JSON files exposed as resources
+ */
+const PROJECT_FILES = {
+  'state.json': {
+    read: getProjectState,
+    description: 'Estado del proyecto (fase, stack, prioridades)'
+  },
+  'decisions.json': {
+    read: getProjectDecisions,
+    description: 'Decisiones de arquitectura registradas para el proyecto'
+  }
+};
+
+/**
+ * Project ids are folder names - reject anything that could escape the projects dir
+ */
+function isSafeProjectId(projectId) {
+  return /^[\w.-]+$/.test(projectId) && projectId !== '.' && projectId !== '..';
+}
+
+/**
+ * Build the URI for a rule file
+ * @param {string} relPath - Path relative to agents/
+ */
+export function ruleUri(relPath) {
+  return RULES_URI_PREFIX + relPath;
+}
+
+/**
+ * List all knowledge base resources
+ * @returns {Array} MCP resource descriptors
+ */
+export function listResources() {
+  const resources = listRuleFiles().map(rule => ({
+    uri: ruleUri(rule.path),
+    name: rule.path,
+    title: rule.name,
+    description: rule.description || undefined,
+    mimeType: MIME_TYPES.markdown
+  }));
+
+  const projects = getProjectsIndex()?.projects || [];
+
+  for (const project of projects) {
+    if (!isSafeProjectId(project.id)) continue;
+
+    for (const [fileName, def] of Object.entries(PROJECT_FILES)) {
+      if (def.read(project.id)) {
+        resources.push({
+          uri: `${PROJECTS_URI_PREFIX}${project.id}/${fileName}`,
+          name: `${project.id}/${fileName}`,
+          title: `${project.name || project.id} - ${fileName}`,
+          description: def.description,
+          mimeType: MIME_TYPES.json
+        });
+      }
+    }
+  }
+
+  return resources;
+}
+
+/**
+ * URI templates for project resources
+ * @returns {Array} MCP resource template descriptors
+ */
+export function listResourceTemplates() {
+  return Object.entries(PROJECT_FILES).map(([fileName, def]) => ({
+    uriTemplate: `${PROJECTS_URI_PREFIX}{projectId}/${fileName}`,
+    name: `project-${fileName.replace('.json', '')}`,
+    description: def.description,
+    mimeType: MIME_TYPES.json
+  }));
+}
+
+/**
+ * Read a resource by URI
+ * @param {string} uri
+ * @returns {Object|null} { contents: [...] }, or null when the resource does not exist
+ */
+export function readResource(uri) {
+  if (uri.startsWith(RULES_URI_PREFIX)) {
+    const text = readRuleFile(uri.slice(RULES_URI_PREFIX.length));
+    return text === null ? null : { contents: [{ uri, mimeType: MIME_TYPES.markdown, text }] };
+  }
+
+  const match = uri.match(/^agents:\/\/projects\/([^/]+)\/([^/]+)$/);
+  if (match && isSafeProjectId(match[1]) && PROJECT_FILES[match[2]]) {
+    const data = PROJECT_FILES[match[2]].read(match[1]);
+    return data === null ? null : {
+      contents: [{ uri, mimeType: MIME_TYPES.json, text: JSON.stringify(data, null, 2) }]
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Prompt name for a rule domain
+ */
+function promptName(domain) {
+  return `apply_${domain}_rules`;
+}
+
+/**
+ * List reusable prompts, one per rule domain
+ * @returns {Array} MCP prompt descriptors
+ */
+export function listPrompts() {
+  return getRuleDomains().map(domain => ({
+    name: promptName(domain),
+    title: `Aplicar reglas de ${domain}`,
+    description: `Adjunta las reglas de ${domain} del knowledge base (filtradas por el stack del proyecto) y pide aplicarlas a una tarea`,
+    arguments: [
+      {
+        name: 'task',
+        description: 'Tarea a realizar (e.g., "crear formulario de login")',
+        required: true
+      },
+      {
+        name: 'projectId',
+        description: 'ID del proyecto en agents/orchestrator/projects para filtrar reglas por stack (opcional)',
+        required: false
+      }
+    ]
+  }));
+}
+
+/**
+ * Build a prompt from the rule files relevant to a domain
+ * @param {string} name - Prompt name (apply_<domain>_rules)
+ * @param {Object} args - { task, projectId? }
+ * @returns {Object|null} { description, messages } / { error }, or null for unknown prompts
+ */
+export function getPrompt(name, args = {}) {
+  const domain = getRuleDomains().find(d => promptName(d) === name);
+  if (!domain) return null;
+
+  let project = { id: '', stack: [], type: 'default' };
+  const messages = [];
+
+  if (args.projectId) {
+    const known = isSafeProjectId(args.projectId) &&
+      getProjectsIndex()?.projects?.find(p => p.id === args.projectId);
+    if (!known) {
+      return { error: `Unknown project: ${args.projectId}` };
+    }
+    project = known;
+
+    const state = getProjectState(project.id);
+    if (state) {
+      messages.push({
+        role: 'user',
+        content: {
+          type: 'resource',
+          resource: {
+            uri: `${PROJECTS_URI_PREFIX}${project.id}/state.json`,
+            mimeType: MIME_TYPES.json,
+            text: JSON.stringify(state, null, 2)
+          }
+        }
+      });
+    }
+  }
+
+  const mdFiles = resolveRelevantMdFiles(project, [domain]);
+
+  for (const mdFile of mdFiles) {
+    const text = readRuleFile(mdFile);
+    if (text) {
+      messages.push({
+        role: 'user',
+        content: {
+          type: 'resource',
+          resource: { uri: ruleUri(mdFile), mimeType: MIME_TYPES.markdown, text }
+        }
+      });
+    }
+  }
+
+  messages.push({
+    role: 'user',
+    content: {
+      type: 'text',
+      text: `Aplica las reglas de ${domain} adjuntas a la siguiente tarea. Respeta las restricciones y señala cualquier conflicto con ellas.\n\nTarea: ${args.task}`
+    }
+  });
+
+  return {
+    description: `Reglas de ${domain}: ${mdFiles.join(', ') || 'ninguna'}`,
+    messages
+  };
+}
+
+export default {
+  listResources,
+  listResourceTemplates,
+  readResource,
+  listPrompts,
+  getPrompt
+};
@@ -11,7 +11,8 @@
  * MCP Output to client
  * @typedef {Object} MCPOutput
  * @property {string} summary
- * @property {Array} diagnostics
+ * @property {string[]} agents - Agents that ran, in plan order
+ * @property {Array} diagnostics - Problems, each with `agent` and a stable `ruleId` (agent/type[/rule])
  * @property {Array} changes
  * @property {string} memoryReference
  */
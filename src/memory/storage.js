@@ -452,8 +452,22 @@ export function appendRun(projectPath, record) {
  * Get all runs for a project
  */
 export function getRuns(projectPath) {
-  const memoryPath = getProjectMemoryPath(projectPath);
-  
+  return readRunsFile(getProjectMemoryPath(projectPath));
+}
+
+/**
+ * Get runs from every project in memory (e.g. to train the intent classifier)
+ */
+export function getAllRuns() {
+  return getAllProjects().flatMap(({ projectHash }) =>
+    readRunsFile(path.join(getMemoryDir(), projectHash, 'runs.jsonl'))
+  );
+}
+
+/**
+ * Parse a runs.jsonl file, skipping malformed lines
+ */
+function readRunsFile(memoryPath) {
   if (!fs.existsSync(memoryPath)) {
     return [];
   }
@@ -522,6 +536,7 @@ export function getMemoryConfig() {
 export default {
   appendRun,
   getRuns,
+  getAllRuns,
   getRunCount,
   getMemoryReference,
   getMemoryStatus,
@@ -2,6 +2,43 @@
 import http from 'http';
 import telemetry from './telemetry/index.js';
 
+/**
+ * Serve telemetry endpoints (/metrics, /metrics/json, /health)
+ * Shared with the MCP HTTP transport so one instance exposes both
+ * @param {http.IncomingMessage} req
+ * @param {http.ServerResponse} res
+ * @param {URL} url - Parsed request URL
+ * @param {Object} [healthExtra] - Extra fields for the /health payload
+ * @returns {boolean} Whether the request was handled
+ */
+export function handleMetricsRequest(req, res, url, healthExtra = {}) {
+  // /metrics endpoint - Prometheus format
+  if (url.pathname === '/metrics') {
+    res.setHeader('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+    res.writeHead(200);
+    res.end(telemetry.getMetrics());
+    return true;
+  }
+  
+  // /metrics/json endpoint - JSON format for debugging
+  if (url.pathname === '/metrics/json') {
+    res.setHeader('Content-Type', 'application/json');
+    res.writeHead(200);
+    res.end(JSON.stringify(telemetry.getMetricsJSON(), null, 2));
+    return true;
+  }
+  
+  // /health endpoint
+  if (url.pathname === '/health') {
+    res.setHeader('Content-Type', 'application/json');
+    res.writeHead(200);
+    res.end(JSON.stringify({ status: 'ok', timestamp: new Date().toISOString(), ...healthExtra }));
+    return true;
+  }
+  
+  return false;
+}
+
 /**
  * Create metrics HTTP endpoint
  */
@@ -20,27 +57,7 @@ export function createMetricsServer(port = 9090) {
     
     const url = new URL(req.url, `http://localhost:${port}`);
     
-    // /metrics endpoint - Prometheus format
-    if (url.pathname === '/metrics') {
-      res.setHeader('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
-      res.writeHead(200);
-      res.end(telemetry.getMetrics());
-      return;
-    }
-    
-    // /metrics/json endpoint - JSON format for debugging
-    if (url.pathname === '/metrics/json') {
-      res.setHeader('Content-Type', 'application/json');
-      res.writeHead(200);
-      res.end(JSON.stringify(telemetry.getMetricsJSON(), null, 2));
-      return;
-    }
-    
-    // /health endpoint
-    if (url.pathname === '/health') {
-      res.setHeader('Content-Type', 'application/json');
-      res.writeHead(200);
-      res.end(JSON.stringify({ status: 'ok', timestamp: new Date().toISOString() }));
+    if (handleMetricsRequest(req, res, url)) {
       return;
     }
     
@@ -71,4 +88,4 @@ export function startMetricsServer() {
   return null;
 }
 
-export default { createMetricsServer, startMetricsServer };
+export default { createMetricsServer, startMetricsServer, handleMetricsRequest };
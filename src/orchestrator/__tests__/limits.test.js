@@ -0,0 +1,212 @@
+// Tests for per-agent timeouts, file budgets and the concurrency limit
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { orchestrate, getExecutionLimits } from '../index.js';
+import { createLimiter } from '../plan.js';
+import { walkFiles } from '../../agents/budget.js';
+import { agents } from '../../agents/index.js';
+
+const metadata = { language: 'javascript' };
+
+/**
+ * Register a throwaway agent in the registry
+ */
+function fakeAgent(id, run) {
+  agents[id] = { id, description: id, supportedLanguages: ['javascript'], requiredCapabilities: [], run };
+  return id;
+}
+
+describe('agent execution limits', () => {
+  const originalConsoleError = console.error;
+  const registered = [];
+  let projectPath;
+
+  beforeEach(() => {
+    console.error = () => {};
+    projectPath = fs.mkdtempSync(path.join(os.tmpdir(), 'ai-core-limits-'));
+  });
+
+  afterEach(() => {
+    console.error = originalConsoleError;
+    for (const id of registered.splice(0)) delete agents[id];
+    fs.rmSync(projectPath, { recursive: true, force: true });
+  });
+
+  test('should report a timeout diagnostic instead of waiting for a hung agent', async () => {
+    let agentSignal;
+    registered.push(
+      fakeAgent('hung', (context) => {
+        agentSignal = context.signal;
+        return new Promise(() => {});
+      }),
+      fakeAgent('quick', async () => ({ success: true, diagnostics: [], changes: [], summary: 'quick' }))
+    );
+
+    const { results, summary } = await orchestrate({
+      projectPath,
+      metadata,
+      userIntent: 'x',
+      plan: [{ agentId: 'hung' }, { agentId: 'quick' }],
+      limits: { agentTimeoutMs: 50 }
+    });
+
+    expect(results[0]).toMatchObject({ success: false, timedOut: true, changes: [] });
+    expect(results[0].diagnostics).toEqual([expect.objectContaining({
+      severity: 'error',
+      type: 'timeout',
+      agent: 'hung',
+      timeoutMs: 50,
+      message: 'Agent hung timed out after 50ms'
+    })]);
+    expect(results[1].summary).toBe('quick');
+    expect(summary).toContain('1/2 agents succeeded');
+    expect(agentSignal.aborted).toBe(true);
+  });
+
+  test('should stop a synchronous agent that exceeds the timeout', async () => {
+    // A plugin that blocks its thread, like a built-in agent walking and parsing a huge tree
+    const pluginDir = path.join(projectPath, 'global-agents');
+    fs.mkdirSync(pluginDir);
+    fs.writeFileSync(path.join(pluginDir, 'blocking.mjs'), `export default {
+  id: 'blocking',
+  supportedLanguages: ['javascript'],
+  run() {
+    const end = Date.now() + 20000;
+    while (Date.now() < end) {}
+    return { success: true, diagnostics: [], changes: [], summary: 'finished' };
+  }
+};
+`);
+    const originalPluginDir = process.env.AI_CORE_PLUGIN_DIR;
+    process.env.AI_CORE_PLUGIN_DIR = pluginDir;
+    registered.push(fakeAgent('quick', async () => ({ success: true, diagnostics: [], changes: [], summary: 'quick' })));
+
+    try {
+      const started = Date.now();
+      const { results } = await orchestrate({
+        projectPath,
+        metadata,
+        userIntent: 'x',
+        plan: [{ agentId: 'blocking' }, { agentId: 'quick' }],
+        limits: { agentTimeoutMs: 200 }
+      });
+
+      expect(Date.now() - started).toBeLessThan(10000);
+      expect(results[0]).toMatchObject({ success: false, timedOut: true });
+      expect(results[0].diagnostics).toEqual([expect.objectContaining({ type: 'timeout', agent: 'blocking', timeoutMs: 200 })]);
+      expect(results[1].summary).toBe('quick');
+    } finally {
+      if (originalPluginDir === undefined) delete process.env.AI_CORE_PLUGIN_DIR;
+      else process.env.AI_CORE_PLUGIN_DIR = originalPluginDir;
+    }
+  });
+
+  test('should run built-in agents in a worker and return their result', async () => {
+    fs.writeFileSync(path.join(projectPath, 'package.json'), '{}');
+    fs.writeFileSync(path.join(projectPath, 'index.js'), 'console.log("debug");\n');
+
+    const { results } = await orchestrate({
+      projectPath,
+      metadata,
+      userIntent: 'x',
+      plan: [{ agentId: 'code' }],
+      limits: { agentTimeoutMs: 20000 }
+    });
+
+    expect(results[0].success).toBe(true);
+    expect(results[0].summary).toMatch(/^Code analysis complete/);
+  });
+
+  test('should not run more agents at once than the concurrency limit', async () => {
+    let active = 0;
+    let peak = 0;
+    const slow = (id) => async () => {
+      active++;
+      peak = Math.max(peak, active);
+      await new Promise(resolve => setTimeout(resolve, 10));
+      active--;
+      return { success: true, diagnostics: [], changes: [], summary: id };
+    };
+    for (const id of ['c1', 'c2', 'c3', 'c4', 'c5']) registered.push(fakeAgent(id, slow(id)));
+
+    const { results } = await orchestrate({
+      projectPath,
+      metadata,
+      userIntent: 'x',
+      plan: registered.map(agentId => ({ agentId })),
+      limits: { concurrency: 2 }
+    });
+
+    expect(peak).toBe(2);
+    expect(results.map(r => r.summary)).toEqual(['c1', 'c2', 'c3', 'c4', 'c5']);
+  });
+
+  test('should pass the file budget to agents and let built-in agents stop at it', async () => {
+    let seenBudget;
+    registered.push(fakeAgent('budgeted', async (context) => {
+      seenBudget = context.budget;
+      return { success: true, diagnostics: [], changes: [], summary: 'ok' };
+    }));
+    fs.mkdirSync(path.join(projectPath, 'src', 'nested'), { recursive: true });
+    for (let i = 0; i < 6; i++) {
+      fs.writeFileSync(path.join(projectPath, 'src', 'nested', `f${i}.js`), 'var x = 1;\n');
+    }
+
+    const { results } = await orchestrate({
+      projectPath,
+      metadata,
+      userIntent: 'x',
+      plan: [{ agentId: 'budgeted' }, { agentId: 'code' }],
+      limits: { maxFiles: 3 }
+    });
+
+    expect(seenBudget).toEqual({ maxFiles: 3 });
+    expect(results[1].diagnostics).toContainEqual(expect.objectContaining({
+      type: 'budget',
+      message: 'Code agent stopped after 3 files (file budget) - results are partial'
+    }));
+  });
+
+  test('should walk breadth-first, skip dependency folders and stop at the budget', () => {
+    fs.mkdirSync(path.join(projectPath, 'node_modules', 'dep'), { recursive: true });
+    fs.mkdirSync(path.join(projectPath, 'src'));
+    fs.writeFileSync(path.join(projectPath, 'node_modules', 'dep', 'index.js'), '');
+    fs.writeFileSync(path.join(projectPath, 'package.json'), '{}');
+    fs.writeFileSync(path.join(projectPath, 'src', 'a.js'), '');
+    fs.writeFileSync(path.join(projectPath, 'src', 'b.js'), '');
+
+    expect(walkFiles(projectPath, { maxFiles: 10 })).toEqual({
+      files: ['package.json', path.join('src', 'a.js'), path.join('src', 'b.js')],
+      visited: 3,
+      truncated: false
+    });
+    expect(walkFiles(projectPath, { maxFiles: 2 })).toMatchObject({ visited: 2, truncated: true });
+
+    const controller = new AbortController();
+    controller.abort();
+    expect(walkFiles(projectPath, { signal: controller.signal })).toMatchObject({ files: [], truncated: true });
+  });
+
+  test('should resolve limits from input, env and config', async () => {
+    const original = process.env.AI_CORE_AGENT_TIMEOUT_MS;
+    process.env.AI_CORE_AGENT_TIMEOUT_MS = '1234';
+    try {
+      expect(getExecutionLimits()).toEqual({ concurrency: 4, agentTimeoutMs: 1234, maxFiles: 500 });
+      expect(getExecutionLimits({ concurrency: 1, agentTimeoutMs: 10 })).toMatchObject({ concurrency: 1, agentTimeoutMs: 10 });
+      expect(getExecutionLimits({ maxFiles: -1 }).maxFiles).toBe(500);
+    } finally {
+      if (original === undefined) delete process.env.AI_CORE_AGENT_TIMEOUT_MS;
+      else process.env.AI_CORE_AGENT_TIMEOUT_MS = original;
+    }
+
+    const limit = createLimiter(1);
+    const order = [];
+    await Promise.all([
+      limit(async () => { order.push('a'); }),
+      limit(() => { throw new Error('boom'); }).catch(e => order.push(e.message)),
+      limit(async () => { order.push('c'); })
+    ]);
+    expect(order).toEqual(['a', 'boom', 'c']);
+  });
+});
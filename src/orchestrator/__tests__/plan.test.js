@@ -0,0 +1,169 @@
+// Tests for dependency-aware (DAG) agent execution
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { orchestrate } from '../index.js';
+import { resolveDependencies, findCycle, getAncestors } from '../plan.js';
+import { agents } from '../../agents/index.js';
+
+const metadata = { language: 'javascript' };
+
+/**
+ * Register a throwaway agent in the registry
+ */
+function fakeAgent(id, run) {
+  agents[id] = { id, description: id, supportedLanguages: ['javascript'], requiredCapabilities: [], run };
+  return id;
+}
+
+function deferred() {
+  let resolve;
+  const promise = new Promise(r => { resolve = r; });
+  return { promise, resolve };
+}
+
+describe('agent execution plans', () => {
+  const originalConsoleError = console.error;
+  const registered = [];
+  let projectPath;
+
+  beforeEach(() => {
+    console.error = () => {};
+    projectPath = fs.mkdtempSync(path.join(os.tmpdir(), 'ai-core-plan-'));
+  });
+
+  afterEach(() => {
+    console.error = originalConsoleError;
+    for (const id of registered.splice(0)) delete agents[id];
+    fs.rmSync(projectPath, { recursive: true, force: true });
+  });
+
+  describe('graph helpers', () => {
+    const plan = [
+      { agentId: 'security', dependsOn: ['backend', 'api'] },
+      { agentId: 'backend', dependsOn: ['code'] },
+      { agentId: 'code' },
+      { agentId: 'test', dependsOn: ['test', 'frontend'] }
+    ];
+
+    test('should keep only dependencies that are in the plan', () => {
+      const deps = resolveDependencies(plan);
+
+      expect(deps.get('security')).toEqual(['backend']);
+      expect(deps.get('test')).toEqual([]);
+    });
+
+    test('should list transitive upstream agents in plan order', () => {
+      expect(getAncestors('security', resolveDependencies(plan))).toEqual(['backend', 'code']);
+    });
+
+    test('should find cycles', () => {
+      const deps = resolveDependencies([
+        { agentId: 'a', dependsOn: ['c'] },
+        { agentId: 'b', dependsOn: ['a'] },
+        { agentId: 'c', dependsOn: ['b'] }
+      ]);
+
+      expect(findCycle(deps)).toEqual(['a', 'c', 'b', 'a']);
+      expect(findCycle(resolveDependencies(plan))).toBeNull();
+    });
+  });
+
+  test('should pass upstream diagnostics and changes to dependents', async () => {
+    const seen = {};
+    registered.push(
+      fakeAgent('up', async () => ({
+        success: true,
+        diagnostics: [{ severity: 'info', message: 'from up', file: '', line: 0 }],
+        changes: [{ type: 'create', file: 'src/a.js', content: 'x' }],
+        summary: 'up done'
+      })),
+      fakeAgent('down', async (context) => {
+        seen.upstream = context.upstream;
+        return { success: true, diagnostics: [], changes: [], summary: 'down done' };
+      })
+    );
+
+    const { results } = await orchestrate({
+      projectPath,
+      metadata,
+      userIntent: 'x',
+      plan: [{ agentId: 'down', dependsOn: ['up'] }, { agentId: 'up' }]
+    });
+
+    expect(seen.upstream).toEqual([expect.objectContaining({
+      agentId: 'up',
+      success: true,
+      changes: [expect.objectContaining({ file: 'src/a.js' })],
+      diagnostics: [expect.objectContaining({ message: 'from up' })]
+    })]);
+    // Results keep plan order
+    expect(results.map(r => r.summary)).toEqual(['down done', 'up done']);
+  });
+
+  test('should run independent branches concurrently', async () => {
+    const events = [];
+    const gates = { left: deferred(), right: deferred() };
+    const branch = (id) => async () => {
+      events.push(`start ${id}`);
+      await gates[id].promise;
+      events.push(`end ${id}`);
+      return { success: true, diagnostics: [], changes: [], summary: id };
+    };
+    registered.push(
+      fakeAgent('left', branch('left')),
+      fakeAgent('right', branch('right')),
+      fakeAgent('join', async (context) => {
+        events.push(`join after ${context.upstream.map(u => u.agentId).join('+')}`);
+        return { success: true, diagnostics: [], changes: [], summary: 'join' };
+      })
+    );
+
+    const run = orchestrate({
+      projectPath,
+      metadata,
+      userIntent: 'x',
+      plan: [{ agentId: 'left' }, { agentId: 'right' }, { agentId: 'join', dependsOn: ['left', 'right'] }]
+    });
+
+    await new Promise(resolve => setImmediate(resolve));
+    expect(events).toEqual(['start left', 'start right']);
+
+    gates.right.resolve();
+    gates.left.resolve();
+    await run;
+
+    expect(events.at(-1)).toBe('join after left+right');
+  });
+
+  test('should let security review the changes backend proposes', async () => {
+    registered.push(fakeAgent('fake-backend', async () => ({
+      success: true,
+      diagnostics: [],
+      changes: [{ type: 'create', file: 'src/db.js', content: "const password = 'hunter2';\n" }],
+      summary: 'backend'
+    })));
+
+    const { results } = await orchestrate({
+      projectPath,
+      metadata,
+      userIntent: 'x',
+      plan: [{ agentId: 'security', dependsOn: ['fake-backend'] }, { agentId: 'fake-backend' }]
+    });
+
+    expect(results[0].diagnostics).toContainEqual(expect.objectContaining({
+      message: 'Potential hardcoded password found (in fake-backend change)',
+      file: 'src/db.js',
+      line: 1
+    }));
+  });
+
+  test('should reject plans with dependency cycles', async () => {
+    await expect(orchestrate({
+      projectPath,
+      metadata,
+      userIntent: 'x',
+      plan: [{ agentId: 'seo', dependsOn: ['code'] }, { agentId: 'code', dependsOn: ['seo'] }]
+    })).rejects.toThrow('Dependency cycle in plan: seo -> code -> seo');
+  });
+});
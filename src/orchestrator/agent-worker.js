@@ -0,0 +1,14 @@
+// Agent Worker - Runs one agent in a worker thread so the orchestrator can stop it on timeout
+import { parentPort, workerData } from 'worker_threads';
+
+const { moduleUrl, context } = workerData;
+
+try {
+  // Built-in agents are default exports; plugins may also export `agent`
+  const mod = await import(moduleUrl);
+  const agent = mod.default ?? mod.agent;
+  const result = await agent.run(context);
+  parentPort.postMessage({ result });
+} catch (e) {
+  parentPort.postMessage({ error: e.message });
+}
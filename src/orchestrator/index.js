@@ -1,15 +1,19 @@
 // Orchestrator - Coordinates agent execution
-import { getAgent } from '../agents/index.js';
+import { getAgent, getAgentModule, loadAgents } from '../agents/index.js';
 import { computeScore } from '../router/scoring.js';
+import { getHistoricalSuccess } from '../router/history.js';
+import { resolveDependencies, findCycle, getAncestors, createLimiter } from './plan.js';
 import { updateProjectTask } from '../agents-bridge.js';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { Worker } from 'worker_threads';
 
 // Get config path
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 const configPath = path.join(__dirname, '../../config/default.json');
+const WORKER_URL = new URL('./agent-worker.js', import.meta.url);
 
 // Load config
 let config = {
@@ -19,6 +23,11 @@ let config = {
   },
   telemetry: {
     enabled: true
+  },
+  orchestrator: {
+    concurrency: 4,
+    agentTimeoutMs: 30000,
+    maxFilesPerAgent: 500
   }
 };
 
@@ -32,6 +41,25 @@ try {
   console.error('[Orchestrator] Warning: Could not load config, using defaults');
 }
 
+/**
+ * Execution limits: input overrides > env > config/default.json
+ * @param {Object} [overrides] - { concurrency, agentTimeoutMs, maxFiles }
+ * @returns {Object} { concurrency, agentTimeoutMs, maxFiles }
+ */
+export function getExecutionLimits(overrides = {}) {
+  const pick = (override, envName, configured) => {
+    const value = override ?? (process.env[envName] !== undefined ? Number(process.env[envName]) : configured);
+    return Number.isFinite(value) && value > 0 ? value : configured;
+  };
+  const defaults = { concurrency: 4, agentTimeoutMs: 30000, maxFilesPerAgent: 500, ...config.orchestrator };
+  
+  return {
+    concurrency: pick(overrides.concurrency, 'AI_CORE_AGENT_CONCURRENCY', defaults.concurrency),
+    agentTimeoutMs: pick(overrides.agentTimeoutMs, 'AI_CORE_AGENT_TIMEOUT_MS', defaults.agentTimeoutMs),
+    maxFiles: pick(overrides.maxFiles, 'AI_CORE_AGENT_MAX_FILES', defaults.maxFilesPerAgent)
+  };
+}
+
 /**
  * Emit telemetry event
  * @param {string} eventName 
@@ -52,7 +80,7 @@ function emitTelemetry(eventName, data) {
 /**
  * Determine route based on score
  * @param {number} score - Confidence score from scoring module
- * @returns {Object} Route decision with label
+ * @returns {Object} Route decision with label and the threshold comparison behind it
  */
 function determineRoute(score) {
   const { autoApplyThreshold, llmFallbackThreshold } = config.routing;
@@ -60,25 +88,31 @@ function determineRoute(score) {
   if (score >= autoApplyThreshold) {
     return {
       route: 'candidate_auto_apply',
-      label: 'High confidence - auto-apply candidate'
+      label: 'High confidence - auto-apply candidate',
+      because: `score ${score.toFixed(2)} >= autoApplyThreshold ${autoApplyThreshold}`
     };
   }
   
   if (score >= llmFallbackThreshold) {
     return {
       route: 'fallback_llm',
-      label: 'Medium confidence - LLM fallback recommended'
+      label: 'Medium confidence - LLM fallback recommended',
+      because: `llmFallbackThreshold ${llmFallbackThreshold} <= score ${score.toFixed(2)} < autoApplyThreshold ${autoApplyThreshold}`
     };
   }
   
   return {
     route: 'clarify_needed',
-    label: 'Low confidence - user clarification needed'
+    label: 'Low confidence - user clarification needed',
+    because: `score ${score.toFixed(2)} < llmFallbackThreshold ${llmFallbackThreshold}`
   };
 }
 
 /**
  * Apply fallback rules and emit telemetry
+ * Without an explicit historicalSuccessScore, the rate is computed from the
+ * project's memory runs (projectPath + agentIds), or stays neutral at 0.5.
+ * With `explain: true` the result carries a `trace` of the score inputs and thresholds.
  * @param {Object} options 
  * @returns {Object} Route decision with telemetry
  */
@@ -87,18 +121,26 @@ export function applyFallbackRules(options) {
     promptId = 'unknown',
     keywordsScore = 0,
     profileMatchScore = 0,
-    historicalSuccessScore = 0.5,
+    historicalSuccessScore,
     complexityEstimate = 0,
-    userIntent = ''
+    userIntent = '',
+    projectPath = null,
+    agentIds = [],
+    explain = false
   } = options;
   
+  const history = historicalSuccessScore === undefined && projectPath
+    ? getHistoricalSuccess(projectPath, { agentIds, userIntent })
+    : null;
+  
   // Compute score using scoring module
-  const scoreResult = computeScore({
+  const scoreInput = {
     keywordsScore,
     profileMatchScore,
-    historicalSuccessScore,
+    historicalSuccessScore: historicalSuccessScore ?? history?.rate ?? 0.5,
     complexityEstimate
-  }, {
+  };
+  const scoreResult = computeScore(scoreInput, {
     promptId,
     enableLogging: false
   });
@@ -120,19 +162,242 @@ export function applyFallbackRules(options) {
     level: scoreResult.level,
     route: routeDecision.route,
     label: routeDecision.label,
-    breakdown: scoreResult.breakdown
+    breakdown: scoreResult.breakdown,
+    ...(history && { history }),
+    ...(explain && {
+      trace: {
+        inputs: scoreInput,
+        historySource: history?.source || (historicalSuccessScore === undefined ? 'default' : 'explicit'),
+        thresholds: { ...config.routing },
+        because: routeDecision.because
+      }
+    })
+  };
+}
+
+/**
+ * Result reported for an agent that exceeded its wall-clock timeout
+ * @param {string} agentId
+ * @param {number} timeoutMs
+ * @returns {AgentResult}
+ */
+function timeoutResult(agentId, timeoutMs) {
+  return {
+    success: false,
+    timedOut: true,
+    diagnostics: [{
+      severity: 'error',
+      type: 'timeout',
+      agent: agentId,
+      timeoutMs,
+      message: `Agent ${agentId} timed out after ${timeoutMs}ms`,
+      file: '',
+      line: 0
+    }],
+    changes: [],
+    summary: `Timeout: ${agentId} did not finish within ${timeoutMs}ms`
+  };
+}
+
+/**
+ * Run an agent from its module in a worker thread, terminated on timeout or cancellation
+ * Built-in agents walk and parse synchronously, so only a separate thread can be stopped mid-run
+ * (and independent branches really run in parallel).
+ * @returns {Promise<AgentResult>}
+ */
+function runInWorker(agent, moduleUrl, context, timeoutMs, signal) {
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(WORKER_URL, {
+      // Agents get plain data: scanner metadata can carry functions (profile detectors) that don't cross threads
+      workerData: { moduleUrl, context: JSON.parse(JSON.stringify(context)) },
+      env: { ...process.env },
+      stdout: true,
+      stderr: true
+    });
+    // stdout carries JSON-RPC frames in MCP stdio mode - agent logs go to stderr
+    for (const stream of [worker.stdout, worker.stderr]) {
+      stream.on('data', chunk => console.error(chunk.toString().trimEnd()));
+    }
+    
+    let settled = false;
+    let timer;
+    const onAbort = () => settle(reject, signal.reason instanceof Error ? signal.reason : new Error(String(signal.reason)));
+    const settle = (done, value) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', onAbort);
+      worker.terminate();
+      done(value);
+    };
+    
+    timer = setTimeout(() => {
+      emitTelemetry('agent_timeout', { agent: agent.id, timeout_ms: timeoutMs });
+      settle(resolve, timeoutResult(agent.id, timeoutMs));
+    }, timeoutMs);
+    if (signal?.aborted) return onAbort();
+    signal?.addEventListener('abort', onAbort, { once: true });
+    
+    worker.once('message', ({ result, error }) => (error ? settle(reject, new Error(error)) : settle(resolve, result)));
+    worker.once('error', error => settle(reject, error));
+    worker.once('exit', code => settle(reject, new Error(`Agent worker exited with code ${code}`)));
+  });
+}
+
+/**
+ * Run an agent against its wall-clock timeout
+ * Agents with a module (built-in and plugin agents) run in a worker thread that is terminated on timeout.
+ * Agents only registered in memory run in this thread: their signal aborts on timeout so cooperative
+ * agents stop walking, and the orchestrator stops waiting once they yield.
+ * @returns {Promise<AgentResult>}
+ */
+async function runWithTimeout(agent, context, timeoutMs, signal) {
+  const moduleUrl = getAgentModule(agent);
+  if (moduleUrl) {
+    return runInWorker(agent, moduleUrl, context, timeoutMs, signal);
+  }
+  
+  const controller = new AbortController();
+  const timedOut = Symbol('timeout');
+  let timer;
+  
+  const timeout = new Promise(resolve => {
+    timer = setTimeout(() => {
+      controller.abort(new Error(`Agent timed out after ${timeoutMs}ms`));
+      resolve(timedOut);
+    }, timeoutMs);
+  });
+  
+  const run = Promise.resolve().then(() => agent.run({
+    ...context,
+    signal: signal ? AbortSignal.any([signal, controller.signal]) : controller.signal
+  }));
+  // A late failure of an abandoned agent must not surface as an unhandled rejection
+  run.catch(() => {});
+  
+  try {
+    const result = await Promise.race([run, timeout]);
+    if (result === timedOut) {
+      emitTelemetry('agent_timeout', { agent: agent.id, timeout_ms: timeoutMs });
+      return timeoutResult(agent.id, timeoutMs);
+    }
+    return result;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Run a single planned agent
+ * @param {AgentExecutionPlan} agentPlan
+ * @param {Object} shared - { projectPath, metadata, userIntent, agentRules, matchedProjectId, taskId, limits, signal, registry }
+ * @param {Object[]} upstream - Results of the agents it depends on ({ agentId, success, diagnostics, changes, summary })
+ * @returns {Promise<AgentResult>}
+ */
+async function runPlannedAgent(agentPlan, shared, upstream) {
+  const { agentId, config } = agentPlan;
+  const { projectPath, metadata, userIntent, agentRules, matchedProjectId, taskId, limits, signal, registry } = shared;
+  
+  // Get agent (built-in or plugin)
+  const agent = getAgent(agentId, registry);
+  if (!agent) {
+    return {
+      success: false,
+      diagnostics: [{
+        severity: 'error',
+        type: 'agent-not-found',
+        message: `Agent not found: ${agentId}`,
+        file: '',
+        line: 0
+      }],
+      changes: [],
+      summary: `Skipped: agent ${agentId} not found`
+    };
+  }
+  
+  // Check language support
+  if (!agent.supportedLanguages.includes(metadata.language)) {
+    return {
+      success: false,
+      diagnostics: [{
+        severity: 'info',
+        type: 'unsupported-language',
+        message: `Agent ${agentId} does not support language: ${metadata.language}`,
+        file: '',
+        line: 0
+      }],
+      changes: [],
+      summary: `Skipped: ${agentId} does not support ${metadata.language}`
+    };
+  }
+  
+  // Build context for agent — inject agents/ rules as additional context
+  const context = {
+    projectPath,
+    metadata: {
+      ...metadata,
+      ...config
+    },
+    userIntent,
+    agentRules,  // Injected from agents-bridge knowledge base
+    upstream,    // Diagnostics and changes of the agents this one depends on
+    budget: { maxFiles: limits.maxFiles }
   };
+  
+  // Execute agent
+  try {
+    console.error(`[Orchestrator] Running agent: ${agentId}` +
+      (upstream.length > 0 ? ` (after ${upstream.map(u => u.agentId).join(', ')})` : ''));
+    const result = await runWithTimeout(agent, context, limits.agentTimeoutMs, signal);
+    if (result.timedOut) {
+      console.error(`[Orchestrator] Agent ${agentId} timed out after ${limits.agentTimeoutMs}ms`);
+      return result;
+    }
+    
+    // After successful execution, update tasks.json in agents/ project
+    // (runs for an existing task are recorded on that task by the caller)
+    if (result.success && matchedProjectId && !taskId) {
+      try {
+        updateProjectTask(matchedProjectId, {
+          title: `${agentId}: ${userIntent}`.slice(0, 100),
+          description: result.summary || userIntent,
+          agentUsed: agentId,
+          status: 'done',
+          notes: `Auto-executed by ai-core. Changes: ${(result.changes || []).length} files`
+        });
+      } catch (taskErr) {
+        console.error(`[Orchestrator] Task update failed (non-fatal): ${taskErr.message}`);
+      }
+    }
+    
+    return result;
+  } catch (e) {
+    return {
+      success: false,
+      diagnostics: [{
+        severity: 'error',
+        type: 'agent-error',
+        message: `Agent execution failed: ${e.message}`,
+        file: '',
+        line: 0
+      }],
+      changes: [],
+      summary: `Error: ${e.message}`
+    };
+  }
 }
 
 /**
  * Execute agents according to the plan
+ * Each agent starts once everything in its `dependsOn` has finished; independent branches run
+ * concurrently (up to `limits.concurrency` at a time), each under a wall-clock timeout and file budget.
  * @param {OrchestratorInput} input 
  * @returns {OrchestratorOutput}
+ * @throws {Error} When the plan's dependencies form a cycle
  */
 export async function orchestrate(input) {
-  const { projectPath, metadata, plan, userIntent, agentsContext } = input;
-  
-  const results = [];
+  const { projectPath, metadata, plan, userIntent, agentsContext, taskId = null, onProgress, signal } = input;
+  const limits = getExecutionLimits(input.limits);
   
   // Extract agent rules context from bridge (if available)
   const agentRules = agentsContext?.context || '';
@@ -143,88 +408,49 @@ export async function orchestrate(input) {
     console.error(`[Orchestrator] Loaded rules from: ${(agentsContext.mdFiles || []).join(', ')}`);
   }
   
-  // Execute each agent in order
+  const deps = resolveDependencies(plan);
+  const cycle = findCycle(deps);
+  if (cycle) {
+    throw new Error(`Dependency cycle in plan: ${cycle.join(' -> ')}`);
+  }
+  
+  const { agents: registry } = await loadAgents(projectPath);
+  const shared = { projectPath, metadata, userIntent, agentRules, matchedProjectId, taskId, limits, signal, registry };
+  const limit = createLimiter(limits.concurrency);
+  const planById = new Map();
   for (const agentPlan of plan) {
-    const { agentId, config } = agentPlan;
-    
-    // Get agent
-    const agent = getAgent(agentId);
-    if (!agent) {
-      results.push({
-        success: false,
-        diagnostics: [{
-          severity: 'error',
-          message: `Agent not found: ${agentId}`,
-          file: '',
-          line: 0
-        }],
-        changes: [],
-        summary: `Skipped: agent ${agentId} not found`
-      });
-      continue;
-    }
-    
-    // Check language support
-    if (!agent.supportedLanguages.includes(metadata.language)) {
-      results.push({
-        success: false,
-        diagnostics: [{
-          severity: 'info',
-          message: `Agent ${agentId} does not support language: ${metadata.language}`,
-          file: '',
-          line: 0
-        }],
-        changes: [],
-        summary: `Skipped: ${agentId} does not support ${metadata.language}`
-      });
-      continue;
-    }
-    
-    // Build context for agent — inject agents/ rules as additional context
-    const context = {
-      projectPath,
-      metadata: {
-        ...metadata,
-        ...config
-      },
-      userIntent,
-      agentRules  // Injected from agents-bridge knowledge base
-    };
-    
-    // Execute agent
-    try {
-      console.error(`[Orchestrator] Running agent: ${agentId}`);
-      const result = await agent.run(context);
-      results.push(result);
-      
-      // After successful execution, update tasks.json in agents/ project
-      if (result.success && matchedProjectId) {
-        try {
-          updateProjectTask(matchedProjectId, {
-            title: `${agentId}: ${userIntent}`.slice(0, 100),
-            description: result.summary || userIntent,
-            agentUsed: agentId,
-            status: 'done',
-            notes: `Auto-executed by ai-core. Changes: ${(result.changes || []).length} files`
-          });
-        } catch (taskErr) {
-          console.error(`[Orchestrator] Task update failed (non-fatal): ${taskErr.message}`);
-        }
-      }
-    } catch (e) {
-      results.push({
-        success: false,
-        diagnostics: [{
-          severity: 'error',
-          message: `Agent execution failed: ${e.message}`,
-          file: '',
-          line: 0
-        }],
-        changes: [],
-        summary: `Error: ${e.message}`
-      });
-    }
+    if (!planById.has(agentPlan.agentId)) planById.set(agentPlan.agentId, agentPlan);
   }
+  const resultsById = new Map();
+  const nodes = new Map();
+  let started = 0;
+  
+  // One promise per agent, chained on its upstream promises
+  const nodeFor = (agentId) => {
+    if (!nodes.has(agentId)) {
+      const upstreamIds = deps.get(agentId) || [];
+      nodes.set(agentId, Promise.all(upstreamIds.map(nodeFor)).then(() => limit(async () => {
+        // Cancelled runs stop before the next agent
+        signal?.throwIfAborted();
+        started++;
+        onProgress?.({ stage: 'agent', agent: agentId, message: `Running agent ${agentId} (${started}/${planById.size})` });
+        
+        const upstream = getAncestors(agentId, deps).map(id => {
+          const { success, diagnostics = [], changes = [], summary = '' } = resultsById.get(id);
+          return { agentId: id, success, diagnostics, changes, summary };
+        });
+        const result = await runPlannedAgent(planById.get(agentId), shared, upstream);
+        resultsById.set(agentId, result);
+        return result;
+      })));
+    }
+    return nodes.get(agentId);
+  };
+  
+  await Promise.all([...planById.keys()].map(nodeFor));
+  
+  // Results stay in plan order whatever order the branches finished in
+  const results = [...planById.keys()].map(id => resultsById.get(id));
   
   // Generate summary
   const successful = results.filter(r => r.success).length;
@@ -239,4 +465,4 @@ export async function orchestrate(input) {
   };
 }
 
-export default { orchestrate, applyFallbackRules };
+export default { orchestrate, applyFallbackRules, getExecutionLimits };
@@ -0,0 +1,101 @@
+// Execution Plan - Agent dependency graph (DAG) helpers for the orchestrator
+
+/**
+ * Dependencies of each planned agent, limited to agents that are in the plan
+ * @param {AgentExecutionPlan[]} plan
+ * @returns {Map<string, string[]>} agentId -> upstream agentIds
+ */
+export function resolveDependencies(plan) {
+  const planned = new Set(plan.map(p => p.agentId));
+  const deps = new Map();
+
+  for (const { agentId, dependsOn = [] } of plan) {
+    const upstream = [...new Set(dependsOn)].filter(id => id !== agentId && planned.has(id));
+    deps.set(agentId, [...(deps.get(agentId) || []), ...upstream]);
+  }
+
+  return deps;
+}
+
+/**
+ * Find a dependency cycle
+ * @param {Map<string, string[]>} deps
+ * @returns {string[]|null} e.g. ['a', 'b', 'a'], or null for a DAG
+ */
+export function findCycle(deps) {
+  const state = new Map(); // undefined = unvisited, 1 = on stack, 2 = done
+  const stack = [];
+
+  const visit = (id) => {
+    if (state.get(id) === 2) return null;
+    if (state.get(id) === 1) return [...stack.slice(stack.indexOf(id)), id];
+
+    state.set(id, 1);
+    stack.push(id);
+    for (const upstream of deps.get(id) || []) {
+      const cycle = visit(upstream);
+      if (cycle) return cycle;
+    }
+    stack.pop();
+    state.set(id, 2);
+    return null;
+  };
+
+  for (const id of deps.keys()) {
+    const cycle = visit(id);
+    if (cycle) return cycle;
+  }
+  return null;
+}
+
+/**
+ * All direct and transitive upstream agents, in plan order
+ * @param {string} agentId
+ * @param {Map<string, string[]>} deps
+ * @returns {string[]}
+ */
+export function getAncestors(agentId, deps) {
+  const seen = new Set();
+  const walk = (id) => {
+    for (const upstream of deps.get(id) || []) {
+      if (!seen.has(upstream)) {
+        seen.add(upstream);
+        walk(upstream);
+      }
+    }
+  };
+  walk(agentId);
+
+  return [...deps.keys()].filter(id => seen.has(id));
+}
+
+/**
+ * Limit how many tasks run at once
+ * @param {number} concurrency - Max tasks in flight (minimum 1)
+ * @returns {function(function(): Promise): Promise} Schedules a task once a slot is free
+ */
+export function createLimiter(concurrency) {
+  const max = Math.max(1, Math.floor(concurrency) || 1);
+  const waiting = [];
+  let active = 0;
+
+  const next = () => {
+    if (active >= max || waiting.length === 0) return;
+    active++;
+    const { task, resolve, reject } = waiting.shift();
+    Promise.resolve()
+      .then(task)
+      .then(resolve, reject)
+      .finally(() => {
+        active--;
+        next();
+      });
+  };
+
+  return (task) => new Promise((resolve, reject) => {
+    waiting.push({ task, resolve, reject });
+    next();
+  });
+}
+
+export default { resolveDependencies, findCycle, getAncestors, createLimiter };
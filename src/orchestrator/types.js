@@ -5,8 +5,13 @@
  * @typedef {Object} OrchestratorInput
  * @property {string} projectPath
  * @property {Object} metadata - Scanner output
- * @property {AgentExecutionPlan[]} plan
+ * @property {AgentExecutionPlan[]} plan - Agents run as a DAG over `dependsOn` (unique agentIds)
  * @property {string} userIntent
+ * @property {Object} [agentsContext] - Knowledge base context from agents-bridge
+ * @property {string} [taskId] - agents/ task this run belongs to
+ * @property {Function} [onProgress] - Called with { stage: 'agent', agent, message } before each agent
+ * @property {AbortSignal} [signal] - Stops the run before the next agent
+ * @property {Object} [limits] - { concurrency, agentTimeoutMs, maxFiles } overriding env/config
  */
 
 /**
@@ -37,7 +37,7 @@ const PROFILES = {
     id: 'saas',
     name: 'SaaS Application',
     description: 'Multi-page web application with authentication',
-    defaultAgents: ['frontend', 'backend', 'security', 'seo'],
+    defaultAgents: ['frontend', 'backend', 'database', 'security', 'seo'],
     recommendedPrompts: [
       'add user authentication',
       'setup database schema',
@@ -71,7 +71,7 @@ const PROFILES = {
     id: 'ecommerce',
     name: 'E-commerce',
     description: 'Online store with products and payments',
-    defaultAgents: ['frontend', 'backend', 'security', 'seo'],
+    defaultAgents: ['frontend', 'backend', 'database', 'security', 'seo'],
     recommendedPrompts: [
       'add product catalog',
       'setup payment processing',
@@ -96,7 +96,7 @@ const PROFILES = {
     id: 'api',
     name: 'REST API',
     description: 'Backend API service',
-    defaultAgents: ['backend', 'security', 'test'],
+    defaultAgents: ['backend', 'database', 'security', 'test'],
     recommendedPrompts: [
       'add CRUD endpoints',
       'setup authentication',
@@ -0,0 +1,166 @@
+// Tests for the persistent proposal store
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { spawn } from 'child_process';
+import { proposalStore, PROPOSAL_STATUS } from '../store.js';
+import { applyProposal } from '../index.js';
+import { hashProjectPath } from '../../memory/storage.js';
+
+const testDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ai-core-proposals-'));
+const memoryDir = path.join(testDir, 'memory');
+const projectPath = path.join(testDir, 'project');
+
+function makeProposal(id, file = 'src/' + id + '.js') {
+  return {
+    id,
+    agent: 'frontend',
+    description: 'Create ' + file,
+    change: { type: 'create', file, content: 'export default 1;\n' }
+  };
+}
+
+describe('Proposal Store', () => {
+  const originalEnv = { ...process.env };
+  const originalConsoleError = console.error;
+
+  beforeAll(() => {
+    fs.mkdirSync(projectPath, { recursive: true });
+  });
+
+  beforeEach(() => {
+    process.env.AI_CORE_MEMORY_DIR = memoryDir;
+    delete process.env.AI_CORE_PROPOSAL_TTL_DAYS;
+    fs.rmSync(memoryDir, { recursive: true, force: true });
+    console.error = () => {};
+  });
+
+  afterEach(() => {
+    process.env = { ...originalEnv };
+    console.error = originalConsoleError;
+  });
+
+  afterAll(() => {
+    fs.rmSync(testDir, { recursive: true, force: true });
+  });
+
+  test('should persist proposals next to the project runs', () => {
+    proposalStore.saveProposals(projectPath, [makeProposal('p1')], { userIntent: 'crear componente' });
+
+    const storePath = path.join(memoryDir, hashProjectPath(projectPath), 'proposals.json');
+    expect(fs.existsSync(storePath)).toBe(true);
+
+    const record = proposalStore.getProposal(projectPath, 'p1');
+    expect(record.status).toBe(PROPOSAL_STATUS.pending);
+    expect(record.userIntent).toBe('crear componente');
+    expect(record.proposal.change.file).toBe('src/p1.js');
+  });
+
+  test('should key projects by resolved path', () => {
+    proposalStore.saveProposals(projectPath, [makeProposal('p1')]);
+
+    const relative = path.relative(process.cwd(), projectPath);
+    expect(proposalStore.getProposal(relative, 'p1')).not.toBeNull();
+  });
+
+  test('should filter by status and record status changes', () => {
+    proposalStore.saveProposals(projectPath, [makeProposal('p1'), makeProposal('p2')]);
+
+    const updated = proposalStore.updateProposalStatus(projectPath, 'p2', PROPOSAL_STATUS.rejected, { reason: 'no' });
+    expect(updated.status).toBe(PROPOSAL_STATUS.rejected);
+    expect(updated.reason).toBe('no');
+
+    expect(proposalStore.listProposals(projectPath, { status: PROPOSAL_STATUS.pending }).map(r => r.id)).toEqual(['p1']);
+    expect(proposalStore.listProposals(projectPath)).toHaveLength(2);
+  });
+
+  test('should return null when updating an unknown proposal', () => {
+    expect(proposalStore.updateProposalStatus(projectPath, 'missing', PROPOSAL_STATUS.applied)).toBeNull();
+  });
+
+  test('should reject unknown statuses', () => {
+    proposalStore.saveProposals(projectPath, [makeProposal('p1')]);
+
+    expect(() => proposalStore.updateProposalStatus(projectPath, 'p1', 'done')).toThrow('Invalid proposal status');
+  });
+
+  test('should expire pending proposals past their TTL', () => {
+    process.env.AI_CORE_PROPOSAL_TTL_DAYS = '-1';
+    proposalStore.saveProposals(projectPath, [makeProposal('p1')]);
+
+    expect(proposalStore.getProposal(projectPath, 'p1').status).toBe(PROPOSAL_STATUS.expired);
+  });
+
+  test('should purge finished proposals older than the TTL', () => {
+    proposalStore.saveProposals(projectPath, [makeProposal('p1'), makeProposal('p2')]);
+    proposalStore.updateProposalStatus(projectPath, 'p1', PROPOSAL_STATUS.applied);
+
+    process.env.AI_CORE_PROPOSAL_TTL_DAYS = '-1';
+    const result = proposalStore.purgeExpiredProposals(projectPath);
+
+    expect(result.purged).toBe(1);
+    expect(proposalStore.listProposals(projectPath).map(r => r.id)).toEqual(['p2']);
+  });
+
+  test('should not lose proposals saved by concurrent processes', async () => {
+    // Two writers (say an MCP server and the CLI) saving to the same project at once
+    const storeModule = new URL('../store.js', import.meta.url).href;
+    const writer = name => new Promise((resolve, reject) => {
+      const script = `const { saveProposals } = await import(${JSON.stringify(storeModule)});
+        for (let i = 0; i < 25; i++) saveProposals(${JSON.stringify(projectPath)}, [{ id: '${name}-' + i, change: {} }]);`;
+      const child = spawn(process.execPath, ['--input-type=module', '-e', script], { env: process.env, stdio: 'ignore' });
+      child.on('error', reject);
+      child.on('exit', code => (code === 0 ? resolve() : reject(new Error(`${name} exited with ${code}`))));
+    });
+
+    await Promise.all([writer('mcp'), writer('cli')]);
+
+    expect(proposalStore.listProposals(projectPath)).toHaveLength(50);
+    expect(fs.readdirSync(path.join(memoryDir, hashProjectPath(projectPath)))).toEqual(['proposals.json']);
+  });
+
+  test('should break a lock left behind by a crashed process', () => {
+    proposalStore.saveProposals(projectPath, [makeProposal('p1')]);
+    const lockPath = path.join(memoryDir, hashProjectPath(projectPath), 'proposals.json.lock');
+    fs.writeFileSync(lockPath, '');
+    const old = new Date(Date.now() - 60000);
+    fs.utimesSync(lockPath, old, old);
+
+    proposalStore.saveProposals(projectPath, [makeProposal('p2')]);
+
+    expect(proposalStore.listProposals(projectPath).map(r => r.id)).toEqual(['p1', 'p2']);
+    expect(fs.existsSync(lockPath)).toBe(false);
+  });
+
+  describe('applyProposal', () => {
+    test('should apply a stored proposal and mark it applied', async () => {
+      proposalStore.saveProposals(projectPath, [makeProposal('p1')]);
+
+      const result = await applyProposal(projectPath, 'p1', { backup: false });
+
+      expect(result.success).toBe(true);
+      expect(fs.existsSync(path.join(projectPath, 'src/p1.js'))).toBe(true);
+      expect(proposalStore.getProposal(projectPath, 'p1').status).toBe(PROPOSAL_STATUS.applied);
+    });
+
+    test('should not apply a proposal twice', async () => {
+      proposalStore.saveProposals(projectPath, [makeProposal('p1')]);
+      proposalStore.updateProposalStatus(projectPath, 'p1', PROPOSAL_STATUS.applied);
+
+      const result = await applyProposal(projectPath, 'p1');
+
+      expect(result.success).toBe(false);
+      expect(result.error).toContain('applied');
+    });
+
+    test('should leave files untouched on dry run', async () => {
+      proposalStore.saveProposals(projectPath, [makeProposal('dry', 'src/dry.js')]);
+
+      const result = await applyProposal(projectPath, 'dry', { dryRun: true });
+
+      expect(result.success).toBe(true);
+      expect(fs.existsSync(path.join(projectPath, 'src/dry.js'))).toBe(false);
+      expect(proposalStore.getProposal(projectPath, 'dry').status).toBe(PROPOSAL_STATUS.pending);
+    });
+  });
+});
@@ -4,6 +4,7 @@ import path from 'path';
 import { fileEngine } from '../file-engine/index.js';
 import { scanProposals } from '../file-engine/secret-scanner.js';
 import { chat, isConfigured, getConfig } from '../llm/index.js';
+import { getProposal, updateProposalStatus, PROPOSAL_STATUS } from './store.js';
 
 /**
  * Intent pattern matchers → Proposal generators
@@ -128,8 +129,13 @@ function matchIntentPatterns(userIntent, metadata) {
 
 /**
  * Generate proposal based on matched patterns
+ * @param {string} projectPath
+ * @param {string} userIntent
+ * @param {Object} metadata
+ * @param {Object} [options]
+ * @param {Function} [options.onProgress] - Called with { stage: 'secrets', message } before the secret scan
  */
-export async function generateProposals(projectPath, userIntent, metadata) {
+export async function generateProposals(projectPath, userIntent, metadata, options = {}) {
   const patterns = matchIntentPatterns(userIntent, metadata);
   
   if (patterns.length === 0) {
@@ -153,6 +159,67 @@ export async function generateProposals(projectPath, userIntent, metadata) {
     }
   }
   
+  return {
+    success: true,
+    ...finalizeProposals(proposals, options),
+    message: 'Generated ' + proposals.length + ' proposal(s)'
+  };
+}
+
+/**
+ * Proposals for the concrete changes agents emitted (autofixes, test scaffolds, spec drafts) - no LLM involved
+ * Identical changes from several agents are proposed once. Changes carry the whole new file, so a second,
+ * different change to a file already proposed is held back until the first one is applied.
+ * @param {Object[]} agentResults - { agentId, changes }
+ * @param {Object} [options]
+ * @param {Function} [options.onProgress] - Called with { stage: 'secrets', message } before the secret scan
+ * @returns {Object} { proposals, security_scan, deferred: { agent, file, conflictsWith }[] }
+ */
+export function proposalsFromChanges(agentResults, options = {}) {
+  const stamp = Date.now();
+  const proposals = [];
+  const deferred = [];
+  const byFile = new Map();
+  
+  for (const { agentId, changes = [] } of agentResults) {
+    for (const change of changes) {
+      if (!change?.file || !change.type) continue;
+      
+      const previous = byFile.get(change.file);
+      if (previous) {
+        if (previous.change.type !== change.type || previous.change.content !== change.content) {
+          deferred.push({ agent: agentId, file: change.file, conflictsWith: previous.agent });
+        }
+        continue;
+      }
+      
+      const proposal = {
+        id: `${agentId}-fix-${stamp}-${proposals.length}`,
+        agent: agentId,
+        description: change.description || `${change.type} ${change.file}`,
+        change,
+        originalContent: change.originalContent || '',
+        risks: []
+      };
+      byFile.set(change.file, proposal);
+      proposals.push(proposal);
+    }
+  }
+  
+  for (const { agent, file, conflictsWith } of deferred) {
+    console.error(`[Proposals] Deferring ${agent} change to ${file}: ${conflictsWith} already changes it (re-run after applying)`);
+  }
+  
+  return { ...finalizeProposals(proposals, options), deferred };
+}
+
+/**
+ * Attach diffs and secret-scan results; proposals the scanner blocks are dropped
+ * @param {Object[]} proposals
+ * @param {Object} [options]
+ * @returns {Object} { proposals, security_scan }
+ */
+function finalizeProposals(proposals, options = {}) {
   // Generate diffs for all proposals
   const diffs = fileEngine.generateDiffs(proposals.map(p => p.change));
   
@@ -163,6 +230,7 @@ export async function generateProposals(projectPath, userIntent, metadata) {
     tests: p.tests || []
   }));
   
+  options.onProgress?.({ stage: 'secrets', message: `Scanning ${proposalsWithDiffs.length} proposal(s) for secrets` });
   const securityScan = scanProposals(proposalsWithDiffs);
   
   // Add security scores to proposals
@@ -177,26 +245,59 @@ export async function generateProposals(projectPath, userIntent, metadata) {
   const validProposals = proposalsWithSecurity.filter(p => !p.blocked);
   
   return {
-    success: true,
     proposals: validProposals,
     security_scan: {
       total_scanned: securityScan.proposals.length,
       blocked_count: securityScan.blocked_count,
       all_clean: securityScan.all_clean
-    },
-    message: 'Generated ' + proposals.length + ' proposal(s)'
+    }
   };
 }
 
 /**
- * Apply proposal by ID
+ * Apply a stored proposal by ID
+ * @param {string} projectPath
+ * @param {string} proposalId
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun=false] - Preview without writing files
+ * @param {boolean} [options.backup=true] - Back up files before modifying them
+ * @returns {Promise<Object>} Apply result
  */
 export async function applyProposal(projectPath, proposalId, options = {}) {
   const { dryRun = false, backup = true } = options;
   
-  // This would need to be stored in memory/session
-  // For now, we'll apply directly
-  return { success: false, error: 'Proposal storage not implemented yet' };
+  const record = getProposal(projectPath, proposalId);
+  
+  if (!record) {
+    return { success: false, error: 'Proposal not found: ' + proposalId };
+  }
+  
+  if (record.status !== PROPOSAL_STATUS.pending) {
+    return { success: false, error: 'Proposal is ' + record.status + ': ' + proposalId };
+  }
+  
+  const validation = validateProposal(record.proposal);
+  if (!validation.valid) {
+    return { success: false, errors: validation.errors, warnings: validation.warnings };
+  }
+  
+  if (dryRun) {
+    const preview = fileEngine.previewChanges(projectPath, [record.proposal.change]);
+    return { success: true, dryRun: true, result: preview[0], warnings: validation.warnings };
+  }
+  
+  const applyFn = backup ? fileEngine.applyWithBackup : fileEngine.applyWithoutBackup;
+  const result = applyFn(projectPath, [record.proposal.change])[0];
+  
+  if (result?.success) {
+    updateProposalStatus(projectPath, proposalId, PROPOSAL_STATUS.applied, { appliedAt: new Date().toISOString() });
+  }
+  
+  return {
+    success: result?.success || false,
+    result,
+    warnings: validation.warnings
+  };
 }
 
 /**
@@ -576,6 +677,7 @@ function generateRefactorProposal(projectPath, metadata) {
 
 export default {
   generateProposals,
+  proposalsFromChanges,
   applyProposal,
   validateProposal
 };
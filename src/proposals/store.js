@@ -0,0 +1,263 @@
+// Proposal Store - Persistent per-project proposal storage with status and TTL
+import fs from 'fs';
+import path from 'path';
+import { hashProjectPath, getMemoryConfig } from '../memory/storage.js';
+
+// Configuration
+const DEFAULT_PROPOSAL_TTL_DAYS = 7;
+const STORE_FILE = 'proposals.json';
+const LOCK_TIMEOUT_MS = 5000;
+const LOCK_RETRY_MS = 25;
+const STALE_LOCK_MS = 30000;
+
+/**
+ * Proposal lifecycle states
+ */
+export const PROPOSAL_STATUS = {
+  pending: 'pending',
+  applied: 'applied',
+  rejected: 'rejected',
+  expired: 'expired'
+};
+
+/**
+ * Get store configuration
+ */
+function getConfig() {
+  return {
+    memoryDir: getMemoryConfig().memoryDir,
+    ttlDays: parseInt(process.env.AI_CORE_PROPOSAL_TTL_DAYS || DEFAULT_PROPOSAL_TTL_DAYS, 10)
+  };
+}
+
+/**
+ * Get proposals file path for a project
+ * Lives next to runs.jsonl in the project's memory directory
+ */
+function getStorePath(projectPath) {
+  const projectDir = path.join(getConfig().memoryDir, hashProjectPath(projectPath));
+
+  if (!fs.existsSync(projectDir)) {
+    fs.mkdirSync(projectDir, { recursive: true });
+  }
+
+  return path.join(projectDir, STORE_FILE);
+}
+
+/**
+ * Read all records for a project, marking pending ones past their TTL as expired
+ */
+function readRecords(projectPath) {
+  const storePath = getStorePath(projectPath);
+
+  if (!fs.existsSync(storePath)) {
+    return [];
+  }
+
+  let records;
+  try {
+    records = JSON.parse(fs.readFileSync(storePath, 'utf-8')).proposals || [];
+  } catch (e) {
+    console.error('[ProposalStore] Corrupt store, ignoring:', storePath, e.message);
+    return [];
+  }
+
+  const now = new Date();
+  return records.map(record => {
+    if (record.status === PROPOSAL_STATUS.pending && new Date(record.expiresAt) < now) {
+      return { ...record, status: PROPOSAL_STATUS.expired, updatedAt: now.toISOString() };
+    }
+    return record;
+  });
+}
+
+/**
+ * Write records for a project (write to temp file, then rename)
+ */
+function writeRecords(projectPath, records) {
+  const storePath = getStorePath(projectPath);
+  const tmpPath = storePath + '.' + process.pid + '.tmp';
+
+  const data = {
+    projectHash: hashProjectPath(projectPath),
+    projectPath: path.resolve(projectPath),
+    proposals: records
+  };
+
+  fs.writeFileSync(tmpPath, JSON.stringify(data, null, 2), 'utf-8');
+  fs.renameSync(tmpPath, storePath);
+}
+
+/**
+ * Block the thread for a few milliseconds (the store API is synchronous)
+ */
+function sleep(ms) {
+  Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+}
+
+/**
+ * Run a read-modify-write of the store under an exclusive lock file, so an MCP server and a CLI
+ * working on the same project don't overwrite each other's proposals. A lock left behind by a
+ * crashed process is broken once it is older than STALE_LOCK_MS.
+ */
+function withLock(projectPath, fn) {
+  const lockPath = getStorePath(projectPath) + '.lock';
+  const deadline = Date.now() + LOCK_TIMEOUT_MS;
+
+  for (;;) {
+    try {
+      fs.closeSync(fs.openSync(lockPath, 'wx'));
+      break;
+    } catch (e) {
+      if (e.code !== 'EEXIST') throw e;
+    }
+
+    let age = 0;
+    try {
+      age = Date.now() - fs.statSync(lockPath).mtimeMs;
+    } catch (e) {
+      continue; // released in the meantime
+    }
+    if (age > STALE_LOCK_MS) {
+      console.error('[ProposalStore] Breaking stale lock:', lockPath);
+      fs.rmSync(lockPath, { force: true });
+      continue;
+    }
+    if (Date.now() > deadline) {
+      throw new Error('Proposal store is locked by another process: ' + lockPath);
+    }
+    sleep(LOCK_RETRY_MS);
+  }
+
+  try {
+    return fn();
+  } finally {
+    fs.rmSync(lockPath, { force: true });
+  }
+}
+
+/**
+ * Drop non-pending records whose last update is older than the TTL
+ */
+function pruneRecords(records) {
+  const cutoff = new Date();
+  cutoff.setDate(cutoff.getDate() - getConfig().ttlDays);
+
+  return records.filter(r => r.status === PROPOSAL_STATUS.pending || new Date(r.updatedAt) >= cutoff);
+}
+
+/**
+ * Persist newly generated proposals as pending
+ * @param {string} projectPath
+ * @param {Array} proposals - Proposals from generateProposals or the LLM
+ * @param {Object} [meta] - Extra context stored with each record (e.g. userIntent)
+ * @returns {Array} Stored records
+ */
+export function saveProposals(projectPath, proposals, meta = {}) {
+  const now = new Date();
+  const expiresAt = new Date(now);
+  expiresAt.setDate(expiresAt.getDate() + getConfig().ttlDays);
+
+  const newRecords = proposals.map(proposal => ({
+    id: proposal.id,
+    status: PROPOSAL_STATUS.pending,
+    createdAt: now.toISOString(),
+    updatedAt: now.toISOString(),
+    expiresAt: expiresAt.toISOString(),
+    ...meta,
+    proposal
+  }));
+
+  const newIds = new Set(newRecords.map(r => r.id));
+  withLock(projectPath, () => {
+    const records = pruneRecords(readRecords(projectPath)).filter(r => !newIds.has(r.id));
+    writeRecords(projectPath, [...records, ...newRecords]);
+  });
+
+  return newRecords;
+}
+
+/**
+ * List stored proposals for a project
+ * @param {string} projectPath
+ * @param {Object} [options]
+ * @param {string} [options.status] - Only return records with this status
+ * @returns {Array} Records, oldest first
+ */
+export function listProposals(projectPath, options = {}) {
+  const records = readRecords(projectPath);
+  return options.status ? records.filter(r => r.status === options.status) : records;
+}
+
+/**
+ * Get a stored proposal record by id
+ * @param {string} projectPath
+ * @param {string} proposalId
+ * @returns {Object|null} Record with status and the original proposal
+ */
+export function getProposal(projectPath, proposalId) {
+  return readRecords(projectPath).find(r => r.id === proposalId) || null;
+}
+
+/**
+ * Update the status of a stored proposal
+ * @param {string} projectPath
+ * @param {string} proposalId
+ * @param {string} status - One of PROPOSAL_STATUS
+ * @param {Object} [details] - Extra fields to record (e.g. patchId, reason)
+ * @returns {Object|null} Updated record, or null when not found
+ */
+export function updateProposalStatus(projectPath, proposalId, status, details = {}) {
+  if (!Object.values(PROPOSAL_STATUS).includes(status)) {
+    throw new Error('Invalid proposal status: ' + status);
+  }
+
+  return withLock(projectPath, () => {
+    const records = readRecords(projectPath);
+    const index = records.findIndex(r => r.id === proposalId);
+
+    if (index === -1) {
+      return null;
+    }
+
+    records[index] = {
+      ...records[index],
+      ...details,
+      status,
+      updatedAt: new Date().toISOString()
+    };
+
+    writeRecords(projectPath, records);
+
+    return records[index];
+  });
+}
+
+/**
+ * Persist expired state and drop old finished records
+ * @param {string} projectPath
+ * @returns {Object} { purged, remaining }
+ */
+export function purgeExpiredProposals(projectPath) {
+  return withLock(projectPath, () => {
+    const records = readRecords(projectPath);
+    const kept = pruneRecords(records);
+
+    writeRecords(projectPath, kept);
+
+    return {
+      purged: records.length - kept.length,
+      remaining: kept.length
+    };
+  });
+}
+
+export const proposalStore = {
+  saveProposals,
+  listProposals,
+  getProposal,
+  updateProposalStatus,
+  purgeExpiredProposals
+};
+
+export default proposalStore;
@@ -0,0 +1,142 @@
+// Tests for the SARIF and JUnit exporters of analyze() results
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { ruleId, withRuleId, toSarif, toJUnit, formatResult } from '../index.js';
+import { handleMessage } from '../../mcp-server/mcp-server.js';
+import { configure as configureAgentsBridge } from '../../agents-bridge.js';
+
+// analyze() output as the MCP server returns it (diagnostics tagged with agent and ruleId)
+const RESULT = {
+  summary: 'Executed 3 agent(s)',
+  agents: ['security', 'code', 'seo'],
+  diagnostics: [
+    {
+      severity: 'error', type: 'taint', rule: 'sql-injection', message: 'req.query.id reaches a SQL query - use parameterized queries',
+      file: 'src/db.js', line: 12, column: 5, path: [{ label: 'req.query.id', line: 10, column: 14 }, { label: 'db.query(...)', line: 12, column: 5 }]
+    },
+    { severity: 'info', type: 'taint', rule: 'sql-injection', message: 'Second finding', file: 'src/db.js', line: 20 },
+    { severity: 'warning', type: 'env-not-ignored', message: '.env not covered by .gitignore', file: '.env', line: 0 },
+    {
+      severity: 'warning', type: 'duplication', message: 'Lines 1-5 duplicate src/a.js:1-5 (106 tokens) - extract the shared code',
+      file: 'src/b file.js', line: 1, endLine: 5, duplicateOf: { file: 'src/a.js', line: 1, endLine: 5 }
+    },
+    { severity: 'info', type: 'no-files', message: 'No javascript code files found', file: '', line: 0 }
+  ].map((d, i) => withRuleId(d, i < 3 ? 'security' : 'code')),
+  changes: [],
+  proposals: []
+};
+
+describe('reporters', () => {
+  test('should derive stable rule ids from agent, type and rule', () => {
+    expect(ruleId({ type: 'taint', rule: 'xss' }, 'security')).toBe('security/taint/xss');
+    expect(ruleId({ type: 'timeout', agent: 'seo' })).toBe('seo/timeout');
+    expect(ruleId({ message: 'Plugin finding' }, 'licenses')).toBe('licenses/unclassified');
+    expect(ruleId({ type: 'analysis-error' })).toBe('ai-core/analysis-error');
+    expect(ruleId({ ruleId: 'custom/rule', type: 'x' }, 'licenses')).toBe('custom/rule');
+
+    // The agent already on a diagnostic (timeouts) wins over the one it is collected under
+    expect(withRuleId({ severity: 'error', type: 'timeout', agent: 'seo' }, 'code')).toEqual({ severity: 'error', type: 'timeout', agent: 'seo', ruleId: 'seo/timeout' });
+  });
+
+  test('should export SARIF 2.1.0 with one tool extension per agent', () => {
+    const sarif = toSarif(RESULT, { projectPath: '/work/shop' });
+    expect(sarif.version).toBe('2.1.0');
+    const [run] = sarif.runs;
+    expect(run.originalUriBaseIds.SRCROOT.uri).toBe('file:///work/shop/');
+    expect(run.tool.driver.name).toBe('ai-core');
+    expect(run.tool.extensions.map(e => [e.name, e.rules.map(r => r.id)])).toEqual([
+      ['security', ['security/taint/sql-injection', 'security/env-not-ignored']],
+      ['code', ['code/duplication', 'code/no-files']],
+      ['seo', []]
+    ]);
+    expect(run.tool.extensions[0].rules[0]).toMatchObject({ shortDescription: { text: 'Taint: sql injection' }, defaultConfiguration: { level: 'error' } });
+
+    const [taint, second, env, duplication, noFiles] = run.results;
+    expect(taint).toMatchObject({
+      ruleId: 'security/taint/sql-injection',
+      rule: { id: 'security/taint/sql-injection', index: 0, toolComponent: { index: 0 } },
+      level: 'error',
+      locations: [{ physicalLocation: { artifactLocation: { uri: 'src/db.js', uriBaseId: 'SRCROOT' }, region: { startLine: 12, startColumn: 5 } } }]
+    });
+    expect(taint.codeFlows[0].threadFlows[0].locations.map(l => [l.location.message.text, l.location.physicalLocation.region.startLine])).toEqual([
+      ['req.query.id', 10], ['db.query(...)', 12]
+    ]);
+    expect(second).toMatchObject({ level: 'note', rule: { index: 0 } });
+    // Project-level findings point at the file without a region
+    expect(env.locations[0].physicalLocation).toEqual({ artifactLocation: { uri: '.env', uriBaseId: 'SRCROOT' } });
+    expect(duplication.locations[0].physicalLocation).toMatchObject({ artifactLocation: { uri: 'src/b%20file.js' }, region: { startLine: 1, endLine: 5 } });
+    expect(duplication.relatedLocations[0].physicalLocation.artifactLocation.uri).toBe('src/a.js');
+    expect(noFiles).not.toHaveProperty('locations');
+  });
+
+  test('should export JUnit XML with failing warnings and errors', () => {
+    const xml = toJUnit({
+      ...RESULT,
+      diagnostics: [...RESULT.diagnostics, withRuleId({ severity: 'error', type: 'analysis-error', message: 'Bad <input> & "quotes"', file: '', line: 0 })]
+    });
+    expect(xml).toMatch(/^<\?xml version="1.0" encoding="UTF-8"\?>\n<testsuites name="ai-core" tests="7" failures="4" errors="0">\n/);
+    expect(xml).toContain('<testsuite name="security" tests="3" failures="2" errors="0" skipped="0">');
+    expect(xml).toContain('<testcase classname="security/taint/sql-injection" name="src/db.js:12: req.query.id reaches a SQL query - use parameterized queries">\n' +
+      '      <failure type="security/taint/sql-injection" message="req.query.id reaches a SQL query - use parameterized queries">error: req.query.id reaches a SQL query - use parameterized queries\nat src/db.js:12</failure>');
+    expect(xml).toContain('<testcase classname="security/taint/sql-injection" name="src/db.js:20: Second finding"/>');
+    // Agents that ran cleanly still show up as a passing suite
+    expect(xml).toContain('<testsuite name="seo" tests="1" failures="0" errors="0" skipped="0">\n    <testcase classname="seo" name="No problems found"/>');
+    expect(xml).toContain('<failure type="ai-core/analysis-error" message="Bad &lt;input&gt; &amp; &quot;quotes&quot;">');
+    expect(() => formatResult(RESULT, 'html')).toThrow('Unknown format: html (expected json, sarif, junit)');
+  });
+
+  describe('run_agents format option', () => {
+    const testDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ai-core-reporters-'));
+    const projectPath = path.join(testDir, 'project');
+    const originalMemoryDir = process.env.AI_CORE_MEMORY_DIR;
+    const originalConsoleError = console.error;
+
+    beforeAll(() => {
+      // Keep runs and auto-registered projects out of the real knowledge base
+      process.env.AI_CORE_MEMORY_DIR = path.join(testDir, 'memory');
+      configureAgentsBridge(path.join(testDir, 'agents'));
+      fs.mkdirSync(path.join(projectPath, 'src'), { recursive: true });
+      fs.writeFileSync(path.join(projectPath, 'package.json'), '{}');
+      fs.writeFileSync(path.join(projectPath, 'src/db.js'), "export const find = (req, db) => db.query('SELECT * FROM users WHERE id = ' + req.query.id);\n");
+      console.error = () => {};
+    });
+
+    afterAll(() => {
+      console.error = originalConsoleError;
+      configureAgentsBridge('./agents');
+      if (originalMemoryDir === undefined) {
+        delete process.env.AI_CORE_MEMORY_DIR;
+      } else {
+        process.env.AI_CORE_MEMORY_DIR = originalMemoryDir;
+      }
+      fs.rmSync(testDir, { recursive: true, force: true });
+    });
+
+    const runAgents = async args => {
+      const raw = await handleMessage(JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'tools/call', params: { name: 'run_agents', arguments: args } }));
+      return JSON.parse(raw).result;
+    };
+
+    test('should answer with SARIF or JUnit text instead of the JSON result', async () => {
+      const args = { projectPath, userIntent: 'security audit', generateProposals: false };
+      const json = JSON.parse((await runAgents(args)).content[0].text);
+      expect(json.agents).toContain('security');
+      const taint = json.diagnostics.find(d => d.type === 'taint');
+      expect(taint).toMatchObject({ agent: 'security', ruleId: 'security/taint/sql-injection', file: 'src/db.js', line: 1 });
+      expect(json.diagnostics.every(d => d.ruleId && !d.ruleId.endsWith('/unclassified'))).toBe(true);
+
+      const sarif = JSON.parse((await runAgents({ ...args, format: 'sarif' })).content[0].text);
+      expect(sarif.runs[0].results.map(r => r.ruleId)).toContain('security/taint/sql-injection');
+      expect(sarif.runs[0].originalUriBaseIds.SRCROOT.uri).toBe(`file://${projectPath}/`);
+
+      const junit = (await runAgents({ ...args, format: 'junit' })).content[0].text;
+      expect(junit).toMatch(/^<\?xml/);
+      expect(junit).toContain('<failure type="security/taint/sql-injection"');
+
+      const invalid = await runAgents({ ...args, format: 'html' });
+      expect(invalid.isError).toBe(true);
+      expect(invalid.content[0].text).toBe('Unknown format: html (expected json, sarif, junit)');
+    });
+  });
+});
@@ -0,0 +1,240 @@
+// Reporters - Export analyze() diagnostics as SARIF 2.1.0 (code scanning) or JUnit XML (CI test reporters)
+import path from 'path';
+import { pathToFileURL } from 'url';
+
+/**
+ * Output formats accepted by the CLI (--format) and the run_agents tool (format)
+ */
+export const FORMATS = ['json', 'sarif', 'junit'];
+
+const TOOL_NAME = 'ai-core';
+const SARIF_VERSION = '2.1.0';
+const SARIF_SCHEMA = 'https://json.schemastore.org/sarif-2.1.0.json';
+const SARIF_LEVELS = { error: 'error', warning: 'warning', info: 'note' };
+const SEVERITY_RANK = { info: 0, warning: 1, error: 2 };
+
+/**
+ * Stable rule id of a diagnostic: `<agent>/<type>[/<rule>]`, e.g. `security/taint/sql-injection`
+ * Diagnostics without a type (plugin agents) share the agent's `unclassified` rule.
+ * @param {Object} diagnostic - Problem
+ * @param {string} [agentId] - Agent that reported it (defaults to diagnostic.agent)
+ * @returns {string}
+ */
+export function ruleId(diagnostic, agentId = diagnostic.agent) {
+  if (diagnostic.ruleId) return diagnostic.ruleId;
+  return [agentId || TOOL_NAME, diagnostic.type || 'unclassified', diagnostic.rule].filter(Boolean).join('/');
+}
+
+/**
+ * Attach the reporting agent and the rule id to a diagnostic
+ * @param {Object} diagnostic
+ * @param {string} [agentId]
+ * @returns {Object} Problem with `agent` (when known) and `ruleId`
+ */
+export function withRuleId(diagnostic, agentId) {
+  const agent = diagnostic.agent || agentId;
+  return { ...diagnostic, ...(agent && { agent }), ruleId: ruleId(diagnostic, agent) };
+}
+
+/**
+ * Project-relative, forward-slash, URI-encoded path
+ */
+function fileUri(file, projectPath) {
+  const relative = projectPath && path.isAbsolute(file) ? path.relative(projectPath, file) : file;
+  return encodeURI(relative.split(path.sep).join('/')).replace(/[?#]/g, encodeURIComponent);
+}
+
+/**
+ * SARIF location for a file and optional 1-based line/column range
+ */
+function sarifLocation(file, { line, column, endLine } = {}, projectPath) {
+  return {
+    physicalLocation: {
+      artifactLocation: { uri: fileUri(file, projectPath), uriBaseId: 'SRCROOT' },
+      ...(line > 0 && {
+        region: {
+          startLine: line,
+          ...(column > 0 && { startColumn: column }),
+          ...(endLine > line && { endLine })
+        }
+      })
+    }
+  };
+}
+
+/**
+ * Human-readable rule description from its id parts, e.g. 'Taint: sql injection'
+ */
+function ruleDescription(diagnostic) {
+  const text = [diagnostic.type || 'unclassified', diagnostic.rule].filter(Boolean).join(': ').replace(/-/g, ' ');
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+/**
+ * Convert an analyze() result to a SARIF 2.1.0 log
+ * ai-core is the driver; every agent that ran or reported is a tool extension holding its rules.
+ * @param {Object} result - analyze() output ({ diagnostics, agents })
+ * @param {Object} [options]
+ * @param {string} [options.projectPath] - Project root, recorded as the SRCROOT base of all locations
+ * @returns {Object} SARIF log
+ */
+export function toSarif(result, options = {}) {
+  const { projectPath } = options;
+  const driver = { name: TOOL_NAME, rules: [] };
+  const extensions = [];
+  const components = new Map([[TOOL_NAME, { component: driver, index: null, rules: new Map() }]]);
+
+  const componentFor = agent => {
+    if (!components.has(agent)) {
+      const component = { name: agent, rules: [] };
+      extensions.push(component);
+      components.set(agent, { component, index: extensions.length - 1, rules: new Map() });
+    }
+    return components.get(agent);
+  };
+  for (const agent of result.agents || []) componentFor(agent);
+
+  const results = (result.diagnostics || []).map(diagnostic => {
+    const severity = SARIF_LEVELS[diagnostic.severity] ? diagnostic.severity : 'warning';
+    const owner = componentFor(diagnostic.agent || TOOL_NAME);
+    const id = ruleId(diagnostic);
+
+    if (!owner.rules.has(id)) {
+      owner.rules.set(id, owner.component.rules.length);
+      owner.component.rules.push({
+        id,
+        shortDescription: { text: ruleDescription(diagnostic) },
+        defaultConfiguration: { level: SARIF_LEVELS[severity] },
+        properties: { severity }
+      });
+    }
+    const index = owner.rules.get(id);
+    // The rule's default level is the most severe level it was reported at
+    const rule = owner.component.rules[index];
+    if (SEVERITY_RANK[severity] > SEVERITY_RANK[rule.properties.severity]) {
+      rule.defaultConfiguration.level = SARIF_LEVELS[severity];
+      rule.properties.severity = severity;
+    }
+
+    return {
+      ruleId: id,
+      ...(owner.index === null
+        ? { ruleIndex: index }
+        : { rule: { id, index, toolComponent: { index: owner.index } } }),
+      level: SARIF_LEVELS[severity],
+      message: { text: diagnostic.message },
+      ...(diagnostic.file && { locations: [sarifLocation(diagnostic.file, diagnostic, projectPath)] }),
+      // Taint findings: source -> sink steps
+      ...(diagnostic.file && diagnostic.path?.length > 0 && {
+        codeFlows: [{
+          threadFlows: [{
+            locations: diagnostic.path.map(step => ({
+              location: { ...sarifLocation(diagnostic.file, step, projectPath), message: { text: step.label } }
+            }))
+          }]
+        }]
+      }),
+      // Duplication findings: the other copy
+      ...(diagnostic.duplicateOf?.file && {
+        relatedLocations: [{
+          id: 0,
+          ...sarifLocation(diagnostic.duplicateOf.file, diagnostic.duplicateOf, projectPath),
+          message: { text: 'Duplicated code' }
+        }]
+      })
+    };
+  });
+
+  return {
+    $schema: SARIF_SCHEMA,
+    version: SARIF_VERSION,
+    runs: [{
+      tool: { driver, ...(extensions.length > 0 && { extensions }) },
+      ...(projectPath && { originalUriBaseIds: { SRCROOT: { uri: pathToFileURL(path.resolve(projectPath)).href + '/' } } }),
+      invocations: [{ executionSuccessful: !result.cancelled }],
+      results
+    }]
+  };
+}
+
+/**
+ * Escape text for XML attributes and content (drops characters XML 1.0 cannot carry)
+ */
+function escapeXml(text) {
+  return String(text)
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * Convert an analyze() result to JUnit XML
+ * One test suite per agent and one test case per diagnostic: errors and warnings fail,
+ * info diagnostics pass. Agents that ran without reporting anything get a passing case.
+ * @param {Object} result - analyze() output ({ diagnostics, agents })
+ * @returns {string} JUnit XML document
+ */
+export function toJUnit(result) {
+  const suites = new Map((result.agents || []).map(agent => [agent, []]));
+  for (const diagnostic of result.diagnostics || []) {
+    const agent = diagnostic.agent || TOOL_NAME;
+    if (!suites.has(agent)) suites.set(agent, []);
+    suites.get(agent).push(diagnostic);
+  }
+
+  let tests = 0;
+  let failures = 0;
+  const body = [...suites].map(([agent, diagnostics]) => {
+    const cases = diagnostics.map(diagnostic => {
+      const id = ruleId(diagnostic);
+      const location = diagnostic.file ? `${diagnostic.file}${diagnostic.line > 0 ? `:${diagnostic.line}` : ''}` : '';
+      const name = location ? `${location}: ${diagnostic.message}` : diagnostic.message;
+      const failed = diagnostic.severity === 'error' || diagnostic.severity === 'warning';
+      const open = `    <testcase classname="${escapeXml(id)}" name="${escapeXml(name)}"`;
+      if (!failed) return `${open}/>`;
+      const details = `${diagnostic.severity}: ${diagnostic.message}${location ? `\nat ${location}` : ''}`;
+      return `${open}>\n      <failure type="${escapeXml(id)}" message="${escapeXml(diagnostic.message)}">${escapeXml(details)}</failure>\n    </testcase>`;
+    });
+    if (cases.length === 0) {
+      cases.push(`    <testcase classname="${escapeXml(agent)}" name="No problems found"/>`);
+    }
+    const suiteFailures = diagnostics.filter(d => d.severity === 'error' || d.severity === 'warning').length;
+    tests += cases.length;
+    failures += suiteFailures;
+    return `  <testsuite name="${escapeXml(agent)}" tests="${cases.length}" failures="${suiteFailures}" errors="0" skipped="0">\n${cases.join('\n')}\n  </testsuite>`;
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="${TOOL_NAME}" tests="${tests}" failures="${failures}" errors="0">`,
+    ...body,
+    '</testsuites>',
+    ''
+  ].join('\n');
+}
+
+/**
+ * Serialize an analyze() result in one of FORMATS
+ * @param {Object} result - analyze() output
+ * @param {string} [format] - 'json' (default), 'sarif' or 'junit'
+ * @param {Object} [options] - Passed to the exporter ({ projectPath } for SARIF)
+ * @returns {string}
+ * @throws {Error} On an unknown format
+ */
+export function formatResult(result, format = 'json', options = {}) {
+  switch (format) {
+    case 'json':
+      return JSON.stringify(result, null, 2);
+    case 'sarif':
+      return JSON.stringify(toSarif(result, options), null, 2);
+    case 'junit':
+      return toJUnit(result);
+    default:
+      throw new Error(`Unknown format: ${format} (expected ${FORMATS.join(', ')})`);
+  }
+}
+
+export default { FORMATS, ruleId, withRuleId, toSarif, toJUnit, formatResult };
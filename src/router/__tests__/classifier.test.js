@@ -0,0 +1,171 @@
+// Offline intent classifier tests
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  tokenize,
+  trainClassifier,
+  predictProbabilities,
+  saveClassifier,
+  buildClassifier,
+  getClassifier,
+  getClassifierPath
+} from '../classifier.js';
+import { route } from '../index.js';
+import { appendRun } from '../../memory/storage.js';
+import { saveProposals, updateProposalStatus, PROPOSAL_STATUS } from '../../proposals/store.js';
+import { configure as configureAgentsBridge } from '../../agents-bridge.js';
+
+const EXAMPLES = [
+  { text: 'crear endpoint para pedidos', label: 'backend' },
+  { text: 'agregar tabla de usuarios a la base de datos', label: 'backend' },
+  { text: 'optimizar meta tags SEO', label: 'seo' },
+  { text: 'mejorar sitemap y SEO', label: 'seo' },
+  { text: 'crear componente de botón', label: 'frontend' },
+  { text: 'agregar animación al componente', label: 'frontend' }
+];
+
+const DB_RUNS = [
+  'add an index to the orders table',
+  'rename a column in the invoices table',
+  'create the customers table',
+  'drop an unused column from the payments table'
+];
+
+/**
+ * Record an analyze run whose proposal the user applied (or left pending)
+ */
+function recordRun(projectPath, userIntent, agentId, applied = true) {
+  appendRun(projectPath, { agents: [agentId], userIntent, success: true, summary: 'ok' });
+  const id = `${agentId}-${userIntent.replace(/\W+/g, '-')}`;
+  saveProposals(projectPath, [{ id, agent: agentId, type: 'suggestion' }], { userIntent });
+  if (applied) updateProposalStatus(projectPath, id, PROPOSAL_STATUS.applied);
+}
+
+describe('intent classifier', () => {
+  const originalConsoleError = console.error;
+  const originalConsoleLog = console.log;
+  const originalMemoryDir = process.env.AI_CORE_MEMORY_DIR;
+  let testDir;
+
+  beforeEach(() => {
+    console.error = () => {};
+    console.log = () => {};
+    testDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ai-core-classifier-'));
+    process.env.AI_CORE_MEMORY_DIR = path.join(testDir, 'memory');
+  });
+
+  afterEach(() => {
+    console.error = originalConsoleError;
+    console.log = originalConsoleLog;
+    if (originalMemoryDir === undefined) {
+      delete process.env.AI_CORE_MEMORY_DIR;
+    } else {
+      process.env.AI_CORE_MEMORY_DIR = originalMemoryDir;
+    }
+    fs.rmSync(testDir, { recursive: true, force: true });
+  });
+
+  test('should tokenize into accent-free unigrams and bigrams without stopwords', () => {
+    expect(tokenize('Crear la migración de Usuarios')).toEqual([
+      'crear', 'migracion', 'usuarios', 'crear migracion', 'migracion usuarios'
+    ]);
+  });
+
+  test('should return per-agent probabilities that sum to 1', () => {
+    const model = trainClassifier(EXAMPLES);
+    const probabilities = predictProbabilities(model, 'nuevo endpoint de usuarios');
+    const total = Object.values(probabilities).reduce((a, b) => a + b, 0);
+
+    expect(Object.keys(probabilities).sort()).toEqual(['backend', 'frontend', 'seo']);
+    expect(total).toBeCloseTo(1);
+    expect(probabilities.backend).toBeGreaterThan(probabilities.seo);
+    expect(model.temperature).toBeGreaterThan(0);
+  });
+
+  test('should return null when no known feature matches', () => {
+    expect(predictProbabilities(trainClassifier(EXAMPLES), 'zzz qqq')).toBeNull();
+  });
+
+  test('should learn only from applied proposals and persist next to memory', () => {
+    const project = path.join(testDir, 'project');
+    for (const userIntent of DB_RUNS) {
+      recordRun(project, userIntent, 'backend');
+    }
+    // Successful by the router's own account, but never confirmed by the user
+    recordRun(project, 'fix the users table', 'frontend', false);
+
+    const result = buildClassifier({ promptsFile: null });
+
+    expect(result.success).toBe(true);
+    expect(result.sources).toEqual({ prompts: 0, confirmed: 4 });
+    expect(result.modelPath).toBe(path.join(testDir, 'intent-classifier.json'));
+    expect(fs.existsSync(getClassifierPath())).toBe(true);
+    expect(getClassifier().labels).toEqual(['backend']);
+  });
+
+  test('should train in memory without writing the model file', () => {
+    const model = getClassifier({ reload: true });
+
+    expect(model.labels).toContain('backend');
+    expect(fs.existsSync(getClassifierPath())).toBe(false);
+  });
+
+  test('should prefer the model persisted by buildClassifier', () => {
+    recordRun(path.join(testDir, 'project'), DB_RUNS[0], 'backend');
+    buildClassifier({ promptsFile: null });
+
+    expect(getClassifier({ reload: true }).labels).toEqual(['backend']);
+  });
+
+  test('should route a prompt that keywords miss and feed keywordsScore', async () => {
+    const agentsDir = path.join(testDir, 'agents');
+    fs.mkdirSync(path.join(agentsDir, 'orchestrator', 'projects'), { recursive: true });
+    fs.writeFileSync(path.join(agentsDir, 'orchestrator', 'projects', '_index.json'), JSON.stringify({ projects: [] }));
+    configureAgentsBridge(agentsDir);
+
+    for (const userIntent of DB_RUNS) {
+      recordRun(path.join(testDir, 'project'), userIntent, 'backend');
+    }
+    getClassifier({ reload: true });
+
+    try {
+      const result = await route({
+        metadata: { language: 'javascript', projectType: 'saas' },
+        userIntent: 'add a new column to the users table',
+        projectPath: path.join(testDir, 'project')
+      });
+
+      expect(result.agents.map(a => a.agentId)).toContain('backend');
+      expect(result.reason).toMatch(/Classifier: backend \(0\.\d\d\)/);
+      expect(result.scores.keywords).toBe(result.scores.agentProbabilities.backend);
+      expect(result.scores.keywords).toBeGreaterThanOrEqual(0.5);
+    } finally {
+      configureAgentsBridge('./agents');
+    }
+  });
+
+  test('should keep the keyword score when the classifier has not seen the agent', async () => {
+    const agentsDir = path.join(testDir, 'agents');
+    fs.mkdirSync(path.join(agentsDir, 'orchestrator', 'projects'), { recursive: true });
+    fs.writeFileSync(path.join(agentsDir, 'orchestrator', 'projects', '_index.json'), JSON.stringify({ projects: [] }));
+    configureAgentsBridge(agentsDir);
+
+    // Three labels share the only known token, so none reaches the selection threshold
+    saveClassifier(trainClassifier(['backend', 'frontend', 'test'].map(label => ({ text: 'gizmo', label }))));
+
+    try {
+      const result = await route({
+        metadata: { language: 'javascript', projectType: 'saas' },
+        userIntent: 'seo gizmo',
+        projectPath: path.join(testDir, 'project')
+      });
+
+      expect(result.agents.map(a => a.agentId)).toEqual(['seo']);
+      expect(result.scores.agentProbabilities.seo).toBeUndefined();
+      expect(result.scores.keywords).toBe(0.5);
+    } finally {
+      configureAgentsBridge('./agents');
+    }
+  });
+});
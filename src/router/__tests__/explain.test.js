@@ -0,0 +1,137 @@
+// Router explain mode (decision trace) tests
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { route } from '../index.js';
+import { applyFallbackRules } from '../../orchestrator/index.js';
+import { configure as configureAgentsBridge } from '../../agents-bridge.js';
+import { loadTriggerPacks } from '../../triggers/index.js';
+
+describe('router explain mode', () => {
+  const originalConsoleError = console.error;
+  const originalConsoleLog = console.log;
+  const originalMemoryDir = process.env.AI_CORE_MEMORY_DIR;
+  let testDir;
+
+  beforeEach(() => {
+    console.error = () => {};
+    console.log = () => {};
+    testDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ai-core-explain-'));
+    process.env.AI_CORE_MEMORY_DIR = path.join(testDir, 'memory');
+
+    const agentsDir = path.join(testDir, 'agents');
+    fs.mkdirSync(path.join(agentsDir, 'orchestrator', 'projects'), { recursive: true });
+    fs.writeFileSync(path.join(agentsDir, 'orchestrator', 'projects', '_index.json'), JSON.stringify({ projects: [] }));
+    configureAgentsBridge(agentsDir);
+  });
+
+  afterEach(() => {
+    configureAgentsBridge('./agents');
+    console.error = originalConsoleError;
+    console.log = originalConsoleLog;
+    if (originalMemoryDir === undefined) {
+      delete process.env.AI_CORE_MEMORY_DIR;
+    } else {
+      process.env.AI_CORE_MEMORY_DIR = originalMemoryDir;
+    }
+    fs.rmSync(testDir, { recursive: true, force: true });
+  });
+
+  test('should only return a trace when asked', async () => {
+    const result = await route({
+      metadata: { language: 'javascript', projectType: 'landing' },
+      userIntent: 'mejorar el SEO',
+      projectPath: path.join(testDir, 'project')
+    });
+
+    expect(result.trace).toBeUndefined();
+  });
+
+  test('should trace keyword matches and why other agents were rejected', async () => {
+    const { trace } = await route({
+      metadata: { language: 'javascript', projectType: 'landing' },
+      userIntent: 'mejorar el SEO',
+      projectPath: path.join(testDir, 'project'),
+      explain: true
+    });
+
+    expect(trace.llm).toEqual({ consulted: false, selected: [] });
+    expect(trace.keywords.matches.seo).toEqual(['seo']);
+    expect(trace.selected).toEqual([{ agentId: 'seo', steps: ['keyword'], supportsLanguage: true }]);
+    expect(trace.context.consulted).toBe(false);
+    expect(trace.rejected.map(r => r.agentId).sort()).toEqual(['backend', 'code', 'database', 'frontend', 'security', 'test']);
+    expect(trace.rejected.find(r => r.agentId === 'backend').reason)
+      .toMatch(/^no keyword matched; .*context and default steps skipped \(agents already selected\)$/);
+  });
+
+  test('should weigh trigger terms when matching agents and project types', async () => {
+    const packDir = path.join(testDir, 'packs');
+    fs.mkdirSync(packDir);
+    fs.writeFileSync(path.join(packDir, 'weights.json'), JSON.stringify({
+      name: 'weights',
+      sets: {
+        agents: { seo: { es: [{ term: 'posicionamiento', weight: 0.5 }, { term: 'ranking', weight: 0.5 }] } },
+        projectTypes: { ecommerce: { es: [{ term: 'tienda online', weight: 3 }] } }
+      }
+    }));
+    process.env.AI_CORE_TRIGGER_PACKS = packDir;
+    loadTriggerPacks({ reload: true });
+
+    try {
+      const explainRoute = userIntent => route({
+        metadata: { language: 'javascript' },
+        userIntent,
+        projectPath: path.join(testDir, 'project'),
+        explain: true
+      });
+
+      // A half-weight term alone does not pick the agent; two of them do
+      const weak = await explainRoute('revisar el posicionamiento del dashboard de la tienda online');
+      expect(weak.trace.keywords.scores.seo).toBe(0.5);
+      expect(weak.trace.selected.map(s => s.agentId)).not.toContain('seo');
+      expect(weak.trace.rejected.find(r => r.agentId === 'seo').reason).toMatch(/^keyword weight 0\.5 < 1 \(posicionamiento\); /);
+      // "tienda online" (3) outweighs the saas "dashboard" (1)
+      expect(weak.trace.projectType.detectedFromPrompt).toBe('ecommerce');
+
+      const strong = await explainRoute('mejorar el posicionamiento y el ranking');
+      expect(strong.trace.keywords.scores.seo).toBe(1);
+      expect(strong.agents.map(a => a.agentId)).toContain('seo');
+    } finally {
+      delete process.env.AI_CORE_TRIGGER_PACKS;
+      loadTriggerPacks({ reload: true });
+    }
+  });
+
+  test('should trace framework defaults when nothing else matches', async () => {
+    const { trace, reason } = await route({
+      metadata: { language: 'javascript', framework: 'react' },
+      userIntent: 'zzz qqq',
+      projectPath: path.join(testDir, 'project'),
+      explain: true
+    });
+
+    expect(reason).toBe('Default for react');
+    expect(trace.context).toMatchObject({ consulted: true, impliedAgents: [] });
+    expect(trace.defaults).toEqual({ consulted: true, basis: 'react', agents: ['frontend'] });
+    expect(trace.selected).toEqual([{ agentId: 'frontend', steps: ['default'], supportsLanguage: true }]);
+    expect(trace.rejected.find(r => r.agentId === 'seo').reason).toBe('no keyword matched; not a default for react');
+  });
+
+  test('should explain the score inputs and the route threshold', () => {
+    const result = applyFallbackRules({
+      keywordsScore: 1,
+      profileMatchScore: 0.5,
+      historicalSuccessScore: 0.5,
+      complexityEstimate: 0.3,
+      explain: true
+    });
+
+    expect(result.trace).toEqual({
+      inputs: { keywordsScore: 1, profileMatchScore: 0.5, historicalSuccessScore: 0.5, complexityEstimate: 0.3 },
+      historySource: 'explicit',
+      thresholds: { autoApplyThreshold: 0.7, llmFallbackThreshold: 0.4 },
+      because: 'score 0.72 >= autoApplyThreshold 0.7'
+    });
+    expect(applyFallbackRules({ keywordsScore: 1 }).trace).toBeUndefined();
+  });
+});
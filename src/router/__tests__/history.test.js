@@ -0,0 +1,97 @@
+// Historical success rate tests
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { computeSuccessRates, getHistoricalSuccess } from '../history.js';
+import { appendRun } from '../../memory/storage.js';
+import { applyFallbackRules } from '../../orchestrator/index.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const now = Date.parse('2026-03-01T00:00:00Z');
+
+function run(daysAgo, agents, userIntent, success) {
+  return { timestamp: new Date(now - daysAgo * DAY_MS).toISOString(), agents, userIntent, success };
+}
+
+describe('historical success rates', () => {
+  const originalConsoleError = console.error;
+  const originalMemoryDir = process.env.AI_CORE_MEMORY_DIR;
+  let testDir;
+
+  beforeEach(() => {
+    console.error = () => {};
+    testDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ai-core-history-'));
+    process.env.AI_CORE_MEMORY_DIR = path.join(testDir, 'memory');
+  });
+
+  afterEach(() => {
+    console.error = originalConsoleError;
+    if (originalMemoryDir === undefined) {
+      delete process.env.AI_CORE_MEMORY_DIR;
+    } else {
+      process.env.AI_CORE_MEMORY_DIR = originalMemoryDir;
+    }
+    fs.rmSync(testDir, { recursive: true, force: true });
+  });
+
+  test('should compute per-agent and per-category rates', () => {
+    const { agents, categories } = computeSuccessRates([
+      run(0, ['seo'], 'optimizar seo', true),
+      run(0, ['seo'], 'optimizar seo', true),
+      run(0, ['seo', 'frontend'], 'seo y componente', false),
+      run(0, ['seo'], 'metadata seo', true)
+    ], { now, minSamples: 3 });
+
+    expect(agents.seo.rate).toBeCloseTo(0.75);
+    expect(agents.seo.samples).toBe(4);
+    expect(categories.seo.rate).toBeCloseTo(0.75);
+  });
+
+  test('should weight recent runs more than old ones', () => {
+    const { agents } = computeSuccessRates([
+      run(0, ['backend'], 'api', true),
+      run(28, ['backend'], 'api', false),
+      run(28, ['backend'], 'api', false)
+    ], { now, halfLifeDays: 14, minSamples: 3 });
+
+    // 1 / (1 + 0.25 + 0.25)
+    expect(agents.backend.rate).toBeCloseTo(1 / 1.5);
+  });
+
+  test('should not report a rate below the minimum sample size', () => {
+    const { agents } = computeSuccessRates([
+      run(0, ['security'], 'jwt', false),
+      run(0, ['security'], 'jwt', false)
+    ], { now, minSamples: 3 });
+
+    expect(agents.security).toEqual(expect.objectContaining({ rate: null, samples: 2 }));
+  });
+
+  test('should stay neutral for a project without enough history', () => {
+    const result = getHistoricalSuccess(path.join(testDir, 'project'), { agentIds: ['seo'], userIntent: 'seo' });
+
+    expect(result.rate).toBe(0.5);
+    expect(result.source).toBe('default');
+    expect(result.agents.seo.samples).toBe(0);
+  });
+
+  test('should feed the memory rate into the fallback score breakdown', () => {
+    const projectPath = path.join(testDir, 'project');
+    for (let i = 0; i < 3; i++) {
+      appendRun(projectPath, { agents: ['seo'], userIntent: 'mejorar seo', success: false, summary: 'failed' });
+    }
+
+    const result = applyFallbackRules({
+      keywordsScore: 0.5,
+      profileMatchScore: 0.5,
+      complexityEstimate: 0.3,
+      userIntent: 'mejorar seo',
+      projectPath,
+      agentIds: ['seo']
+    });
+
+    expect(result.history.source).toBe('history');
+    expect(result.breakdown.historicalRate).toBe(0);
+    expect(result.breakdown.historical).toBe(0);
+  });
+});
@@ -0,0 +1,324 @@
+// Intent Classifier - Offline naive Bayes intent→agent classifier trained from labeled prompts and user-applied proposals
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { getAllRuns, getMemoryConfig } from '../memory/storage.js';
+import { listProposals, PROPOSAL_STATUS } from '../proposals/store.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const DEFAULT_PROMPTS_FILE = path.join(__dirname, '../../tests/ab_prompts.json');
+const MODEL_VERSION = 1;
+const DEFAULT_MAX_AGE_HOURS = 24; // Retrain the in-memory model so newly applied proposals are picked up
+const ALPHA = 1; // Laplace smoothing
+const FOLDS = 5;
+const TEMPERATURES = [0.25, 0.5, 0.75, 1, 1.5, 2, 3, 4, 6, 8, 12, 16, 24, 32];
+
+// Function words (en/es) that carry no routing signal
+const STOPWORDS = new Set([
+  'a', 'an', 'the', 'to', 'of', 'for', 'and', 'or', 'in', 'on', 'with', 'my', 'our', 'new',
+  'el', 'la', 'los', 'las', 'un', 'una', 'de', 'del', 'al', 'para', 'por', 'con', 'en', 'y', 'o', 'que', 'mi', 'nuevo', 'nueva'
+]);
+
+let cached = null;
+
+/**
+ * Model location: next to the memory it learns from (~/.ai-core/intent-classifier.json),
+ * unless AI_CORE_CLASSIFIER_PATH is set
+ */
+export function getClassifierPath() {
+  const { memoryDir } = getMemoryConfig();
+  return process.env.AI_CORE_CLASSIFIER_PATH || path.join(memoryDir, '..', 'intent-classifier.json');
+}
+
+/**
+ * Whether an in-memory model should be retrained
+ */
+function isStale(model) {
+  const maxAgeHours = parseFloat(process.env.AI_CORE_CLASSIFIER_MAX_AGE_HOURS || DEFAULT_MAX_AGE_HOURS);
+  const age = Date.now() - new Date(model.trainedAt).getTime();
+  return !(age <= maxAgeHours * 60 * 60 * 1000);
+}
+
+/**
+ * Normalize a prompt into unigram + bigram features (lowercase, accents stripped)
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function tokenize(text) {
+  const words = String(text || '')
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .split(/[^a-z0-9+#.]+/)
+    .map(w => w.replace(/^\.+|\.+$/g, ''))
+    .filter(w => w.length >= 2 && !STOPWORDS.has(w));
+
+  const bigrams = words.slice(1).map((w, i) => `${words[i]} ${w}`);
+  return [...words, ...bigrams];
+}
+
+/**
+ * Labeled examples from the A/B prompt set and user-confirmed runs.
+ * A run counts as confirmed once the user applied one of its proposals; runs the
+ * router merely labelled successful are left out so its mistakes don't train it.
+ * @param {Object} [options]
+ * @param {string} [options.promptsFile] - JSON list of { prompt, expected_agent }
+ * @param {boolean} [options.includeConfirmed] - Add intents whose proposals were applied, from every project (default: true)
+ * @returns {Object} { examples: [{ text, label }], sources: { prompts, confirmed } }
+ */
+export function collectTrainingExamples({ promptsFile = DEFAULT_PROMPTS_FILE, includeConfirmed = true } = {}) {
+  const examples = [];
+  const sources = { prompts: 0, confirmed: 0 };
+
+  if (promptsFile && fs.existsSync(promptsFile)) {
+    try {
+      for (const item of JSON.parse(fs.readFileSync(promptsFile, 'utf-8'))) {
+        if (item.prompt && item.expected_agent) {
+          examples.push({ text: item.prompt, label: item.expected_agent });
+          sources.prompts++;
+        }
+      }
+    } catch (e) {
+      console.error('[Classifier] Could not read labeled prompts:', e.message);
+    }
+  }
+
+  if (includeConfirmed) {
+    const seen = new Set();
+    for (const projectPath of new Set(getAllRuns().map(run => run.projectPath).filter(Boolean))) {
+      for (const record of listProposals(projectPath, { status: PROPOSAL_STATUS.applied })) {
+        const label = record.proposal?.agent;
+        const key = `${projectPath}\0${record.userIntent}\0${label}`;
+        if (!record.userIntent || !label || seen.has(key)) continue;
+        seen.add(key);
+        examples.push({ text: record.userIntent, label });
+        sources.confirmed++;
+      }
+    }
+  }
+
+  return { examples, sources };
+}
+
+/**
+ * Count features per label
+ */
+function fit(examples) {
+  const classCounts = {};
+  const tokenCounts = {};
+  const tokenTotals = {};
+  const vocabulary = new Set();
+
+  for (const { text, label } of examples) {
+    classCounts[label] = (classCounts[label] || 0) + 1;
+    const counts = tokenCounts[label] || (tokenCounts[label] = {});
+    for (const token of tokenize(text)) {
+      counts[token] = (counts[token] || 0) + 1;
+      tokenTotals[label] = (tokenTotals[label] || 0) + 1;
+      vocabulary.add(token);
+    }
+  }
+
+  return {
+    labels: Object.keys(classCounts).sort(),
+    classCounts,
+    tokenCounts,
+    tokenTotals,
+    vocabularySize: vocabulary.size,
+    exampleCount: examples.length
+  };
+}
+
+/**
+ * Unnormalized log posteriors, or null when the text has no known feature
+ */
+function logPosteriors(model, text) {
+  const tokens = tokenize(text).filter(t => model.labels.some(l => model.tokenCounts[l]?.[t]));
+  if (tokens.length === 0) return null;
+
+  const scores = {};
+  for (const label of model.labels) {
+    const counts = model.tokenCounts[label] || {};
+    const denominator = (model.tokenTotals[label] || 0) + ALPHA * model.vocabularySize;
+    let score = Math.log(model.classCounts[label] / model.exampleCount);
+    for (const token of tokens) {
+      score += Math.log(((counts[token] || 0) + ALPHA) / denominator);
+    }
+    scores[label] = score;
+  }
+  return scores;
+}
+
+/**
+ * Temperature-scaled softmax
+ */
+function softmax(scores, temperature) {
+  const max = Math.max(...Object.values(scores));
+  const exps = Object.fromEntries(
+    Object.entries(scores).map(([label, s]) => [label, Math.exp((s - max) / temperature)])
+  );
+  const total = Object.values(exps).reduce((a, b) => a + b, 0);
+  return Object.fromEntries(Object.entries(exps).map(([label, e]) => [label, e / total]));
+}
+
+/**
+ * Pick the softmax temperature that minimizes held-out log loss (k-fold), so
+ * probabilities are calibrated instead of naive Bayes' usual near-0/1 output
+ */
+function calibrate(examples) {
+  const heldOut = [];
+  for (let fold = 0; fold < FOLDS; fold++) {
+    const train = examples.filter((_, i) => i % FOLDS !== fold);
+    const test = examples.filter((_, i) => i % FOLDS === fold);
+    if (train.length === 0 || test.length === 0) continue;
+
+    const model = fit(train);
+    for (const { text, label } of test) {
+      const scores = logPosteriors(model, text);
+      if (scores && label in scores) heldOut.push({ scores, label });
+    }
+  }
+
+  if (heldOut.length === 0) {
+    return { temperature: 1, accuracy: null };
+  }
+
+  let best = { temperature: 1, loss: Infinity };
+  for (const temperature of TEMPERATURES) {
+    const loss = heldOut.reduce((sum, { scores, label }) =>
+      sum - Math.log(Math.max(softmax(scores, temperature)[label], 1e-12)), 0) / heldOut.length;
+    if (loss < best.loss) best = { temperature, loss };
+  }
+
+  const correct = heldOut.filter(({ scores, label }) =>
+    Object.entries(scores).sort((a, b) => b[1] - a[1])[0][0] === label).length;
+
+  return { temperature: best.temperature, accuracy: correct / heldOut.length };
+}
+
+/**
+ * Train a calibrated classifier
+ * @param {Object[]} examples - [{ text, label }]
+ * @returns {Object|null} Serializable model (null without examples)
+ */
+export function trainClassifier(examples) {
+  if (!examples || examples.length === 0) return null;
+
+  const { temperature, accuracy } = calibrate(examples);
+  return {
+    version: MODEL_VERSION,
+    trainedAt: new Date().toISOString(),
+    temperature,
+    crossValidationAccuracy: accuracy,
+    ...fit(examples)
+  };
+}
+
+/**
+ * Calibrated per-agent probabilities for a prompt
+ * @param {Object} model - Trained model
+ * @param {string} text
+ * @returns {Object|null} { <agentId>: probability } (sums to 1), null when no known feature matches
+ */
+export function predictProbabilities(model, text) {
+  if (!model) return null;
+  const scores = logPosteriors(model, text);
+  return scores ? softmax(scores, model.temperature) : null;
+}
+
+/**
+ * Persist a model to disk
+ */
+export function saveClassifier(model, modelPath = getClassifierPath()) {
+  fs.mkdirSync(path.dirname(modelPath), { recursive: true });
+  fs.writeFileSync(modelPath, JSON.stringify(model), 'utf-8');
+  cached = { modelPath, model };
+  return modelPath;
+}
+
+/**
+ * Train from the default sources and persist (the explicit --train-classifier path)
+ * @param {Object} [options] - See collectTrainingExamples
+ * @returns {Object} { success, modelPath, examples, sources, labels, temperature, crossValidationAccuracy }
+ */
+export function buildClassifier(options = {}) {
+  const { examples, sources } = collectTrainingExamples(options);
+  const model = trainClassifier(examples);
+  if (!model) {
+    return { success: false, error: 'No labeled prompts or applied proposals to train from', sources };
+  }
+
+  const modelPath = saveClassifier(model);
+  console.error(`[Classifier] Trained on ${examples.length} examples (${model.labels.join(', ')}) -> ${modelPath}`);
+
+  return {
+    success: true,
+    modelPath,
+    examples: examples.length,
+    sources,
+    labels: model.labels,
+    temperature: model.temperature,
+    crossValidationAccuracy: model.crossValidationAccuracy
+  };
+}
+
+/**
+ * Load the persisted model. Without one, train in memory from the default sources
+ * (retrained after AI_CORE_CLASSIFIER_MAX_AGE_HOURS); only buildClassifier writes to disk.
+ * @param {Object} [options]
+ * @param {boolean} [options.reload] - Ignore the in-process cache
+ * @returns {Object|null}
+ */
+export function getClassifier({ reload = false } = {}) {
+  const modelPath = getClassifierPath();
+  if (!reload && cached?.modelPath === modelPath && !(cached.inMemory && isStale(cached.model))) {
+    return cached.model;
+  }
+
+  if (fs.existsSync(modelPath)) {
+    try {
+      const model = JSON.parse(fs.readFileSync(modelPath, 'utf-8'));
+      if (model.version === MODEL_VERSION) {
+        cached = { modelPath, model };
+        return model;
+      }
+      console.error('[Classifier] Ignoring model from an older version - run --train-classifier');
+    } catch (e) {
+      console.error('[Classifier] Ignoring unreadable model:', e.message);
+    }
+  }
+
+  const model = trainClassifier(collectTrainingExamples().examples);
+  cached = model ? { modelPath, model, inMemory: true } : null;
+  return model;
+}
+
+/**
+ * Classify a user intent with the persisted (or in-memory) model
+ * @param {string} userIntent
+ * @returns {Object|null} { probabilities, ranked: [{ agentId, probability }] }
+ */
+export function classifyIntent(userIntent) {
+  const probabilities = predictProbabilities(getClassifier(), userIntent);
+  if (!probabilities) return null;
+
+  const ranked = Object.entries(probabilities)
+    .map(([agentId, probability]) => ({ agentId, probability }))
+    .sort((a, b) => b.probability - a.probability);
+
+  return { probabilities, ranked };
+}
+
+export default {
+  tokenize,
+  collectTrainingExamples,
+  trainClassifier,
+  predictProbabilities,
+  buildClassifier,
+  getClassifier,
+  classifyIntent,
+  saveClassifier,
+  getClassifierPath
+};
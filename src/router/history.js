@@ -0,0 +1,127 @@
+// Router History - Historical success rates from memory runs for confidence scoring
+import { getRuns } from '../memory/storage.js';
+import { getIntentCategories } from './index.js';
+
+const DEFAULT_RATE = 0.5; // Neutral when there is not enough history
+const DEFAULT_HALF_LIFE_DAYS = 14;
+const DEFAULT_MIN_SAMPLES = 3;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Get configuration
+ */
+function getConfig() {
+  return {
+    halfLifeDays: parseFloat(process.env.AI_CORE_HISTORY_HALF_LIFE_DAYS || DEFAULT_HALF_LIFE_DAYS),
+    minSamples: parseInt(process.env.AI_CORE_HISTORY_MIN_SAMPLES || DEFAULT_MIN_SAMPLES, 10)
+  };
+}
+
+/**
+ * Recency weight of a run: halves every `halfLifeDays`
+ */
+function decayWeight(timestamp, now, halfLifeDays) {
+  const age = Math.max(0, now - new Date(timestamp).getTime());
+  if (!Number.isFinite(age)) return 0;
+  return Math.pow(0.5, age / (halfLifeDays * DAY_MS));
+}
+
+/**
+ * Add a weighted outcome to a bucket map
+ */
+function accumulate(buckets, key, weight, success) {
+  const bucket = buckets[key] || (buckets[key] = { samples: 0, weight: 0, successWeight: 0 });
+  bucket.samples++;
+  bucket.weight += weight;
+  if (success) bucket.successWeight += weight;
+}
+
+/**
+ * Turn accumulated buckets into rates (null below the minimum sample size)
+ */
+function toRates(buckets, minSamples) {
+  const rates = {};
+  for (const [key, bucket] of Object.entries(buckets)) {
+    const enough = bucket.samples >= minSamples && bucket.weight > 0;
+    rates[key] = {
+      rate: enough ? bucket.successWeight / bucket.weight : null,
+      samples: bucket.samples,
+      weight: bucket.weight
+    };
+  }
+  return rates;
+}
+
+/**
+ * Compute recency-weighted success rates per agent and per intent category
+ * @param {Object[]} runs - Memory run records ({ timestamp, agents, userIntent, success })
+ * @param {Object} [options]
+ * @param {number} [options.now] - Reference time in ms (default: Date.now())
+ * @param {number} [options.halfLifeDays]
+ * @param {number} [options.minSamples]
+ * @returns {Object} { agents: { [id]: { rate, samples, weight } }, categories: { ... } }
+ */
+export function computeSuccessRates(runs, options = {}) {
+  const config = getConfig();
+  const {
+    now = Date.now(),
+    halfLifeDays = config.halfLifeDays,
+    minSamples = config.minSamples
+  } = options;
+
+  const agentBuckets = {};
+  const categoryBuckets = {};
+
+  for (const run of runs) {
+    if (typeof run.success !== 'boolean') continue;
+    const weight = decayWeight(run.timestamp, now, halfLifeDays);
+
+    for (const agentId of new Set(run.agents || [])) {
+      accumulate(agentBuckets, agentId, weight, run.success);
+    }
+    for (const category of getIntentCategories(run.userIntent)) {
+      accumulate(categoryBuckets, category, weight, run.success);
+    }
+  }
+
+  return {
+    agents: toRates(agentBuckets, minSamples),
+    categories: toRates(categoryBuckets, minSamples)
+  };
+}
+
+/**
+ * Historical success score for a routing decision
+ * Blends the rates of the planned agents and the intent's categories, weighted by recency.
+ * Falls back to a neutral 0.5 when none of them has enough samples.
+ * @param {string} projectPath
+ * @param {Object} options
+ * @param {string[]} [options.agentIds] - Agents selected for the run
+ * @param {string} [options.userIntent]
+ * @returns {Object} { rate, source: 'history' | 'default', agents, categories }
+ */
+export function getHistoricalSuccess(projectPath, options = {}) {
+  const { agentIds = [], userIntent = '', ...rateOptions } = options;
+  const { agents, categories } = computeSuccessRates(getRuns(projectPath), rateOptions);
+
+  const pick = (rates, keys) => Object.fromEntries(
+    keys.map(key => [key, rates[key] || { rate: null, samples: 0, weight: 0 }])
+  );
+  const relevant = {
+    agents: pick(agents, agentIds),
+    categories: pick(categories, getIntentCategories(userIntent))
+  };
+
+  const usable = [...Object.values(relevant.agents), ...Object.values(relevant.categories)]
+    .filter(entry => entry.rate !== null);
+  const totalWeight = usable.reduce((sum, entry) => sum + entry.weight, 0);
+
+  if (totalWeight === 0) {
+    return { rate: DEFAULT_RATE, source: 'default', ...relevant };
+  }
+
+  const rate = usable.reduce((sum, entry) => sum + entry.rate * entry.weight, 0) / totalWeight;
+  return { rate, source: 'history', ...relevant };
+}
+
+export default { computeSuccessRates, getHistoricalSuccess };
@@ -1,45 +1,18 @@
 // Router - Intelligent agent selection with context analysis
-import { agents } from '../agents/index.js';
+import { loadAgents } from '../agents/index.js';
 import { isConfigured, chatWithSystem } from '../llm/index.js';
 import { getAgentsContext, getOrCreateProjectContext } from '../agents-bridge.js';
+import { matchTriggers } from '../triggers/index.js';
+import { classifyIntent } from './classifier.js';
 
-/**
- * Keywords that trigger specific agents from user intent
- */
-const KEYWORD_TRIGGERS = {
-  // SEO
-  seo: ['seo', 'search', 'optimize', 'optimization', 'metadata', 'title', 'description', 'google', 'busqueda'],
-  
-  // Code quality
-  code: ['code', 'refactor', 'fix', 'bug', 'implement', 'add', 'create', 'update', 'codigo', 'code quality'],
-  
-  // Frontend
-  frontend: ['frontend', 'ui', 'interfaz', 'componente', 'efecto', 'animacion', 'estilo', 'css', 'jsx', 'tsx', 'vue', 'svelte', 'react', 'pagina', 'web', 'sitio'],
-  
-  // Backend
-  backend: ['backend', 'api', 'endpoint', 'route', 'controller', 'handler', 'servidor', 'ruta', 'database', 'db'],
-  
-  // Security
-  security: ['security', 'seguridad', 'jwt', 'auth', 'authentication', 'authorization', 'vulnerabilidad', 'vulnerable', 'secret', 'key', 'password', 'cripto'],
-  
-  // Testing
-  test: ['test', 'testing', 'spec', 'coverage', 'prueba', 'testear', 'pruebas', 'unit'],
-  
-  // API specific
-  api: ['api', 'rest', 'graphql', 'endpoint', 'crud']
-};
+// Summed trigger weight a category needs to fire (one default-weight term; lighter terms need company)
+const KEYWORD_MIN_SCORE = 1;
 
-/**
- * Project type keywords for prompt-based detection (new projects)
- */
-const PROJECT_TYPE_KEYWORDS = {
-  landing: ['landing', 'landing page', 'pagina de aterrizaje', 'one page', 'brochure', 'catalogo', 'catálogo', 'sitio web simple', 'sitio web básico', 'sitio sin backend', 'sin backend', 'cta whatsapp', 'whatsapp business'],
-  saas: ['saas', 'multi-usuario', 'multiusuario', 'dashboard', 'subscription', 'tenant', 'multi tenant', ' SaaS ', 'software como servicio'],
-  ecommerce: ['ecommerce', 'tienda', 'carrito', 'checkout', 'pago', 'pagos', 'carrito de compras', 'shopping cart', 'woo', 'shopify', 'mercadopago', 'stripe'],
-  api: ['api rest', 'rest api', 'backend only', 'solo backend', 'microservicio', 'microservice', 'graphql', 'crud'],
-  erp: ['erp', 'enterprise resource', 'sistema empresarial', 'inventario', 'facturacion', 'facturación', 'nomina', 'rrh'],
-  blog: ['blog', 'wordpress', 'cms', 'content management', 'articulos', 'artículos', 'noticias']
-};
+// Calibrated probability the offline classifier needs to add an agent on its own
+const CLASSIFIER_MIN_PROBABILITY = 0.5;
+
+// Summed trigger weight that counts as a certain keyword match for keywordsScore (one term scores 0.5)
+const KEYWORD_FULL_SCORE = 2;
 
 /**
  * Detect project type from user prompt (for new/empty projects)
@@ -49,17 +22,13 @@ const PROJECT_TYPE_KEYWORDS = {
 function detectProjectTypeFromPrompt(userIntent) {
   if (!userIntent || userIntent.length < 10) return null;
   
-  const lowerIntent = userIntent.toLowerCase();
-  
-  for (const [projectType, keywords] of Object.entries(PROJECT_TYPE_KEYWORDS)) {
-    for (const keyword of keywords) {
-      if (lowerIntent.includes(keyword.toLowerCase())) {
-        return projectType;
-      }
-    }
+  // Project type keywords come from the trigger packs (config/triggers): the heaviest match wins, ties in pack order
+  let best = null;
+  for (const match of weightedMatches('projectTypes', userIntent)) {
+    if (!best || match.score > best.score) best = match;
   }
   
-  return null;
+  return best ? best.category : null;
 }
 
 /**
@@ -67,10 +36,10 @@ function detectProjectTypeFromPrompt(userIntent) {
  */
 const PROJECT_TYPE_AGENTS = {
   'landing': ['frontend', 'seo'],
-  'saas': ['frontend', 'backend', 'security'],
-  'ecommerce': ['frontend', 'backend', 'security'],
+  'saas': ['frontend', 'backend', 'database', 'security'],
+  'ecommerce': ['frontend', 'backend', 'database', 'security'],
   'blog': ['frontend', 'seo'],
-  'api': ['backend', 'security'],
+  'api': ['backend', 'database', 'security'],
   'library': ['code', 'test'],
   'cli': ['code', 'test']
 };
@@ -97,21 +66,55 @@ const FRAMEWORK_AGENTS = {
 };
 
 /**
- * Check if any keyword matches the user intent
+ * Agents that review the output of others when both are in a plan
+ * (security reviews backend/api changes, test covers what frontend/backend/code produce)
  */
-function matchesKeywords(intent, keywords) {
-  const lowerIntent = intent.toLowerCase();
-  return keywords.some(kw => lowerIntent.includes(kw.toLowerCase()));
+const AGENT_DEPENDENCIES = {
+  security: ['backend', 'api'],
+  test: ['frontend', 'backend', 'code']
+};
+
+/**
+ * Keywords found in the user intent (case-insensitive substring match)
+ * @param {string} intent
+ * @param {string[]} keywords
+ * @returns {string[]}
+ */
+function matchingKeywords(intent, keywords) {
+  const lowerIntent = (intent || '').toLowerCase();
+  return keywords.filter(kw => lowerIntent.includes(kw.toLowerCase()));
+}
+
+/**
+ * Trigger categories whose matched terms reach KEYWORD_MIN_SCORE
+ * @param {string} setName - agents | projectTypes
+ * @param {string} text
+ * @returns {Object[]} [{ category, terms, score }]
+ */
+function weightedMatches(setName, text) {
+  return matchTriggers(setName, text).filter(m => m.score >= KEYWORD_MIN_SCORE);
+}
+
+/**
+ * Intent categories (keyword trigger groups) mentioned in a user intent
+ * @param {string} userIntent
+ * @returns {string[]} e.g. ['seo', 'frontend']
+ */
+export function getIntentCategories(userIntent) {
+  return weightedMatches('agents', userIntent).map(m => m.category);
 }
 
 /**
  * Detect intent using LLM (when configured)
+ * @param {Object} [plugins] - Plugin agents offered to the LLM next to the built-in ones
  */
-async function detectIntentWithLLM(userIntent, metadata) {
+async function detectIntentWithLLM(userIntent, metadata, plugins = {}) {
   if (!isConfigured()) {
     return null;
   }
   
+  const pluginLines = Object.values(plugins).map(a => `\n- ${a.id}: ${a.description}`).join('');
+  
   const systemPrompt = `You are an intent classifier for a code assistance system. 
 Analyze the user's request and determine which agents should handle it.
 
@@ -119,9 +122,10 @@ Available agents:
 - seo: Search engine optimization
 - code: Code quality, refactoring
 - frontend: UI, components, styles, animations
-- backend: APIs, databases, server logic
+- backend: APIs, server logic
+- database: Schemas, migrations, indexes, ORM queries
 - security: Authentication, vulnerabilities
-- test: Testing, coverage
+- test: Testing, coverage${pluginLines}
 
 Respond with a JSON array of agent IDs that should be activated.
 Example: ["frontend", "seo"]
@@ -228,18 +232,68 @@ function getDefaultAgents(metadata) {
   return [...new Set(defaults)]; // Remove duplicates
 }
 
+/**
+ * Why an available agent was not selected, from the decision trace
+ * @param {string} agentId
+ * @param {Object} trace - route() trace
+ * @returns {string}
+ */
+function explainRejection(agentId, trace) {
+  if (trace.llm.selected.length > 0) {
+    return 'Not selected by the LLM classifier';
+  }
+  
+  const score = trace.keywords.scores[agentId];
+  const why = [score !== undefined
+    ? `keyword weight ${score} < ${trace.keywords.threshold} (${trace.keywords.matches[agentId].join(', ')})`
+    : 'no keyword matched'];
+  const probability = trace.classifier.probabilities?.[agentId];
+  if (probability !== undefined) {
+    why.push(`classifier probability ${probability.toFixed(2)} < ${trace.classifier.threshold}`);
+  } else if (trace.classifier.consulted) {
+    why.push('unknown to the classifier');
+  }
+  
+  if (!trace.context.consulted) {
+    why.push('context and default steps skipped (agents already selected)');
+  } else if (!trace.defaults.consulted) {
+    why.push(`not implied by context (${trace.context.reason || 'no action verb'})`);
+  } else {
+    why.push(`not a default for ${trace.defaults.basis}`);
+  }
+  
+  return why.join('; ');
+}
+
 /**
  * Determine which agents to run based on metadata and user intent
+ * @param {RouterInput} input - With `explain: true` the output carries a decision `trace`
+ * @returns {Promise<RouterOutput>}
  */
 export async function route(input) {
-  const { metadata, userIntent, projectPath } = input;
+  const { metadata, userIntent, projectPath, explain = false } = input;
   let { language, framework, capabilities, projectType } = metadata;
   
+  // Built-in agents plus plugins from <project>/.ai-core/agents and the global plugin directory
+  const { agents, plugins } = await loadAgents(projectPath);
+  const pluginAgents = Object.fromEntries(plugins.map(id => [id, agents[id]]));
+  
+  // Decision trace (returned with explain: true)
+  const trace = {
+    projectType: { metadata: metadata.projectType || null, detectedFromPrompt: null },
+    llm: { consulted: isConfigured(), selected: [] },
+    keywords: { consulted: false, threshold: KEYWORD_MIN_SCORE, matches: {}, scores: {} },
+    classifier: { consulted: false, threshold: CLASSIFIER_MIN_PROBABILITY, probabilities: null },
+    context: { consulted: false, reason: null, impliedAgents: [] },
+    defaults: { consulted: false, basis: null, agents: [] }
+  };
+  
   // Step 0: If projectType is unknown, try to detect from prompt (for new projects)
   if ((!projectType || projectType === 'unknown') && userIntent) {
     const detectedType = detectProjectTypeFromPrompt(userIntent);
     if (detectedType) {
       projectType = detectedType;
+      trace.projectType.detectedFromPrompt = detectedType;
       console.log(`[Router] Project type detected from prompt: ${projectType}`);
     }
   }
@@ -248,39 +302,69 @@ export async function route(input) {
   const enhancedMetadata = { ...metadata, projectType };
   
   const selectedAgents = new Set();
+  const selectedBy = new Map(); // agentId -> steps that picked it
   const reasons = [];
+  const select = (agentId, step, reason) => {
+    selectedAgents.add(agentId);
+    selectedBy.set(agentId, [...(selectedBy.get(agentId) || []), step]);
+    reasons.push(reason);
+  };
   
   // Step 1: Try LLM-based detection first (if configured)
-  const llmAgents = await detectIntentWithLLM(userIntent, enhancedMetadata);
+  const llmAgents = await detectIntentWithLLM(userIntent, enhancedMetadata, pluginAgents);
   if (llmAgents && llmAgents.length > 0) {
     for (const agentId of llmAgents) {
       if (agents[agentId]) {
-        selectedAgents.add(agentId);
-        reasons.push('LLM detected: ' + agentId);
+        select(agentId, 'llm', 'LLM detected: ' + agentId);
+        trace.llm.selected.push(agentId);
       }
     }
   }
   
   // Step 2: Fall back to keyword matching if no LLM agents
-  if (selectedAgents.size === 0) {
-    for (const [agentId, keywords] of Object.entries(KEYWORD_TRIGGERS)) {
-      if (matchesKeywords(userIntent, keywords)) {
-        if (agents[agentId]) {
-          selectedAgents.add(agentId);
-          reasons.push('Keyword: ' + agentId);
-        }
+  const llmSelected = selectedAgents.size > 0;
+  if (!llmSelected) {
+    trace.keywords.consulted = true;
+    for (const { category: agentId, terms, score } of matchTriggers('agents', userIntent)) {
+      trace.keywords.matches[agentId] = terms;
+      trace.keywords.scores[agentId] = score;
+      if (score >= KEYWORD_MIN_SCORE && agents[agentId]) {
+        select(agentId, 'keyword', 'Keyword: ' + agentId);
+      }
+    }
+    
+    // Plugin agents bring their own keyword triggers
+    for (const agent of Object.values(pluginAgents)) {
+      const matched = matchingKeywords(userIntent, agent.triggers);
+      if (matched.length > 0) {
+        trace.keywords.matches[agent.id] = matched;
+        trace.keywords.scores[agent.id] = matched.length;
+        select(agent.id, 'keyword', 'Plugin keyword: ' + agent.id);
       }
     }
   }
   
+  // Step 2b: Offline classifier (labeled prompts + applied proposals) catches what substring matching misses
+  const classification = userIntent ? classifyIntent(userIntent) : null;
+  let classifierAgents = [];
+  if (!llmSelected && classification) {
+    trace.classifier.consulted = true;
+    trace.classifier.probabilities = classification.probabilities;
+    classifierAgents = classification.ranked
+      .filter(r => r.probability >= CLASSIFIER_MIN_PROBABILITY && agents[r.agentId] && !selectedAgents.has(r.agentId));
+    for (const { agentId, probability } of classifierAgents) {
+      select(agentId, 'classifier', `Classifier: ${agentId} (${probability.toFixed(2)})`);
+    }
+  }
+  
   // Step 3: Context analysis for implicit intents
   if (selectedAgents.size === 0) {
     const context = analyzeContext(userIntent, enhancedMetadata);
+    trace.context = { consulted: true, reason: context.reason || null, impliedAgents: context.impliedAgents };
     if (context.hasIntent && context.impliedAgents.length > 0) {
       for (const agentId of context.impliedAgents) {
         if (agents[agentId]) {
-          selectedAgents.add(agentId);
-          reasons.push('Context: ' + context.reason);
+          select(agentId, 'context', 'Context: ' + context.reason);
         }
       }
     }
@@ -289,11 +373,12 @@ export async function route(input) {
   // Step 4: Default agents based on project type/framework
   if (selectedAgents.size === 0) {
     const defaults = getDefaultAgents(enhancedMetadata);
+    const basis = framework || projectType || language || 'project';
+    trace.defaults = { consulted: true, basis, agents: defaults };
     if (defaults.length > 0) {
       for (const agentId of defaults) {
         if (agents[agentId]) {
-          selectedAgents.add(agentId);
-          reasons.push('Default for ' + (framework || projectType || language || 'project'));
+          select(agentId, 'default', 'Default for ' + basis);
         }
       }
     }
@@ -307,13 +392,15 @@ export async function route(input) {
     code: 4,
     frontend: 5,
     backend: 6,
-    api: 7,
-    llm: 8
+    database: 7,
+    api: 8,
+    llm: 9
   };
   
   const agentPlan = Array.from(selectedAgents).map(agentId => ({
     agentId,
     priority: priorityMap[agentId] || 10,
+    dependsOn: (AGENT_DEPENDENCIES[agentId] || []).filter(id => selectedAgents.has(id)),
     config: {
       language,
       framework,
@@ -322,7 +409,7 @@ export async function route(input) {
     }
   }));
   
-  // Sort by priority
+  // Sort by priority (execution order also honors dependsOn, see orchestrator)
   agentPlan.sort((a, b) => a.priority - b.priority);
   
   // Step 5: Load agents/ knowledge base context via bridge
@@ -351,12 +438,44 @@ export async function route(input) {
     console.error('[Router] Agents bridge error (non-fatal):', e.message);
   }
   
+  // keywordsScore: per chosen agent, trigger strength combined with classifier confidence
+  // (noisy-OR, so a disagreeing classifier never lowers a keyword hit), best agent wins
+  const agentScores = agentIds
+    .map(id => {
+      const keyword = selectedBy.get(id).includes('keyword')
+        ? Math.min(1, (trace.keywords.scores[id] || 0) / KEYWORD_FULL_SCORE)
+        : null;
+      const probability = classification?.probabilities[id] ?? null;
+      if (keyword === null && probability === null) return null;
+      return 1 - (1 - (keyword ?? 0)) * (1 - (probability ?? 0));
+    })
+    .filter(score => score !== null);
+  const scores = agentScores.length > 0 || classification
+    ? {
+        ...(agentScores.length > 0 && { keywords: Math.max(...agentScores) }),
+        ...(classification && { agentProbabilities: classification.probabilities })
+      }
+    : undefined;
+  
+  if (explain) {
+    trace.selected = agentPlan.map(({ agentId }) => ({
+      agentId,
+      steps: selectedBy.get(agentId),
+      supportsLanguage: agents[agentId].supportedLanguages.includes(language)
+    }));
+    trace.rejected = Object.keys(agents)
+      .filter(id => !selectedAgents.has(id))
+      .map(agentId => ({ agentId, reason: explainRejection(agentId, trace) }));
+  }
+  
   return {
     agents: agentPlan,
     reason: reasons.join('; ') || 'Default agents selected',
-    detectionMethod: llmAgents ? 'llm' : (selectedAgents.size > 0 ? 'keyword' : 'default'),
+    detectionMethod: llmAgents ? 'llm' : (classifierAgents.length > 0 ? 'classifier' : (selectedAgents.size > 0 ? 'keyword' : 'default')),
+    ...(scores && { scores }),
+    ...(explain && { trace }),
     agentsContext: agentsContext || { matched: false, context: '', mdFiles: [] }
   };
 }
 
-export default { route };
+export default { route, getIntentCategories };
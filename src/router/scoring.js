@@ -18,6 +18,7 @@
  * @property {number} breakdown.keywords - Keywords component
  * @property {number} breakdown.profile - Profile component
  * @property {number} breakdown.historical - Historical component
+ * @property {number} breakdown.historicalRate - Historical success rate the component was computed from
  * @property {number} breakdown.complexity - Complexity penalty
  * @property {string} level - Confidence level: 'low' | 'medium' | 'high'
  */
@@ -103,6 +104,7 @@ export function computeScore(input, options = {}) {
       keywords: keywordsComponent,
       profile: profileComponent,
       historical: historicalComponent,
+      historicalRate: historicalSuccessScore,
       complexity: complexityPenalty
     },
     level: getLevel(score)
@@ -10,6 +10,8 @@
  * @property {string[]} metadata.signals
  * @property {string} metadata.projectType
  * @property {string} userIntent - User's intent/prompt
+ * @property {string} [projectPath] - Used for plugin agents and the agents/ knowledge base
+ * @property {boolean} [explain] - Return a decision `trace`
  */
 
 /**
@@ -17,6 +19,20 @@
  * @typedef {Object} RouterOutput
  * @property {AgentExecutionPlan[]} agents
  * @property {string} reason
+ * @property {RouteTrace} [trace] - With explain: true
+ */
+
+/**
+ * Routing decision trace
+ * @typedef {Object} RouteTrace
+ * @property {Object} projectType - { metadata, detectedFromPrompt }
+ * @property {Object} llm - { consulted, selected }
+ * @property {Object} keywords - { consulted, matches: { <agentId>: matched terms } }
+ * @property {Object} classifier - { consulted, threshold, probabilities }
+ * @property {Object} context - { consulted, reason, impliedAgents }
+ * @property {Object} defaults - { consulted, basis, agents } (project type / framework / language defaults)
+ * @property {Object[]} selected - [{ agentId, steps, supportsLanguage }]
+ * @property {Object[]} rejected - [{ agentId, reason }] for every other available agent
  */
 
 /**
@@ -24,6 +40,7 @@
  * @typedef {Object} AgentExecutionPlan
  * @property {string} agentId
  * @property {number} priority
+ * @property {string[]} [dependsOn] - agentIds that must finish first; their diagnostics/changes reach this agent
  * @property {Object} config
  */
 
@@ -162,6 +162,8 @@ class Telemetry extends EventEmitter {
       score: new Gauge('ai_core_score_current', 'Current routing score', ['agent']),
       pending_proposals: new Gauge('ai_core_pending_proposals', 'Pending proposals count'),
       auto_apply_daily_count: new Gauge('ai_core_auto_apply_daily_count', 'Auto-apply count today'),
+      mcp_sessions: new Gauge('ai_core_mcp_sessions', 'Open MCP HTTP sessions'),
+      plugin_agents: new Gauge('ai_core_plugin_agents', 'Plugin agents loaded for the last analyzed project'),
     };
     
     // Initialize histograms
@@ -250,6 +252,14 @@ class Telemetry extends EventEmitter {
     this.gauges.pending_proposals.set({}, count);
   }
 
+  setMcpSessions(count) {
+    this.gauges.mcp_sessions.set({}, count);
+  }
+
+  setPluginAgents(count) {
+    this.gauges.plugin_agents.set({}, count);
+  }
+
   // Histogram methods
   recordLatency(operation, latencyMs) {
     this.histograms.latency_ms.observe({ operation }, latencyMs);
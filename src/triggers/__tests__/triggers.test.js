@@ -0,0 +1,132 @@
+// Trigger pack loading, matching and validation tests
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { loadTriggerPacks, getTriggerTerms, matchTriggers, validateTriggerPacks } from '../index.js';
+import { selectModel } from '../../llm/model-router.js';
+
+function writePack(dir, file, pack) {
+  const fullPath = path.join(dir, file);
+  fs.writeFileSync(fullPath, typeof pack === 'string' ? pack : JSON.stringify(pack), 'utf-8');
+  return fullPath;
+}
+
+describe('trigger packs', () => {
+  const originalConsoleError = console.error;
+  const originalPacks = process.env.AI_CORE_TRIGGER_PACKS;
+  let testDir;
+
+  beforeEach(() => {
+    console.error = () => {};
+    testDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ai-core-triggers-'));
+  });
+
+  afterEach(() => {
+    console.error = originalConsoleError;
+    if (originalPacks === undefined) {
+      delete process.env.AI_CORE_TRIGGER_PACKS;
+    } else {
+      process.env.AI_CORE_TRIGGER_PACKS = originalPacks;
+    }
+    loadTriggerPacks({ reload: true });
+    fs.rmSync(testDir, { recursive: true, force: true });
+  });
+
+  test('should load the built-in sets for every consumer', () => {
+    expect(getTriggerTerms('agents').seo).toEqual(expect.arrayContaining(['seo', 'busqueda']));
+    expect(getTriggerTerms('projectTypes').landing).toContain('landing page');
+    expect(getTriggerTerms('modelTier').heavy).toContain('arquitectura');
+    expect(getTriggerTerms('lessonCategories').database).toContain('prisma');
+  });
+
+  test('should add terms from extra packs without editing source', () => {
+    writePack(testDir, 'pt.json', {
+      name: 'pt',
+      sets: { agents: { seo: { pt: ['otimizar', 'busca orgânica'] } } }
+    });
+    process.env.AI_CORE_TRIGGER_PACKS = testDir;
+    loadTriggerPacks({ reload: true });
+
+    expect(matchTriggers('agents', 'Otimizar a busca orgânica')).toEqual([
+      expect.objectContaining({ category: 'seo', terms: ['otimizar', 'busca orgânica'], score: 2 })
+    ]);
+  });
+
+  test('should load YAML packs', () => {
+    writePack(testDir, 'de.yaml', [
+      'name: de',
+      'sets:',
+      '  agents:',
+      '    seo:',
+      '      de:',
+      '        - suchmaschine',
+      '        - term: sichtbarkeit',
+      '          weight: 0.5',
+      ''
+    ].join('\n'));
+    process.env.AI_CORE_TRIGGER_PACKS = testDir;
+    loadTriggerPacks({ reload: true });
+
+    expect(matchTriggers('agents', 'Suchmaschine und Sichtbarkeit')).toEqual([
+      expect.objectContaining({ category: 'seo', terms: ['suchmaschine', 'sichtbarkeit'], score: 1.5 })
+    ]);
+  });
+
+  test('should use term weights in model tier selection', () => {
+    writePack(testDir, 'weights.json', {
+      name: 'weights',
+      sets: { modelTier: { heavy: { en: [{ term: 'ledger', weight: 10 }] } } }
+    });
+    process.env.AI_CORE_TRIGGER_PACKS = testDir;
+    loadTriggerPacks({ reload: true });
+
+    const selection = selectModel({ userIntent: 'update the ledger page', agentIds: [], complexityEstimate: 0.4 });
+
+    expect(selection.promptAnalysis.heavyWeight).toBe(10);
+    expect(selection.tier).toBe('heavy');
+  });
+
+  test('should report invalid packs', () => {
+    writePack(testDir, 'broken.json', '{ not json');
+    writePack(testDir, 'bad.json', {
+      name: 'bad',
+      sets: { agents: { seo: { 'Not A Tag': ['x'], en: ['', { term: 'y', weight: -1 }] } } }
+    });
+
+    const report = validateTriggerPacks({ paths: [testDir] });
+
+    expect(report.valid).toBe(false);
+    expect(report.errors.some(e => e.startsWith('broken.json'))).toBe(true);
+    expect(report.errors).toEqual(expect.arrayContaining([
+      'bad.json: agents.seo: invalid language tag "Not A Tag"',
+      'bad.json: agents.seo.en: empty or non-string term',
+      'bad.json: agents.seo.en: invalid weight for "y"'
+    ]));
+  });
+
+  test('should report conflicts and overlaps against the installed packs', () => {
+    const candidate = writePack(testDir, 'jargon.json', {
+      name: 'jargon',
+      sets: {
+        modelTier: { light: { en: ['schema'] } },
+        agents: { test: { en: [{ term: 'coverage', weight: 3 }, 'seo audit'] } }
+      }
+    });
+
+    const report = validateTriggerPacks({ include: [candidate] });
+    const conflict = report.conflicts.find(c => c.term === 'schema');
+
+    expect(report.valid).toBe(false);
+    expect(report.packs.map(p => p.name)).toEqual(['core', 'jargon']);
+    expect(conflict).toEqual(expect.objectContaining({ type: 'duplicate', set: 'modelTier', categories: ['heavy', 'light'] }));
+    expect(report.conflicts).toContainEqual(expect.objectContaining({ type: 'weight', term: 'coverage', packs: ['core', 'jargon'] }));
+    expect(report.overlaps).toContainEqual(expect.objectContaining({ type: 'substring', term: 'seo audit', categories: ['test', 'seo'] }));
+  });
+
+  test('should keep the built-in packs free of conflicts', () => {
+    const report = validateTriggerPacks();
+
+    expect(report.errors).toEqual([]);
+    expect(report.conflicts).toEqual([]);
+  });
+});
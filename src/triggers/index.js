@@ -0,0 +1,319 @@
+// Trigger Packs - Loadable multilingual keyword triggers shared by the router, model router and pm
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import yaml from 'js-yaml';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const BUILTIN_DIR = path.join(__dirname, '../../config/triggers');
+const PACK_EXTENSIONS = ['.json', '.yaml', '.yml'];
+const LANG_TAG = /^[a-z]{2,3}(-[A-Za-z0-9]{2,8})*$/; // BCP 47 primary tag (+ subtags), "und" = any language
+const DEFAULT_WEIGHT = 1;
+
+let cache = null;
+
+/**
+ * Pack locations: built-in packs first, then AI_CORE_TRIGGER_PACKS (files or directories, path-delimited)
+ */
+function getPackPaths() {
+  const extra = (process.env.AI_CORE_TRIGGER_PACKS || '')
+    .split(path.delimiter)
+    .map(p => p.trim())
+    .filter(Boolean);
+  return [BUILTIN_DIR, ...extra];
+}
+
+/**
+ * Expand directories into their pack files (sorted for a stable merge order)
+ */
+function listPackFiles(paths) {
+  const files = [];
+  for (const p of paths) {
+    if (!fs.existsSync(p)) continue;
+    if (fs.statSync(p).isDirectory()) {
+      files.push(...fs.readdirSync(p)
+        .filter(f => PACK_EXTENSIONS.includes(path.extname(f)))
+        .sort()
+        .map(f => path.join(p, f)));
+    } else {
+      files.push(p);
+    }
+  }
+  return files;
+}
+
+/**
+ * Parse a JSON or YAML pack file
+ */
+function readPackFile(file) {
+  const content = fs.readFileSync(file, 'utf-8');
+  return path.extname(file) === '.json' ? JSON.parse(content) : yaml.load(content);
+}
+
+/**
+ * Validate a raw pack and flatten it to { name, file, exclusiveSets, entries[] }
+ * Format: { name, exclusiveSets?, sets: { <set>: { <category>: { <lang>: [term | { term, weight }] } } } }
+ */
+function normalizePack(raw, file) {
+  const errors = [];
+  const where = path.basename(file);
+
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    return { pack: null, errors: [`${where}: pack must be an object`] };
+  }
+  if (typeof raw.name !== 'string' || !raw.name) {
+    errors.push(`${where}: missing pack name`);
+  }
+  if (!raw.sets || typeof raw.sets !== 'object' || Array.isArray(raw.sets)) {
+    errors.push(`${where}: missing "sets" object`);
+    return { pack: null, errors };
+  }
+
+  const entries = [];
+  for (const [set, categories] of Object.entries(raw.sets)) {
+    if (!categories || typeof categories !== 'object' || Array.isArray(categories)) {
+      errors.push(`${where}: set "${set}" must map categories to languages`);
+      continue;
+    }
+    for (const [category, languages] of Object.entries(categories)) {
+      if (!languages || typeof languages !== 'object' || Array.isArray(languages)) {
+        errors.push(`${where}: ${set}.${category} must map language tags to term lists`);
+        continue;
+      }
+      for (const [lang, terms] of Object.entries(languages)) {
+        if (!LANG_TAG.test(lang)) {
+          errors.push(`${where}: ${set}.${category}: invalid language tag "${lang}"`);
+          continue;
+        }
+        if (!Array.isArray(terms)) {
+          errors.push(`${where}: ${set}.${category}.${lang} must be a list`);
+          continue;
+        }
+        for (const item of terms) {
+          const term = typeof item === 'string' ? item : item?.term;
+          const weight = typeof item === 'string' ? DEFAULT_WEIGHT : (item?.weight ?? DEFAULT_WEIGHT);
+          if (typeof term !== 'string' || !term.trim()) {
+            errors.push(`${where}: ${set}.${category}.${lang}: empty or non-string term`);
+          } else if (typeof weight !== 'number' || !Number.isFinite(weight) || weight < 0) {
+            errors.push(`${where}: ${set}.${category}.${lang}: invalid weight for "${term}"`);
+          } else {
+            entries.push({ set, category, term: term.toLowerCase(), lang, weight, pack: raw.name });
+          }
+        }
+      }
+    }
+  }
+
+  return {
+    pack: {
+      name: raw.name,
+      file,
+      exclusiveSets: Array.isArray(raw.exclusiveSets) ? raw.exclusiveSets : [],
+      entries
+    },
+    errors
+  };
+}
+
+/**
+ * Read every pack in `paths`
+ * @returns {Object} { packs, errors }
+ */
+function readPacks(paths) {
+  const packs = [];
+  const errors = [];
+
+  for (const file of listPackFiles(paths)) {
+    let raw;
+    try {
+      raw = readPackFile(file);
+    } catch (error) {
+      errors.push(`${path.basename(file)}: ${error.message}`);
+      continue;
+    }
+    const result = normalizePack(raw, file);
+    errors.push(...result.errors);
+    if (result.pack) packs.push(result.pack);
+  }
+
+  return { packs, errors };
+}
+
+/**
+ * Merge packs into sets: { <set>: { <category>: [{ term, lang, weight, pack }] } }
+ * A later pack redefining a term in the same category replaces its weight/lang.
+ */
+function mergePacks(packs) {
+  const sets = {};
+  for (const pack of packs) {
+    for (const { set, category, term, lang, weight } of pack.entries) {
+      const categories = sets[set] || (sets[set] = {});
+      const list = categories[category] || (categories[category] = []);
+      const existing = list.find(e => e.term === term);
+      if (existing) {
+        Object.assign(existing, { lang, weight, pack: pack.name });
+      } else {
+        list.push({ term, lang, weight, pack: pack.name });
+      }
+    }
+  }
+  return sets;
+}
+
+/**
+ * Load and merge the trigger packs (cached until reload)
+ * @param {Object} [options]
+ * @param {string[]} [options.paths] - Pack files/directories (default: built-in + AI_CORE_TRIGGER_PACKS)
+ * @param {boolean} [options.reload] - Ignore the cache
+ * @returns {Object} { packs: [{ name, file }], sets, errors }
+ */
+export function loadTriggerPacks({ paths, reload = false } = {}) {
+  if (cache && !reload && !paths) return cache;
+
+  const { packs, errors } = readPacks(paths || getPackPaths());
+  for (const error of errors) {
+    console.error('[Triggers] Skipping invalid pack content:', error);
+  }
+
+  const loaded = {
+    packs: packs.map(p => ({ name: p.name, file: p.file })),
+    sets: mergePacks(packs),
+    errors
+  };
+  if (!paths) cache = loaded;
+  return loaded;
+}
+
+/**
+ * Terms per category of a trigger set
+ * @param {string} setName - agents | projectTypes | modelTier | lessonCategories
+ * @returns {Object} { <category>: string[] }
+ */
+export function getTriggerTerms(setName) {
+  const categories = loadTriggerPacks().sets[setName] || {};
+  return Object.fromEntries(
+    Object.entries(categories).map(([category, list]) => [category, list.map(e => e.term)])
+  );
+}
+
+/**
+ * Match a text against a trigger set (case-insensitive substring, like the router always did)
+ * @param {string} setName
+ * @param {string} text
+ * @returns {Object[]} [{ category, terms, score }] in pack order, score = sum of matched weights
+ */
+export function matchTriggers(setName, text) {
+  if (!text) return [];
+  const lowerText = text.toLowerCase();
+  const categories = loadTriggerPacks().sets[setName] || {};
+
+  const matches = [];
+  for (const [category, list] of Object.entries(categories)) {
+    const hits = list.filter(e => lowerText.includes(e.term));
+    if (hits.length > 0) {
+      matches.push({
+        category,
+        terms: hits.map(e => e.term),
+        score: hits.reduce((sum, e) => sum + e.weight, 0)
+      });
+    }
+  }
+  return matches;
+}
+
+/**
+ * Validate trigger packs and report overlapping or conflicting triggers
+ * - errors: unreadable packs or invalid structure
+ * - conflicts: a term in two categories of an exclusive set (e.g. modelTier heavy vs light),
+ *   or two packs giving the same term different weights in a category
+ * - overlaps: a term in several categories of a set, or a term containing another category's term
+ *   (substring matching fires both)
+ * @param {Object} [options]
+ * @param {string[]} [options.paths] - Pack files/directories (default: built-in + AI_CORE_TRIGGER_PACKS)
+ * @param {string[]} [options.include] - Extra packs checked together with `paths` (e.g. a pack not installed yet)
+ * @returns {Object} { valid, packs, errors, conflicts, overlaps }
+ */
+export function validateTriggerPacks({ paths, include = [] } = {}) {
+  const { packs, errors } = readPacks([...(paths || getPackPaths()), ...include]);
+  const conflicts = [];
+  const overlaps = [];
+
+  const names = packs.map(p => p.name);
+  for (const name of new Set(names.filter((n, i) => names.indexOf(n) !== i))) {
+    errors.push(`Duplicate pack name "${name}"`);
+  }
+
+  const exclusive = new Set(packs.flatMap(p => p.exclusiveSets));
+  const entries = packs.flatMap(p => p.entries);
+
+  // Same term, same category, different weight across packs
+  const definitions = new Map();
+  for (const entry of entries) {
+    const key = `${entry.set}\0${entry.category}\0${entry.term}`;
+    const previous = definitions.get(key);
+    if (previous && previous.pack !== entry.pack && previous.weight !== entry.weight) {
+      conflicts.push({
+        type: 'weight',
+        set: entry.set,
+        term: entry.term,
+        categories: [entry.category],
+        packs: [previous.pack, entry.pack],
+        message: `"${entry.term}" has weight ${previous.weight} in ${previous.pack} and ${entry.weight} in ${entry.pack} (${entry.set}.${entry.category})`
+      });
+    }
+    definitions.set(key, entry);
+  }
+
+  // Cross-category overlaps within each set
+  for (const [set, categories] of Object.entries(mergePacks(packs))) {
+    const byTerm = new Map();
+    for (const [category, list] of Object.entries(categories)) {
+      for (const { term, pack } of list) {
+        if (!byTerm.has(term)) byTerm.set(term, []);
+        byTerm.get(term).push({ category, pack });
+      }
+    }
+
+    for (const [term, owners] of byTerm) {
+      if (owners.length < 2) continue;
+      const report = {
+        type: 'duplicate',
+        set,
+        term,
+        categories: owners.map(o => o.category),
+        packs: [...new Set(owners.map(o => o.pack))],
+        message: `"${term}" triggers ${owners.map(o => o.category).join(' and ')} in ${set}`
+      };
+      (exclusive.has(set) ? conflicts : overlaps).push(report);
+    }
+
+    for (const [term, owners] of byTerm) {
+      for (const [other, otherOwners] of byTerm) {
+        if (other === term || !term.includes(other)) continue;
+        const categories = owners.map(o => o.category);
+        const shadowing = otherOwners.filter(o => !categories.includes(o.category));
+        if (shadowing.length === 0) continue;
+        overlaps.push({
+          type: 'substring',
+          set,
+          term,
+          categories: [...categories, ...shadowing.map(o => o.category)],
+          packs: [...new Set([...owners, ...shadowing].map(o => o.pack))],
+          message: `"${term}" (${categories.join(', ')}) also matches "${other}" (${shadowing.map(o => o.category).join(', ')}) in ${set}`
+        });
+      }
+    }
+  }
+
+  return {
+    valid: errors.length === 0 && conflicts.length === 0,
+    packs: packs.map(p => ({ name: p.name, file: p.file, terms: p.entries.length })),
+    errors,
+    conflicts,
+    overlaps
+  };
+}
+
+export default { loadTriggerPacks, getTriggerTerms, matchTriggers, validateTriggerPacks };
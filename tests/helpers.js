@@ -0,0 +1,17 @@
+// Test Helpers - Shared fixtures for tests that build throwaway projects on disk
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Write files under a project root, creating parent directories
+ * @param {string} root - Project directory
+ * @param {Object} files - { relativePath: content }; non-string content is written as JSON
+ * @returns {string[]} The relative paths written
+ */
+export function writeFiles(root, files) {
+  for (const [file, content] of Object.entries(files)) {
+    fs.mkdirSync(path.dirname(path.join(root, file)), { recursive: true });
+    fs.writeFileSync(path.join(root, file), typeof content === 'string' ? content : JSON.stringify(content));
+  }
+  return Object.keys(files);
+}